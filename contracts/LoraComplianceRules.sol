@@ -0,0 +1,250 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.19;
+
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "./interfaces/ILoraCompliance.sol";
+import "./libraries/LoraCompliance.sol";
+import "./LoraRWA.sol";
+import "./LoraRWAIdentity.sol";
+
+/**
+ * @title LoraComplianceRules
+ * @dev Per-asset jurisdiction, investor count and lock-up rules plugged into LoraRWA
+ * @author Lora Finance
+ */
+contract LoraComplianceRules is AccessControl, ILoraCompliance {
+    // ================ ROLES ================
+    bytes32 public constant RULES_MANAGER_ROLE = keccak256("RULES_MANAGER_ROLE");
+
+    // ================ STATE VARIABLES ================
+
+    // Rule for one jurisdiction of an asset
+    struct JurisdictionRule {
+        bool allowed; // Listed in the asset's allowlist
+        bool blocked; // Holders from this jurisdiction cannot receive the asset
+        uint256 maxInvestors; // Maximum holders from this jurisdiction (zero = unlimited)
+    }
+
+    LoraRWA public immutable rwa;
+
+    mapping(uint256 => bool) public allowlistEnabled; // assetId => only allowed jurisdictions may receive
+    mapping(uint256 => mapping(bytes32 => JurisdictionRule)) public jurisdictionRules; // assetId => jurisdiction hash => rule
+    mapping(uint256 => mapping(bytes32 => uint256)) public investorCount; // assetId => jurisdiction hash => holders
+    mapping(uint256 => mapping(address => bytes32)) public investorJurisdiction; // assetId => holder => jurisdiction counted under
+    mapping(uint256 => mapping(address => bool)) public isCountedInvestor; // assetId => holder => included in investorCount
+
+    mapping(uint256 => uint256) public lockupPeriod; // assetId => lock-up applied on every acquisition
+    mapping(uint256 => mapping(address => uint256)) public lockedUntil; // assetId => holder => lock-up end
+    mapping(address => bool) public lockupExempt; // Custodians and treasuries are never locked
+
+    // ================ EVENTS ================
+
+    event JurisdictionRuleUpdated(
+        uint256 indexed assetId,
+        string jurisdiction,
+        bool allowed,
+        bool blocked,
+        uint256 maxInvestors
+    );
+    event AllowlistUpdated(uint256 indexed assetId, bool enabled);
+    event LockupPeriodUpdated(uint256 indexed assetId, uint256 period);
+    event HolderLockupUpdated(uint256 indexed assetId, address indexed holder, uint256 lockedUntil);
+    event LockupExemptUpdated(address indexed account, bool exempt);
+
+    // ================ CONSTRUCTOR ================
+    constructor(address admin, address _rwa) {
+        require(admin != address(0), "Invalid admin address");
+        require(_rwa != address(0), "Invalid RWA address");
+
+        _grantRole(DEFAULT_ADMIN_ROLE, admin);
+        _grantRole(RULES_MANAGER_ROLE, admin);
+
+        rwa = LoraRWA(_rwa);
+    }
+
+    // ================ RULE MANAGEMENT ================
+
+    /**
+     * @dev Set the rule for a jurisdiction of an asset
+     * @param assetId Asset ID
+     * @param jurisdiction Jurisdiction code as stored in LoraRWAIdentity compliance records (e.g. "BR")
+     * @param allowed Whether the jurisdiction is on the asset's allowlist
+     * @param blocked Whether the jurisdiction is blocked
+     * @param maxInvestors Maximum holders from the jurisdiction (zero = unlimited)
+     */
+    function setJurisdictionRule(
+        uint256 assetId,
+        string calldata jurisdiction,
+        bool allowed,
+        bool blocked,
+        uint256 maxInvestors
+    ) external onlyRole(RULES_MANAGER_ROLE) {
+        require(!(allowed && blocked), "Cannot allow and block");
+
+        jurisdictionRules[assetId][_jurisdictionKey(jurisdiction)] = JurisdictionRule({
+            allowed: allowed,
+            blocked: blocked,
+            maxInvestors: maxInvestors
+        });
+
+        emit JurisdictionRuleUpdated(assetId, jurisdiction, allowed, blocked, maxInvestors);
+    }
+
+    /**
+     * @dev Restrict an asset to the jurisdictions on its allowlist
+     * @param assetId Asset ID
+     * @param enabled Whether the allowlist is enforced
+     */
+    function setAllowlistEnabled(uint256 assetId, bool enabled) external onlyRole(RULES_MANAGER_ROLE) {
+        allowlistEnabled[assetId] = enabled;
+        emit AllowlistUpdated(assetId, enabled);
+    }
+
+    /**
+     * @dev Set the lock-up applied to an asset's holders each time they acquire tokens
+     * @param assetId Asset ID
+     * @param period Lock-up in seconds (zero to disable)
+     */
+    function setLockupPeriod(uint256 assetId, uint256 period) external onlyRole(RULES_MANAGER_ROLE) {
+        lockupPeriod[assetId] = period;
+        emit LockupPeriodUpdated(assetId, period);
+    }
+
+    /**
+     * @dev Set a holder's lock-up end for an asset directly, e.g. for a negotiated placement
+     * @param assetId Asset ID
+     * @param holder Holder address
+     * @param until Timestamp until which the holder cannot transfer or sell (zero to release)
+     */
+    function setHolderLockup(uint256 assetId, address holder, uint256 until) external onlyRole(RULES_MANAGER_ROLE) {
+        require(holder != address(0), "Invalid holder address");
+
+        lockedUntil[assetId][holder] = until;
+        emit HolderLockupUpdated(assetId, holder, until);
+    }
+
+    /**
+     * @dev Exempt an address from lock-ups
+     * @param account Address to update
+     * @param exempt Whether the address is exempt
+     */
+    function setLockupExempt(address account, bool exempt) external onlyRole(RULES_MANAGER_ROLE) {
+        lockupExempt[account] = exempt;
+        emit LockupExemptUpdated(account, exempt);
+    }
+
+    /**
+     * @dev Recount a holder, e.g. after their jurisdiction changed or for balances held before
+     * this engine was plugged in
+     * @param assetId Asset ID
+     * @param holder Holder address
+     */
+    function syncInvestor(uint256 assetId, address holder) external {
+        _syncInvestor(assetId, holder);
+    }
+
+    // ================ ILoraCompliance ================
+
+    /**
+     * @dev Check a transfer against the asset's lock-up and jurisdiction rules
+     * @return code LoraCompliance reason code (zero when allowed)
+     */
+    function canTransfer(
+        address from,
+        address to,
+        uint256 assetId,
+        uint256 /* amount */
+    ) external view override returns (uint8) {
+        if (from != address(0) && !lockupExempt[from] && block.timestamp < lockedUntil[assetId][from]) {
+            return LoraCompliance.TOKENS_LOCKED;
+        }
+        if (to == address(0)) return LoraCompliance.TRANSFER_OK;
+
+        bytes32 key = _jurisdictionOf(to);
+        JurisdictionRule storage rule = jurisdictionRules[assetId][key];
+        if (rule.blocked) return LoraCompliance.JURISDICTION_BLOCKED;
+        if (allowlistEnabled[assetId] && !rule.allowed) return LoraCompliance.JURISDICTION_NOT_ALLOWED;
+
+        bool newInvestor = !isCountedInvestor[assetId][to] || investorJurisdiction[assetId][to] != key;
+        if (newInvestor && rule.maxInvestors > 0 && investorCount[assetId][key] >= rule.maxInvestors) {
+            return LoraCompliance.INVESTOR_LIMIT_REACHED;
+        }
+
+        return LoraCompliance.TRANSFER_OK;
+    }
+
+    /**
+     * @dev Update investor counts and lock-ups after a transfer, mint or burn
+     */
+    function transferred(address from, address to, uint256 assetId, uint256 /* amount */) external override {
+        require(msg.sender == address(rwa), "Caller is not the RWA contract");
+
+        if (from != address(0)) {
+            _syncInvestor(assetId, from);
+        }
+        if (to != address(0) && to != from) {
+            _syncInvestor(assetId, to);
+
+            uint256 period = lockupPeriod[assetId];
+            if (period > 0 && !lockupExempt[to] && block.timestamp + period > lockedUntil[assetId][to]) {
+                lockedUntil[assetId][to] = block.timestamp + period;
+                emit HolderLockupUpdated(assetId, to, block.timestamp + period);
+            }
+        }
+    }
+
+    // ================ INTERNAL FUNCTIONS ================
+
+    /**
+     * @dev Count a holder under their current jurisdiction while they hold the asset
+     */
+    function _syncInvestor(uint256 assetId, address holder) internal {
+        bool holds = rwa.balanceOf(holder, assetId) > 0;
+        bytes32 key = holds ? _jurisdictionOf(holder) : bytes32(0);
+
+        if (isCountedInvestor[assetId][holder]) {
+            bytes32 counted = investorJurisdiction[assetId][holder];
+            if (holds && counted == key) return;
+
+            investorCount[assetId][counted] -= 1;
+            isCountedInvestor[assetId][holder] = false;
+            delete investorJurisdiction[assetId][holder];
+        }
+
+        if (holds) {
+            investorCount[assetId][key] += 1;
+            isCountedInvestor[assetId][holder] = true;
+            investorJurisdiction[assetId][holder] = key;
+        }
+    }
+
+    /**
+     * @dev Get the jurisdiction hash recorded for a holder in the LoraRWA identity module
+     */
+    function _jurisdictionOf(address holder) internal view returns (bytes32) {
+        (, , , string memory jurisdiction, ) = LoraRWAIdentity(rwa.identityModule()).getCompliance(holder);
+        return _jurisdictionKey(jurisdiction);
+    }
+
+    function _jurisdictionKey(string memory jurisdiction) internal pure returns (bytes32) {
+        return keccak256(bytes(jurisdiction));
+    }
+
+    // ================ VIEW FUNCTIONS ================
+
+    /**
+     * @dev Get the rule and current holder count for a jurisdiction of an asset
+     * @param assetId Asset ID
+     * @param jurisdiction Jurisdiction code
+     */
+    function getJurisdictionRule(uint256 assetId, string calldata jurisdiction) external view returns (
+        bool allowed,
+        bool blocked,
+        uint256 maxInvestors,
+        uint256 investors
+    ) {
+        bytes32 key = _jurisdictionKey(jurisdiction);
+        JurisdictionRule storage rule = jurisdictionRules[assetId][key];
+        return (rule.allowed, rule.blocked, rule.maxInvestors, investorCount[assetId][key]);
+    }
+}
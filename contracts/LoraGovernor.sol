@@ -0,0 +1,461 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.19;
+
+import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/math/SafeMath.sol";
+import "./LoraToken.sol";
+import "./libraries/LoraERC2771.sol";
+
+/**
+ * @title LoraGovernor
+ * @dev Proposals, voting with LoraToken checkpointed voting power and a timelock for executing
+ * passed proposals; executed proposals are the only callers of governance-only setters
+ * @author Lora Finance
+ */
+contract LoraGovernor is ReentrancyGuard {
+    using SafeMath for uint256;
+
+    // ================ STATE VARIABLES ================
+    LoraToken public loraToken;
+
+    // Timelock variables
+    uint256 public constant MINIMUM_TIMELOCK_DELAY = 1 hours;
+    uint256 public constant MAXIMUM_TIMELOCK_DELAY = 30 days;
+    uint256 public constant GRACE_PERIOD = 14 days; // Window to execute a queued proposal
+    uint256 public timelockDelay = 2 days;
+
+    // Governance parameters
+    uint256 public constant QUORUM_DENOMINATOR = 10000;
+    uint256 public quorumNumerator = 400; // 4% of circulating plus staked supply
+    uint256 public proposalThreshold = 100_000 * 10**18; // Voting power needed to propose
+    uint256 public votingDelay; // Delay between proposal creation and voting start
+
+    // Vote types
+    uint8 public constant VOTE_AGAINST = 0;
+    uint8 public constant VOTE_FOR = 1;
+    uint8 public constant VOTE_ABSTAIN = 2;
+
+    // Governance structs
+    enum ProposalState {
+        Pending,
+        Active,
+        Defeated,
+        Succeeded,
+        Queued,
+        Executed,
+        Canceled,
+        Expired
+    }
+
+    struct Proposal {
+        uint256 id;
+        address proposer;
+        string description;
+        uint256 forVotes;
+        uint256 againstVotes;
+        uint256 abstainVotes;
+        uint256 quorumNumerator; // Quorum setting in force at creation
+        uint256 startTime;
+        uint256 endTime;
+        uint256 snapshotBlock; // Block at which voting power is measured
+        uint256 eta; // Earliest execution time once queued
+        address[] targets;
+        uint256[] values;
+        bytes[] calldatas;
+        bool queued;
+        bool executed;
+        bool canceled;
+        mapping(address => Receipt) receipts;
+    }
+
+    struct Receipt {
+        bool hasVoted;
+        uint8 support;
+        uint256 votes;
+    }
+
+    mapping(uint256 => Proposal) public proposals;
+    uint256 public proposalCount;
+
+    // ================ EVENTS ================
+    event ProposalCreated(uint256 indexed proposalId, address indexed proposer, string description);
+    event Voted(uint256 indexed proposalId, address indexed voter, uint8 support, uint256 votes);
+    event ProposalQueued(uint256 indexed proposalId, uint256 eta);
+    event ProposalExecuted(uint256 indexed proposalId);
+    event ProposalCanceled(uint256 indexed proposalId);
+    event TimelockDelayUpdated(uint256 newDelay);
+    event QuorumUpdated(uint256 newQuorumNumerator);
+    event ProposalThresholdUpdated(uint256 newThreshold);
+    event VotingDelayUpdated(uint256 newDelay);
+
+    // ================ MODIFIERS ================
+
+    /**
+     * @dev Restrict a function to calls made by an executed governance proposal
+     */
+    modifier onlyGovernance() {
+        require(msg.sender == address(this), "Only governance");
+        _;
+    }
+
+    // ================ CONSTRUCTOR ================
+    constructor(address _loraToken) {
+        require(_loraToken != address(0), "Invalid LORA token address");
+        loraToken = LoraToken(_loraToken);
+    }
+
+    // ================ GOVERNANCE FUNCTIONS ================
+
+    /**
+     * @dev Create a new text-only governance proposal
+     * @param description Description of the proposal
+     * @param duration Duration of the voting period in seconds
+     */
+    function createProposal(string memory description, uint256 duration) external returns (uint256) {
+        return _createProposal(new address[](0), new uint256[](0), new bytes[](0), description, duration);
+    }
+
+    /**
+     * @dev Create a governance proposal carrying on-chain actions
+     * @param targets Contracts called when the proposal is executed
+     * @param values ETH value sent with each call
+     * @param calldatas Encoded function calls
+     * @param description Description of the proposal
+     * @param duration Duration of the voting period in seconds
+     */
+    function propose(
+        address[] memory targets,
+        uint256[] memory values,
+        bytes[] memory calldatas,
+        string memory description,
+        uint256 duration
+    ) external returns (uint256) {
+        require(targets.length > 0, "Empty proposal");
+        return _createProposal(targets, values, calldatas, description, duration);
+    }
+
+    /**
+     * @dev Vote for or against a proposal
+     * @param proposalId ID of the proposal
+     * @param support True for support, false for against
+     */
+    function vote(uint256 proposalId, bool support) external {
+        _castVote(proposalId, _msgSender(), support ? VOTE_FOR : VOTE_AGAINST);
+    }
+
+    /**
+     * @dev Vote on a proposal with against, for or abstain
+     * @param proposalId ID of the proposal
+     * @param support 0 = against, 1 = for, 2 = abstain
+     */
+    function castVote(uint256 proposalId, uint8 support) external {
+        _castVote(proposalId, _msgSender(), support);
+    }
+
+    /**
+     * @dev Queue a passed proposal in the timelock
+     * @param proposalId ID of the proposal to queue
+     */
+    function queueProposal(uint256 proposalId) external {
+        ProposalState currentState = state(proposalId);
+        require(currentState != ProposalState.Pending && currentState != ProposalState.Active, "Voting not ended");
+        require(currentState != ProposalState.Queued, "Already queued");
+        require(currentState != ProposalState.Canceled, "Proposal canceled");
+        require(currentState == ProposalState.Succeeded, "Proposal not passed");
+
+        Proposal storage proposal = proposals[proposalId];
+        proposal.queued = true;
+        proposal.eta = block.timestamp.add(timelockDelay);
+
+        emit ProposalQueued(proposalId, proposal.eta);
+    }
+
+    /**
+     * @dev Execute a queued proposal once its timelock has elapsed
+     * @param proposalId ID of the proposal to execute
+     */
+    function executeProposal(uint256 proposalId) external payable nonReentrant {
+        Proposal storage proposal = proposals[proposalId];
+        require(proposal.queued, "Proposal not queued");
+        require(!proposal.executed, "Already executed");
+        require(!proposal.canceled, "Proposal canceled");
+        require(block.timestamp >= proposal.eta, "Timelock not expired");
+        require(block.timestamp <= proposal.eta.add(GRACE_PERIOD), "Proposal expired");
+
+        proposal.executed = true;
+
+        for (uint256 i = 0; i < proposal.targets.length; i++) {
+            (bool success, bytes memory returndata) = proposal.targets[i].call{value: proposal.values[i]}(
+                proposal.calldatas[i]
+            );
+            _verifyCallResult(success, returndata);
+        }
+
+        emit ProposalExecuted(proposalId);
+    }
+
+    /**
+     * @dev Cancel a proposal
+     * @param proposalId ID of the proposal to cancel
+     */
+    function cancelProposal(uint256 proposalId) external {
+        Proposal storage proposal = proposals[proposalId];
+        require(proposalId < proposalCount, "Proposal does not exist");
+        require(
+            _isGovernanceRole(msg.sender) || msg.sender == proposal.proposer,
+            "Not authorized to cancel"
+        );
+        require(!proposal.executed, "Already executed");
+        require(!proposal.canceled, "Already canceled");
+
+        proposal.canceled = true;
+
+        emit ProposalCanceled(proposalId);
+    }
+
+    // ================ ADMIN FUNCTIONS ================
+
+    /**
+     * @dev Update the delay between queueing and executing a proposal
+     * @param newDelay New timelock delay in seconds
+     */
+    function updateTimelockDelay(uint256 newDelay) external onlyGovernance {
+        require(newDelay >= MINIMUM_TIMELOCK_DELAY, "Delay too short");
+        require(newDelay <= MAXIMUM_TIMELOCK_DELAY, "Delay too long");
+        timelockDelay = newDelay;
+        emit TimelockDelayUpdated(newDelay);
+    }
+
+    /**
+     * @dev Update the quorum required for a proposal to pass
+     * @param newQuorumNumerator New quorum in basis points of circulating plus staked supply
+     */
+    function updateQuorum(uint256 newQuorumNumerator) external onlyGovernance {
+        require(newQuorumNumerator > 0, "Invalid quorum");
+        require(newQuorumNumerator <= QUORUM_DENOMINATOR, "Quorum too high");
+        quorumNumerator = newQuorumNumerator;
+        emit QuorumUpdated(newQuorumNumerator);
+    }
+
+    /**
+     * @dev Update the voting power required to create a proposal
+     * @param newThreshold New proposal threshold in tokens
+     */
+    function updateProposalThreshold(uint256 newThreshold) external onlyGovernance {
+        require(newThreshold <= loraToken.TOTAL_SUPPLY(), "Threshold too high");
+        proposalThreshold = newThreshold;
+        emit ProposalThresholdUpdated(newThreshold);
+    }
+
+    /**
+     * @dev Update the delay between proposal creation and voting start
+     * @param newDelay New voting delay in seconds
+     */
+    function updateVotingDelay(uint256 newDelay) external onlyGovernance {
+        require(newDelay <= 30 days, "Delay too long");
+        votingDelay = newDelay;
+        emit VotingDelayUpdated(newDelay);
+    }
+
+    // ================ INTERNAL FUNCTIONS ================
+
+    /**
+     * @dev Store a new proposal and open voting
+     */
+    function _createProposal(
+        address[] memory targets,
+        uint256[] memory values,
+        bytes[] memory calldatas,
+        string memory description,
+        uint256 duration
+    ) internal returns (uint256) {
+        require(bytes(description).length > 0, "Empty description");
+        require(duration > 0, "Invalid duration");
+        require(targets.length == values.length, "Arrays length mismatch");
+        require(targets.length == calldatas.length, "Arrays length mismatch");
+        require(
+            _isGovernanceRole(msg.sender) || loraToken.getPastVotes(msg.sender, block.number - 1) >= proposalThreshold,
+            "Below proposal threshold"
+        );
+
+        uint256 proposalId = proposalCount;
+        proposalCount = proposalCount.add(1);
+        Proposal storage proposal = proposals[proposalId];
+
+        proposal.id = proposalId;
+        proposal.proposer = msg.sender;
+        proposal.description = description;
+        proposal.startTime = block.timestamp.add(votingDelay);
+        proposal.endTime = proposal.startTime.add(duration);
+        // Voting power is read from the last mined block, so votes can be cast from the proposal's block onwards
+        proposal.snapshotBlock = block.number - 1;
+        proposal.quorumNumerator = quorumNumerator;
+        proposal.targets = targets;
+        proposal.values = values;
+        proposal.calldatas = calldatas;
+
+        emit ProposalCreated(proposalId, msg.sender, description);
+        return proposalId;
+    }
+
+    /**
+     * @dev Record a vote using the voter's power at the proposal snapshot
+     * @param proposalId ID of the proposal
+     * @param voter Address casting the vote
+     * @param support 0 = against, 1 = for, 2 = abstain
+     */
+    function _castVote(uint256 proposalId, address voter, uint8 support) internal {
+        Proposal storage proposal = proposals[proposalId];
+        require(proposalId < proposalCount, "Proposal does not exist");
+        require(block.timestamp >= proposal.startTime, "Voting not started");
+        require(block.timestamp <= proposal.endTime, "Voting ended");
+        require(!proposal.canceled, "Proposal canceled");
+        require(support <= VOTE_ABSTAIN, "Invalid vote type");
+        require(!proposal.receipts[voter].hasVoted, "Already voted");
+        require(!loraToken.blacklisted(voter), "Address is blacklisted");
+
+        uint256 votes = loraToken.getPastVotes(voter, proposal.snapshotBlock);
+        require(votes > 0, "No voting power");
+
+        proposal.receipts[voter] = Receipt({
+            hasVoted: true,
+            support: support,
+            votes: votes
+        });
+
+        if (support == VOTE_FOR) {
+            proposal.forVotes = proposal.forVotes.add(votes);
+        } else if (support == VOTE_AGAINST) {
+            proposal.againstVotes = proposal.againstVotes.add(votes);
+        } else {
+            proposal.abstainVotes = proposal.abstainVotes.add(votes);
+        }
+
+        emit Voted(proposalId, voter, support, votes);
+    }
+
+    /**
+     * @dev Check whether an account holds GOVERNANCE_ROLE in LoraToken
+     */
+    function _isGovernanceRole(address account) internal view returns (bool) {
+        return loraToken.hasRole(loraToken.GOVERNANCE_ROLE(), account);
+    }
+
+    /**
+     * @dev Bubble up the revert reason of a failed proposal action
+     */
+    function _verifyCallResult(bool success, bytes memory returndata) private pure {
+        if (success) return;
+        if (returndata.length > 0) {
+            // solhint-disable-next-line no-inline-assembly
+            assembly {
+                revert(add(32, returndata), mload(returndata))
+            }
+        }
+        revert("Proposal action failed");
+    }
+
+    /**
+     * @dev Resolve the original sender of calls relayed by the token's trusted forwarder (ERC-2771)
+     */
+    function _msgSender() internal view returns (address) {
+        return LoraERC2771.msgSender(loraToken.trustedForwarder());
+    }
+
+    // ================ VIEW FUNCTIONS ================
+
+    /**
+     * @dev Get the number of votes required for a proposal to reach quorum
+     * @param proposalId ID of the proposal
+     */
+    function quorum(uint256 proposalId) public view returns (uint256) {
+        Proposal storage proposal = proposals[proposalId];
+        return loraToken.getPastTotalVotingSupply(proposal.snapshotBlock).mul(proposal.quorumNumerator).div(QUORUM_DENOMINATOR);
+    }
+
+    /**
+     * @dev Get the current state of a proposal
+     * @param proposalId ID of the proposal
+     */
+    function state(uint256 proposalId) public view returns (ProposalState) {
+        require(proposalId < proposalCount, "Proposal does not exist");
+        Proposal storage proposal = proposals[proposalId];
+
+        if (proposal.executed) return ProposalState.Executed;
+        if (proposal.canceled) return ProposalState.Canceled;
+        if (block.timestamp < proposal.startTime) return ProposalState.Pending;
+        if (block.timestamp <= proposal.endTime) return ProposalState.Active;
+
+        if (proposal.queued) {
+            return block.timestamp > proposal.eta.add(GRACE_PERIOD) ? ProposalState.Expired : ProposalState.Queued;
+        }
+
+        bool quorumReached = proposal.forVotes.add(proposal.abstainVotes) >= quorum(proposalId);
+        if (!quorumReached || proposal.forVotes <= proposal.againstVotes) return ProposalState.Defeated;
+        return ProposalState.Succeeded;
+    }
+
+    /**
+     * @dev Get proposal information
+     * @param proposalId ID of the proposal
+     */
+    function getProposal(uint256 proposalId) external view returns (
+        uint256 id,
+        address proposer,
+        string memory description,
+        uint256 forVotes,
+        uint256 againstVotes,
+        uint256 abstainVotes,
+        uint256 startTime,
+        uint256 endTime,
+        uint256 snapshotBlock,
+        uint256 eta,
+        bool queued,
+        bool executed,
+        bool canceled
+    ) {
+        Proposal storage proposal = proposals[proposalId];
+        return (
+            proposal.id,
+            proposal.proposer,
+            proposal.description,
+            proposal.forVotes,
+            proposal.againstVotes,
+            proposal.abstainVotes,
+            proposal.startTime,
+            proposal.endTime,
+            proposal.snapshotBlock,
+            proposal.eta,
+            proposal.queued,
+            proposal.executed,
+            proposal.canceled
+        );
+    }
+
+    /**
+     * @dev Get the on-chain actions of a proposal
+     * @param proposalId ID of the proposal
+     */
+    function getProposalActions(uint256 proposalId) external view returns (
+        address[] memory targets,
+        uint256[] memory values,
+        bytes[] memory calldatas
+    ) {
+        Proposal storage proposal = proposals[proposalId];
+        return (proposal.targets, proposal.values, proposal.calldatas);
+    }
+
+    /**
+     * @dev Check if an address has voted on a proposal
+     * @param proposalId ID of the proposal
+     * @param voter Address of the voter
+     */
+    function hasVoted(uint256 proposalId, address voter) external view returns (
+        bool voted,
+        uint8 support,
+        uint256 votes
+    ) {
+        Receipt storage receipt = proposals[proposalId].receipts[voter];
+        return (receipt.hasVoted, receipt.support, receipt.votes);
+    }
+}
@@ -0,0 +1,199 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.19;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+import "@openzeppelin/contracts/utils/math/SafeMath.sol";
+
+/**
+ * @title LoraMerkleDistributor
+ * @dev Merkle-proof claims for large LORA distributions, organised in rounds with a claim deadline
+ * @author Lora Finance
+ */
+contract LoraMerkleDistributor is AccessControl, ReentrancyGuard {
+    using SafeMath for uint256;
+
+    // ================ ROLES ================
+    bytes32 public constant DISTRIBUTOR_ROLE = keccak256("DISTRIBUTOR_ROLE");
+
+    // ================ STATE VARIABLES ================
+
+    // Distribution round
+    struct Round {
+        bytes32 merkleRoot; // Root of keccak256(abi.encodePacked(index, account, amount)) leaves
+        uint256 totalAmount; // Tokens reserved for the round
+        uint256 claimedAmount; // Tokens claimed so far
+        uint256 deadline; // Claims are accepted until this timestamp
+        bool swept; // Unclaimed tokens returned to the treasury
+    }
+
+    IERC20 public loraToken;
+    address public treasury; // Receives unclaimed tokens after a round's deadline
+    uint256 public totalReserved; // Unclaimed tokens of rounds not yet swept
+
+    Round[] private _rounds;
+    mapping(uint256 => mapping(uint256 => uint256)) private _claimedBitMap; // roundId => word => bits
+
+    // ================ EVENTS ================
+
+    event RoundCreated(uint256 indexed roundId, bytes32 merkleRoot, uint256 totalAmount, uint256 deadline);
+    event Claimed(uint256 indexed roundId, uint256 index, address indexed account, uint256 amount);
+    event RoundSwept(uint256 indexed roundId, address indexed treasury, uint256 amount);
+    event TreasuryUpdated(address newTreasury);
+
+    // ================ CONSTRUCTOR ================
+    constructor(address admin, address _loraToken, address _treasury) {
+        require(admin != address(0), "Invalid admin address");
+        require(_loraToken != address(0), "Invalid LORA token address");
+        require(_treasury != address(0), "Invalid treasury address");
+
+        _grantRole(DEFAULT_ADMIN_ROLE, admin);
+        _grantRole(DISTRIBUTOR_ROLE, admin);
+
+        loraToken = IERC20(_loraToken);
+        treasury = _treasury;
+    }
+
+    // ================ ROUND MANAGEMENT ================
+
+    /**
+     * @dev Open a claim round funded from tokens held by this contract
+     * @param merkleRoot Merkle root built by scripts/build-merkle-tree.js
+     * @param totalAmount Sum of all amounts in the tree
+     * @param deadline Timestamp after which claims close and the remainder can be swept
+     */
+    function createRound(
+        bytes32 merkleRoot,
+        uint256 totalAmount,
+        uint256 deadline
+    ) external onlyRole(DISTRIBUTOR_ROLE) returns (uint256) {
+        require(merkleRoot != bytes32(0), "Invalid merkle root");
+        require(totalAmount > 0, "Invalid amount");
+        require(deadline > block.timestamp, "Invalid deadline");
+        require(totalAmount <= unallocatedBalance(), "Insufficient unallocated tokens");
+
+        uint256 roundId = _rounds.length;
+        _rounds.push(Round({
+            merkleRoot: merkleRoot,
+            totalAmount: totalAmount,
+            claimedAmount: 0,
+            deadline: deadline,
+            swept: false
+        }));
+        totalReserved = totalReserved.add(totalAmount);
+
+        emit RoundCreated(roundId, merkleRoot, totalAmount, deadline);
+        return roundId;
+    }
+
+    /**
+     * @dev Return the unclaimed tokens of a round to the treasury once its deadline has passed
+     * @param roundId Round ID
+     */
+    function sweep(uint256 roundId) external nonReentrant {
+        Round storage round = _getRound(roundId);
+        require(block.timestamp > round.deadline, "Claim period not ended");
+        require(!round.swept, "Round already swept");
+
+        uint256 remaining = round.totalAmount.sub(round.claimedAmount);
+        round.swept = true;
+        totalReserved = totalReserved.sub(remaining);
+
+        if (remaining > 0) {
+            require(loraToken.transfer(treasury, remaining), "Treasury transfer failed");
+        }
+
+        emit RoundSwept(roundId, treasury, remaining);
+    }
+
+    /**
+     * @dev Update the treasury receiving swept tokens
+     * @param newTreasury New treasury address
+     */
+    function updateTreasury(address newTreasury) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(newTreasury != address(0), "Invalid treasury address");
+        treasury = newTreasury;
+        emit TreasuryUpdated(newTreasury);
+    }
+
+    // ================ CLAIM FUNCTIONS ================
+
+    /**
+     * @dev Claim an allocation; anyone may submit the claim, tokens always go to `account`
+     * @param roundId Round ID
+     * @param index Leaf index in the round's tree
+     * @param account Recipient
+     * @param amount Allocated amount
+     * @param merkleProof Proof for the leaf
+     */
+    function claim(
+        uint256 roundId,
+        uint256 index,
+        address account,
+        uint256 amount,
+        bytes32[] calldata merkleProof
+    ) external nonReentrant {
+        Round storage round = _getRound(roundId);
+        require(block.timestamp <= round.deadline, "Claim period ended");
+        require(!isClaimed(roundId, index), "Already claimed");
+
+        bytes32 leaf = keccak256(abi.encodePacked(index, account, amount));
+        require(MerkleProof.verify(merkleProof, round.merkleRoot, leaf), "Invalid proof");
+
+        _setClaimed(roundId, index);
+        round.claimedAmount = round.claimedAmount.add(amount);
+        totalReserved = totalReserved.sub(amount);
+
+        require(loraToken.transfer(account, amount), "Claim transfer failed");
+
+        emit Claimed(roundId, index, account, amount);
+    }
+
+    // ================ INTERNAL FUNCTIONS ================
+
+    function _setClaimed(uint256 roundId, uint256 index) internal {
+        _claimedBitMap[roundId][index / 256] |= (1 << (index % 256));
+    }
+
+    function _getRound(uint256 roundId) internal view returns (Round storage) {
+        require(roundId < _rounds.length, "Round does not exist");
+        return _rounds[roundId];
+    }
+
+    // ================ VIEW FUNCTIONS ================
+
+    /**
+     * @dev Check whether a leaf of a round has been claimed
+     * @param roundId Round ID
+     * @param index Leaf index
+     */
+    function isClaimed(uint256 roundId, uint256 index) public view returns (bool) {
+        uint256 word = _claimedBitMap[roundId][index / 256];
+        uint256 mask = 1 << (index % 256);
+        return word & mask == mask;
+    }
+
+    /**
+     * @dev Get tokens held by this contract that are not reserved for a round
+     */
+    function unallocatedBalance() public view returns (uint256) {
+        return loraToken.balanceOf(address(this)).sub(totalReserved);
+    }
+
+    /**
+     * @dev Get round information
+     * @param roundId Round ID
+     */
+    function getRound(uint256 roundId) external view returns (Round memory) {
+        return _getRound(roundId);
+    }
+
+    /**
+     * @dev Get the number of rounds
+     */
+    function roundCount() external view returns (uint256) {
+        return _rounds.length;
+    }
+}
@@ -1,5 +1,5 @@
 // SPDX-License-Identifier: MIT
-pragma solidity 0.8.30;
+pragma solidity 0.8.19;
 
 import "@openzeppelin/contracts/token/ERC1155/ERC1155.sol";
 import "@openzeppelin/contracts/token/ERC1155/extensions/ERC1155URIStorage.sol";
@@ -197,7 +197,7 @@ contract LoraNFTOWN is ERC1155, ERC1155URIStorage, AccessControl, Pausable, Reen
     function _setURI(uint256 tokenId, string memory newuri) internal override(ERC1155URIStorage) {
         ERC1155URIStorage._setURI(tokenId, newuri);
     }
-    function supportsInterface(bytes4 interfaceId) public view override(ERC1155, ERC1155URIStorage, AccessControl) returns (bool) {
+    function supportsInterface(bytes4 interfaceId) public view override(ERC1155, AccessControl) returns (bool) {
         return super.supportsInterface(interfaceId);
     }
     // ================ VIEW FUNCTIONS ================
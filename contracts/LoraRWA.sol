@@ -1,5 +1,5 @@
 // SPDX-License-Identifier: MIT
-pragma solidity 0.8.30;
+pragma solidity 0.8.19;
 
 import "@openzeppelin/contracts-upgradeable/token/ERC1155/ERC1155Upgradeable.sol";
 import "@openzeppelin/contracts-upgradeable/access/AccessControlUpgradeable.sol";
@@ -10,10 +10,19 @@ import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
 import "@openzeppelin/contracts-upgradeable/utils/math/SafeMathUpgradeable.sol";
 import "@chainlink/contracts/src/v0.8/interfaces/AggregatorV3Interface.sol";
 import "./LoraToken.sol";
+import "./libraries/LoraCompliance.sol";
+import "./libraries/LoraERC2771.sol";
+import "./libraries/LoraOracle.sol";
+import "./interfaces/ILoraCompliance.sol";
+import "./interfaces/ILoraRWABalanceObserver.sol";
+import "./interfaces/ILoraRWAIdentity.sol";
+import "./interfaces/ILoraRWAUpgrades.sol";
 
 /**
  * @title LoraRWA
- * @dev Real World Assets tokenization contract with compliance and yield distribution
+ * @dev Real World Assets tokenization contract with compliance. Asset registration, valuation, yield,
+ * primary offerings, trading, retirement, documents, investor identity and forced actions run in
+ * LoraRWA modules that act on the tokens through the module hooks below.
  * @author Lora Finance
  */
 contract LoraRWA is Initializable, ERC1155Upgradeable, AccessControlUpgradeable, PausableUpgradeable, ReentrancyGuardUpgradeable, UUPSUpgradeable {
@@ -25,19 +34,24 @@ contract LoraRWA is Initializable, ERC1155Upgradeable, AccessControlUpgradeable,
     bytes32 public constant COMPLIANCE_ROLE = keccak256("COMPLIANCE_ROLE");
     bytes32 public constant ORACLE_ROLE = keccak256("ORACLE_ROLE");
     bytes32 public constant UPGRADER_ROLE = keccak256("UPGRADER_ROLE");
+    bytes32 public constant DOCUMENT_ROLE = keccak256("DOCUMENT_ROLE");
 
     // ================ STATE VARIABLES ================
     
-    // Asset struct to store RWA details
+    // Records of the modules are typed below and kept by each module. The first release kept some of
+    // them here; those mappings stay readable as legacy records, frozen at the upgrade to the modules.
+    
+    // Asset struct to store RWA details; names and references are kept by LoraRWARegistry, which
+    // imports those recorded here before it with importLegacyDetails
     struct Asset {
-        string name;
-        string assetType; // e.g., "Real Estate", "Vehicle", "Art"
-        string location;
+        string name; // Legacy
+        string assetType; // Legacy
+        string location; // Legacy
         uint256 value; // Current valuation in USD (18 decimals)
         uint256 totalTokens; // Total number of tokens for this asset
         uint256 tokenPrice; // Price per token in USD (18 decimals)
-        string documentHash; // IPFS hash of legal documents
-        string registryNumber; // Official registry number
+        string documentHash; // Legacy
+        string registryNumber; // Legacy
         bool isActive;
         bool isTokenized;
         uint256 lastValuation; // Timestamp of last valuation
@@ -46,10 +60,155 @@ contract LoraRWA is Initializable, ERC1155Upgradeable, AccessControlUpgradeable,
     
     // Yield distribution struct
     struct YieldInfo {
-        uint256 amount; // Amount in USD (18 decimals)
+        uint256 amount; // Amount funded into escrow, in payoutToken units
         uint256 timestamp;
         uint256 distributionId;
-        bool claimed;
+        bool claimed; // Unused: claims are tracked per holder in yieldClaimed
+        uint256 totalClaimed; // Amount claimed by holders so far
+        address payoutToken; // LORA or an approved stablecoin
+        address funder; // Receives the unclaimed remainder after expiry
+        uint256 expiry; // Claims close at this timestamp
+        bool reclaimed; // Unclaimed remainder returned to the funder
+    }
+    
+    // Accepted settlement currency
+    struct PaymentToken {
+        bool accepted;
+        AggregatorV3Interface priceFeed; // TOKEN/USD feed
+        uint8 decimals; // Token decimals
+        bool listed; // Included in the payment token list
+    }
+    
+    // Holder balance of an asset from a distribution onwards, used to snapshot yield shares
+    struct BalanceCheckpoint {
+        uint256 fromDistribution; // First distribution ID this balance applies to
+        uint256 balance;
+    }
+    
+    // Primary offering lifecycle; Open and Closed are derived from the sale window and caps
+    enum OfferingStatus { None, Scheduled, Open, Closed, Successful, Failed, Cancelled }
+    
+    // Primary offering of an asset's tokens, with subscriptions held in escrow until close
+    struct Offering {
+        uint256 startTime;
+        uint256 endTime;
+        uint256 softCap; // Minimum tokens to sell for the offering to succeed
+        uint256 hardCap; // Maximum tokens to sell
+        uint256 minTicket; // Minimum tokens per investor
+        uint256 maxTicket; // Maximum tokens per investor (zero = unlimited)
+        address currency; // Accepted payment token subscriptions are paid in
+        address issuer; // Receives the proceeds (zero = asset custodian)
+        uint256 tokensSold;
+        uint256 raised; // Escrowed payments, in currency units
+        OfferingStatus status; // Scheduled until finalized or cancelled
+    }
+    
+    // Investor subscription to an offering
+    struct Commitment {
+        uint256 tokens;
+        uint256 paid; // In the offering currency
+    }
+    
+    // Wind-down of a sold or matured asset
+    enum RetirementStatus { None, Frozen, Redeeming, Closed }
+    
+    // Final distribution of an asset's sale proceeds to holders who burn their tokens
+    struct Retirement {
+        RetirementStatus status;
+        uint256 retiredAt;
+        address payoutToken; // LORA or an approved stablecoin
+        address funder; // Receives the unredeemed remainder after the deadline
+        uint256 proceeds; // Amount deposited for redemption
+        uint256 paidOut; // Amount paid to redeeming holders so far
+        uint256 tokensRedeemed;
+        uint256 deadline; // Redemptions close at this timestamp
+    }
+    
+    // Valuation round lifecycle
+    enum ValuationStatus { None, Open, Disputed, Settled, Rejected }
+    
+    // Appraisal round settling on the median of the appraisers' quotes
+    struct ValuationRound {
+        ValuationStatus status;
+        uint256 openedAt;
+        uint256 deadline; // Quotes are accepted until this timestamp
+        uint256 median; // Median quote once settled or disputed
+        bytes32 reportHash; // Report hash of the median quote
+    }
+    
+    // Appraiser quote within a valuation round
+    struct ValuationQuote {
+        address appraiser;
+        uint256 value; // Valuation in USD (18 decimals)
+        bytes32 reportHash; // Hash of the appraisal report
+        uint256 timestamp;
+    }
+    
+    // Settled valuation kept in an asset's history
+    struct Valuation {
+        uint256 value; // Valuation in USD (18 decimals)
+        uint256 timestamp;
+        bytes32 reportHash;
+        uint256 roundId;
+    }
+    
+    // Per-asset trading configuration; limits fall back to the global defaults unless customLimits is set
+    struct TradingParams {
+        bool customLimits; // Use the hold period and max per address below
+        uint256 minHoldPeriod;
+        uint256 maxTokensPerAddress;
+        uint256 minPurchase; // Smallest purchase in tokens (zero = none)
+        bool transfersDisabled;
+        bool purchasesDisabled;
+        bool sellsDisabled;
+    }
+    
+    // Compliance officer action overriding a holder's control of their tokens
+    enum ForcedActionKind { Transfer, Recovery }
+    
+    // Forced transfer or wallet recovery, executed directly or after a second approval
+    struct ForcedAction {
+        ForcedActionKind kind;
+        address from; // Holder, or the lost wallet for a recovery
+        address to; // Recipient, or the replacement wallet for a recovery
+        uint256 assetId; // Transfers only
+        uint256 amount; // Transfers only
+        bytes32 reasonHash; // Hash of the documented reason (court order, death certificate, recovery request)
+        address proposer;
+        bool executed;
+        bool cancelled;
+        uint256 recoveredAssets; // Recoveries only: assets whose balances have been moved, in ID order
+    }
+    
+    enum RedemptionStatus { Pending, Settled, Cancelled }
+    
+    // Sell the liquidity buffer could not cover, settled in arrival order at the next valuation
+    struct RedemptionRequest {
+        address holder;
+        uint256 amount; // Tokens to redeem, locked in the holder's wallet while pending
+        address currency; // Payout currency chosen by the holder when queueing
+        uint256 navIndex; // Settled valuations when queued; the request waits for the next one
+        RedemptionStatus status;
+        uint256 proceeds; // Paid on settlement
+    }
+    
+    // Version of a named asset document (prospectus, appraisal report, insurance certificate, title deed)
+    struct Document {
+        string uri;
+        bytes32 documentHash; // Hash of the document contents
+        uint256 version; // Starts at 1 and keeps counting across removals
+        uint256 timestamp;
+        address uploader;
+    }
+    
+    // KYC result signed off-chain by an approved provider key
+    struct KycAttestation {
+        address investor;
+        string jurisdiction;
+        uint256 kycExpiry;
+        uint256 maxHolding;
+        string kycHash;
+        bytes32 attestationId; // Provider's unique reference, used for revocation
     }
     
     // Compliance struct for KYC/AML
@@ -64,34 +223,75 @@ contract LoraRWA is Initializable, ERC1155Upgradeable, AccessControlUpgradeable,
     // Mappings
     mapping(uint256 => Asset) public assets; // assetId => Asset
     mapping(uint256 => mapping(address => uint256)) public assetBalances; // assetId => owner => balance
-    mapping(uint256 => mapping(uint256 => YieldInfo)) public yields; // assetId => distributionId => YieldInfo
-    mapping(address => ComplianceInfo) public compliance; // address => ComplianceInfo
-    mapping(address => bool) public blacklisted; // Blacklisted addresses
-    mapping(uint256 => uint256) public totalYieldDistributed; // assetId => total yield distributed
-    mapping(address => uint256) public lastTransferTimestamp; // For transfer restrictions
+    mapping(uint256 => mapping(uint256 => YieldInfo)) public yields; // Legacy: distributions recorded before LoraRWAYield
+    mapping(address => ComplianceInfo) public compliance; // Legacy: imported by LoraRWAIdentity.importLegacyRecords
+    mapping(address => bool) public blacklisted; // Legacy: imported by LoraRWAIdentity.importLegacyRecords
+    mapping(uint256 => uint256) public totalYieldDistributed; // Legacy: distributions recorded before LoraRWAYield
+    mapping(address => uint256) public lastTransferTimestamp; // Legacy: hold periods are tracked per asset in holdStart
     
     // Configuration
-    uint256 public minHoldPeriod; // Minimum period to hold tokens
-    uint256 public maxTokensPerAddress; // Maximum tokens per address (anti-whale)
+    uint256 public minHoldPeriod; // Legacy: read by the LoraRWAMarket constructor
+    uint256 public maxTokensPerAddress; // Legacy: read by the LoraRWAMarket constructor
     uint256 public complianceUpdatePeriod; // How often KYC needs renewal
     uint256 public assetCount; // Total number of registered assets
     
     // External contracts
     LoraToken public loraToken; // Main LORA token
     AggregatorV3Interface public priceFeed; // Chainlink price feed
+    address public trustedForwarder; // Meta-transaction forwarder (ERC-2771)
+    
+    // Transfer rules
+    ILoraCompliance public complianceEngine; // Pluggable jurisdiction, investor count and lock-up rules (zero = none)
+    mapping(uint256 => mapping(address => uint256)) public holdStart; // assetId => holder => last acquisition timestamp
+    bool private _restrictionsBypassed; // Skips transfer restrictions for module token moves
+    
+    // Fixed supply sold from the custodian's inventory
+    mapping(uint256 => uint256) private _assetSupply; // assetId => tokens in circulation
+    mapping(uint256 => uint256) public reservedInventory; // assetId => inventory owed to offering subscribers
+    mapping(uint256 => mapping(address => uint256)) public queuedTokens; // assetId => holder => tokens awaiting redemption
+    
+    // Modules
+    address public valuationModule; // LoraRWAValuation: appraisal rounds
+    address public yieldModule; // LoraRWAYield: yield distributions
+    address public offeringsModule; // LoraRWAOfferings: primary offerings
+    address public marketModule; // LoraRWAMarket: purchases, sells and the redemption queue
+    address public redemptionModule; // LoraRWARedemption: retirement and final redemption
+    address public documentsModule; // LoraRWADocuments: asset documents
+    address public identityModule; // LoraRWAIdentity: compliance records and KYC attestations
+    address public forcedActionsModule; // LoraRWAForcedActions: forced transfers and wallet recovery
+    address public registryModule; // LoraRWARegistry: asset registration and details
+    address public upgradesModule; // LoraRWAUpgrades: upgrade timelock
     
     // ================ EVENTS ================
     
-    event AssetRegistered(uint256 indexed assetId, string name, string assetType, uint256 value);
     event AssetTokenized(uint256 indexed assetId, uint256 totalTokens, uint256 tokenPrice);
     event AssetValuationUpdated(uint256 indexed assetId, uint256 newValue, uint256 timestamp);
-    event TokensPurchased(uint256 indexed assetId, address indexed buyer, uint256 amount, uint256 cost);
-    event TokensSold(uint256 indexed assetId, address indexed seller, uint256 amount, uint256 proceeds);
-    event YieldDistributed(uint256 indexed assetId, uint256 distributionId, uint256 amount);
-    event YieldClaimed(uint256 indexed assetId, address indexed claimant, uint256 amount);
-    event ComplianceUpdated(address indexed user, bool isWhitelisted, uint256 kycExpiry);
-    event BlacklistUpdated(address indexed account, bool status);
+    event ComplianceEngineUpdated(address indexed engine);
     event CustodianUpdated(uint256 indexed assetId, address indexed newCustodian);
+    event InventoryTransferred(uint256 indexed assetId, address indexed from, address indexed to, uint256 amount);
+    event TrustedForwarderUpdated(address newForwarder);
+    event ModulesUpdated(
+        address valuation,
+        address yieldDistribution,
+        address offerings,
+        address market,
+        address redemption,
+        address documents,
+        address identity,
+        address forcedActions,
+        address registry,
+        address upgrades
+    );
+    
+    // ================ MODIFIERS ================
+    
+    /**
+     * @dev Restrict a hook to the modules allowed to call it
+     */
+    modifier onlyModule(address module, address otherModule) {
+        require(msg.sender == module || msg.sender == otherModule, "Caller is not a module");
+        _;
+    }
     
     // ================ INITIALIZER ================
     
@@ -122,64 +322,17 @@ contract LoraRWA is Initializable, ERC1155Upgradeable, AccessControlUpgradeable,
         _grantRole(COMPLIANCE_ROLE, admin);
         _grantRole(ORACLE_ROLE, admin);
         _grantRole(UPGRADER_ROLE, admin);
+        _grantRole(DOCUMENT_ROLE, admin);
         
         loraToken = LoraToken(_loraToken);
         priceFeed = AggregatorV3Interface(_priceFeed);
         
         // Set default configuration
-        minHoldPeriod = 1 days;
-        maxTokensPerAddress = 1000000 * 10**18; // 1M tokens
         complianceUpdatePeriod = 365 days;
     }
     
     // ================ ASSET MANAGEMENT ================
     
-    /**
-     * @dev Register a new real-world asset
-     * @param name Asset name
-     * @param assetType Type of asset
-     * @param location Asset location
-     * @param value Initial valuation in USD
-     * @param documentHash IPFS hash of legal documents
-     * @param registryNumber Official registry number
-     * @param custodian Custodian address
-     */
-    function registerAsset(
-        string memory name,
-        string memory assetType,
-        string memory location,
-        uint256 value,
-        string memory documentHash,
-        string memory registryNumber,
-        address custodian
-    ) external onlyRole(ADMIN_ROLE) returns (uint256) {
-        require(bytes(name).length > 0, "Empty name");
-        require(bytes(assetType).length > 0, "Empty asset type");
-        require(value > 0, "Invalid value");
-        require(custodian != address(0), "Invalid custodian");
-        
-        uint256 assetId = assetCount;
-        assetCount = assetCount.add(1);
-        
-        assets[assetId] = Asset({
-            name: name,
-            assetType: assetType,
-            location: location,
-            value: value,
-            totalTokens: 0,
-            tokenPrice: 0,
-            documentHash: documentHash,
-            registryNumber: registryNumber,
-            isActive: true,
-            isTokenized: false,
-            lastValuation: block.timestamp,
-            custodian: custodian
-        });
-        
-        emit AssetRegistered(assetId, name, assetType, value);
-        return assetId;
-    }
-    
     /**
      * @dev Tokenize an asset
      * @param assetId Asset ID to tokenize
@@ -195,34 +348,15 @@ contract LoraRWA is Initializable, ERC1155Upgradeable, AccessControlUpgradeable,
         asset.tokenPrice = asset.value.mul(10**18).div(totalTokens);
         asset.isTokenized = true;
         
-        // Mint initial tokens to custodian
+        // The whole supply is minted once to the custodian, whose balance is the asset's sale inventory
         _mint(asset.custodian, assetId, totalTokens, "");
+        assetBalances[assetId][asset.custodian] = totalTokens;
         
         emit AssetTokenized(assetId, totalTokens, asset.tokenPrice);
     }
     
     /**
-     * @dev Update asset valuation
-     * @param assetId Asset ID
-     * @param newValue New valuation in USD
-     */
-    function updateAssetValuation(uint256 assetId, uint256 newValue) external onlyRole(APPRAISER_ROLE) {
-        Asset storage asset = assets[assetId];
-        require(asset.isActive, "Asset not active");
-        require(newValue > 0, "Invalid value");
-        
-        asset.value = newValue;
-        asset.lastValuation = block.timestamp;
-        
-        if (asset.isTokenized) {
-            asset.tokenPrice = newValue.mul(10**18).div(asset.totalTokens);
-        }
-        
-        emit AssetValuationUpdated(assetId, newValue, block.timestamp);
-    }
-    
-    /**
-     * @dev Update asset custodian
+     * @dev Update asset custodian, handing over its unsold inventory
      * @param assetId Asset ID
      * @param newCustodian New custodian address
      */
@@ -230,199 +364,237 @@ contract LoraRWA is Initializable, ERC1155Upgradeable, AccessControlUpgradeable,
         require(newCustodian != address(0), "Invalid custodian");
         require(assets[assetId].isActive, "Asset not active");
         
+        address oldCustodian = assets[assetId].custodian;
         assets[assetId].custodian = newCustodian;
         emit CustodianUpdated(assetId, newCustodian);
+        
+        uint256 inventory = balanceOf(oldCustodian, assetId);
+        if (inventory > 0 && newCustodian != oldCustodian) {
+            _moveTokens(oldCustodian, newCustodian, assetId, inventory);
+            emit InventoryTransferred(assetId, oldCustodian, newCustodian, inventory);
+        }
     }
     
-    // ================ TRADING FUNCTIONS ================
+    // ================ COMPLIANCE FUNCTIONS ================
     
     /**
-     * @dev Purchase tokens for an asset
-     * @param assetId Asset ID
-     * @param amount Amount of tokens to purchase
+     * @dev Plug in the rules engine consulted on purchases, sells and transfers
+     * @param engine ILoraCompliance implementation (zero address to remove)
      */
-    function purchaseTokens(uint256 assetId, uint256 amount) external nonReentrant whenNotPaused {
-        Asset storage asset = assets[assetId];
-        require(asset.isActive && asset.isTokenized, "Asset not available");
-        require(amount > 0, "Invalid amount");
-        require(compliance[msg.sender].isWhitelisted, "Not whitelisted");
-        require(!blacklisted[msg.sender], "Address blacklisted");
-        
-        uint256 cost = amount.mul(asset.tokenPrice).div(10**18);
-        require(loraToken.balanceOf(msg.sender) >= cost, "Insufficient LORA balance");
-        
-        // Check anti-whale limits
-        uint256 newBalance = assetBalances[assetId][msg.sender].add(amount);
-        require(newBalance <= maxTokensPerAddress, "Exceeds max holding");
-        
-        // Transfer LORA tokens
-        require(loraToken.transferFrom(msg.sender, address(this), cost), "LORA transfer failed");
-        
-        // Mint RWA tokens
-        _mint(msg.sender, assetId, amount, "");
-        assetBalances[assetId][msg.sender] = newBalance;
-        
-        emit TokensPurchased(assetId, msg.sender, amount, cost);
+    function setComplianceEngine(address engine) external onlyRole(ADMIN_ROLE) {
+        complianceEngine = ILoraCompliance(engine);
+        emit ComplianceEngineUpdated(engine);
     }
     
+    // ================ ADMIN FUNCTIONS ================
+    
     /**
-     * @dev Sell tokens for an asset
-     * @param assetId Asset ID
-     * @param amount Amount of tokens to sell
+     * @dev Update compliance update period
+     * @param newPeriod New compliance update period in seconds
      */
-    function sellTokens(uint256 assetId, uint256 amount) external nonReentrant whenNotPaused {
-        Asset storage asset = assets[assetId];
-        require(asset.isActive && asset.isTokenized, "Asset not available");
-        require(amount > 0, "Invalid amount");
-        require(balanceOf(msg.sender, assetId) >= amount, "Insufficient balance");
-        require(!blacklisted[msg.sender], "Address blacklisted");
-        
-        // Check hold period
-        require(block.timestamp >= lastTransferTimestamp[msg.sender].add(minHoldPeriod), "Hold period not met");
-        
-        uint256 proceeds = amount.mul(asset.tokenPrice).div(10**18);
-        
-        // Burn RWA tokens
-        _burn(msg.sender, assetId, amount);
-        assetBalances[assetId][msg.sender] = assetBalances[assetId][msg.sender].sub(amount);
-        
-        // Transfer LORA tokens
-        require(loraToken.transfer(msg.sender, proceeds), "LORA transfer failed");
-        
-        emit TokensSold(assetId, msg.sender, amount, proceeds);
+    function updateComplianceUpdatePeriod(uint256 newPeriod) external onlyRole(ADMIN_ROLE) {
+        complianceUpdatePeriod = newPeriod;
     }
     
-    // ================ YIELD DISTRIBUTION ================
+    /**
+     * @dev Set the trusted forwarder that may relay meta-transactions
+     * @param newForwarder Forwarder address (zero address disables meta-transactions)
+     */
+    function updateTrustedForwarder(address newForwarder) external onlyRole(ADMIN_ROLE) {
+        trustedForwarder = newForwarder;
+        emit TrustedForwarderUpdated(newForwarder);
+    }
     
     /**
-     * @dev Distribute yield for an asset
-     * @param assetId Asset ID
-     * @param amount Yield amount in USD
+     * @dev Attach the module contracts allowed to call the module hooks. They are set once and fixed
+     * from then on, so a module holding escrow or records cannot be swapped out from under them;
+     * replacing one takes a scheduled upgrade of this contract, and upgrades are only possible once
+     * the upgrades module is attached.
+     * @param valuation LoraRWAValuation
+     * @param yieldDistribution LoraRWAYield
+     * @param primaryOfferings LoraRWAOfferings
+     * @param market LoraRWAMarket
+     * @param redemption LoraRWARedemption
+     * @param documents LoraRWADocuments
+     * @param identity LoraRWAIdentity
+     * @param forcedTransfers LoraRWAForcedActions
+     * @param registry LoraRWARegistry
+     * @param upgrades LoraRWAUpgrades
      */
-    function distributeYield(uint256 assetId, uint256 amount) external onlyRole(ADMIN_ROLE) {
-        Asset storage asset = assets[assetId];
-        require(asset.isActive && asset.isTokenized, "Asset not available");
-        require(amount > 0, "Invalid amount");
-        
-        uint256 distributionId = totalYieldDistributed[assetId];
-        totalYieldDistributed[assetId] = distributionId.add(1);
-        
-        yields[assetId][distributionId] = YieldInfo({
-            amount: amount,
-            timestamp: block.timestamp,
-            distributionId: distributionId,
-            claimed: false
-        });
+    function setModules(
+        address valuation,
+        address yieldDistribution,
+        address primaryOfferings,
+        address market,
+        address redemption,
+        address documents,
+        address identity,
+        address forcedTransfers,
+        address registry,
+        address upgrades
+    ) external onlyRole(ADMIN_ROLE) {
+        require(registryModule == address(0), "Modules already set");
+        require(
+            valuation != address(0) && yieldDistribution != address(0) && primaryOfferings != address(0) &&
+            market != address(0) && redemption != address(0) && documents != address(0) &&
+            identity != address(0) && forcedTransfers != address(0) && registry != address(0) &&
+            upgrades != address(0),
+            "Invalid module address"
+        );
         
-        emit YieldDistributed(assetId, distributionId, amount);
+        valuationModule = valuation;
+        yieldModule = yieldDistribution;
+        offeringsModule = primaryOfferings;
+        marketModule = market;
+        redemptionModule = redemption;
+        documentsModule = documents;
+        identityModule = identity;
+        forcedActionsModule = forcedTransfers;
+        registryModule = registry;
+        upgradesModule = upgrades;
+        
+        emit ModulesUpdated(
+            valuation,
+            yieldDistribution,
+            primaryOfferings,
+            market,
+            redemption,
+            documents,
+            identity,
+            forcedTransfers,
+            registry,
+            upgrades
+        );
     }
     
     /**
-     * @dev Claim yield for an asset
-     * @param assetId Asset ID
-     * @param distributionId Distribution ID
+     * @dev Pause the contract
      */
-    function claimYield(uint256 assetId, uint256 distributionId) external nonReentrant {
-        require(balanceOf(msg.sender, assetId) > 0, "No tokens held");
-        require(!blacklisted[msg.sender], "Address blacklisted");
-        
-        YieldInfo storage yield = yields[assetId][distributionId];
-        require(!yield.claimed, "Already claimed");
-        
-        Asset storage asset = assets[assetId];
-        uint256 userShare = balanceOf(msg.sender, assetId).mul(yield.amount).div(asset.totalTokens);
-        
-        require(userShare > 0, "No yield to claim");
-        
-        yield.claimed = true;
-        
-        // Transfer yield in LORA tokens (converted from USD)
-        uint256 loraAmount = userShare.mul(10**18).div(getEthPrice());
-        require(loraToken.transfer(msg.sender, loraAmount), "Yield transfer failed");
-        
-        emit YieldClaimed(assetId, msg.sender, userShare);
+    function pause() external onlyRole(ADMIN_ROLE) {
+        _pause();
     }
     
-    // ================ COMPLIANCE FUNCTIONS ================
+    /**
+     * @dev Unpause the contract
+     */
+    function unpause() external onlyRole(ADMIN_ROLE) {
+        _unpause();
+    }
+    
+    // ================ MODULE HOOKS ================
     
     /**
-     * @dev Update compliance information for a user
-     * @param user User address
-     * @param isWhitelisted Whitelist status
-     * @param kycExpiry KYC expiry timestamp
-     * @param kycHash KYC document hash
-     * @param jurisdiction Jurisdiction code
-     * @param maxHolding Maximum tokens this user can hold
-     */
-    function updateCompliance(
-        address user,
-        bool isWhitelisted,
-        uint256 kycExpiry,
-        string memory kycHash,
-        string memory jurisdiction,
-        uint256 maxHolding
-    ) external onlyRole(COMPLIANCE_ROLE) {
-        require(user != address(0), "Invalid user address");
-        
-        compliance[user] = ComplianceInfo({
-            isWhitelisted: isWhitelisted,
-            kycExpiry: kycExpiry,
-            kycHash: kycHash,
-            jurisdiction: jurisdiction,
-            maxHolding: maxHolding
-        });
+     * @dev Create an asset registered with the registry module; it is tokenized with tokenizeAsset
+     * @param value Initial valuation in USD (18 decimals)
+     * @param custodian Custodian address
+     * @return assetId ID of the new asset
+     */
+    function createAsset(uint256 value, address custodian) external onlyModule(registryModule, registryModule) returns (uint256 assetId) {
+        assetId = assetCount;
+        assetCount = assetId.add(1);
         
-        emit ComplianceUpdated(user, isWhitelisted, kycExpiry);
+        Asset storage asset = assets[assetId];
+        asset.value = value;
+        asset.isActive = true;
+        asset.lastValuation = block.timestamp;
+        asset.custodian = custodian;
     }
     
     /**
-     * @dev Blacklist or unblacklist an address
-     * @param account Address to blacklist/unblacklist
-     * @param status True to blacklist, false to unblacklist
+     * @dev Move tokens for a purchase, sell, offering delivery or forced transfer without applying
+     * transfer restrictions; the module has checked the movement already
+     * @param from Holder, or the custodian for sales from inventory
+     * @param to Recipient
+     * @param assetId Asset ID
+     * @param amount Amount of tokens
      */
-    function setBlacklisted(address account, bool status) external onlyRole(COMPLIANCE_ROLE) {
-        blacklisted[account] = status;
-        emit BlacklistUpdated(account, status);
+    function moveTokens(
+        address from,
+        address to,
+        uint256 assetId,
+        uint256 amount
+    ) external {
+        require(
+            msg.sender == marketModule || msg.sender == offeringsModule || msg.sender == forcedActionsModule,
+            "Caller is not a module"
+        );
+        _moveTokens(from, to, assetId, amount);
     }
     
-    // ================ ADMIN FUNCTIONS ================
+    /**
+     * @dev Move a recovered wallet's whole balance of an asset to its replacement, which keeps the
+     * lost wallet's hold period
+     * @param lostWallet Wallet the investor no longer controls
+     * @param newWallet Replacement wallet
+     * @param assetId Asset ID
+     */
+    function recoverBalance(
+        address lostWallet,
+        address newWallet,
+        uint256 assetId
+    ) external onlyModule(forcedActionsModule, forcedActionsModule) {
+        uint256 balance = balanceOf(lostWallet, assetId);
+        if (balance > 0) {
+            uint256 heldSince = holdStart[assetId][lostWallet];
+            _moveTokens(lostWallet, newWallet, assetId, balance);
+            holdStart[assetId][newWallet] = heldSince;
+        }
+    }
     
     /**
-     * @dev Update minimum hold period
-     * @param newPeriod New hold period in seconds
+     * @dev Apply a settled valuation to an asset's value and token price
+     * @param assetId Asset ID
+     * @param value Valuation in USD (18 decimals)
      */
-    function updateMinHoldPeriod(uint256 newPeriod) external onlyRole(ADMIN_ROLE) {
-        minHoldPeriod = newPeriod;
+    function applyValuation(uint256 assetId, uint256 value) external onlyModule(valuationModule, valuationModule) {
+        Asset storage asset = assets[assetId];
+        asset.value = value;
+        asset.lastValuation = block.timestamp;
+        if (asset.isTokenized) {
+            asset.tokenPrice = value.mul(10**18).div(asset.totalTokens);
+        }
+        
+        emit AssetValuationUpdated(assetId, value, block.timestamp);
     }
     
     /**
-     * @dev Update maximum tokens per address
-     * @param newMax New maximum tokens per address
+     * @dev Deactivate a retired asset, freezing its trading
+     * @param assetId Asset ID
      */
-    function updateMaxTokensPerAddress(uint256 newMax) external onlyRole(ADMIN_ROLE) {
-        maxTokensPerAddress = newMax;
+    function deactivateAsset(uint256 assetId) external onlyModule(redemptionModule, redemptionModule) {
+        Asset storage asset = assets[assetId];
+        require(asset.isActive && asset.isTokenized, "Asset not available");
+        asset.isActive = false;
     }
     
     /**
-     * @dev Update compliance update period
-     * @param newPeriod New compliance update period in seconds
+     * @dev Burn tokens a holder redeemed for their share of a retired asset's sale proceeds
+     * @param holder Holder address
+     * @param assetId Asset ID
+     * @param amount Amount of tokens
      */
-    function updateComplianceUpdatePeriod(uint256 newPeriod) external onlyRole(ADMIN_ROLE) {
-        complianceUpdatePeriod = newPeriod;
+    function burnRedeemed(address holder, uint256 assetId, uint256 amount) external onlyModule(redemptionModule, redemptionModule) {
+        _burn(holder, assetId, amount);
+        assetBalances[assetId][holder] = assetBalances[assetId][holder] > amount ? assetBalances[assetId][holder].sub(amount) : 0;
     }
     
     /**
-     * @dev Pause the contract
+     * @dev Set the custodian inventory of an asset owed to offering subscribers
+     * @param assetId Asset ID
+     * @param amount Reserved tokens
      */
-    function pause() external onlyRole(ADMIN_ROLE) {
-        _pause();
+    function setReservedInventory(uint256 assetId, uint256 amount) external onlyModule(offeringsModule, offeringsModule) {
+        reservedInventory[assetId] = amount;
     }
     
     /**
-     * @dev Unpause the contract
+     * @dev Set the tokens of a holder locked in the redemption queue
+     * @param assetId Asset ID
+     * @param holder Holder address
+     * @param amount Queued tokens
      */
-    function unpause() external onlyRole(ADMIN_ROLE) {
-        _unpause();
+    function setQueuedTokens(uint256 assetId, address holder, uint256 amount) external onlyModule(marketModule, marketModule) {
+        queuedTokens[assetId][holder] = amount;
     }
     
     // ================ OVERRIDE FUNCTIONS ================
@@ -440,47 +612,168 @@ contract LoraRWA is Initializable, ERC1155Upgradeable, AccessControlUpgradeable,
     ) internal virtual override {
         super._beforeTokenTransfer(operator, from, to, ids, amounts, data);
         
+        // A bypass covers only the movement it was set for; it is cleared here, before the
+        // recipient's onERC1155Received callback can start another transfer
+        bool bypassed = _restrictionsBypassed;
+        _restrictionsBypassed = false;
+        
+        for (uint256 i = 0; i < ids.length; i++) {
+            if (from != address(0) && to != address(0) && !bypassed) {
+                _requireCanTransfer(from, to, ids[i], amounts[i]);
+                require(balanceOf(from, ids[i]) >= amounts[i].add(queuedTokens[ids[i]][from]), "Tokens queued for redemption");
+                
+                // Inventory owed to offering subscribers stays with the custodian
+                if (from == assets[ids[i]].custodian) {
+                    require(balanceOf(from, ids[i]) >= amounts[i].add(reservedInventory[ids[i]]), "Inventory reserved");
+                }
+            }
+        }
+    }
+    
+    /**
+     * @dev Hook that is called after any token transfer; tracks supply and hold periods, lets the
+     * yield and retirement modules follow balances and notifies the compliance engine
+     */
+    function _afterTokenTransfer(
+        address operator,
+        address from,
+        address to,
+        uint256[] memory ids,
+        uint256[] memory amounts,
+        bytes memory data
+    ) internal virtual override {
+        super._afterTokenTransfer(operator, from, to, ids, amounts, data);
+        
         for (uint256 i = 0; i < ids.length; i++) {
-            if (from != address(0) && to != address(0)) {
-                require(!blacklisted[from], "Sender blacklisted");
-                require(!blacklisted[to], "Recipient blacklisted");
-                require(compliance[from].isWhitelisted, "Sender not whitelisted");
-                require(compliance[to].isWhitelisted, "Recipient not whitelisted");
+            // Supply is minted once on tokenization and only burned by redemption
+            if (from == address(0) || to == address(0)) {
+                _assetSupply[ids[i]] = from == address(0)
+                    ? _assetSupply[ids[i]].add(amounts[i])
+                    : _assetSupply[ids[i]].sub(amounts[i]);
+                require(_assetSupply[ids[i]] <= assets[ids[i]].totalTokens, "Supply invariant violated");
+            }
+            // A transfer to oneself leaves the balance as it was
+            if (from != address(0) && from != to) {
+                _notifyBalance(ids[i], from, balanceOf(from, ids[i]).add(amounts[i]));
+            }
+            if (to != address(0) && to != from) {
+                _notifyBalance(ids[i], to, balanceOf(to, ids[i]).sub(amounts[i]));
                 
-                lastTransferTimestamp[from] = block.timestamp;
-                lastTransferTimestamp[to] = block.timestamp;
+                // Acquiring tokens of an asset restarts the holder's hold period for that asset only
+                holdStart[ids[i]][to] = block.timestamp;
+            }
+            if (address(complianceEngine) != address(0)) {
+                complianceEngine.transferred(from, to, ids[i], amounts[i]);
             }
         }
     }
     
+    
     /**
-     * @dev Required override for UUPS proxy pattern
+     * @dev Resolve the original sender of calls relayed by the trusted forwarder (ERC-2771)
      */
-    function _authorizeUpgrade(address newImplementation) internal override onlyRole(UPGRADER_ROLE) {}
+    function _msgSender() internal view virtual override returns (address) {
+        return LoraERC2771.msgSender(trustedForwarder);
+    }
+    
+    /**
+     * @dev Strip the appended sender from calls relayed by the trusted forwarder (ERC-2771)
+     */
+    function _msgData() internal view virtual override returns (bytes calldata) {
+        return LoraERC2771.msgData(trustedForwarder);
+    }
+    
+    /**
+     * @dev See {IERC165-supportsInterface}; required as ERC1155 and AccessControl both implement it
+     */
+    function supportsInterface(bytes4 interfaceId) public view virtual override(ERC1155Upgradeable, AccessControlUpgradeable) returns (bool) {
+        return super.supportsInterface(interfaceId);
+    }
+    
+    /**
+     * @dev Required override for UUPS proxy pattern; only the implementation scheduled with the
+     * upgrades module can be installed, after its delay and before the grace period ends
+     */
+    function _authorizeUpgrade(address newImplementation) internal override onlyRole(UPGRADER_ROLE) {
+        require(upgradesModule != address(0), "Upgrade not scheduled");
+        ILoraRWAUpgrades(upgradesModule).authorizeUpgrade(newImplementation);
+    }
+    
+    // ================ INTERNAL FUNCTIONS ================
+    
+    /**
+     * @dev Move tokens without applying transfer restrictions, carrying over purchase bookkeeping;
+     * used for module token moves and custodian handovers. The bypass is
+     * consumed by _beforeTokenTransfer, so transfers the recipient starts from its acceptance
+     * callback are restricted as usual.
+     */
+    function _moveTokens(address from, address to, uint256 assetId, uint256 amount) internal {
+        require(balanceOf(from, assetId) >= amount, "Insufficient balance");
+        
+        uint256 tracked = assetBalances[assetId][from] < amount ? assetBalances[assetId][from] : amount;
+        assetBalances[assetId][from] = assetBalances[assetId][from].sub(tracked);
+        assetBalances[assetId][to] = assetBalances[assetId][to].add(tracked);
+        
+        _restrictionsBypassed = true;
+        _safeTransferFrom(from, to, assetId, amount, "");
+    }
+    
+    /**
+     * @dev Pass a holder's balance before and after a transfer to the modules that follow balances
+     */
+    function _notifyBalance(uint256 assetId, address holder, uint256 previousBalance) internal {
+        uint256 balance = balanceOf(holder, assetId);
+        if (yieldModule != address(0)) {
+            ILoraRWABalanceObserver(yieldModule).balanceChanged(assetId, holder, previousBalance, balance);
+        }
+        if (redemptionModule != address(0)) {
+            ILoraRWABalanceObserver(redemptionModule).balanceChanged(assetId, holder, previousBalance, balance);
+        }
+    }
+    
+    /**
+     * @dev Revert with the identity module's reason message when it rejects a movement of tokens
+     */
+    function _requireCanTransfer(address from, address to, uint256 assetId, uint256 amount) internal view {
+        ILoraRWAIdentity identity = ILoraRWAIdentity(identityModule);
+        uint8 code = identity.canTransfer(from, to, assetId, amount);
+        if (code != LoraCompliance.TRANSFER_OK) {
+            revert(identity.transferRestrictionMessage(code));
+        }
+    }
     
     // ================ VIEW FUNCTIONS ================
     
     /**
-     * @dev Get current ETH price in USD
+     * @dev Check whether an address is the trusted meta-transaction forwarder
+     * @param forwarder Address to check
      */
-    function getEthPrice() public view returns (uint256) {
-        (, int256 price,,,) = priceFeed.latestRoundData();
-        return uint256(price);
+    function isTrustedForwarder(address forwarder) public view returns (bool) {
+        return forwarder != address(0) && forwarder == trustedForwarder;
     }
     
     /**
-     * @dev Get asset information
+     * @dev Check whether tokens can move between two addresses, so rejections can be explained
+     * before submitting; the checks are run by the identity module, which also maps the reason
+     * code to its message with transferRestrictionMessage
+     * @param from Sender (zero for purchases)
+     * @param to Recipient (zero for sells)
+     * @param assetId Asset ID
+     * @param amount Amount of tokens
+     * @return LoraCompliance reason code (zero when allowed)
+     */
+    function canTransfer(address from, address to, uint256 assetId, uint256 amount) external view returns (uint8) {
+        return ILoraRWAIdentity(identityModule).canTransfer(from, to, assetId, amount);
+    }
+    
+    /**
+     * @dev Get asset information; names and references are read from the registry module
      * @param assetId Asset ID
      */
     function getAsset(uint256 assetId) external view returns (
-        string memory name,
-        string memory assetType,
-        string memory location,
         uint256 value,
         uint256 totalTokens,
         uint256 tokenPrice,
-        string memory documentHash,
-        string memory registryNumber,
         bool isActive,
         bool isTokenized,
         uint256 lastValuation,
@@ -488,14 +781,9 @@ contract LoraRWA is Initializable, ERC1155Upgradeable, AccessControlUpgradeable,
     ) {
         Asset storage asset = assets[assetId];
         return (
-            asset.name,
-            asset.assetType,
-            asset.location,
             asset.value,
             asset.totalTokens,
             asset.tokenPrice,
-            asset.documentHash,
-            asset.registryNumber,
             asset.isActive,
             asset.isTokenized,
             asset.lastValuation,
@@ -504,37 +792,20 @@ contract LoraRWA is Initializable, ERC1155Upgradeable, AccessControlUpgradeable,
     }
     
     /**
-     * @dev Get compliance information for a user
-     * @param user User address
+     * @dev Get the tokens of an asset in circulation; fixed at totalTokens until redemptions burn them
+     * @param assetId Asset ID
      */
-    function getCompliance(address user) external view returns (
-        bool isWhitelisted,
-        uint256 kycExpiry,
-        string memory kycHash,
-        string memory jurisdiction,
-        uint256 maxHolding
-    ) {
-        ComplianceInfo storage info = compliance[user];
-        return (
-            info.isWhitelisted,
-            info.kycExpiry,
-            info.kycHash,
-            info.jurisdiction,
-            info.maxHolding
-        );
+    function totalSupply(uint256 assetId) external view returns (uint256) {
+        return _assetSupply[assetId];
     }
     
     /**
-     * @dev Get yield information
+     * @dev Get the custodian's inventory of an asset still available for sale
      * @param assetId Asset ID
-     * @param distributionId Distribution ID
      */
-    function getYield(uint256 assetId, uint256 distributionId) external view returns (
-        uint256 amount,
-        uint256 timestamp,
-        bool claimed
-    ) {
-        YieldInfo storage yield = yields[assetId][distributionId];
-        return (yield.amount, yield.timestamp, yield.claimed);
+    function availableInventory(uint256 assetId) public view returns (uint256) {
+        uint256 inventory = balanceOf(assets[assetId].custodian, assetId);
+        uint256 reserved = reservedInventory[assetId];
+        return inventory > reserved ? inventory - reserved : 0;
     }
-} 
\ No newline at end of file
+}
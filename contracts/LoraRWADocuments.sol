@@ -0,0 +1,159 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.19;
+
+import "./LoraRWAModule.sol";
+
+/**
+ * @title LoraRWADocuments
+ * @dev LoraRWA module publishing versioned asset documents (ERC-1643 style)
+ * @author Lora Finance
+ */
+contract LoraRWADocuments is LoraRWAModule {
+    // ================ STATE VARIABLES ================
+    mapping(uint256 => mapping(bytes32 => LoraRWA.Document[])) private _documentVersions; // assetId => name => versions, oldest first
+    mapping(uint256 => bytes32[]) private _documentNames; // assetId => names of current documents
+    mapping(uint256 => mapping(bytes32 => uint256)) private _documentNameIndex; // assetId => name => position in _documentNames plus one
+
+    // ================ EVENTS ================
+
+    event DocumentUpdated(
+        uint256 indexed assetId,
+        bytes32 indexed name,
+        string uri,
+        bytes32 documentHash,
+        uint256 version,
+        address uploader
+    );
+    event DocumentRemoved(uint256 indexed assetId, bytes32 indexed name, string uri, bytes32 documentHash, uint256 version);
+
+    // ================ CONSTRUCTOR ================
+    constructor(address _rwa) LoraRWAModule(_rwa) {}
+
+    // ================ ASSET DOCUMENTS ================
+
+    /**
+     * @dev Add a named document to an asset, or publish a new version of it; earlier versions
+     * stay readable through getDocumentVersion
+     * @param assetId Asset ID
+     * @param name Document name (e.g. "prospectus", "title-deed")
+     * @param uri Where the document can be retrieved
+     * @param documentHash Hash of the document contents
+     */
+    function setDocument(
+        uint256 assetId,
+        bytes32 name,
+        string calldata uri,
+        bytes32 documentHash
+    ) external onlyRole(DOCUMENT_ROLE) {
+        require(assetId < rwa.assetCount(), "Asset does not exist");
+        require(name != bytes32(0), "Empty document name");
+        require(bytes(uri).length > 0, "Empty URI");
+        require(documentHash != bytes32(0), "Empty document hash");
+
+        address uploader = _msgSender();
+        LoraRWA.Document[] storage versions = _documentVersions[assetId][name];
+        uint256 version = versions.length + 1;
+        versions.push(LoraRWA.Document({
+            uri: uri,
+            documentHash: documentHash,
+            version: version,
+            timestamp: block.timestamp,
+            uploader: uploader
+        }));
+
+        if (_documentNameIndex[assetId][name] == 0) {
+            _documentNames[assetId].push(name);
+            _documentNameIndex[assetId][name] = _documentNames[assetId].length;
+        }
+
+        emit DocumentUpdated(assetId, name, uri, documentHash, version, uploader);
+    }
+
+    /**
+     * @dev Withdraw a document from an asset's current documents, keeping its version history
+     * @param assetId Asset ID
+     * @param name Document name
+     */
+    function removeDocument(uint256 assetId, bytes32 name) external onlyRole(DOCUMENT_ROLE) {
+        uint256 index = _documentNameIndex[assetId][name];
+        require(index > 0, "Document not found");
+
+        bytes32[] storage names = _documentNames[assetId];
+        bytes32 last = names[names.length - 1];
+        names[index - 1] = last;
+        _documentNameIndex[assetId][last] = index;
+        names.pop();
+        delete _documentNameIndex[assetId][name];
+
+        LoraRWA.Document[] storage versions = _documentVersions[assetId][name];
+        LoraRWA.Document storage current = versions[versions.length - 1];
+        emit DocumentRemoved(assetId, name, current.uri, current.documentHash, current.version);
+    }
+
+    // ================ INTERNAL FUNCTIONS ================
+
+    function _documentFields(LoraRWA.Document storage document) internal view returns (
+        string memory,
+        bytes32,
+        uint256,
+        uint256,
+        address
+    ) {
+        return (document.uri, document.documentHash, document.version, document.timestamp, document.uploader);
+    }
+
+    // ================ VIEW FUNCTIONS ================
+
+    /**
+     * @dev Get the current version of an asset document
+     * @param assetId Asset ID
+     * @param name Document name
+     */
+    function getDocument(uint256 assetId, bytes32 name) external view returns (
+        string memory uri,
+        bytes32 documentHash,
+        uint256 version,
+        uint256 timestamp,
+        address uploader
+    ) {
+        require(_documentNameIndex[assetId][name] > 0, "Document not found");
+        LoraRWA.Document[] storage versions = _documentVersions[assetId][name];
+        return _documentFields(versions[versions.length - 1]);
+    }
+
+    /**
+     * @dev Get any version of an asset document, including versions of removed documents, e.g. to
+     * check which one was in force at a purchase
+     * @param assetId Asset ID
+     * @param name Document name
+     * @param version Version number, starting at 1
+     */
+    function getDocumentVersion(uint256 assetId, bytes32 name, uint256 version) external view returns (
+        string memory uri,
+        bytes32 documentHash,
+        uint256 documentVersion,
+        uint256 timestamp,
+        address uploader
+    ) {
+        LoraRWA.Document[] storage versions = _documentVersions[assetId][name];
+        require(version > 0 && version <= versions.length, "Invalid version");
+        return _documentFields(versions[version - 1]);
+    }
+
+    /**
+     * @dev Get the number of versions published for an asset document
+     * @param assetId Asset ID
+     * @param name Document name
+     */
+    function getDocumentVersionCount(uint256 assetId, bytes32 name) external view returns (uint256) {
+        return _documentVersions[assetId][name].length;
+    }
+
+    /**
+     * @dev Get the names of an asset's current documents
+     * @param assetId Asset ID
+     */
+    function getAllDocuments(uint256 assetId) external view returns (bytes32[] memory) {
+        return _documentNames[assetId];
+    }
+}
@@ -0,0 +1,240 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.19;
+
+import "./LoraRWAModule.sol";
+import "./LoraRWAIdentity.sol";
+import "./LoraRWAMarket.sol";
+import "./LoraRWAOfferings.sol";
+
+/**
+ * @title LoraRWAForcedActions
+ * @dev LoraRWA module for compliance officer actions overriding a holder's control of their tokens:
+ * forced transfers and lost wallet recovery, optionally with a second approval
+ * @author Lora Finance
+ */
+contract LoraRWAForcedActions is LoraRWAModule {
+    // ================ STATE VARIABLES ================
+    mapping(uint256 => LoraRWA.ForcedAction) public forcedActions; // actionId => ForcedAction
+    uint256 public forcedActionCount;
+    bool public forcedActionApprovalRequired; // A second compliance officer must approve forced actions
+    mapping(address => address) public recoveredWallet; // lost wallet => replacement wallet
+
+    // ================ EVENTS ================
+
+    event ForcedActionProposed(
+        uint256 indexed actionId,
+        LoraRWA.ForcedActionKind kind,
+        address indexed from,
+        address indexed to,
+        bytes32 reasonHash,
+        address proposer
+    );
+    event ForcedActionCancelled(uint256 indexed actionId, address indexed canceller);
+    event ForcedTransfer(
+        uint256 indexed actionId,
+        address indexed from,
+        address indexed to,
+        uint256 assetId,
+        uint256 amount,
+        bytes32 reasonHash,
+        address proposer,
+        address approver
+    );
+    event WalletRecovered(
+        uint256 indexed actionId,
+        address indexed lostWallet,
+        address indexed newWallet,
+        bytes32 reasonHash,
+        address proposer,
+        address approver
+    );
+    event WalletRecoveryProgressed(uint256 indexed actionId, uint256 recoveredAssets, uint256 remaining);
+    event ForcedActionApprovalRequiredUpdated(bool required);
+
+    // ================ CONSTRUCTOR ================
+    constructor(address _rwa) LoraRWAModule(_rwa) {}
+
+    // ================ FORCED TRANSFERS ================
+
+    /**
+     * @dev Move a holder's tokens to a verified address, e.g. under a court order. Transfer
+     * restrictions on the holder (blacklist, lock-ups, frozen assets) do not apply.
+     * @param from Holder
+     * @param to Verified recipient
+     * @param assetId Asset ID
+     * @param amount Amount of tokens
+     * @param reasonHash Hash of the documented reason
+     * @return actionId Forced action ID (executed now unless a second approval is required)
+     */
+    function forceTransfer(
+        address from,
+        address to,
+        uint256 assetId,
+        uint256 amount,
+        bytes32 reasonHash
+    ) external onlyRole(COMPLIANCE_ROLE) nonReentrant returns (uint256 actionId) {
+        require(from != address(0) && to != address(0) && from != to, "Invalid addresses");
+        require(amount > 0, "Invalid amount");
+
+        actionId = _proposeForcedAction(LoraRWA.ForcedActionKind.Transfer, from, to, assetId, amount, reasonHash);
+    }
+
+    /**
+     * @dev Recover a lost wallet: its compliance record and payout currency move to a replacement
+     * wallet and the lost wallet is blacklisted. Balances and offering subscriptions then move with
+     * recoverAssets, and the new wallet claims the lost wallet's unpaid yield with claimRecoveredYield.
+     * @param lostWallet Wallet the investor no longer controls
+     * @param newWallet Replacement wallet
+     * @param reasonHash Hash of the documented recovery request
+     * @return actionId Forced action ID (executed now unless a second approval is required)
+     */
+    function recoverWallet(
+        address lostWallet,
+        address newWallet,
+        bytes32 reasonHash
+    ) external onlyRole(COMPLIANCE_ROLE) nonReentrant returns (uint256 actionId) {
+        require(lostWallet != address(0) && newWallet != address(0) && lostWallet != newWallet, "Invalid addresses");
+
+        actionId = _proposeForcedAction(LoraRWA.ForcedActionKind.Recovery, lostWallet, newWallet, 0, 0, reasonHash);
+    }
+
+    /**
+     * @dev Approve and execute a forced action proposed by another compliance officer
+     * @param actionId Forced action ID
+     */
+    function approveForcedAction(uint256 actionId) external onlyRole(COMPLIANCE_ROLE) nonReentrant {
+        LoraRWA.ForcedAction storage action = forcedActions[actionId];
+        require(actionId < forcedActionCount && !action.executed && !action.cancelled, "Action not pending");
+        require(action.proposer != _msgSender(), "Proposer cannot approve");
+
+        _executeForcedAction(actionId, _msgSender());
+    }
+
+    /**
+     * @dev Move the balances and offering subscriptions of an executed wallet recovery to the new
+     * wallet, a page of assets at a time
+     * @param actionId Recovery action ID
+     * @param maxAssets Maximum assets to process
+     * @return remaining Assets still to process
+     */
+    function recoverAssets(uint256 actionId, uint256 maxAssets) external nonReentrant returns (uint256 remaining) {
+        LoraRWA.ForcedAction storage action = forcedActions[actionId];
+        require(
+            actionId < forcedActionCount && action.kind == LoraRWA.ForcedActionKind.Recovery && action.executed,
+            "Recovery not executed"
+        );
+        require(
+            rwa.hasRole(COMPLIANCE_ROLE, _msgSender()) || _msgSender() == action.to,
+            "Not compliance or new wallet"
+        );
+
+        LoraRWAOfferings offerings = LoraRWAOfferings(rwa.offeringsModule());
+        uint256 assetCount = rwa.assetCount();
+        uint256 assetId = action.recoveredAssets;
+        uint256 end = assetCount - assetId > maxAssets ? assetId + maxAssets : assetCount;
+        for (; assetId < end; assetId++) {
+            rwa.recoverBalance(action.from, action.to, assetId);
+            offerings.recoverCommitment(action.from, action.to, assetId);
+        }
+        action.recoveredAssets = end;
+        remaining = assetCount - end;
+
+        emit WalletRecoveryProgressed(actionId, end, remaining);
+    }
+
+    /**
+     * @dev Cancel a pending forced action
+     * @param actionId Forced action ID
+     */
+    function cancelForcedAction(uint256 actionId) external onlyRole(COMPLIANCE_ROLE) {
+        LoraRWA.ForcedAction storage action = forcedActions[actionId];
+        require(actionId < forcedActionCount && !action.executed && !action.cancelled, "Action not pending");
+
+        action.cancelled = true;
+        emit ForcedActionCancelled(actionId, _msgSender());
+    }
+
+    // ================ ADMIN FUNCTIONS ================
+
+    /**
+     * @dev Require a second compliance officer to approve forced transfers and wallet recoveries
+     * @param required Whether a second approval is required
+     */
+    function setForcedActionApprovalRequired(bool required) external onlyRole(ADMIN_ROLE) {
+        forcedActionApprovalRequired = required;
+        emit ForcedActionApprovalRequiredUpdated(required);
+    }
+
+    // ================ INTERNAL FUNCTIONS ================
+
+    /**
+     * @dev Record a forced action and execute it unless a second approval is required
+     */
+    function _proposeForcedAction(
+        LoraRWA.ForcedActionKind kind,
+        address from,
+        address to,
+        uint256 assetId,
+        uint256 amount,
+        bytes32 reasonHash
+    ) internal returns (uint256 actionId) {
+        require(reasonHash != bytes32(0), "Reason required");
+
+        actionId = forcedActionCount;
+        forcedActionCount = actionId + 1;
+        forcedActions[actionId] = LoraRWA.ForcedAction({
+            kind: kind,
+            from: from,
+            to: to,
+            assetId: assetId,
+            amount: amount,
+            reasonHash: reasonHash,
+            proposer: _msgSender(),
+            executed: false,
+            cancelled: false,
+            recoveredAssets: 0
+        });
+
+        emit ForcedActionProposed(actionId, kind, from, to, reasonHash, _msgSender());
+
+        if (!forcedActionApprovalRequired) {
+            _executeForcedAction(actionId, address(0));
+        }
+    }
+
+    /**
+     * @dev Execute a forced transfer or wallet recovery
+     * @param approver Second compliance officer (zero when no approval was required)
+     */
+    function _executeForcedAction(uint256 actionId, address approver) internal {
+        LoraRWA.ForcedAction storage action = forcedActions[actionId];
+        LoraRWAIdentity identity = LoraRWAIdentity(rwa.identityModule());
+        (bool isBlacklisted, bool isWhitelisted, uint256 kycExpiry, ) = identity.investorStatus(action.to);
+        require(!isBlacklisted, "Recipient blacklisted");
+        action.executed = true;
+
+        if (action.kind == LoraRWA.ForcedActionKind.Transfer) {
+            require(isWhitelisted && kycExpiry > block.timestamp, "Recipient not verified");
+
+            rwa.moveTokens(action.from, action.to, action.assetId, action.amount);
+
+            emit ForcedTransfer(
+                actionId,
+                action.from,
+                action.to,
+                action.assetId,
+                action.amount,
+                action.reasonHash,
+                action.proposer,
+                approver
+            );
+        } else {
+            // The compliance record and payout currency move now; balances follow with recoverAssets
+            recoveredWallet[action.from] = action.to;
+            identity.recoverRecord(action.from, action.to);
+            LoraRWAMarket(rwa.marketModule()).recoverPayoutCurrency(action.from, action.to);
+
+            emit WalletRecovered(actionId, action.from, action.to, action.reasonHash, action.proposer, approver);
+        }
+    }
+}
@@ -0,0 +1,339 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.19;
+
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "./LoraRWAModule.sol";
+import "./interfaces/ILoraRWAIdentity.sol";
+
+/**
+ * @title LoraRWAIdentity
+ * @dev LoraRWA module keeping investors' compliance records and the blacklist, recorded by compliance
+ * officers or from KYC providers' signed attestations
+ * @author Lora Finance
+ */
+contract LoraRWAIdentity is LoraRWAModule, EIP712, ILoraRWAIdentity {
+    // ================ STATE VARIABLES ================
+
+    // KYC attestation typehash (EIP-712)
+    bytes32 public constant KYC_ATTESTATION_TYPEHASH = keccak256(
+        "KycAttestation(address investor,string jurisdiction,uint256 kycExpiry,uint256 maxHolding,string kycHash,bytes32 attestationId)"
+    );
+
+    mapping(address => LoraRWA.ComplianceInfo) public compliance; // address => ComplianceInfo
+    mapping(address => bool) public blacklisted; // Blacklisted addresses
+
+    // KYC attestations
+    mapping(address => bool) public kycProviders; // Signing keys of approved KYC providers
+    mapping(bytes32 => bool) public revokedAttestations; // attestationId => revoked
+    mapping(bytes32 => address) public attestationInvestor; // attestationId => investor it was applied to
+    mapping(address => bytes32) public complianceAttestation; // investor => attestation behind their current record
+
+    // ================ EVENTS ================
+
+    event ComplianceUpdated(address indexed user, bool isWhitelisted, uint256 kycExpiry);
+    event BlacklistUpdated(address indexed account, bool status);
+    event KycProviderUpdated(address indexed signer, bool approved);
+    event KycProviderKeyRotated(address indexed oldSigner, address indexed newSigner);
+    event AttestationApplied(bytes32 indexed attestationId, address indexed investor, address indexed signer);
+    event AttestationRevoked(bytes32 indexed attestationId, address indexed revoker);
+
+    // ================ CONSTRUCTOR ================
+    constructor(address _rwa) LoraRWAModule(_rwa) EIP712("LoraRWAIdentity", "1") {}
+
+    // ================ COMPLIANCE FUNCTIONS ================
+
+    /**
+     * @dev Update compliance information for a user
+     * @param user User address
+     * @param isWhitelisted Whitelist status
+     * @param kycExpiry KYC expiry timestamp
+     * @param kycHash KYC document hash
+     * @param jurisdiction Jurisdiction code
+     * @param maxHolding Maximum tokens this user can hold
+     */
+    function updateCompliance(
+        address user,
+        bool isWhitelisted,
+        uint256 kycExpiry,
+        string memory kycHash,
+        string memory jurisdiction,
+        uint256 maxHolding
+    ) external onlyRole(COMPLIANCE_ROLE) {
+        require(user != address(0), "Invalid user address");
+
+        delete complianceAttestation[user];
+        compliance[user] = LoraRWA.ComplianceInfo({
+            isWhitelisted: isWhitelisted,
+            kycExpiry: kycExpiry,
+            kycHash: kycHash,
+            jurisdiction: jurisdiction,
+            maxHolding: maxHolding
+        });
+
+        emit ComplianceUpdated(user, isWhitelisted, kycExpiry);
+    }
+
+    /**
+     * @dev Blacklist or unblacklist an address
+     * @param account Address to blacklist/unblacklist
+     * @param status True to blacklist, false to unblacklist
+     */
+    function setBlacklisted(address account, bool status) external onlyRole(COMPLIANCE_ROLE) {
+        blacklisted[account] = status;
+        emit BlacklistUpdated(account, status);
+    }
+
+    /**
+     * @dev Move a recovered wallet's compliance record to its replacement and blacklist the lost
+     * wallet; called by the forced actions module when it executes a wallet recovery
+     * @param lostWallet Wallet the investor no longer controls
+     * @param newWallet Replacement wallet
+     */
+    function recoverRecord(address lostWallet, address newWallet) external {
+        require(msg.sender == rwa.forcedActionsModule(), "Caller is not a module");
+
+        compliance[newWallet] = compliance[lostWallet];
+        delete compliance[lostWallet];
+        delete complianceAttestation[lostWallet];
+
+        // Whoever holds the lost keys can no longer use the wallet
+        blacklisted[lostWallet] = true;
+
+        emit ComplianceUpdated(newWallet, compliance[newWallet].isWhitelisted, compliance[newWallet].kycExpiry);
+        emit ComplianceUpdated(lostWallet, false, 0);
+        emit BlacklistUpdated(lostWallet, true);
+    }
+
+    /**
+     * @dev Import the compliance records and blacklisting kept by LoraRWA before this module, for
+     * proxies upgraded from the single-contract release; investors who already have a record here
+     * keep it
+     * @param investors Investor addresses
+     */
+    function importLegacyRecords(address[] calldata investors) external onlyRole(COMPLIANCE_ROLE) {
+        for (uint256 i = 0; i < investors.length; i++) {
+            address investor = investors[i];
+            LoraRWA.ComplianceInfo storage info = compliance[investor];
+            if (info.isWhitelisted || info.kycExpiry > 0 || blacklisted[investor]) {
+                continue;
+            }
+
+            (
+                bool isWhitelisted,
+                uint256 kycExpiry,
+                string memory kycHash,
+                string memory jurisdiction,
+                uint256 maxHolding
+            ) = rwa.compliance(investor);
+            if (isWhitelisted || kycExpiry > 0) {
+                compliance[investor] = LoraRWA.ComplianceInfo({
+                    isWhitelisted: isWhitelisted,
+                    kycExpiry: kycExpiry,
+                    kycHash: kycHash,
+                    jurisdiction: jurisdiction,
+                    maxHolding: maxHolding
+                });
+                emit ComplianceUpdated(investor, isWhitelisted, kycExpiry);
+            }
+            if (rwa.blacklisted(investor)) {
+                blacklisted[investor] = true;
+                emit BlacklistUpdated(investor, true);
+            }
+        }
+    }
+
+    // ================ KYC ATTESTATIONS ================
+
+    /**
+     * @dev Approve or remove a KYC provider's signing key
+     * @param signer Provider signing key
+     * @param approved Whether attestations signed by the key are accepted
+     */
+    function setKycProvider(address signer, bool approved) external onlyRole(COMPLIANCE_ROLE) {
+        require(signer != address(0), "Invalid signer address");
+        kycProviders[signer] = approved;
+        emit KycProviderUpdated(signer, approved);
+    }
+
+    /**
+     * @dev Replace a KYC provider's signing key; attestations not yet applied must be signed again
+     * with the new key
+     * @param oldSigner Current provider key (may rotate itself)
+     * @param newSigner New provider key
+     */
+    function rotateKycProviderKey(address oldSigner, address newSigner) external {
+        require(rwa.hasRole(COMPLIANCE_ROLE, msg.sender) || msg.sender == oldSigner, "Not compliance or provider");
+        require(kycProviders[oldSigner], "Not a KYC provider");
+        require(newSigner != address(0) && !kycProviders[newSigner], "Invalid signer address");
+
+        kycProviders[oldSigner] = false;
+        kycProviders[newSigner] = true;
+
+        emit KycProviderKeyRotated(oldSigner, newSigner);
+    }
+
+    /**
+     * @dev Revoke an attestation; an investor whitelisted by it loses the whitelisting
+     * @param attestationId Provider's attestation reference
+     */
+    function revokeAttestation(bytes32 attestationId) external {
+        require(rwa.hasRole(COMPLIANCE_ROLE, msg.sender) || kycProviders[msg.sender], "Not compliance or provider");
+        require(!revokedAttestations[attestationId], "Attestation revoked");
+
+        revokedAttestations[attestationId] = true;
+        emit AttestationRevoked(attestationId, msg.sender);
+
+        address investor = attestationInvestor[attestationId];
+        if (investor != address(0) && complianceAttestation[investor] == attestationId) {
+            compliance[investor].isWhitelisted = false;
+            emit ComplianceUpdated(investor, false, compliance[investor].kycExpiry);
+        }
+    }
+
+    /**
+     * @dev Record an investor's compliance from a provider's signed attestation; anyone may submit it
+     * @param attestation Signed KYC result
+     * @param v Signature v
+     * @param r Signature r
+     * @param s Signature s
+     */
+    function registerWithAttestation(
+        LoraRWA.KycAttestation calldata attestation,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external whenNotPaused {
+        require(attestation.investor != address(0), "Invalid user address");
+        require(attestation.attestationId != bytes32(0), "Invalid attestation ID");
+        require(attestation.kycExpiry > block.timestamp, "Attestation expired");
+        require(!revokedAttestations[attestation.attestationId], "Attestation revoked");
+        require(attestationInvestor[attestation.attestationId] == address(0), "Attestation already used");
+
+        bytes32 structHash = keccak256(abi.encode(
+            KYC_ATTESTATION_TYPEHASH,
+            attestation.investor,
+            keccak256(bytes(attestation.jurisdiction)),
+            attestation.kycExpiry,
+            attestation.maxHolding,
+            keccak256(bytes(attestation.kycHash)),
+            attestation.attestationId
+        ));
+        address signer = ECDSA.recover(_hashTypedDataV4(structHash), v, r, s);
+        require(kycProviders[signer], "Invalid provider signature");
+
+        compliance[attestation.investor] = LoraRWA.ComplianceInfo({
+            isWhitelisted: true,
+            kycExpiry: attestation.kycExpiry,
+            kycHash: attestation.kycHash,
+            jurisdiction: attestation.jurisdiction,
+            maxHolding: attestation.maxHolding
+        });
+        attestationInvestor[attestation.attestationId] = attestation.investor;
+        complianceAttestation[attestation.investor] = attestation.attestationId;
+
+        emit ComplianceUpdated(attestation.investor, true, attestation.kycExpiry);
+        emit AttestationApplied(attestation.attestationId, attestation.investor, signer);
+    }
+
+    // ================ VIEW FUNCTIONS ================
+
+    /**
+     * @dev Get the EIP-712 domain separator KYC attestations are signed under
+     */
+    // solhint-disable-next-line func-name-mixedcase
+    function DOMAIN_SEPARATOR() external view returns (bytes32) {
+        return _domainSeparatorV4();
+    }
+
+    /**
+     * @dev Get compliance information for a user
+     * @param user User address
+     */
+    function getCompliance(address user) external view returns (
+        bool isWhitelisted,
+        uint256 kycExpiry,
+        string memory kycHash,
+        string memory jurisdiction,
+        uint256 maxHolding
+    ) {
+        LoraRWA.ComplianceInfo storage info = compliance[user];
+        return (
+            info.isWhitelisted,
+            info.kycExpiry,
+            info.kycHash,
+            info.jurisdiction,
+            info.maxHolding
+        );
+    }
+
+    /**
+     * @dev Get the parts of an investor's compliance record that transfer restrictions depend on
+     * @param account Investor address
+     */
+    function investorStatus(address account) public view returns (
+        bool isBlacklisted,
+        bool isWhitelisted,
+        uint256 kycExpiry,
+        uint256 maxHolding
+    ) {
+        // The zero address (mints and burns) reads as unverified
+        if (account == address(0)) {
+            return (false, false, 0, 0);
+        }
+        LoraRWA.ComplianceInfo storage info = compliance[account];
+        return (blacklisted[account], info.isWhitelisted, info.kycExpiry, info.maxHolding);
+    }
+
+    /**
+     * @dev Check whether tokens can move between two addresses, so rejections can be explained
+     * before submitting; LoraRWA runs this check on every transfer. Mints (purchases) have a zero
+     * sender and burns (sells) a zero recipient.
+     * @param from Sender
+     * @param to Recipient
+     * @param assetId Asset ID
+     * @param amount Amount of tokens
+     * @return LoraCompliance reason code (zero when allowed)
+     */
+    function canTransfer(address from, address to, uint256 assetId, uint256 amount) external view returns (uint8) {
+        (, , , bool isActive, bool isTokenized, , ) = rwa.getAsset(assetId);
+        if (isTokenized && !isActive) return LoraCompliance.ASSET_FROZEN;
+        if (from != address(0) && rwa.balanceOf(from, assetId) < amount) return LoraCompliance.INSUFFICIENT_BALANCE;
+
+        (bool fromBlacklisted, bool fromWhitelisted, uint256 fromKycExpiry, ) = investorStatus(from);
+        (bool toBlacklisted, bool toWhitelisted, uint256 toKycExpiry, uint256 maxHolding) = investorStatus(to);
+        if (fromBlacklisted) return LoraCompliance.SENDER_BLACKLISTED;
+        if (toBlacklisted) return LoraCompliance.RECIPIENT_BLACKLISTED;
+
+        // Sellers may exit with lapsed KYC; peer transfers need both sides verified
+        if (from != address(0) && to != address(0)) {
+            if (ILoraRWAMarket(rwa.marketModule()).transfersDisabled(assetId)) {
+                return LoraCompliance.TRANSFERS_DISABLED;
+            }
+            if (!fromWhitelisted) return LoraCompliance.SENDER_NOT_WHITELISTED;
+            if (fromKycExpiry <= block.timestamp) return LoraCompliance.SENDER_KYC_EXPIRED;
+        }
+
+        if (to != address(0)) {
+            if (!toWhitelisted) return LoraCompliance.RECIPIENT_NOT_WHITELISTED;
+            if (toKycExpiry <= block.timestamp) return LoraCompliance.RECIPIENT_KYC_EXPIRED;
+            if (maxHolding > 0 && to != from && rwa.balanceOf(to, assetId) + amount > maxHolding) {
+                return LoraCompliance.EXCEEDS_HOLDER_LIMIT;
+            }
+        }
+
+        ILoraCompliance engine = rwa.complianceEngine();
+        if (address(engine) != address(0)) {
+            return engine.canTransfer(from, to, assetId, amount);
+        }
+        return LoraCompliance.TRANSFER_OK;
+    }
+
+    /**
+     * @dev Get the message for a canTransfer reason code
+     * @param code Reason code
+     */
+    function transferRestrictionMessage(uint8 code) external pure returns (string memory) {
+        return LoraCompliance.reason(code);
+    }
+}
@@ -0,0 +1,803 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.19;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@chainlink/contracts/src/v0.8/interfaces/AggregatorV3Interface.sol";
+import "./LoraToken.sol";
+import "./LoraRWAModule.sol";
+import "./LoraRWAIdentity.sol";
+import "./LoraRWAOfferings.sol";
+import "./LoraRWAValuation.sol";
+import "./libraries/LoraOracle.sol";
+
+/**
+ * @title LoraRWAMarket
+ * @dev LoraRWA module selling tokens from the custodian's inventory and buying them back, with
+ * oracle-priced settlement currencies, per-asset trading parameters and a redemption queue for
+ * sells the liquidity buffer cannot cover
+ * @author Lora Finance
+ */
+contract LoraRWAMarket is LoraRWAModule, ILoraRWAMarket {
+    using SafeERC20 for IERC20;
+
+    // ================ STATE VARIABLES ================
+
+    // Settlement currencies
+    mapping(address => LoraRWA.PaymentToken) public paymentTokens; // token => settlement config
+    address[] private _paymentTokenList;
+    mapping(address => address) public payoutCurrency; // holder => currency for sells (zero = LORA)
+
+    // Oracle safety
+    mapping(address => LoraOracle.Config) public oracleConfigs; // primary feed => validation settings
+    bool public pricingPaused; // Circuit breaker for purchases, sells and subscriptions
+
+    // Trading parameters
+    uint256 public minHoldPeriod = 1 days; // Minimum period to hold tokens (default for assets without custom limits)
+    uint256 public maxTokensPerAddress = 1000000 * 10**18; // Maximum tokens per address, anti-whale (default for assets without custom limits)
+    mapping(uint256 => LoraRWA.TradingParams) public tradingParams; // assetId => TradingParams
+
+    // Redemption queue
+    mapping(uint256 => mapping(address => uint256)) public liquidityBuffer; // assetId => currency => funds for sells
+    mapping(uint256 => LoraRWA.RedemptionRequest[]) private _redemptionQueue; // assetId => requests in arrival order
+    mapping(uint256 => uint256) public redemptionQueueHead; // assetId => first request not yet processed
+    mapping(uint256 => uint256) public pendingRedemptions; // assetId => pending requests
+    mapping(uint256 => mapping(address => uint256)) public queuedSellTokens; // assetId => currency => tokens in pending requests
+    mapping(address => mapping(address => uint256)) public unpaidProceeds; // holder => currency => settled proceeds not yet delivered
+
+    // ================ EVENTS ================
+
+    event TokensPurchased(
+        uint256 indexed assetId,
+        address indexed buyer,
+        uint256 amount,
+        uint256 cost,
+        address currency,
+        uint256 rate
+    );
+    event TokensSold(
+        uint256 indexed assetId,
+        address indexed seller,
+        uint256 amount,
+        uint256 proceeds,
+        address currency,
+        uint256 rate
+    );
+    event LiquidityFunded(uint256 indexed assetId, address indexed funder, address currency, uint256 amount);
+    event LiquidityWithdrawn(uint256 indexed assetId, address indexed recipient, address currency, uint256 amount);
+    event RedemptionQueued(uint256 indexed assetId, uint256 indexed requestId, address indexed holder, uint256 amount);
+    event RedemptionSettled(
+        uint256 indexed assetId,
+        uint256 indexed requestId,
+        address indexed holder,
+        uint256 amount,
+        uint256 proceeds,
+        address currency
+    );
+    event RedemptionCancelled(uint256 indexed assetId, uint256 indexed requestId, address indexed holder);
+    event ProceedsDeferred(address indexed holder, address currency, uint256 amount);
+    event ProceedsClaimed(address indexed holder, address currency, uint256 amount);
+    event PaymentTokenUpdated(address indexed token, address priceFeed, bool accepted);
+    event PayoutCurrencyUpdated(address indexed holder, address currency);
+    event OracleConfigUpdated(
+        address indexed feed,
+        address fallbackFeed,
+        uint256 maxStaleness,
+        uint256 minPrice,
+        uint256 maxPrice,
+        uint256 maxDeviation
+    );
+    event CircuitBreakerTripped(address indexed feed);
+    event CircuitBreakerReset();
+    event AssetLimitsUpdated(
+        uint256 indexed assetId,
+        bool customLimits,
+        uint256 minHoldPeriod,
+        uint256 maxTokensPerAddress,
+        uint256 minPurchase
+    );
+    event AssetTradingStatusUpdated(uint256 indexed assetId, bool transfersEnabled, bool purchasesEnabled, bool sellsEnabled);
+
+    // ================ CONSTRUCTOR ================
+    constructor(address _rwa) LoraRWAModule(_rwa) {
+        // A proxy upgraded from the single-contract release keeps the limits it had
+        uint256 legacyHoldPeriod = LoraRWA(_rwa).minHoldPeriod();
+        uint256 legacyMaxTokens = LoraRWA(_rwa).maxTokensPerAddress();
+        if (legacyHoldPeriod > 0) minHoldPeriod = legacyHoldPeriod;
+        if (legacyMaxTokens > 0) maxTokensPerAddress = legacyMaxTokens;
+    }
+
+    // ================ TRADING FUNCTIONS ================
+
+    /**
+     * @dev Purchase tokens for an asset
+     * @param assetId Asset ID
+     * @param amount Amount of tokens to purchase
+     */
+    function purchaseTokens(uint256 assetId, uint256 amount) external nonReentrant whenNotPaused whenPricingActive {
+        _purchaseTokens(_msgSender(), assetId, amount, address(rwa.loraToken()));
+    }
+
+    /**
+     * @dev Purchase tokens for an asset, paying in an accepted currency at its oracle rate
+     * @param assetId Asset ID
+     * @param amount Amount of tokens to purchase
+     * @param currency Accepted payment token (e.g. LORA, USDC, DAI)
+     */
+    function purchaseTokensWithCurrency(
+        uint256 assetId,
+        uint256 amount,
+        address currency
+    ) external nonReentrant whenNotPaused whenPricingActive {
+        _purchaseTokens(_msgSender(), assetId, amount, currency);
+    }
+
+    /**
+     * @dev Approve LORA to this module with an EIP-2612 permit and purchase tokens in one call
+     * @param assetId Asset ID
+     * @param amount Amount of tokens to purchase
+     * @param permitValue LORA allowance signed in the permit
+     * @param deadline Permit expiry timestamp
+     * @param v Permit signature v
+     * @param r Permit signature r
+     * @param s Permit signature s
+     */
+    function purchaseTokensWithPermit(
+        uint256 assetId,
+        uint256 amount,
+        uint256 permitValue,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external nonReentrant whenNotPaused whenPricingActive {
+        address buyer = _msgSender();
+        LoraToken loraToken = rwa.loraToken();
+
+        // A front-run permit still leaves the allowance in place, so only fail if it is missing
+        try loraToken.permit(buyer, address(this), permitValue, deadline, v, r, s) {} catch {
+            require(loraToken.allowance(buyer, address(this)) >= permitValue, "Permit failed");
+        }
+
+        _purchaseTokens(buyer, assetId, amount, address(loraToken));
+    }
+
+    /**
+     * @dev Purchase tokens, recording the buyer's compliance from an attestation first unless it
+     * has already been applied
+     * @param assetId Asset ID
+     * @param amount Amount of tokens to purchase
+     * @param currency Accepted payment token
+     * @param attestation Signed KYC result for the buyer
+     * @param v Signature v
+     * @param r Signature r
+     * @param s Signature s
+     */
+    function purchaseTokensWithAttestation(
+        uint256 assetId,
+        uint256 amount,
+        address currency,
+        LoraRWA.KycAttestation calldata attestation,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external nonReentrant whenNotPaused whenPricingActive {
+        address buyer = _msgSender();
+        require(attestation.investor == buyer, "Attestation for another investor");
+
+        LoraRWAIdentity identity = _identity();
+        if (identity.attestationInvestor(attestation.attestationId) == address(0)) {
+            identity.registerWithAttestation(attestation, v, r, s);
+        }
+
+        _purchaseTokens(buyer, assetId, amount, currency);
+    }
+
+    /**
+     * @dev Sell tokens for an asset, instantly while the asset's liquidity buffer covers the proceeds,
+     * otherwise through the redemption queue
+     * @param assetId Asset ID
+     * @param amount Amount of tokens to sell
+     */
+    function sellTokens(uint256 assetId, uint256 amount) external nonReentrant whenNotPaused whenPricingActive {
+        address seller = _msgSender();
+        (, , uint256 tokenPrice, bool isActive, bool isTokenized, , address custodian) = rwa.getAsset(assetId);
+        require(isActive && isTokenized, "Asset not available");
+        require(amount > 0, "Invalid amount");
+        require(
+            rwa.balanceOf(seller, assetId) >= amount + rwa.queuedTokens(assetId, seller),
+            "Insufficient balance"
+        );
+        require(seller != custodian, "Custodian cannot sell inventory");
+        require(!_identity().blacklisted(seller), "Address blacklisted");
+        require(!_valuation().isValuationDisputed(assetId), "Valuation disputed");
+        require(!tradingParams[assetId].sellsDisabled, "Sells disabled");
+
+        // Check hold period
+        require(block.timestamp >= holdPeriodEnd(assetId, seller), "Hold period not met");
+        _requireCanTransfer(seller, address(0), assetId, amount);
+
+        // Proceeds are valued in USD and paid in the seller's payout currency
+        uint256 proceedsUsd = amount * tokenPrice / 10**18;
+        address currency = getPayoutCurrency(seller);
+        (uint256 proceeds, uint256 rate) = _usdToCurrency(currency, proceedsUsd);
+
+        // Sells the buffer cannot cover, or that would jump ahead of queued holders, wait for the next valuation
+        if (pendingRedemptions[assetId] > 0 || proceeds > liquidityBuffer[assetId][currency]) {
+            _queueRedemption(assetId, seller, amount, currency);
+            return;
+        }
+        liquidityBuffer[assetId][currency] -= proceeds;
+
+        // Sold tokens go back into the custodian's inventory
+        rwa.moveTokens(seller, custodian, assetId, amount);
+
+        IERC20(currency).safeTransfer(seller, proceeds);
+
+        emit TokensSold(assetId, seller, amount, proceeds, currency, rate);
+    }
+
+    // ================ REDEMPTION QUEUE ================
+
+    /**
+     * @dev Add funds to an asset's liquidity buffer, which pays sells and queued redemptions
+     * @param assetId Asset ID
+     * @param currency Accepted payment token sells are paid in
+     * @param amount Amount to deposit
+     */
+    function fundLiquidity(uint256 assetId, address currency, uint256 amount) external nonReentrant {
+        (, , , , bool isTokenized, , address custodian) = rwa.getAsset(assetId);
+        require(rwa.hasRole(ADMIN_ROLE, msg.sender) || msg.sender == custodian, "Not admin or custodian");
+        require(isTokenized, "Asset not tokenized");
+        require(paymentTokens[currency].accepted, "Currency not accepted");
+        require(amount > 0, "Invalid amount");
+
+        IERC20(currency).safeTransferFrom(msg.sender, address(this), amount);
+        liquidityBuffer[assetId][currency] += amount;
+
+        emit LiquidityFunded(assetId, msg.sender, currency, amount);
+    }
+
+    /**
+     * @dev Withdraw funds from an asset's liquidity buffer, leaving the value of queued sells
+     * @param assetId Asset ID
+     * @param currency Buffer currency
+     * @param amount Amount to withdraw
+     */
+    function withdrawLiquidity(uint256 assetId, address currency, uint256 amount) external nonReentrant {
+        (, , , , , , address custodian) = rwa.getAsset(assetId);
+        require(rwa.hasRole(ADMIN_ROLE, msg.sender) || msg.sender == custodian, "Not admin or custodian");
+        require(amount > 0 && amount <= liquidityBuffer[assetId][currency], "Invalid amount");
+        require(amount + reservedLiquidity(assetId, currency) <= liquidityBuffer[assetId][currency], "Liquidity reserved for sells");
+
+        liquidityBuffer[assetId][currency] -= amount;
+        IERC20(currency).safeTransfer(msg.sender, amount);
+
+        emit LiquidityWithdrawn(assetId, msg.sender, currency, amount);
+    }
+
+    /**
+     * @dev Settle queued redemptions in arrival order at the asset's current valuation; stops at the
+     * first request still waiting for a new valuation or that the buffer cannot pay
+     * @param assetId Asset ID
+     * @param maxRequests Maximum requests to process
+     * @return processed Requests settled or dropped
+     */
+    function processRedemptions(uint256 assetId, uint256 maxRequests)
+        external
+        nonReentrant
+        whenNotPaused
+        whenPricingActive
+        returns (uint256 processed)
+    {
+        (, , , bool isActive, bool isTokenized, , ) = rwa.getAsset(assetId);
+        require(isActive && isTokenized, "Asset not available");
+        LoraRWAValuation valuation = _valuation();
+        require(!valuation.isValuationDisputed(assetId), "Valuation disputed");
+
+        LoraRWA.RedemptionRequest[] storage queue = _redemptionQueue[assetId];
+        uint256 head = redemptionQueueHead[assetId];
+        uint256 navCount = valuation.valuationCount(assetId);
+
+        while (head < queue.length && processed < maxRequests) {
+            if (queue[head].status == LoraRWA.RedemptionStatus.Pending) {
+                if (navCount <= queue[head].navIndex || !_settleRedemption(assetId, head)) break;
+            }
+            head++;
+            processed++;
+        }
+        redemptionQueueHead[assetId] = head;
+    }
+
+    /**
+     * @dev Withdraw a pending redemption request, unlocking its tokens
+     * @param assetId Asset ID
+     * @param requestId Request ID
+     */
+    function cancelRedemption(uint256 assetId, uint256 requestId) external nonReentrant {
+        require(requestId < _redemptionQueue[assetId].length, "Invalid request");
+        LoraRWA.RedemptionRequest storage request = _redemptionQueue[assetId][requestId];
+        require(request.holder == _msgSender(), "Not request holder");
+        require(request.status == LoraRWA.RedemptionStatus.Pending, "Request not pending");
+
+        _dropRedemption(assetId, requestId);
+    }
+
+    /**
+     * @dev Claim settled redemption proceeds whose transfer failed when they were paid
+     * @param currency Payout currency
+     */
+    function claimProceeds(address currency) external nonReentrant {
+        address holder = _msgSender();
+        uint256 amount = unpaidProceeds[holder][currency];
+        require(amount > 0, "Nothing to claim");
+
+        delete unpaidProceeds[holder][currency];
+        IERC20(currency).safeTransfer(holder, amount);
+
+        emit ProceedsClaimed(holder, currency, amount);
+    }
+
+    // ================ ADMIN FUNCTIONS ================
+
+    /**
+     * @dev Update the default minimum hold period
+     * @param newPeriod New hold period in seconds
+     */
+    function updateMinHoldPeriod(uint256 newPeriod) external onlyRole(ADMIN_ROLE) {
+        minHoldPeriod = newPeriod;
+    }
+
+    /**
+     * @dev Update the default maximum tokens per address
+     * @param newMax New maximum tokens per address
+     */
+    function updateMaxTokensPerAddress(uint256 newMax) external onlyRole(ADMIN_ROLE) {
+        maxTokensPerAddress = newMax;
+    }
+
+    /**
+     * @dev Set an asset's own limits instead of the global defaults
+     * @param assetId Asset ID
+     * @param customLimits Use the hold period and max per address below (false reverts to the defaults)
+     * @param holdPeriod Minimum period to hold the asset's tokens before selling, in seconds
+     * @param maxPerAddress Maximum tokens of the asset per address
+     * @param minPurchase Smallest purchase in tokens (zero = none)
+     */
+    function setAssetLimits(
+        uint256 assetId,
+        bool customLimits,
+        uint256 holdPeriod,
+        uint256 maxPerAddress,
+        uint256 minPurchase
+    ) external onlyRole(ADMIN_ROLE) {
+        _requireActive(assetId);
+
+        LoraRWA.TradingParams storage params = tradingParams[assetId];
+        params.customLimits = customLimits;
+        params.minHoldPeriod = holdPeriod;
+        params.maxTokensPerAddress = maxPerAddress;
+        params.minPurchase = minPurchase;
+
+        emit AssetLimitsUpdated(assetId, customLimits, holdPeriod, maxPerAddress, minPurchase);
+    }
+
+    /**
+     * @dev Enable or disable transfers, purchases and sells of an asset
+     * @param assetId Asset ID
+     * @param transfersEnabled Whether holders can transfer the asset's tokens between themselves
+     * @param purchasesEnabled Whether purchaseTokens is open for the asset
+     * @param sellsEnabled Whether sellTokens is open for the asset
+     */
+    function setAssetTradingEnabled(
+        uint256 assetId,
+        bool transfersEnabled,
+        bool purchasesEnabled,
+        bool sellsEnabled
+    ) external onlyRole(ADMIN_ROLE) {
+        _requireActive(assetId);
+
+        LoraRWA.TradingParams storage params = tradingParams[assetId];
+        params.transfersDisabled = !transfersEnabled;
+        params.purchasesDisabled = !purchasesEnabled;
+        params.sellsDisabled = !sellsEnabled;
+
+        emit AssetTradingStatusUpdated(assetId, transfersEnabled, purchasesEnabled, sellsEnabled);
+    }
+
+    /**
+     * @dev Register, update or remove an accepted payment currency
+     * @param token Token address (LORA must be registered with a LORA/USD feed)
+     * @param tokenPriceFeed TOKEN/USD price feed
+     * @param accepted Whether the currency is accepted
+     */
+    function setPaymentToken(address token, address tokenPriceFeed, bool accepted) external onlyRole(ADMIN_ROLE) {
+        require(token != address(0), "Invalid token address");
+        require(!accepted || tokenPriceFeed != address(0), "Invalid price feed address");
+
+        LoraRWA.PaymentToken storage paymentToken = paymentTokens[token];
+        if (!paymentToken.listed) {
+            paymentToken.listed = true;
+            _paymentTokenList.push(token);
+        }
+        paymentToken.accepted = accepted;
+        paymentToken.priceFeed = AggregatorV3Interface(tokenPriceFeed);
+        paymentToken.decimals = IERC20Metadata(token).decimals();
+
+        emit PaymentTokenUpdated(token, tokenPriceFeed, accepted);
+    }
+
+    /**
+     * @dev Update the validation settings of a price feed
+     * @param feed Primary feed (a payment token feed or LoraRWA's ETH/USD priceFeed)
+     * @param fallbackFeed Feed used when the primary is unhealthy (zero to disable)
+     * @param maxStaleness Maximum answer age in seconds (zero for the default)
+     * @param minPrice Lowest accepted price, 18 decimals (zero for no bound)
+     * @param maxPrice Highest accepted price, 18 decimals (zero for no bound)
+     * @param maxDeviation Maximum primary/fallback divergence in basis points (zero to skip)
+     */
+    function setOracleConfig(
+        address feed,
+        address fallbackFeed,
+        uint256 maxStaleness,
+        uint256 minPrice,
+        uint256 maxPrice,
+        uint256 maxDeviation
+    ) external onlyRole(ORACLE_ROLE) {
+        require(feed != address(0), "Invalid price feed address");
+        require(maxPrice == 0 || maxPrice >= minPrice, "Invalid price bounds");
+
+        oracleConfigs[feed] = LoraOracle.Config({
+            fallbackFeed: AggregatorV3Interface(fallbackFeed),
+            maxStaleness: maxStaleness,
+            minPrice: minPrice,
+            maxPrice: maxPrice,
+            maxDeviation: maxDeviation
+        });
+
+        emit OracleConfigUpdated(feed, fallbackFeed, maxStaleness, minPrice, maxPrice, maxDeviation);
+    }
+
+    /**
+     * @dev Trip the circuit breaker if a currency's price feed is unhealthy; callable by anyone
+     * @param currency Accepted payment token
+     * @return healthy Whether the feed returned a valid price
+     */
+    function checkOracle(address currency) external returns (bool healthy) {
+        AggregatorV3Interface feed = paymentTokens[currency].priceFeed;
+        require(address(feed) != address(0), "No price feed");
+
+        (healthy, ) = LoraOracle.getPrice(feed, oracleConfigs[address(feed)]);
+        if (!healthy && !pricingPaused) {
+            pricingPaused = true;
+            emit CircuitBreakerTripped(address(feed));
+        }
+    }
+
+    /**
+     * @dev Resume pricing-dependent functions after the feeds have recovered
+     */
+    function resetCircuitBreaker() external onlyRole(ORACLE_ROLE) {
+        require(pricingPaused, "Circuit breaker not tripped");
+        pricingPaused = false;
+        emit CircuitBreakerReset();
+    }
+
+    /**
+     * @dev Choose the currency sells are paid in; yield is paid in the token each distribution was funded in
+     * @param currency Accepted payment token, or the zero address for LORA
+     */
+    function setPayoutCurrency(address currency) external {
+        require(currency == address(0) || paymentTokens[currency].accepted, "Currency not accepted");
+        payoutCurrency[_msgSender()] = currency;
+        emit PayoutCurrencyUpdated(_msgSender(), currency);
+    }
+
+    /**
+     * @dev Move a recovered wallet's payout currency to its replacement; called by the forced
+     * actions module when it executes a wallet recovery
+     * @param lostWallet Wallet the investor no longer controls
+     * @param newWallet Replacement wallet
+     */
+    function recoverPayoutCurrency(address lostWallet, address newWallet) external {
+        require(msg.sender == rwa.forcedActionsModule(), "Caller is not a module");
+
+        payoutCurrency[newWallet] = payoutCurrency[lostWallet];
+        delete payoutCurrency[lostWallet];
+    }
+
+    // ================ INTERNAL FUNCTIONS ================
+
+    /**
+     * @dev Purchase tokens for an asset on behalf of a buyer
+     * @param buyer Address paying and receiving the RWA tokens
+     * @param assetId Asset ID
+     * @param amount Amount of tokens to purchase
+     * @param currency Accepted payment token
+     */
+    function _purchaseTokens(address buyer, uint256 assetId, uint256 amount, address currency) internal {
+        (, , uint256 tokenPrice, bool isActive, bool isTokenized, , address custodian) = rwa.getAsset(assetId);
+        require(isActive && isTokenized, "Asset not available");
+        require(amount > 0, "Invalid amount");
+        (bool isBlacklisted, bool isWhitelisted, , ) = _identity().investorStatus(buyer);
+        require(isWhitelisted, "Not whitelisted");
+        require(!isBlacklisted, "Address blacklisted");
+
+        require(!_valuation().isValuationDisputed(assetId), "Valuation disputed");
+        require(!tradingParams[assetId].purchasesDisabled, "Purchases disabled");
+        require(amount >= tradingParams[assetId].minPurchase, "Below minimum purchase");
+
+        // Assets with a primary offering trade only once it has succeeded
+        LoraRWAOfferings offerings = LoraRWAOfferings(rwa.offeringsModule());
+        LoraRWA.OfferingStatus status = offerings.offeringStatus(assetId);
+        require(
+            status == LoraRWA.OfferingStatus.None || status == LoraRWA.OfferingStatus.Successful,
+            "Primary offering not completed"
+        );
+
+        // Cost is valued in USD and charged in the payment currency at its oracle rate
+        uint256 costUsd = amount * tokenPrice / 10**18;
+        (uint256 cost, uint256 rate) = _usdToCurrency(currency, costUsd);
+        require(IERC20(currency).balanceOf(buyer) >= cost, "Insufficient balance");
+
+        // Check anti-whale limits, counting offering tokens the buyer has not claimed yet
+        (uint256 committed, ) = offerings.getOfferingCommitment(assetId, buyer);
+        uint256 newBalance = rwa.balanceOf(buyer, assetId) + committed + amount;
+        require(newBalance <= getMaxTokensPerAddress(assetId), "Exceeds max holding");
+        require(rwa.availableInventory(assetId) >= amount, "Insufficient inventory");
+        _requireCanTransfer(address(0), buyer, assetId, amount);
+
+        IERC20(currency).safeTransferFrom(buyer, address(this), cost);
+        liquidityBuffer[assetId][currency] += cost;
+
+        // Deliver RWA tokens from the custodian's inventory
+        rwa.moveTokens(custodian, buyer, assetId, amount);
+
+        emit TokensPurchased(assetId, buyer, amount, cost, currency, rate);
+    }
+
+    /**
+     * @dev Queue a sell, locking the tokens in the holder's wallet until it is settled or cancelled
+     */
+    function _queueRedemption(uint256 assetId, address holder, uint256 amount, address currency) internal {
+        uint256 requestId = _redemptionQueue[assetId].length;
+        _redemptionQueue[assetId].push(LoraRWA.RedemptionRequest({
+            holder: holder,
+            amount: amount,
+            currency: currency,
+            navIndex: _valuation().valuationCount(assetId),
+            status: LoraRWA.RedemptionStatus.Pending,
+            proceeds: 0
+        }));
+        rwa.setQueuedTokens(assetId, holder, rwa.queuedTokens(assetId, holder) + amount);
+        pendingRedemptions[assetId] += 1;
+        queuedSellTokens[assetId][currency] += amount;
+
+        emit RedemptionQueued(assetId, requestId, holder, amount);
+    }
+
+    /**
+     * @dev Pay a queued request at the current token price, returning false if the buffer cannot cover it
+     */
+    function _settleRedemption(uint256 assetId, uint256 requestId) internal returns (bool) {
+        LoraRWA.RedemptionRequest storage request = _redemptionQueue[assetId][requestId];
+        address holder = request.holder;
+
+        // Holders blacklisted or force-moved out of their tokens since queueing are dropped
+        if (_identity().blacklisted(holder) || rwa.balanceOf(holder, assetId) < request.amount) {
+            _dropRedemption(assetId, requestId);
+            return true;
+        }
+
+        (, , uint256 tokenPrice, , , , address custodian) = rwa.getAsset(assetId);
+        uint256 proceedsUsd = request.amount * tokenPrice / 10**18;
+        (uint256 proceeds, ) = _usdToCurrency(request.currency, proceedsUsd);
+        if (proceeds > liquidityBuffer[assetId][request.currency]) return false;
+
+        liquidityBuffer[assetId][request.currency] -= proceeds;
+        rwa.setQueuedTokens(assetId, holder, rwa.queuedTokens(assetId, holder) - request.amount);
+        pendingRedemptions[assetId] -= 1;
+        queuedSellTokens[assetId][request.currency] -= request.amount;
+        request.status = LoraRWA.RedemptionStatus.Settled;
+        request.proceeds = proceeds;
+
+        rwa.moveTokens(holder, custodian, assetId, request.amount);
+        _payProceeds(holder, request.currency, proceeds);
+
+        emit RedemptionSettled(assetId, requestId, holder, request.amount, proceeds, request.currency);
+        return true;
+    }
+
+    /**
+     * @dev Cancel a pending request and unlock its tokens
+     */
+    function _dropRedemption(uint256 assetId, uint256 requestId) internal {
+        LoraRWA.RedemptionRequest storage request = _redemptionQueue[assetId][requestId];
+        request.status = LoraRWA.RedemptionStatus.Cancelled;
+
+        uint256 queued = rwa.queuedTokens(assetId, request.holder);
+        rwa.setQueuedTokens(assetId, request.holder, queued > request.amount ? queued - request.amount : 0);
+        pendingRedemptions[assetId] -= 1;
+        queuedSellTokens[assetId][request.currency] -= request.amount;
+
+        emit RedemptionCancelled(assetId, requestId, request.holder);
+    }
+
+    /**
+     * @dev Pay settled proceeds; a transfer the currency refuses (a frozen or blacklisted holder) is
+     * kept for claimProceeds instead of reverting, so it cannot hold up the requests queued behind it
+     */
+    function _payProceeds(address holder, address currency, uint256 amount) internal {
+        (bool success, bytes memory returndata) = currency.call(abi.encodeCall(IERC20.transfer, (holder, amount)));
+        if (success && (returndata.length == 0 || abi.decode(returndata, (bool)))) return;
+
+        unpaidProceeds[holder][currency] += amount;
+        emit ProceedsDeferred(holder, currency, amount);
+    }
+
+    /**
+     * @dev Convert a USD amount (18 decimals) into units of an accepted currency
+     * @return amount Currency amount
+     * @return rate Currency price in USD used (18 decimals)
+     */
+    function _usdToCurrency(address currency, uint256 usdAmount) internal view returns (uint256 amount, uint256 rate) {
+        require(paymentTokens[currency].accepted, "Currency not accepted");
+        rate = getTokenPrice(currency);
+        amount = usdAmount * 10**uint256(paymentTokens[currency].decimals) / rate;
+    }
+
+    function _requireActive(uint256 assetId) internal view {
+        (, , , bool isActive, , , ) = rwa.getAsset(assetId);
+        require(isActive, "Asset not active");
+    }
+
+    function _identity() internal view returns (LoraRWAIdentity) {
+        return LoraRWAIdentity(rwa.identityModule());
+    }
+
+    function _valuation() internal view returns (LoraRWAValuation) {
+        return LoraRWAValuation(rwa.valuationModule());
+    }
+
+    function _pricingPaused() internal view override returns (bool) {
+        return pricingPaused;
+    }
+
+    // ================ VIEW FUNCTIONS ================
+
+    /**
+     * @dev Get the USD price of an accepted currency, normalized to 18 decimals
+     * @param currency Payment token
+     */
+    function getTokenPrice(address currency) public view returns (uint256) {
+        AggregatorV3Interface feed = paymentTokens[currency].priceFeed;
+        require(address(feed) != address(0), "No price feed");
+        return LoraOracle.requirePrice(feed, oracleConfigs[address(feed)]);
+    }
+
+    /**
+     * @dev Quote the cost of a purchase in an accepted currency
+     * @param assetId Asset ID
+     * @param amount Amount of tokens
+     * @param currency Payment token
+     * @return cost Currency amount
+     * @return rate Currency price in USD (18 decimals)
+     */
+    function quotePurchase(uint256 assetId, uint256 amount, address currency) external view returns (uint256 cost, uint256 rate) {
+        (, , uint256 tokenPrice, , , , ) = rwa.getAsset(assetId);
+        return _usdToCurrency(currency, amount * tokenPrice / 10**18);
+    }
+
+    /**
+     * @dev Get the currency a holder's sells are paid in
+     * @param holder Holder address
+     */
+    function getPayoutCurrency(address holder) public view returns (address) {
+        address currency = payoutCurrency[holder];
+        return currency == address(0) ? address(rwa.loraToken()) : currency;
+    }
+
+    /**
+     * @dev Get every currency ever registered, accepted or not
+     */
+    function getPaymentTokens() external view returns (address[] memory) {
+        return _paymentTokenList;
+    }
+
+    /**
+     * @dev Get current ETH price in USD from LoraRWA's priceFeed, validated and normalized to 18 decimals
+     */
+    function getEthPrice() external view returns (uint256) {
+        AggregatorV3Interface priceFeed = rwa.priceFeed();
+        return LoraOracle.requirePrice(priceFeed, oracleConfigs[address(priceFeed)]);
+    }
+
+    /**
+     * @dev Get the hold period of an asset, falling back to the global minHoldPeriod
+     * @param assetId Asset ID
+     */
+    function getHoldPeriod(uint256 assetId) public view returns (uint256) {
+        LoraRWA.TradingParams storage params = tradingParams[assetId];
+        return params.customLimits ? params.minHoldPeriod : minHoldPeriod;
+    }
+
+    /**
+     * @dev Get the maximum tokens of an asset per address, falling back to the global maxTokensPerAddress
+     * @param assetId Asset ID
+     */
+    function getMaxTokensPerAddress(uint256 assetId) public view returns (uint256) {
+        LoraRWA.TradingParams storage params = tradingParams[assetId];
+        return params.customLimits ? params.maxTokensPerAddress : maxTokensPerAddress;
+    }
+
+    /**
+     * @dev Get when a holder can next sell an asset's tokens
+     * @param assetId Asset ID
+     * @param holder Holder address
+     */
+    function holdPeriodEnd(uint256 assetId, address holder) public view returns (uint256) {
+        return rwa.holdStart(assetId, holder) + getHoldPeriod(assetId);
+    }
+
+    /**
+     * @dev Check whether holders are barred from transferring an asset's tokens between themselves
+     * @param assetId Asset ID
+     */
+    function transfersDisabled(uint256 assetId) external view returns (bool) {
+        return tradingParams[assetId].transfersDisabled;
+    }
+
+    /**
+     * @dev Get a redemption request
+     * @param assetId Asset ID
+     * @param requestId Request ID
+     */
+    function getRedemptionRequest(uint256 assetId, uint256 requestId) external view returns (
+        address holder,
+        uint256 amount,
+        address currency,
+        LoraRWA.RedemptionStatus status,
+        uint256 proceeds
+    ) {
+        require(requestId < _redemptionQueue[assetId].length, "Invalid request");
+        LoraRWA.RedemptionRequest storage request = _redemptionQueue[assetId][requestId];
+        return (request.holder, request.amount, request.currency, request.status, request.proceeds);
+    }
+
+    /**
+     * @dev Get the part of an asset's liquidity buffer kept for its queued sells, valued at the
+     * current token price
+     * @param assetId Asset ID
+     * @param currency Buffer currency
+     */
+    function reservedLiquidity(uint256 assetId, address currency) public view returns (uint256 reserved) {
+        uint256 queued = queuedSellTokens[assetId][currency];
+        if (queued == 0) return 0;
+        (, , uint256 tokenPrice, , , , ) = rwa.getAsset(assetId);
+        (reserved, ) = _usdToCurrency(currency, queued * tokenPrice / 10**18);
+    }
+
+    /**
+     * @dev Get a pending request's place in its asset's redemption queue
+     * @param assetId Asset ID
+     * @param requestId Request ID
+     * @return position One for the next request to settle (zero when not pending)
+     */
+    function redemptionQueuePosition(uint256 assetId, uint256 requestId) external view returns (uint256 position) {
+        LoraRWA.RedemptionRequest[] storage queue = _redemptionQueue[assetId];
+        if (requestId >= queue.length || queue[requestId].status != LoraRWA.RedemptionStatus.Pending) return 0;
+
+        for (uint256 i = redemptionQueueHead[assetId]; i <= requestId; i++) {
+            if (queue[i].status == LoraRWA.RedemptionStatus.Pending) position++;
+        }
+    }
+
+    /**
+     * @dev Get the number of redemption requests ever queued for an asset
+     * @param assetId Asset ID
+     */
+    function redemptionQueueLength(uint256 assetId) external view returns (uint256) {
+        return _redemptionQueue[assetId].length;
+    }
+}
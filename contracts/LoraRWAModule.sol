@@ -0,0 +1,111 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.19;
+
+import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/Strings.sol";
+import "./LoraRWA.sol";
+import "./interfaces/ILoraRWAMarket.sol";
+import "./libraries/LoraCompliance.sol";
+import "./libraries/LoraERC2771.sol";
+
+/**
+ * @title LoraRWAModule
+ * @dev Base of the LoraRWA modules: roles, pause and the trusted forwarder are those of the LoraRWA
+ * contract the module is attached to
+ * @author Lora Finance
+ */
+abstract contract LoraRWAModule is ReentrancyGuard {
+    // ================ ROLES ================
+    // Granted in LoraRWA
+    bytes32 public constant ADMIN_ROLE = keccak256("ADMIN_ROLE");
+    bytes32 public constant APPRAISER_ROLE = keccak256("APPRAISER_ROLE");
+    bytes32 public constant COMPLIANCE_ROLE = keccak256("COMPLIANCE_ROLE");
+    bytes32 public constant ORACLE_ROLE = keccak256("ORACLE_ROLE");
+    bytes32 public constant DOCUMENT_ROLE = keccak256("DOCUMENT_ROLE");
+    bytes32 public constant UPGRADER_ROLE = keccak256("UPGRADER_ROLE");
+
+    // ================ STATE VARIABLES ================
+    LoraRWA public immutable rwa;
+
+    // ================ MODIFIERS ================
+
+    /**
+     * @dev Restrict a function to holders of a LoraRWA role
+     */
+    modifier onlyRole(bytes32 role) {
+        _checkRole(role, _msgSender());
+        _;
+    }
+
+    /**
+     * @dev Follow LoraRWA's pause
+     */
+    modifier whenNotPaused() {
+        require(!rwa.paused(), "Pausable: paused");
+        _;
+    }
+
+    /**
+     * @dev Block pricing-dependent functions while the market's oracle circuit breaker is tripped
+     */
+    modifier whenPricingActive() {
+        require(!_pricingPaused(), "Pricing paused");
+        _;
+    }
+
+    /**
+     * @dev Restrict a callback to the LoraRWA contract
+     */
+    modifier onlyRWA() {
+        require(msg.sender == address(rwa), "Caller is not the RWA contract");
+        _;
+    }
+
+    // ================ CONSTRUCTOR ================
+    constructor(address _rwa) {
+        require(_rwa != address(0), "Invalid RWA address");
+        rwa = LoraRWA(_rwa);
+    }
+
+    // ================ INTERNAL FUNCTIONS ================
+
+    /**
+     * @dev Revert unless an account holds a LoraRWA role, with AccessControl's message
+     */
+    function _checkRole(bytes32 role, address account) internal view {
+        if (!rwa.hasRole(role, account)) {
+            revert(
+                string(
+                    abi.encodePacked(
+                        "AccessControl: account ",
+                        Strings.toHexString(account),
+                        " is missing role ",
+                        Strings.toHexString(uint256(role), 32)
+                    )
+                )
+            );
+        }
+    }
+
+    /**
+     * @dev Resolve the original sender of calls relayed by LoraRWA's trusted forwarder (ERC-2771)
+     */
+    function _msgSender() internal view returns (address) {
+        return LoraERC2771.msgSender(rwa.trustedForwarder());
+    }
+
+    /**
+     * @dev Revert with the reason message when LoraRWA's canTransfer rejects a movement of tokens
+     */
+    function _requireCanTransfer(address from, address to, uint256 assetId, uint256 amount) internal view {
+        uint8 code = rwa.canTransfer(from, to, assetId, amount);
+        require(code == LoraCompliance.TRANSFER_OK, LoraCompliance.reason(code));
+    }
+
+    /**
+     * @dev Check whether the market's oracle circuit breaker is tripped
+     */
+    function _pricingPaused() internal view virtual returns (bool) {
+        return ILoraRWAMarket(rwa.marketModule()).pricingPaused();
+    }
+}
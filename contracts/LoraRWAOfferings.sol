@@ -0,0 +1,284 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.19;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "./LoraRWAModule.sol";
+import "./LoraRWAIdentity.sol";
+import "./LoraRWAMarket.sol";
+import "./LoraRWAValuation.sol";
+
+/**
+ * @title LoraRWAOfferings
+ * @dev LoraRWA module running primary offerings of an asset's tokens, with subscriptions held in
+ * escrow until the offering closes
+ * @author Lora Finance
+ */
+contract LoraRWAOfferings is LoraRWAModule {
+    using SafeERC20 for IERC20;
+
+    // ================ STATE VARIABLES ================
+    mapping(uint256 => LoraRWA.Offering) public offerings; // assetId => primary offering
+    mapping(uint256 => mapping(address => LoraRWA.Commitment)) public offeringCommitments; // assetId => investor => Commitment
+
+    // ================ EVENTS ================
+
+    event OfferingCreated(
+        uint256 indexed assetId,
+        uint256 startTime,
+        uint256 endTime,
+        uint256 softCap,
+        uint256 hardCap,
+        address currency
+    );
+    event OfferingSubscribed(uint256 indexed assetId, address indexed investor, uint256 tokens, uint256 cost);
+    event OfferingFinalized(uint256 indexed assetId, bool successful, uint256 tokensSold, uint256 raised);
+    event OfferingCancelled(uint256 indexed assetId);
+    event OfferingProceedsReleased(uint256 indexed assetId, address indexed recipient, uint256 amount);
+    event OfferingTokensClaimed(uint256 indexed assetId, address indexed investor, uint256 tokens);
+    event OfferingRefunded(uint256 indexed assetId, address indexed investor, uint256 amount);
+
+    // ================ CONSTRUCTOR ================
+    constructor(address _rwa) LoraRWAModule(_rwa) {}
+
+    // ================ PRIMARY OFFERINGS ================
+
+    /**
+     * @dev Schedule the primary offering of a tokenized asset; open-ended purchases are blocked
+     * until it succeeds
+     * @param assetId Asset ID
+     * @param startTime Subscriptions open at this timestamp
+     * @param endTime Subscriptions close at this timestamp
+     * @param softCap Minimum tokens to sell, otherwise investors are refunded
+     * @param hardCap Maximum tokens to sell
+     * @param minTicket Minimum tokens per investor
+     * @param maxTicket Maximum tokens per investor (zero = unlimited)
+     * @param currency Market payment token subscriptions are paid in
+     * @param issuer Receives the proceeds on success (zero = asset custodian)
+     */
+    function createOffering(
+        uint256 assetId,
+        uint256 startTime,
+        uint256 endTime,
+        uint256 softCap,
+        uint256 hardCap,
+        uint256 minTicket,
+        uint256 maxTicket,
+        address currency,
+        address issuer
+    ) external onlyRole(ADMIN_ROLE) {
+        (, uint256 totalTokens, , bool isActive, bool isTokenized, , ) = rwa.getAsset(assetId);
+        require(isActive && isTokenized, "Asset not available");
+        require(startTime >= block.timestamp && endTime > startTime, "Invalid offering window");
+        require(hardCap > 0 && softCap <= hardCap && hardCap <= totalTokens, "Invalid caps");
+        require(maxTicket == 0 || minTicket <= maxTicket, "Invalid ticket limits");
+        (bool accepted, , , ) = _market().paymentTokens(currency);
+        require(accepted, "Currency not accepted");
+
+        // A failed or cancelled offering can be replaced once every investor has been refunded
+        LoraRWA.Offering storage offering = offerings[assetId];
+        bool ended = offering.status == LoraRWA.OfferingStatus.Failed ||
+            offering.status == LoraRWA.OfferingStatus.Cancelled;
+        require(
+            offering.status == LoraRWA.OfferingStatus.None || (ended && offering.raised == 0),
+            "Offering already exists"
+        );
+
+        offering.startTime = startTime;
+        offering.endTime = endTime;
+        offering.softCap = softCap;
+        offering.hardCap = hardCap;
+        offering.minTicket = minTicket;
+        offering.maxTicket = maxTicket;
+        offering.currency = currency;
+        offering.issuer = issuer;
+        offering.tokensSold = 0;
+        offering.status = LoraRWA.OfferingStatus.Scheduled;
+
+        emit OfferingCreated(assetId, startTime, endTime, softCap, hardCap, currency);
+    }
+
+    /**
+     * @dev Subscribe to an open offering, paying into escrow at the currency's oracle rate
+     * @param assetId Asset ID
+     * @param amount Amount of tokens to subscribe for
+     */
+    function subscribe(uint256 assetId, uint256 amount) external nonReentrant whenNotPaused whenPricingActive {
+        LoraRWA.Offering storage offering = offerings[assetId];
+        require(offeringStatus(assetId) == LoraRWA.OfferingStatus.Open, "Offering not open");
+        require(amount > 0, "Invalid amount");
+        require(!LoraRWAValuation(rwa.valuationModule()).isValuationDisputed(assetId), "Valuation disputed");
+        require(offering.tokensSold + amount <= offering.hardCap, "Exceeds hard cap");
+
+        address investor = _msgSender();
+        (bool isBlacklisted, bool isWhitelisted, , ) = LoraRWAIdentity(rwa.identityModule()).investorStatus(investor);
+        require(isWhitelisted, "Not whitelisted");
+        require(!isBlacklisted, "Address blacklisted");
+
+        LoraRWAMarket market = _market();
+        LoraRWA.Commitment storage commitment = offeringCommitments[assetId][investor];
+        uint256 tokens = commitment.tokens + amount;
+        require(tokens >= offering.minTicket, "Below minimum ticket");
+        require(offering.maxTicket == 0 || tokens <= offering.maxTicket, "Exceeds maximum ticket");
+        require(
+            rwa.balanceOf(investor, assetId) + tokens <= market.getMaxTokensPerAddress(assetId),
+            "Exceeds max holding"
+        );
+        require(rwa.availableInventory(assetId) >= amount, "Insufficient inventory");
+        _requireCanTransfer(address(0), investor, assetId, tokens);
+
+        (uint256 cost, ) = market.quotePurchase(assetId, amount, offering.currency);
+        IERC20(offering.currency).safeTransferFrom(investor, address(this), cost);
+
+        commitment.tokens = tokens;
+        commitment.paid += cost;
+        offering.tokensSold += amount;
+        offering.raised += cost;
+        rwa.setReservedInventory(assetId, rwa.reservedInventory(assetId) + amount);
+
+        emit OfferingSubscribed(assetId, investor, amount, cost);
+    }
+
+    /**
+     * @dev Close an offering after its end time or once the hard cap is reached, releasing the
+     * proceeds to the issuer if the soft cap was met
+     * @param assetId Asset ID
+     */
+    function finalizeOffering(uint256 assetId) external nonReentrant {
+        LoraRWA.Offering storage offering = offerings[assetId];
+        require(offeringStatus(assetId) == LoraRWA.OfferingStatus.Closed, "Offering not closed");
+
+        bool successful = offering.tokensSold >= offering.softCap;
+        offering.status = successful ? LoraRWA.OfferingStatus.Successful : LoraRWA.OfferingStatus.Failed;
+
+        emit OfferingFinalized(assetId, successful, offering.tokensSold, offering.raised);
+
+        if (successful && offering.raised > 0) {
+            (, , , , , , address custodian) = rwa.getAsset(assetId);
+            address recipient = offering.issuer != address(0) ? offering.issuer : custodian;
+            uint256 proceeds = offering.raised;
+            offering.raised = 0;
+            IERC20(offering.currency).safeTransfer(recipient, proceeds);
+            emit OfferingProceedsReleased(assetId, recipient, proceeds);
+        }
+    }
+
+    /**
+     * @dev Cancel an offering that has not been finalized; investors can then claim refunds
+     * @param assetId Asset ID
+     */
+    function cancelOffering(uint256 assetId) external onlyRole(ADMIN_ROLE) {
+        require(offerings[assetId].status == LoraRWA.OfferingStatus.Scheduled, "Offering not active");
+
+        offerings[assetId].status = LoraRWA.OfferingStatus.Cancelled;
+        emit OfferingCancelled(assetId);
+    }
+
+    /**
+     * @dev Receive the tokens subscribed for in a successful offering
+     * @param assetId Asset ID
+     */
+    function claimOfferingTokens(uint256 assetId) external nonReentrant {
+        require(offerings[assetId].status == LoraRWA.OfferingStatus.Successful, "Offering not successful");
+
+        address investor = _msgSender();
+        uint256 tokens = offeringCommitments[assetId][investor].tokens;
+        require(tokens > 0, "Nothing to claim");
+        delete offeringCommitments[assetId][investor];
+        rwa.setReservedInventory(assetId, rwa.reservedInventory(assetId) - tokens);
+
+        (, , , , , , address custodian) = rwa.getAsset(assetId);
+        rwa.moveTokens(custodian, investor, assetId, tokens);
+
+        emit OfferingTokensClaimed(assetId, investor, tokens);
+    }
+
+    /**
+     * @dev Get back the escrowed payment of a failed or cancelled offering
+     * @param assetId Asset ID
+     */
+    function claimOfferingRefund(uint256 assetId) external nonReentrant {
+        LoraRWA.Offering storage offering = offerings[assetId];
+        require(
+            offering.status == LoraRWA.OfferingStatus.Failed || offering.status == LoraRWA.OfferingStatus.Cancelled,
+            "Offering not refundable"
+        );
+
+        address investor = _msgSender();
+        LoraRWA.Commitment memory commitment = offeringCommitments[assetId][investor];
+        require(commitment.paid > 0, "Nothing to refund");
+        delete offeringCommitments[assetId][investor];
+        offering.raised -= commitment.paid;
+        rwa.setReservedInventory(assetId, rwa.reservedInventory(assetId) - commitment.tokens);
+
+        IERC20(offering.currency).safeTransfer(investor, commitment.paid);
+
+        emit OfferingRefunded(assetId, investor, commitment.paid);
+    }
+
+    // ================ MODULE HOOKS ================
+
+    /**
+     * @dev Move a recovered wallet's subscription to its replacement; called by the forced actions
+     * module while it recovers the wallet's assets
+     * @param lostWallet Wallet the investor no longer controls
+     * @param newWallet Replacement wallet
+     * @param assetId Asset ID
+     */
+    function recoverCommitment(address lostWallet, address newWallet, uint256 assetId) external {
+        require(msg.sender == rwa.forcedActionsModule(), "Caller is not a module");
+
+        LoraRWA.Commitment storage commitment = offeringCommitments[assetId][lostWallet];
+        if (commitment.tokens > 0 || commitment.paid > 0) {
+            LoraRWA.Commitment storage moved = offeringCommitments[assetId][newWallet];
+            moved.tokens += commitment.tokens;
+            moved.paid += commitment.paid;
+            delete offeringCommitments[assetId][lostWallet];
+        }
+    }
+
+    /**
+     * @dev Cancel an offering in progress when its asset is retired; called by the redemption module
+     * @param assetId Asset ID
+     */
+    function cancelForRetirement(uint256 assetId) external {
+        require(msg.sender == rwa.redemptionModule(), "Caller is not a module");
+
+        if (offerings[assetId].status == LoraRWA.OfferingStatus.Scheduled) {
+            offerings[assetId].status = LoraRWA.OfferingStatus.Cancelled;
+            emit OfferingCancelled(assetId);
+        }
+    }
+
+    // ================ INTERNAL FUNCTIONS ================
+
+    function _market() internal view returns (LoraRWAMarket) {
+        return LoraRWAMarket(rwa.marketModule());
+    }
+
+    // ================ VIEW FUNCTIONS ================
+
+    /**
+     * @dev Get the current status of an asset's primary offering
+     * @param assetId Asset ID
+     */
+    function offeringStatus(uint256 assetId) public view returns (LoraRWA.OfferingStatus) {
+        LoraRWA.Offering storage offering = offerings[assetId];
+        if (offering.status != LoraRWA.OfferingStatus.Scheduled) return offering.status;
+        if (block.timestamp >= offering.endTime || offering.tokensSold >= offering.hardCap) {
+            return LoraRWA.OfferingStatus.Closed;
+        }
+        if (block.timestamp >= offering.startTime) return LoraRWA.OfferingStatus.Open;
+        return LoraRWA.OfferingStatus.Scheduled;
+    }
+
+    /**
+     * @dev Get an investor's subscription to an asset's primary offering
+     * @param assetId Asset ID
+     * @param investor Investor address
+     */
+    function getOfferingCommitment(uint256 assetId, address investor) external view returns (uint256 tokens, uint256 paid) {
+        LoraRWA.Commitment storage commitment = offeringCommitments[assetId][investor];
+        return (commitment.tokens, commitment.paid);
+    }
+}
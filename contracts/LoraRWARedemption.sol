@@ -0,0 +1,216 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.19;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "./LoraRWAModule.sol";
+import "./LoraRWAIdentity.sol";
+import "./LoraRWAOfferings.sol";
+import "./LoraRWAYield.sol";
+import "./interfaces/ILoraRWABalanceObserver.sol";
+
+/**
+ * @title LoraRWARedemption
+ * @dev LoraRWA module winding down sold or matured assets: retirement by the admin or a holder vote,
+ * then redemption of the tokens for the sale proceeds
+ * @author Lora Finance
+ */
+contract LoraRWARedemption is LoraRWAModule, ILoraRWABalanceObserver {
+    using SafeERC20 for IERC20;
+
+    // ================ STATE VARIABLES ================
+    mapping(uint256 => LoraRWA.Retirement) public retirements; // assetId => Retirement
+    mapping(uint256 => uint256) public retirementVotes; // assetId => tokens voting to retire
+    mapping(uint256 => mapping(address => uint256)) public retirementVoteWeight; // assetId => holder => tokens counted
+    uint256 public retirementQuorum = 5000; // Share of totalTokens whose vote retires an asset, in basis points (50%)
+
+    // ================ EVENTS ================
+
+    event RetirementVoteCast(uint256 indexed assetId, address indexed voter, uint256 weight, uint256 totalVotes);
+    event AssetRetired(uint256 indexed assetId, address indexed initiator, bool byHolderVote);
+    event RedemptionFunded(
+        uint256 indexed assetId,
+        address indexed funder,
+        address payoutToken,
+        uint256 proceeds,
+        uint256 deadline
+    );
+    event TokensRedeemed(uint256 indexed assetId, address indexed holder, uint256 amount, uint256 payout);
+    event RedemptionSwept(uint256 indexed assetId, address indexed recipient, uint256 amount);
+    event RetirementQuorumUpdated(uint256 newQuorum);
+
+    // ================ CONSTRUCTOR ================
+    constructor(address _rwa) LoraRWAModule(_rwa) {}
+
+    // ================ ASSET RETIREMENT ================
+
+    /**
+     * @dev Retire an asset that was sold or matured, freezing trading ahead of the final distribution
+     * @param assetId Asset ID
+     */
+    function retireAsset(uint256 assetId) external onlyRole(ADMIN_ROLE) {
+        _retireAsset(assetId, false);
+    }
+
+    /**
+     * @dev Vote with the caller's balance to retire an asset; the asset is retired once the votes
+     * reach retirementQuorum of its tokens. Voting again updates the caller's weight.
+     * @param assetId Asset ID
+     */
+    function voteToRetire(uint256 assetId) external {
+        (, uint256 totalTokens, , bool isActive, bool isTokenized, , ) = rwa.getAsset(assetId);
+        require(isActive && isTokenized, "Asset not available");
+
+        address voter = _msgSender();
+        uint256 weight = rwa.balanceOf(voter, assetId);
+        require(weight > 0, "No tokens to vote with");
+
+        uint256 totalVotes = retirementVotes[assetId] - retirementVoteWeight[assetId][voter] + weight;
+        retirementVoteWeight[assetId][voter] = weight;
+        retirementVotes[assetId] = totalVotes;
+
+        emit RetirementVoteCast(assetId, voter, weight, totalVotes);
+
+        if (totalVotes * 10000 >= totalTokens * retirementQuorum) {
+            _retireAsset(assetId, true);
+        }
+    }
+
+    /**
+     * @dev Withdraw the caller's vote to retire an asset
+     * @param assetId Asset ID
+     */
+    function withdrawRetirementVote(uint256 assetId) external {
+        address voter = _msgSender();
+        uint256 weight = retirementVoteWeight[assetId][voter];
+        require(weight > 0, "No vote to withdraw");
+        require(retirements[assetId].status == LoraRWA.RetirementStatus.None, "Asset already retired");
+
+        retirementVoteWeight[assetId][voter] = 0;
+        retirementVotes[assetId] -= weight;
+
+        emit RetirementVoteCast(assetId, voter, 0, retirementVotes[assetId]);
+    }
+
+    /**
+     * @dev Deposit the sale proceeds of a retired asset for holders to redeem pro rata
+     * @param assetId Asset ID
+     * @param payoutToken LORA or an approved yield token
+     * @param amount Proceeds to distribute
+     * @param deadline Redemptions close at this timestamp, after which the remainder can be swept
+     */
+    function depositRedemptionProceeds(
+        uint256 assetId,
+        address payoutToken,
+        uint256 amount,
+        uint256 deadline
+    ) external nonReentrant {
+        LoraRWA.Retirement storage retirement = retirements[assetId];
+        (, , , , , , address custodian) = rwa.getAsset(assetId);
+        require(rwa.hasRole(ADMIN_ROLE, msg.sender) || msg.sender == custodian, "Not admin or custodian");
+        require(retirement.status == LoraRWA.RetirementStatus.Frozen, "Asset not awaiting proceeds");
+        require(amount > 0, "Invalid amount");
+        require(deadline > block.timestamp, "Invalid deadline");
+        require(LoraRWAYield(rwa.yieldModule()).isPayoutToken(payoutToken), "Payout token not allowed");
+
+        IERC20(payoutToken).safeTransferFrom(msg.sender, address(this), amount);
+
+        retirement.status = LoraRWA.RetirementStatus.Redeeming;
+        retirement.payoutToken = payoutToken;
+        retirement.funder = msg.sender;
+        retirement.proceeds = amount;
+        retirement.deadline = deadline;
+
+        emit RedemptionFunded(assetId, msg.sender, payoutToken, amount, deadline);
+    }
+
+    /**
+     * @dev Burn tokens of a retired asset for their pro-rata share of the sale proceeds
+     * @param assetId Asset ID
+     * @param amount Amount of tokens to burn
+     */
+    function redeem(uint256 assetId, uint256 amount) external nonReentrant {
+        LoraRWA.Retirement storage retirement = retirements[assetId];
+        require(retirement.status == LoraRWA.RetirementStatus.Redeeming, "Redemption not open");
+        require(block.timestamp < retirement.deadline, "Redemption period ended");
+        require(amount > 0, "Invalid amount");
+
+        address holder = _msgSender();
+        require(!LoraRWAIdentity(rwa.identityModule()).blacklisted(holder), "Address blacklisted");
+        require(rwa.balanceOf(holder, assetId) >= amount, "Insufficient balance");
+
+        (, uint256 totalTokens, , , , , ) = rwa.getAsset(assetId);
+        uint256 payout = amount * retirement.proceeds / totalTokens;
+        retirement.tokensRedeemed += amount;
+        retirement.paidOut += payout;
+        require(retirement.paidOut <= retirement.proceeds, "Redemption exhausted");
+
+        rwa.burnRedeemed(holder, assetId, amount);
+
+        IERC20(retirement.payoutToken).safeTransfer(holder, payout);
+
+        emit TokensRedeemed(assetId, holder, amount, payout);
+    }
+
+    /**
+     * @dev Return unredeemed proceeds to the funder once the redemption deadline has passed
+     * @param assetId Asset ID
+     */
+    function sweepRedemption(uint256 assetId) external nonReentrant {
+        LoraRWA.Retirement storage retirement = retirements[assetId];
+        require(retirement.status == LoraRWA.RetirementStatus.Redeeming, "Redemption not open");
+        require(block.timestamp >= retirement.deadline, "Redemption period not ended");
+
+        uint256 remainder = retirement.proceeds - retirement.paidOut;
+        retirement.status = LoraRWA.RetirementStatus.Closed;
+
+        if (remainder > 0) {
+            IERC20(retirement.payoutToken).safeTransfer(retirement.funder, remainder);
+        }
+
+        emit RedemptionSwept(assetId, retirement.funder, remainder);
+    }
+
+    // ================ ADMIN FUNCTIONS ================
+
+    /**
+     * @dev Update the share of an asset's tokens whose vote retires it
+     * @param newQuorum Quorum in basis points
+     */
+    function updateRetirementQuorum(uint256 newQuorum) external onlyRole(ADMIN_ROLE) {
+        require(newQuorum > 0 && newQuorum <= 10000, "Invalid quorum");
+        retirementQuorum = newQuorum;
+        emit RetirementQuorumUpdated(newQuorum);
+    }
+
+    // ================ MODULE HOOKS ================
+
+    /**
+     * @dev Keep a retirement voter's weight within their balance; tokens moved away no longer count
+     * @param assetId Asset ID
+     * @param holder Holder address
+     * @param balance Holder's balance after the transfer
+     */
+    function balanceChanged(uint256 assetId, address holder, uint256, uint256 balance) external onlyRWA {
+        uint256 voteWeight = retirementVoteWeight[assetId][holder];
+        if (voteWeight > balance) {
+            retirementVoteWeight[assetId][holder] = balance;
+            retirementVotes[assetId] -= voteWeight - balance;
+        }
+    }
+
+    // ================ INTERNAL FUNCTIONS ================
+
+    /**
+     * @dev Deactivate an asset, freeze its trading and cancel a primary offering in progress
+     */
+    function _retireAsset(uint256 assetId, bool byHolderVote) internal {
+        rwa.deactivateAsset(assetId);
+        retirements[assetId].status = LoraRWA.RetirementStatus.Frozen;
+        retirements[assetId].retiredAt = block.timestamp;
+
+        LoraRWAOfferings(rwa.offeringsModule()).cancelForRetirement(assetId);
+
+        emit AssetRetired(assetId, _msgSender(), byHolderVote);
+    }
+}
@@ -0,0 +1,143 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.19;
+
+import "./LoraRWAModule.sol";
+
+/**
+ * @title LoraRWARegistry
+ * @dev LoraRWA module registering real-world assets and keeping their names and legal references
+ * @author Lora Finance
+ */
+contract LoraRWARegistry is LoraRWAModule {
+    // ================ STATE VARIABLES ================
+
+    // Descriptive details of a registered asset
+    struct AssetDetails {
+        string name;
+        string assetType; // e.g., "Real Estate", "Vehicle", "Art"
+        string location;
+        string documentHash; // IPFS hash of legal documents
+        string registryNumber; // Official registry number
+    }
+
+    mapping(uint256 => AssetDetails) public assetDetails; // assetId => AssetDetails
+
+    // ================ EVENTS ================
+
+    event AssetRegistered(uint256 indexed assetId, string name, string assetType, uint256 value);
+    event AssetDetailsUpdated(uint256 indexed assetId, string name, string assetType);
+
+    // ================ CONSTRUCTOR ================
+    constructor(address _rwa) LoraRWAModule(_rwa) {}
+
+    // ================ ASSET MANAGEMENT ================
+
+    /**
+     * @dev Register a new real-world asset
+     * @param name Asset name
+     * @param assetType Type of asset
+     * @param location Asset location
+     * @param value Initial valuation in USD
+     * @param documentHash IPFS hash of legal documents
+     * @param registryNumber Official registry number
+     * @param custodian Custodian address
+     */
+    function registerAsset(
+        string memory name,
+        string memory assetType,
+        string memory location,
+        uint256 value,
+        string memory documentHash,
+        string memory registryNumber,
+        address custodian
+    ) external onlyRole(ADMIN_ROLE) returns (uint256 assetId) {
+        require(bytes(name).length > 0, "Empty name");
+        require(bytes(assetType).length > 0, "Empty asset type");
+        require(value > 0, "Invalid value");
+        require(custodian != address(0), "Invalid custodian");
+
+        assetId = rwa.createAsset(value, custodian);
+        assetDetails[assetId] = AssetDetails({
+            name: name,
+            assetType: assetType,
+            location: location,
+            documentHash: documentHash,
+            registryNumber: registryNumber
+        });
+
+        emit AssetRegistered(assetId, name, assetType, value);
+    }
+
+    /**
+     * @dev Correct the details of an asset
+     * @param assetId Asset ID
+     * @param name Asset name
+     * @param assetType Type of asset
+     * @param location Asset location
+     * @param documentHash IPFS hash of legal documents
+     * @param registryNumber Official registry number
+     */
+    function setAssetDetails(
+        uint256 assetId,
+        string memory name,
+        string memory assetType,
+        string memory location,
+        string memory documentHash,
+        string memory registryNumber
+    ) external onlyRole(ADMIN_ROLE) {
+        require(assetId < rwa.assetCount(), "Asset does not exist");
+        require(bytes(name).length > 0, "Empty name");
+        require(bytes(assetType).length > 0, "Empty asset type");
+
+        assetDetails[assetId] = AssetDetails({
+            name: name,
+            assetType: assetType,
+            location: location,
+            documentHash: documentHash,
+            registryNumber: registryNumber
+        });
+
+        emit AssetDetailsUpdated(assetId, name, assetType);
+    }
+
+    /**
+     * @dev Import the details of assets registered in LoraRWA before this module, for proxies
+     * upgraded from the single-contract release; assets that already have details here keep them
+     * @param assetIds Asset IDs
+     */
+    function importLegacyDetails(uint256[] calldata assetIds) external onlyRole(ADMIN_ROLE) {
+        for (uint256 i = 0; i < assetIds.length; i++) {
+            uint256 assetId = assetIds[i];
+            require(assetId < rwa.assetCount(), "Asset does not exist");
+            if (bytes(assetDetails[assetId].name).length > 0) {
+                continue;
+            }
+
+            (
+                string memory name,
+                string memory assetType,
+                string memory location,
+                ,
+                ,
+                ,
+                string memory documentHash,
+                string memory registryNumber,
+                ,
+                ,
+                ,
+            ) = rwa.assets(assetId);
+            if (bytes(name).length == 0) {
+                continue;
+            }
+            assetDetails[assetId] = AssetDetails({
+                name: name,
+                assetType: assetType,
+                location: location,
+                documentHash: documentHash,
+                registryNumber: registryNumber
+            });
+
+            emit AssetDetailsUpdated(assetId, name, assetType);
+        }
+    }
+}
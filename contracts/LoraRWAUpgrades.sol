@@ -0,0 +1,86 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.19;
+
+import "./LoraRWAModule.sol";
+import "./interfaces/ILoraRWAUpgrades.sol";
+
+/**
+ * @title LoraRWAUpgrades
+ * @dev LoraRWA module holding the upgrade timelock: LoraRWA only installs the implementation
+ * scheduled here, once the upgrade delay has passed and before the grace period ends
+ * @author Lora Finance
+ */
+contract LoraRWAUpgrades is LoraRWAModule, ILoraRWAUpgrades {
+    // ================ STATE VARIABLES ================
+    uint256 public constant DEFAULT_UPGRADE_DELAY = 2 days;
+    uint256 public constant MIN_UPGRADE_DELAY = 1 days;
+    uint256 public constant UPGRADE_GRACE_PERIOD = 14 days; // A ready upgrade must be executed within this window
+
+    address public pendingImplementation; // Implementation scheduled by scheduleUpgrade
+    uint256 public upgradeReadyAt; // When the scheduled upgrade can be executed
+    uint256 public upgradeDelay = DEFAULT_UPGRADE_DELAY; // Delay between scheduling and executing an upgrade
+
+    // ================ EVENTS ================
+
+    event UpgradeScheduled(address indexed implementation, uint256 readyAt);
+    event UpgradeCancelled(address indexed implementation, address indexed canceller);
+    event UpgradeDelayUpdated(uint256 newDelay);
+
+    // ================ CONSTRUCTOR ================
+    constructor(address _rwa) LoraRWAModule(_rwa) {}
+
+    // ================ UPGRADES ================
+
+    /**
+     * @dev Schedule an upgrade to a deployed implementation; it can be executed with LoraRWA's
+     * upgradeTo once the upgrade delay has passed and cancelled until then
+     * @param newImplementation Implementation contract address
+     */
+    function scheduleUpgrade(address newImplementation) external onlyRole(UPGRADER_ROLE) {
+        require(newImplementation.code.length > 0, "Invalid implementation");
+        require(pendingImplementation == address(0), "Upgrade already scheduled");
+
+        pendingImplementation = newImplementation;
+        upgradeReadyAt = block.timestamp + upgradeDelay;
+
+        emit UpgradeScheduled(newImplementation, upgradeReadyAt);
+    }
+
+    /**
+     * @dev Cancel the scheduled upgrade
+     */
+    function cancelUpgrade() external {
+        address sender = _msgSender();
+        require(rwa.hasRole(UPGRADER_ROLE, sender) || rwa.hasRole(ADMIN_ROLE, sender), "Not upgrader or admin");
+        address implementation = pendingImplementation;
+        require(implementation != address(0), "No upgrade scheduled");
+
+        delete pendingImplementation;
+        delete upgradeReadyAt;
+
+        emit UpgradeCancelled(implementation, sender);
+    }
+
+    /**
+     * @dev Update the delay applied to upgrades scheduled from now on
+     * @param newDelay New delay in seconds
+     */
+    function updateUpgradeDelay(uint256 newDelay) external onlyRole(ADMIN_ROLE) {
+        require(newDelay >= MIN_UPGRADE_DELAY, "Delay too short");
+        upgradeDelay = newDelay;
+        emit UpgradeDelayUpdated(newDelay);
+    }
+
+    /**
+     * @dev Consume the scheduled upgrade; called by LoraRWA while it is upgraded
+     * @param newImplementation Implementation being installed
+     */
+    function authorizeUpgrade(address newImplementation) external onlyRWA {
+        require(newImplementation != address(0) && newImplementation == pendingImplementation, "Upgrade not scheduled");
+        require(block.timestamp >= upgradeReadyAt, "Upgrade delay not met");
+        require(block.timestamp <= upgradeReadyAt + UPGRADE_GRACE_PERIOD, "Upgrade schedule expired");
+
+        delete pendingImplementation;
+        delete upgradeReadyAt;
+    }
+}
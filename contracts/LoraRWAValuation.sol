@@ -0,0 +1,265 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.19;
+
+import "./LoraRWAModule.sol";
+
+/**
+ * @title LoraRWAValuation
+ * @dev LoraRWA module revaluing assets through appraisal rounds settled on the median quote, with
+ * large moves held for approval
+ * @author Lora Finance
+ */
+contract LoraRWAValuation is LoraRWAModule {
+    // ================ STATE VARIABLES ================
+    mapping(uint256 => mapping(uint256 => LoraRWA.ValuationRound)) public valuationRounds; // assetId => roundId => round
+    mapping(uint256 => uint256) public valuationRoundCount; // assetId => rounds opened
+    mapping(uint256 => mapping(uint256 => LoraRWA.ValuationQuote[])) private _valuationQuotes; // assetId => roundId => quotes
+    mapping(uint256 => mapping(uint256 => mapping(address => bool))) public hasAppraised; // assetId => roundId => appraiser => quoted
+    mapping(uint256 => LoraRWA.Valuation[]) private _valuationHistory; // assetId => settled valuations
+
+    uint256 public minAppraisals = 3; // Quotes needed to settle a round
+    uint256 public valuationRoundDuration = 7 days; // How long a round accepts quotes
+    uint256 public maxValuationMove = 2000; // Largest change settled without approval, in basis points (20%)
+
+    // ================ EVENTS ================
+
+    event ValuationSubmitted(
+        uint256 indexed assetId,
+        uint256 indexed roundId,
+        address indexed appraiser,
+        uint256 value,
+        bytes32 reportHash
+    );
+    event ValuationSettled(uint256 indexed assetId, uint256 indexed roundId, uint256 value, bytes32 reportHash);
+    event ValuationDisputed(uint256 indexed assetId, uint256 indexed roundId, uint256 value, uint256 move);
+    event ValuationRejected(uint256 indexed assetId, uint256 indexed roundId);
+    event ValuationSettingsUpdated(uint256 minAppraisals, uint256 roundDuration, uint256 maxMove);
+
+    // ================ CONSTRUCTOR ================
+    constructor(address _rwa) LoraRWAModule(_rwa) {}
+
+    // ================ VALUATION ROUNDS ================
+
+    /**
+     * @dev Submit an appraisal quote, opening a valuation round if none is open
+     * @param assetId Asset ID
+     * @param value Valuation in USD (18 decimals)
+     * @param reportHash Hash of the appraisal report
+     */
+    function submitValuation(uint256 assetId, uint256 value, bytes32 reportHash) external onlyRole(APPRAISER_ROLE) {
+        (, , , bool isActive, , , ) = rwa.getAsset(assetId);
+        require(isActive, "Asset not active");
+        require(value > 0, "Invalid value");
+        require(reportHash != bytes32(0), "Invalid report hash");
+
+        uint256 count = valuationRoundCount[assetId];
+        uint256 roundId = count;
+        if (count > 0) {
+            LoraRWA.ValuationRound storage last = valuationRounds[assetId][count - 1];
+            require(last.status != LoraRWA.ValuationStatus.Disputed, "Valuation disputed");
+            if (last.status == LoraRWA.ValuationStatus.Open) {
+                require(block.timestamp <= last.deadline, "Valuation round ended");
+                roundId = count - 1;
+            }
+        }
+
+        if (roundId == count) {
+            valuationRoundCount[assetId] = count + 1;
+            LoraRWA.ValuationRound storage opened = valuationRounds[assetId][roundId];
+            opened.status = LoraRWA.ValuationStatus.Open;
+            opened.openedAt = block.timestamp;
+            opened.deadline = block.timestamp + valuationRoundDuration;
+        }
+
+        address appraiser = _msgSender();
+        require(!hasAppraised[assetId][roundId][appraiser], "Already appraised");
+        hasAppraised[assetId][roundId][appraiser] = true;
+        _valuationQuotes[assetId][roundId].push(LoraRWA.ValuationQuote({
+            appraiser: appraiser,
+            value: value,
+            reportHash: reportHash,
+            timestamp: block.timestamp
+        }));
+
+        emit ValuationSubmitted(assetId, roundId, appraiser, value, reportHash);
+    }
+
+    /**
+     * @dev Settle the open valuation round on the median quote once its deadline has passed, so
+     * every appraiser has had the whole round to quote. Moves beyond maxValuationMove are disputed,
+     * pausing the asset's trading until approved or rejected. A round that ends without
+     * minAppraisals quotes is rejected.
+     * @param assetId Asset ID
+     */
+    function settleValuation(uint256 assetId) external {
+        uint256 count = valuationRoundCount[assetId];
+        require(
+            count > 0 && valuationRounds[assetId][count - 1].status == LoraRWA.ValuationStatus.Open,
+            "No open valuation round"
+        );
+
+        uint256 roundId = count - 1;
+        LoraRWA.ValuationRound storage round = valuationRounds[assetId][roundId];
+        LoraRWA.ValuationQuote[] storage quotes = _valuationQuotes[assetId][roundId];
+        require(block.timestamp > round.deadline, "Valuation round not ended");
+
+        if (quotes.length < minAppraisals) {
+            round.status = LoraRWA.ValuationStatus.Rejected;
+            emit ValuationRejected(assetId, roundId);
+            return;
+        }
+
+        (round.median, round.reportHash) = _medianQuote(quotes);
+
+        (uint256 current, , , , , , ) = rwa.getAsset(assetId);
+        uint256 diff = round.median > current ? round.median - current : current - round.median;
+        uint256 move = diff * 10000 / current;
+        if (move > maxValuationMove) {
+            round.status = LoraRWA.ValuationStatus.Disputed;
+            emit ValuationDisputed(assetId, roundId, round.median, move);
+            return;
+        }
+
+        round.status = LoraRWA.ValuationStatus.Settled;
+        _applyValuation(assetId, roundId);
+    }
+
+    /**
+     * @dev Approve a disputed valuation, applying it and resuming trading
+     * @param assetId Asset ID
+     */
+    function approveValuation(uint256 assetId) external onlyRole(ADMIN_ROLE) {
+        uint256 roundId = _disputedRound(assetId);
+        valuationRounds[assetId][roundId].status = LoraRWA.ValuationStatus.Settled;
+        _applyValuation(assetId, roundId);
+    }
+
+    /**
+     * @dev Reject a disputed valuation, keeping the current value and resuming trading
+     * @param assetId Asset ID
+     */
+    function rejectValuation(uint256 assetId) external onlyRole(ADMIN_ROLE) {
+        uint256 roundId = _disputedRound(assetId);
+        valuationRounds[assetId][roundId].status = LoraRWA.ValuationStatus.Rejected;
+        emit ValuationRejected(assetId, roundId);
+    }
+
+    /**
+     * @dev Update valuation round settings
+     * @param newMinAppraisals Quotes needed to settle a round
+     * @param newRoundDuration How long a round accepts quotes, in seconds
+     * @param newMaxMove Largest change settled without approval, in basis points
+     */
+    function updateValuationSettings(
+        uint256 newMinAppraisals,
+        uint256 newRoundDuration,
+        uint256 newMaxMove
+    ) external onlyRole(ADMIN_ROLE) {
+        require(newMinAppraisals > 0, "Invalid minimum appraisals");
+        require(newRoundDuration > 0, "Invalid round duration");
+
+        minAppraisals = newMinAppraisals;
+        valuationRoundDuration = newRoundDuration;
+        maxValuationMove = newMaxMove;
+
+        emit ValuationSettingsUpdated(newMinAppraisals, newRoundDuration, newMaxMove);
+    }
+
+    // ================ INTERNAL FUNCTIONS ================
+
+    /**
+     * @dev Get the median of a round's quotes and the report hash of the quote it was taken from;
+     * with an even number of quotes the two middle values are averaged and the lower one's report is used
+     */
+    function _medianQuote(
+        LoraRWA.ValuationQuote[] storage quotes
+    ) internal view returns (uint256 median, bytes32 reportHash) {
+        uint256 length = quotes.length;
+        uint256[] memory order = new uint256[](length);
+        for (uint256 i = 0; i < length; i++) {
+            order[i] = i;
+        }
+
+        // Insertion sort of quote indexes by value; rounds hold a handful of quotes
+        for (uint256 i = 1; i < length; i++) {
+            uint256 key = order[i];
+            uint256 j = i;
+            while (j > 0 && quotes[order[j - 1]].value > quotes[key].value) {
+                order[j] = order[j - 1];
+                j--;
+            }
+            order[j] = key;
+        }
+
+        LoraRWA.ValuationQuote storage middle = quotes[order[(length - 1) / 2]];
+        median = middle.value;
+        reportHash = middle.reportHash;
+        if (length % 2 == 0) {
+            median = (median + quotes[order[length / 2]].value) / 2;
+        }
+    }
+
+    /**
+     * @dev Apply a round's median to the asset's value and token price and record it in the history
+     */
+    function _applyValuation(uint256 assetId, uint256 roundId) internal {
+        LoraRWA.ValuationRound storage round = valuationRounds[assetId][roundId];
+        rwa.applyValuation(assetId, round.median);
+
+        _valuationHistory[assetId].push(LoraRWA.Valuation({
+            value: round.median,
+            timestamp: block.timestamp,
+            reportHash: round.reportHash,
+            roundId: roundId
+        }));
+
+        emit ValuationSettled(assetId, roundId, round.median, round.reportHash);
+    }
+
+    /**
+     * @dev Get the ID of an asset's disputed valuation round, reverting if there is none
+     */
+    function _disputedRound(uint256 assetId) internal view returns (uint256) {
+        require(isValuationDisputed(assetId), "No disputed valuation");
+        return valuationRoundCount[assetId] - 1;
+    }
+
+    // ================ VIEW FUNCTIONS ================
+
+    /**
+     * @dev Check whether an asset's latest valuation round is disputed, which pauses its trading
+     * @param assetId Asset ID
+     */
+    function isValuationDisputed(uint256 assetId) public view returns (bool) {
+        uint256 count = valuationRoundCount[assetId];
+        return count > 0 && valuationRounds[assetId][count - 1].status == LoraRWA.ValuationStatus.Disputed;
+    }
+
+    /**
+     * @dev Get the number of settled valuations of an asset; queued redemptions wait for it to grow
+     * @param assetId Asset ID
+     */
+    function valuationCount(uint256 assetId) external view returns (uint256) {
+        return _valuationHistory[assetId].length;
+    }
+
+    /**
+     * @dev Get the quotes submitted in a valuation round
+     * @param assetId Asset ID
+     * @param roundId Round ID
+     */
+    function getValuationQuotes(
+        uint256 assetId,
+        uint256 roundId
+    ) external view returns (LoraRWA.ValuationQuote[] memory) {
+        return _valuationQuotes[assetId][roundId];
+    }
+
+    /**
+     * @dev Get an asset's settled valuations, oldest first
+     * @param assetId Asset ID
+     */
+    function getValuationHistory(uint256 assetId) external view returns (LoraRWA.Valuation[] memory) {
+        return _valuationHistory[assetId];
+    }
+}
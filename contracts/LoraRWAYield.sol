@@ -0,0 +1,341 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.19;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "./LoraRWAModule.sol";
+import "./LoraRWAForcedActions.sol";
+import "./LoraRWAIdentity.sol";
+import "./interfaces/ILoraRWABalanceObserver.sol";
+
+/**
+ * @title LoraRWAYield
+ * @dev LoraRWA module distributing yield from escrow pro rata to the balances held when each
+ * distribution was made
+ * @author Lora Finance
+ */
+contract LoraRWAYield is LoraRWAModule, ILoraRWABalanceObserver {
+    using SafeERC20 for IERC20;
+
+    // ================ STATE VARIABLES ================
+    mapping(uint256 => mapping(uint256 => LoraRWA.YieldInfo)) public yields; // assetId => distributionId => YieldInfo
+    mapping(uint256 => uint256) public totalYieldDistributed; // assetId => total yield distributed
+
+    // Per-holder yield accounting
+    mapping(uint256 => mapping(address => LoraRWA.BalanceCheckpoint[])) private _balanceCheckpoints; // assetId => holder => checkpoints
+    mapping(uint256 => mapping(uint256 => mapping(address => bool))) public yieldClaimed; // assetId => distributionId => holder => claimed
+    mapping(uint256 => mapping(address => uint256)) public yieldClaimCursor; // assetId => holder => distributions before it are settled
+
+    // Yield escrow
+    mapping(address => bool) public yieldTokens; // Stablecoins accepted for yield besides LORA
+    mapping(uint256 => mapping(address => uint256)) public yieldEscrow; // assetId => payout token => unclaimed funded yield
+    uint256 public yieldClaimPeriod = 365 days; // How long holders can claim a distribution
+
+    // ================ EVENTS ================
+
+    event YieldDistributed(uint256 indexed assetId, uint256 distributionId, uint256 amount);
+    event YieldFunded(uint256 indexed assetId, uint256 indexed distributionId, address indexed funder, address payoutToken, uint256 expiry);
+    event YieldReclaimed(uint256 indexed assetId, uint256 indexed distributionId, address indexed funder, uint256 amount);
+    event YieldTokenUpdated(address indexed token, bool allowed);
+    event YieldClaimPeriodUpdated(uint256 newPeriod);
+    event YieldClaimed(uint256 indexed assetId, address indexed claimant, uint256 amount, address payoutToken);
+
+    // ================ CONSTRUCTOR ================
+    constructor(address _rwa) LoraRWAModule(_rwa) {}
+
+    // ================ YIELD DISTRIBUTION ================
+
+    /**
+     * @dev Distribute yield for an asset, depositing it into the asset's escrow
+     * @param assetId Asset ID
+     * @param amount Yield amount in payout token units, pulled from the caller
+     * @param payoutToken LORA or an approved yield stablecoin
+     */
+    function distributeYield(uint256 assetId, uint256 amount, address payoutToken) external nonReentrant {
+        (, , , bool isActive, bool isTokenized, , address custodian) = rwa.getAsset(assetId);
+        require(rwa.hasRole(ADMIN_ROLE, msg.sender) || msg.sender == custodian, "Not admin or custodian");
+        require(isActive && isTokenized, "Asset not available");
+        require(amount > 0, "Invalid amount");
+        require(isPayoutToken(payoutToken), "Payout token not allowed");
+
+        IERC20(payoutToken).safeTransferFrom(msg.sender, address(this), amount);
+        yieldEscrow[assetId][payoutToken] += amount;
+
+        uint256 distributionId = totalYieldDistributed[assetId];
+        totalYieldDistributed[assetId] = distributionId + 1;
+
+        uint256 expiry = block.timestamp + yieldClaimPeriod;
+        yields[assetId][distributionId] = LoraRWA.YieldInfo({
+            amount: amount,
+            timestamp: block.timestamp,
+            distributionId: distributionId,
+            claimed: false,
+            totalClaimed: 0,
+            payoutToken: payoutToken,
+            funder: msg.sender,
+            expiry: expiry,
+            reclaimed: false
+        });
+
+        emit YieldDistributed(assetId, distributionId, amount);
+        emit YieldFunded(assetId, distributionId, msg.sender, payoutToken, expiry);
+    }
+
+    /**
+     * @dev Return the unclaimed part of an expired distribution to its funder
+     * @param assetId Asset ID
+     * @param distributionId Distribution ID
+     */
+    function reclaimExpiredYield(uint256 assetId, uint256 distributionId) external nonReentrant {
+        require(distributionId < totalYieldDistributed[assetId], "Distribution does not exist");
+        (, , , , , , address custodian) = rwa.getAsset(assetId);
+        require(rwa.hasRole(ADMIN_ROLE, msg.sender) || msg.sender == custodian, "Not admin or custodian");
+
+        LoraRWA.YieldInfo storage yield = yields[assetId][distributionId];
+        require(block.timestamp > yield.expiry, "Distribution not expired");
+        require(!yield.reclaimed, "Already reclaimed");
+
+        uint256 remaining = yield.amount - yield.totalClaimed;
+        yield.reclaimed = true;
+        yieldEscrow[assetId][yield.payoutToken] -= remaining;
+
+        if (remaining > 0) {
+            IERC20(yield.payoutToken).safeTransfer(yield.funder, remaining);
+        }
+
+        emit YieldReclaimed(assetId, distributionId, yield.funder, remaining);
+    }
+
+    /**
+     * @dev Claim yield for an asset, based on the balance held when it was distributed
+     * @param assetId Asset ID
+     * @param distributionId Distribution ID
+     */
+    function claimYield(uint256 assetId, uint256 distributionId) external nonReentrant {
+        address claimant = _msgSender();
+        require(!_isBlacklisted(claimant), "Address blacklisted");
+        require(distributionId < totalYieldDistributed[assetId], "Distribution does not exist");
+        require(!yieldClaimed[assetId][distributionId][claimant], "Already claimed");
+        require(block.timestamp <= yields[assetId][distributionId].expiry, "Distribution expired");
+
+        require(_claimYield(assetId, distributionId, claimant, claimant) > 0, "No yield to claim");
+    }
+
+    /**
+     * @dev Claim yield of every unclaimed, unexpired distribution of an asset
+     * @param assetId Asset ID
+     */
+    function claimAll(uint256 assetId) external nonReentrant {
+        address claimant = _msgSender();
+        require(!_isBlacklisted(claimant), "Address blacklisted");
+
+        require(_claimAll(assetId, claimant, claimant), "No yield to claim");
+    }
+
+    /**
+     * @dev Claim the yield a recovered wallet had not claimed for an asset, paying it to the
+     * replacement wallet that calls
+     * @param assetId Asset ID
+     * @param lostWallet Wallet recovered to the caller
+     */
+    function claimRecoveredYield(uint256 assetId, address lostWallet) external nonReentrant {
+        address claimant = _msgSender();
+        require(
+            LoraRWAForcedActions(rwa.forcedActionsModule()).recoveredWallet(lostWallet) == claimant,
+            "Not the recovery wallet"
+        );
+        require(!_isBlacklisted(claimant), "Address blacklisted");
+
+        require(_claimAll(assetId, lostWallet, claimant), "No yield to claim");
+    }
+
+    // ================ ADMIN FUNCTIONS ================
+
+    /**
+     * @dev Allow or disallow a stablecoin as a yield payout token
+     * @param token Token address
+     * @param allowed Whether distributions may be funded in this token
+     */
+    function setYieldToken(address token, bool allowed) external onlyRole(ADMIN_ROLE) {
+        require(token != address(0), "Invalid token address");
+        yieldTokens[token] = allowed;
+        emit YieldTokenUpdated(token, allowed);
+    }
+
+    /**
+     * @dev Update how long holders can claim new distributions
+     * @param newPeriod New claim period in seconds
+     */
+    function updateYieldClaimPeriod(uint256 newPeriod) external onlyRole(ADMIN_ROLE) {
+        require(newPeriod > 0, "Invalid period");
+        yieldClaimPeriod = newPeriod;
+        emit YieldClaimPeriodUpdated(newPeriod);
+    }
+
+    // ================ MODULE HOOKS ================
+
+    /**
+     * @dev Record a holder's new balance as applying from the next distribution onwards
+     * @param assetId Asset ID
+     * @param holder Holder address
+     * @param previousBalance Holder's balance before the transfer
+     * @param balance Holder's balance after the transfer
+     */
+    function balanceChanged(uint256 assetId, address holder, uint256 previousBalance, uint256 balance) external onlyRWA {
+        LoraRWA.BalanceCheckpoint[] storage ckpts = _balanceCheckpoints[assetId][holder];
+        uint256 nextDistribution = totalYieldDistributed[assetId];
+
+        // Tokens held since before the module followed balances count for the earlier distributions
+        if (ckpts.length == 0 && nextDistribution > 0 && previousBalance > 0) {
+            ckpts.push(LoraRWA.BalanceCheckpoint({fromDistribution: 0, balance: previousBalance}));
+        }
+
+        if (ckpts.length > 0 && ckpts[ckpts.length - 1].fromDistribution == nextDistribution) {
+            ckpts[ckpts.length - 1].balance = balance;
+        } else {
+            ckpts.push(LoraRWA.BalanceCheckpoint({fromDistribution: nextDistribution, balance: balance}));
+        }
+    }
+
+    // ================ INTERNAL FUNCTIONS ================
+
+    /**
+     * @dev Mark a distribution as claimed by a holder and pay the holder's share from escrow, in the
+     * token the distribution was funded in
+     * @param recipient Receives the share (the holder, or their recovery wallet)
+     * @return share Amount paid in the distribution's payout token
+     */
+    function _claimYield(
+        uint256 assetId,
+        uint256 distributionId,
+        address holder,
+        address recipient
+    ) internal returns (uint256 share) {
+        share = _yieldShare(assetId, distributionId, holder);
+        yieldClaimed[assetId][distributionId][holder] = true;
+        if (share == 0) return 0;
+
+        LoraRWA.YieldInfo storage yield = yields[assetId][distributionId];
+        yield.totalClaimed += share;
+        require(yield.totalClaimed <= yield.amount, "Distribution exhausted");
+        yieldEscrow[assetId][yield.payoutToken] -= share;
+
+        IERC20(yield.payoutToken).safeTransfer(recipient, share);
+
+        emit YieldClaimed(assetId, recipient, share, yield.payoutToken);
+    }
+
+    /**
+     * @dev Claim every unclaimed, unexpired distribution of an asset for a holder
+     * @param recipient Receives the shares (the holder, or their recovery wallet)
+     * @return paid Whether any share was paid
+     */
+    function _claimAll(uint256 assetId, address holder, address recipient) internal returns (bool paid) {
+        uint256 distributionCount = totalYieldDistributed[assetId];
+        for (uint256 i = yieldClaimCursor[assetId][holder]; i < distributionCount; i++) {
+            if (!yieldClaimed[assetId][i][holder] && block.timestamp <= yields[assetId][i].expiry) {
+                if (_claimYield(assetId, i, holder, recipient) > 0) paid = true;
+            }
+        }
+        yieldClaimCursor[assetId][holder] = distributionCount;
+    }
+
+    /**
+     * @dev Get a holder's share of a distribution from the balance held when it was made
+     */
+    function _yieldShare(uint256 assetId, uint256 distributionId, address holder) internal view returns (uint256) {
+        uint256 balance = balanceAtDistribution(assetId, distributionId, holder);
+        if (balance == 0) return 0;
+        (, uint256 totalTokens, , , , , ) = rwa.getAsset(assetId);
+        return balance * yields[assetId][distributionId].amount / totalTokens;
+    }
+
+    function _isBlacklisted(address account) internal view returns (bool) {
+        return LoraRWAIdentity(rwa.identityModule()).blacklisted(account);
+    }
+
+    // ================ VIEW FUNCTIONS ================
+
+    /**
+     * @dev Check whether distributions and redemption proceeds may be funded in a token
+     * @param token Token address
+     */
+    function isPayoutToken(address token) public view returns (bool) {
+        return token == address(rwa.loraToken()) || yieldTokens[token];
+    }
+
+    /**
+     * @dev Get yield information
+     * @param assetId Asset ID
+     * @param distributionId Distribution ID
+     */
+    function getYield(uint256 assetId, uint256 distributionId) external view returns (
+        uint256 amount,
+        uint256 timestamp,
+        uint256 totalClaimed
+    ) {
+        LoraRWA.YieldInfo storage yield = yields[assetId][distributionId];
+        return (yield.amount, yield.timestamp, yield.totalClaimed);
+    }
+
+    /**
+     * @dev Get the funding and claim status of a distribution
+     * @param assetId Asset ID
+     * @param distributionId Distribution ID
+     */
+    function getYieldFunding(uint256 assetId, uint256 distributionId) external view returns (
+        address payoutToken,
+        uint256 funded,
+        uint256 claimed,
+        uint256 unclaimed,
+        uint256 expiry,
+        bool reclaimed
+    ) {
+        LoraRWA.YieldInfo storage yield = yields[assetId][distributionId];
+        uint256 remaining = yield.reclaimed ? 0 : yield.amount - yield.totalClaimed;
+        return (yield.payoutToken, yield.amount, yield.totalClaimed, remaining, yield.expiry, yield.reclaimed);
+    }
+
+    /**
+     * @dev Get the yield a holder can still claim across the unexpired distributions of an asset
+     * funded in one payout token
+     * @param assetId Asset ID
+     * @param holder Holder address
+     * @param payoutToken Payout token the distributions were funded in
+     */
+    function claimableYield(uint256 assetId, address holder, address payoutToken) external view returns (uint256 total) {
+        uint256 distributionCount = totalYieldDistributed[assetId];
+        for (uint256 i = yieldClaimCursor[assetId][holder]; i < distributionCount; i++) {
+            LoraRWA.YieldInfo storage yield = yields[assetId][i];
+            if (yield.payoutToken == payoutToken && !yieldClaimed[assetId][i][holder] && block.timestamp <= yield.expiry) {
+                total += _yieldShare(assetId, i, holder);
+            }
+        }
+    }
+
+    /**
+     * @dev Get the balance a holder had when a distribution was made
+     * @param assetId Asset ID
+     * @param distributionId Distribution ID
+     * @param holder Holder address
+     */
+    function balanceAtDistribution(uint256 assetId, uint256 distributionId, address holder) public view returns (uint256) {
+        LoraRWA.BalanceCheckpoint[] storage ckpts = _balanceCheckpoints[assetId][holder];
+
+        // Without checkpoints the balance has not changed since the module started following it
+        if (ckpts.length == 0) return rwa.balanceOf(holder, assetId);
+
+        // Find the last checkpoint that started at or before the distribution
+        uint256 low = 0;
+        uint256 high = ckpts.length;
+        while (low < high) {
+            uint256 mid = (low + high) / 2;
+            if (ckpts[mid].fromDistribution > distributionId) {
+                high = mid;
+            } else {
+                low = mid + 1;
+            }
+        }
+        return low == 0 ? 0 : ckpts[low - 1].balance;
+    }
+}
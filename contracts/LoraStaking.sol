@@ -0,0 +1,718 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.19;
+
+import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/math/SafeMath.sol";
+import "./LoraToken.sol";
+import "./libraries/LoraERC2771.sol";
+import "./interfaces/ILoraStaking.sol";
+
+/**
+ * @title LoraStaking
+ * @dev Flexible and time-locked LORA staking with a halving emission schedule; staked tokens keep
+ * counting toward the staker's voting power in LoraToken
+ * @author Lora Finance
+ */
+contract LoraStaking is ILoraStaking, ReentrancyGuard {
+    using SafeMath for uint256;
+
+    // ================ STATE VARIABLES ================
+    LoraToken public loraToken;
+
+    // Staking variables
+    uint256 public totalStaked;
+    uint256 public stakingRewardRate = 5; // 5% APY
+    uint256 public lastRewardTime;
+    uint256 public rewardPerTokenStored;
+    uint256 public rewardRate; // Base reward per second per staked token (18 decimals), before halvings
+
+    // Emission schedule
+    uint256 public constant MAX_HALVINGS = 64;
+    uint256 public emissionStartTime; // Start of the first halving epoch
+    uint256 public halvingInterval = 4 * 365 days; // Emission halves every interval (0 disables halving)
+    uint256 public rewardReserve; // Funded rewards held by this contract, paid out before minting
+
+    // Staking tiers
+    uint256 public constant MULTIPLIER_DENOMINATOR = 10000; // 10000 = 1x
+    uint256 public constant MAX_REWARD_MULTIPLIER = 50000; // 5x
+    uint256 public constant MAX_VOTING_MULTIPLIER = 30000; // 3x
+    uint256 public constant MAX_EARLY_EXIT_PENALTY = 5000; // 50%
+    uint256 public totalRewardWeight; // Sum of stakers' reward weights
+    bool public redistributePenalties; // Send early-exit penalties to remaining stakers instead of feeCollector
+
+    // Fee variables
+    uint256 public stakingFee = 10; // 0.1% (10 basis points)
+    uint256 public constant FEE_DENOMINATOR = 10000;
+
+    // Staking structs
+    struct StakerInfo {
+        uint256 stakedAmount; // Flexible and locked principal
+        uint256 lockedAmount; // Principal held in locked positions
+        uint256 rewardWeight; // Principal weighted by tier reward multipliers
+        uint256 votingBoost; // Extra voting power from locked positions
+        uint256 rewardDebt; // Reward per token already accounted for
+        uint256 accruedRewards; // Rewards earned but not yet claimed
+        uint256 lastClaimTime;
+        bool isStaking;
+    }
+
+    struct StakingTier {
+        uint256 lockPeriod;
+        uint256 rewardMultiplier; // Basis points, 10000 = 1x
+        uint256 votingMultiplier; // Basis points, 10000 = no boost
+        uint256 earlyExitPenalty; // Basis points of principal
+        bool active;
+    }
+
+    struct StakePosition {
+        uint256 amount;
+        uint256 tierId;
+        uint256 startTime;
+        uint256 unlockTime;
+        uint256 rewardWeight;
+        uint256 votingBoost;
+        bool closed;
+    }
+
+    // Mappings
+    mapping(address => StakerInfo) public stakers;
+    mapping(address => StakePosition[]) private _stakePositions;
+    StakingTier[] private _stakingTiers;
+    mapping(address => bool) public autoCompound; // Stakers compounding rewards into their flexible stake
+
+    // ================ EVENTS ================
+    event Staked(address indexed user, uint256 amount);
+    event Unstaked(address indexed user, uint256 amount);
+    event StakedFor(address indexed funder, address indexed beneficiary, uint256 amount);
+    event AutoCompoundUpdated(address indexed user, bool enabled);
+    event RewardCompounded(address indexed user, uint256 amount);
+    event LockedStakeCreated(address indexed user, uint256 indexed positionId, uint256 tierId, uint256 amount, uint256 unlockTime);
+    event LockedStakeWithdrawn(address indexed user, uint256 indexed positionId, uint256 amount, uint256 penalty);
+    event EarlyExitPenaltyRedistributed(uint256 amount);
+    event StakingTierUpdated(
+        uint256 indexed tierId,
+        uint256 lockPeriod,
+        uint256 rewardMultiplier,
+        uint256 votingMultiplier,
+        uint256 earlyExitPenalty,
+        bool active
+    );
+    event PenaltyRedistributionUpdated(bool redistribute);
+    event RewardClaimed(address indexed user, uint256 amount);
+    event StakingRewardRateUpdated(uint256 newRate);
+    event HalvingIntervalUpdated(uint256 newInterval);
+    event RewardReserveFunded(address indexed funder, uint256 amount);
+    event StakingFeeUpdated(uint256 newFee);
+
+    // ================ MODIFIERS ================
+
+    /**
+     * @dev Restrict a function to calls made by an executed governance proposal
+     */
+    modifier onlyGovernance() {
+        require(msg.sender == loraToken.governor(), "Only governance");
+        _;
+    }
+
+    /**
+     * @dev Follow the token's emergency pause
+     */
+    modifier whenNotPaused() {
+        require(!loraToken.paused(), "Pausable: paused");
+        _;
+    }
+
+    // ================ CONSTRUCTOR ================
+    constructor(address _loraToken) {
+        require(_loraToken != address(0), "Invalid LORA token address");
+
+        loraToken = LoraToken(_loraToken);
+        lastRewardTime = block.timestamp;
+        emissionStartTime = block.timestamp;
+
+        // Calculate reward rate per second (5% APY = 5/100/365/24/3600 per second)
+        rewardRate = _apyToRewardRate(stakingRewardRate);
+
+        // Default lock tiers: 30/90/180/365 days
+        _setStakingTier(_stakingTiers.length, 30 days, 11000, 10000, 500, true);
+        _setStakingTier(_stakingTiers.length, 90 days, 12500, 11000, 1000, true);
+        _setStakingTier(_stakingTiers.length, 180 days, 15000, 12500, 1500, true);
+        _setStakingTier(_stakingTiers.length, 365 days, 20000, 15000, 2000, true);
+    }
+
+    // ================ STAKING FUNCTIONS ================
+
+    /**
+     * @dev Stake tokens to earn rewards (the caller must approve this contract first)
+     * @param amount Amount of tokens to stake
+     */
+    function stake(uint256 amount) external nonReentrant whenNotPaused {
+        address account = _msgSender();
+        _stake(account, account, amount);
+    }
+
+    /**
+     * @dev Stake the caller's tokens on behalf of another address, which owns the stake and its rewards
+     * @param beneficiary Address credited with the stake
+     * @param amount Amount of tokens to stake
+     */
+    function stakeFor(address beneficiary, uint256 amount) external nonReentrant whenNotPaused {
+        require(beneficiary != address(0), "Invalid beneficiary");
+        address funder = _msgSender();
+        _stake(funder, beneficiary, amount);
+
+        emit StakedFor(funder, beneficiary, amount);
+    }
+
+    /**
+     * @dev Unstake flexible (unlocked) tokens
+     * @param amount Amount of tokens to unstake
+     */
+    function unstake(uint256 amount) external nonReentrant {
+        address account = _msgSender();
+        StakerInfo storage staker = stakers[account];
+        require(staker.stakedAmount.sub(staker.lockedAmount) >= amount, "Insufficient staked amount");
+        require(!loraToken.blacklisted(account), "Address is blacklisted");
+
+        _removeStake(account, amount, amount, 0);
+
+        uint256 fee = amount.mul(stakingFee).div(FEE_DENOMINATOR);
+        require(loraToken.transfer(account, amount.sub(fee)), "Unstake transfer failed");
+        if (fee > 0) {
+            require(loraToken.transfer(loraToken.feeCollector(), fee), "Fee transfer failed");
+        }
+
+        emit Unstaked(account, amount);
+    }
+
+    /**
+     * @dev Stake tokens in a time-locked position of a staking tier
+     * @param amount Amount of tokens to stake
+     * @param tierId Staking tier to lock into
+     * @return positionId Index of the new position in the staker's positions
+     */
+    function stakeLocked(uint256 amount, uint256 tierId) external nonReentrant whenNotPaused returns (uint256 positionId) {
+        address account = _msgSender();
+        require(amount > 0, "Cannot stake 0 tokens");
+        require(loraToken.balanceOf(account) >= amount, "Insufficient balance");
+        require(!loraToken.blacklisted(account), "Address is blacklisted");
+        require(tierId < _stakingTiers.length, "Invalid tier");
+
+        StakingTier storage tier = _stakingTiers[tierId];
+        require(tier.active, "Tier not active");
+
+        require(loraToken.transferFrom(account, address(this), amount), "Stake transfer failed");
+
+        uint256 weight = amount.mul(tier.rewardMultiplier).div(MULTIPLIER_DENOMINATOR);
+        uint256 boost = amount.mul(tier.votingMultiplier.sub(MULTIPLIER_DENOMINATOR)).div(MULTIPLIER_DENOMINATOR);
+        _addStake(account, amount, weight, boost);
+
+        StakerInfo storage staker = stakers[account];
+        staker.lockedAmount = staker.lockedAmount.add(amount);
+
+        positionId = _stakePositions[account].length;
+        _stakePositions[account].push(StakePosition({
+            amount: amount,
+            tierId: tierId,
+            startTime: block.timestamp,
+            unlockTime: block.timestamp.add(tier.lockPeriod),
+            rewardWeight: weight,
+            votingBoost: boost,
+            closed: false
+        }));
+
+        emit LockedStakeCreated(account, positionId, tierId, amount, block.timestamp.add(tier.lockPeriod));
+    }
+
+    /**
+     * @dev Withdraw a locked position, paying the tier's early-exit penalty if still locked
+     * @param positionId Index of the position in the staker's positions
+     */
+    function unstakeLocked(uint256 positionId) external nonReentrant {
+        address account = _msgSender();
+        require(positionId < _stakePositions[account].length, "Invalid position");
+        require(!loraToken.blacklisted(account), "Address is blacklisted");
+
+        StakePosition storage position = _stakePositions[account][positionId];
+        require(!position.closed, "Position closed");
+
+        uint256 amount = position.amount;
+        position.closed = true;
+
+        StakerInfo storage staker = stakers[account];
+        staker.lockedAmount = staker.lockedAmount.sub(amount);
+        _removeStake(account, amount, position.rewardWeight, position.votingBoost);
+
+        uint256 penalty = 0;
+        if (block.timestamp < position.unlockTime) {
+            penalty = amount.mul(_stakingTiers[position.tierId].earlyExitPenalty).div(FEE_DENOMINATOR);
+        }
+        uint256 fee = amount.sub(penalty).mul(stakingFee).div(FEE_DENOMINATOR);
+
+        require(loraToken.transfer(account, amount.sub(penalty).sub(fee)), "Unstake transfer failed");
+        if (fee > 0) {
+            require(loraToken.transfer(loraToken.feeCollector(), fee), "Fee transfer failed");
+        }
+        if (penalty > 0) {
+            _handleEarlyExitPenalty(penalty);
+        }
+
+        emit LockedStakeWithdrawn(account, positionId, amount, penalty);
+    }
+
+    /**
+     * @dev Claim staking rewards
+     */
+    function claimRewards() external nonReentrant {
+        address account = _msgSender();
+        _updateReward(account);
+
+        StakerInfo storage staker = stakers[account];
+        uint256 earned = staker.accruedRewards;
+        require(earned > 0, "No rewards to claim");
+
+        uint256 paid = _payReward(account, earned);
+        require(paid > 0, "Reward supply exhausted");
+
+        staker.accruedRewards = earned.sub(paid);
+        staker.lastClaimTime = block.timestamp;
+
+        emit RewardClaimed(account, paid);
+    }
+
+    /**
+     * @dev Opt in or out of adding accrued rewards to the flexible stake whenever they are checkpointed
+     * @param enabled Whether to auto-compound
+     */
+    function setAutoCompound(bool enabled) external {
+        address account = _msgSender();
+        _updateReward(account);
+        autoCompound[account] = enabled;
+
+        emit AutoCompoundUpdated(account, enabled);
+    }
+
+    /**
+     * @dev Add a staker's accrued rewards to their flexible stake; anyone may compound an opted-in staker
+     * @param account Staker address
+     */
+    function compound(address account) external nonReentrant whenNotPaused {
+        require(account == _msgSender() || autoCompound[account], "Auto-compound not enabled");
+        require(!loraToken.blacklisted(account), "Address is blacklisted");
+
+        _updateReward(account);
+        if (!autoCompound[account]) {
+            _compoundRewards(account);
+        }
+    }
+
+    /**
+     * @dev Fund the reward reserve with tokens paid out before any new minting
+     * @param amount Amount of tokens to add to the reserve (approved to this contract)
+     */
+    function fundRewardReserve(uint256 amount) external nonReentrant {
+        require(amount > 0, "Invalid amount");
+
+        require(loraToken.transferFrom(msg.sender, address(this), amount), "Reserve transfer failed");
+        rewardReserve = rewardReserve.add(amount);
+
+        emit RewardReserveFunded(msg.sender, amount);
+    }
+
+    /**
+     * @dev Add the staking share of a transfer fee, already sent here by the token, to the reward reserve
+     * @param amount Fee tokens received
+     */
+    function addFeeReward(uint256 amount) external override {
+        require(msg.sender == address(loraToken), "Only LORA token");
+        rewardReserve = rewardReserve.add(amount);
+    }
+
+    // ================ ADMIN FUNCTIONS ================
+
+    /**
+     * @dev Update staking reward rate
+     * @param newRate New reward rate (APY percentage)
+     */
+    function updateStakingRewardRate(uint256 newRate) external onlyGovernance {
+        require(newRate <= 50, "Rate too high"); // Max 50% APY
+        _updateReward(address(0));
+        stakingRewardRate = newRate;
+        // Recalculate reward rate per second
+        rewardRate = _apyToRewardRate(newRate);
+        emit StakingRewardRateUpdated(newRate);
+    }
+
+    /**
+     * @dev Add a new staking tier
+     * @param lockPeriod Lock duration in seconds
+     * @param rewardMultiplier Reward multiplier in basis points (10000 = 1x)
+     * @param votingMultiplier Voting power multiplier in basis points (10000 = no boost)
+     * @param earlyExitPenalty Early-exit penalty in basis points of principal
+     */
+    function addStakingTier(
+        uint256 lockPeriod,
+        uint256 rewardMultiplier,
+        uint256 votingMultiplier,
+        uint256 earlyExitPenalty
+    ) external onlyGovernance returns (uint256 tierId) {
+        tierId = _stakingTiers.length;
+        _setStakingTier(tierId, lockPeriod, rewardMultiplier, votingMultiplier, earlyExitPenalty, true);
+    }
+
+    /**
+     * @dev Update a staking tier; existing positions keep the terms they were opened with,
+     * except for the early-exit penalty
+     * @param tierId Staking tier to update
+     * @param lockPeriod Lock duration in seconds
+     * @param rewardMultiplier Reward multiplier in basis points (10000 = 1x)
+     * @param votingMultiplier Voting power multiplier in basis points (10000 = no boost)
+     * @param earlyExitPenalty Early-exit penalty in basis points of principal
+     * @param active Whether new positions can be opened in the tier
+     */
+    function updateStakingTier(
+        uint256 tierId,
+        uint256 lockPeriod,
+        uint256 rewardMultiplier,
+        uint256 votingMultiplier,
+        uint256 earlyExitPenalty,
+        bool active
+    ) external onlyGovernance {
+        require(tierId < _stakingTiers.length, "Invalid tier");
+        _setStakingTier(tierId, lockPeriod, rewardMultiplier, votingMultiplier, earlyExitPenalty, active);
+    }
+
+    /**
+     * @dev Choose whether early-exit penalties go to remaining stakers or to the fee collector
+     * @param redistribute True to redistribute penalties to remaining stakers
+     */
+    function setPenaltyRedistribution(bool redistribute) external onlyGovernance {
+        redistributePenalties = redistribute;
+        emit PenaltyRedistributionUpdated(redistribute);
+    }
+
+    /**
+     * @dev Update the halving interval of the emission schedule
+     * @param newInterval New interval in seconds (0 disables halving)
+     */
+    function updateHalvingInterval(uint256 newInterval) external onlyGovernance {
+        require(newInterval == 0 || newInterval >= 365 days, "Interval too short");
+        _updateReward(address(0));
+        halvingInterval = newInterval;
+        emit HalvingIntervalUpdated(newInterval);
+    }
+
+    /**
+     * @dev Update staking fee
+     * @param newFee New staking fee in basis points
+     */
+    function updateStakingFee(uint256 newFee) external onlyGovernance {
+        require(newFee <= 50, "Fee too high"); // Max 0.5%
+        stakingFee = newFee;
+        emit StakingFeeUpdated(newFee);
+    }
+
+    // ================ INTERNAL FUNCTIONS ================
+
+    /**
+     * @dev Update reward for a staker
+     * @param staker Address of the staker (zero address to only update the global index)
+     */
+    function _updateReward(address staker) internal {
+        rewardPerTokenStored = rewardPerToken();
+        lastRewardTime = block.timestamp;
+
+        if (staker != address(0)) {
+            StakerInfo storage stakerInfo = stakers[staker];
+            stakerInfo.accruedRewards = pendingRewards(staker);
+            stakerInfo.rewardDebt = rewardPerTokenStored;
+
+            if (autoCompound[staker] && !loraToken.blacklisted(staker)) {
+                _compoundRewards(staker);
+            }
+        }
+    }
+
+    /**
+     * @dev Move a staker's checkpointed rewards into their flexible stake
+     * @param account Staker address (its reward index must be up to date)
+     */
+    function _compoundRewards(address account) internal {
+        StakerInfo storage staker = stakers[account];
+        uint256 earned = staker.accruedRewards;
+        if (earned == 0) return;
+
+        uint256 paid = _payReward(address(this), earned);
+        if (paid == 0) return;
+
+        staker.accruedRewards = earned.sub(paid);
+        staker.stakedAmount = staker.stakedAmount.add(paid);
+        staker.rewardWeight = staker.rewardWeight.add(paid);
+        staker.isStaking = true;
+        staker.lastClaimTime = block.timestamp;
+
+        totalStaked = totalStaked.add(paid);
+        totalRewardWeight = totalRewardWeight.add(paid);
+        loraToken.increaseStakedVotes(account, paid);
+
+        emit RewardCompounded(account, paid);
+    }
+
+    /**
+     * @dev Move tokens from a funder into a flexible stake credited to an account
+     * @param funder Address paying the tokens
+     * @param account Address credited with the stake
+     * @param amount Amount of tokens to stake
+     */
+    function _stake(address funder, address account, uint256 amount) internal {
+        require(amount > 0, "Cannot stake 0 tokens");
+        require(loraToken.balanceOf(funder) >= amount, "Insufficient balance");
+        require(!loraToken.blacklisted(funder) && !loraToken.blacklisted(account), "Address is blacklisted");
+
+        require(loraToken.transferFrom(funder, address(this), amount), "Stake transfer failed");
+        _addStake(account, amount, amount, 0);
+
+        emit Staked(account, amount);
+    }
+
+    /**
+     * @dev Add principal, reward weight and voting boost to a staker
+     * @param account Staker address
+     * @param amount Principal added
+     * @param weight Reward weight added
+     * @param boost Voting boost added
+     */
+    function _addStake(address account, uint256 amount, uint256 weight, uint256 boost) internal {
+        _updateReward(account);
+
+        StakerInfo storage staker = stakers[account];
+        staker.stakedAmount = staker.stakedAmount.add(amount);
+        staker.rewardWeight = staker.rewardWeight.add(weight);
+        staker.votingBoost = staker.votingBoost.add(boost);
+        staker.isStaking = true;
+        staker.lastClaimTime = block.timestamp;
+
+        totalStaked = totalStaked.add(amount);
+        totalRewardWeight = totalRewardWeight.add(weight);
+
+        // Staked tokens keep counting toward the staker's voting power
+        loraToken.increaseStakedVotes(account, amount.add(boost));
+    }
+
+    /**
+     * @dev Remove principal, reward weight and voting boost from a staker
+     * @param account Staker address
+     * @param amount Principal removed
+     * @param weight Reward weight removed
+     * @param boost Voting boost removed
+     */
+    function _removeStake(address account, uint256 amount, uint256 weight, uint256 boost) internal {
+        _updateReward(account);
+
+        StakerInfo storage staker = stakers[account];
+        staker.stakedAmount = staker.stakedAmount.sub(amount);
+        staker.rewardWeight = staker.rewardWeight.sub(weight);
+        staker.votingBoost = staker.votingBoost.sub(boost);
+        if (staker.stakedAmount == 0) {
+            staker.isStaking = false;
+        }
+
+        totalStaked = totalStaked.sub(amount);
+        totalRewardWeight = totalRewardWeight.sub(weight);
+        loraToken.decreaseStakedVotes(account, amount.add(boost));
+    }
+
+    /**
+     * @dev Send an early-exit penalty to the fee collector or spread it over remaining stakers
+     * @param penalty Penalty amount held by this contract
+     */
+    function _handleEarlyExitPenalty(uint256 penalty) internal {
+        if (redistributePenalties && totalRewardWeight > 0) {
+            // Penalty tokens back the extra rewards through the reserve
+            rewardReserve = rewardReserve.add(penalty);
+            rewardPerTokenStored = rewardPerTokenStored.add(penalty.mul(1e18).div(totalRewardWeight));
+            emit EarlyExitPenaltyRedistributed(penalty);
+        } else {
+            require(loraToken.transfer(loraToken.feeCollector(), penalty), "Penalty transfer failed");
+        }
+    }
+
+    /**
+     * @dev Validate and store a staking tier
+     */
+    function _setStakingTier(
+        uint256 tierId,
+        uint256 lockPeriod,
+        uint256 rewardMultiplier,
+        uint256 votingMultiplier,
+        uint256 earlyExitPenalty,
+        bool active
+    ) internal {
+        require(lockPeriod > 0 && lockPeriod <= 4 * 365 days, "Invalid lock period");
+        require(
+            rewardMultiplier >= MULTIPLIER_DENOMINATOR && rewardMultiplier <= MAX_REWARD_MULTIPLIER,
+            "Invalid reward multiplier"
+        );
+        require(
+            votingMultiplier >= MULTIPLIER_DENOMINATOR && votingMultiplier <= MAX_VOTING_MULTIPLIER,
+            "Invalid voting multiplier"
+        );
+        require(earlyExitPenalty <= MAX_EARLY_EXIT_PENALTY, "Penalty too high");
+
+        StakingTier memory tier = StakingTier({
+            lockPeriod: lockPeriod,
+            rewardMultiplier: rewardMultiplier,
+            votingMultiplier: votingMultiplier,
+            earlyExitPenalty: earlyExitPenalty,
+            active: active
+        });
+        if (tierId == _stakingTiers.length) {
+            _stakingTiers.push(tier);
+        } else {
+            _stakingTiers[tierId] = tier;
+        }
+
+        emit StakingTierUpdated(tierId, lockPeriod, rewardMultiplier, votingMultiplier, earlyExitPenalty, active);
+    }
+
+    /**
+     * @dev Pay rewards from the funded reserve first, then mint within the supply cap
+     * @param to Reward recipient
+     * @param amount Reward amount owed
+     * @return paid Amount actually paid
+     */
+    function _payReward(address to, uint256 amount) internal returns (uint256 paid) {
+        uint256 fromReserve = amount <= rewardReserve ? amount : rewardReserve;
+        if (fromReserve > 0) {
+            rewardReserve = rewardReserve.sub(fromReserve);
+            // Reserve tokens compounded into a stake are already held by this contract
+            if (to != address(this)) {
+                require(loraToken.transfer(to, fromReserve), "Reward transfer failed");
+            }
+        }
+
+        uint256 minted = 0;
+        if (amount > fromReserve) {
+            minted = loraToken.mintRewards(to, amount.sub(fromReserve));
+        }
+
+        return fromReserve.add(minted);
+    }
+
+    /**
+     * @dev Reward accrued per staked token between two timestamps, following the halving schedule
+     * @param from Start timestamp
+     * @param to End timestamp
+     */
+    function _rewardPerTokenIncrease(uint256 from, uint256 to) internal view returns (uint256 increase) {
+        if (to <= from) return 0;
+        if (halvingInterval == 0) return to.sub(from).mul(rewardRate);
+
+        uint256 t = from;
+        while (t < to) {
+            uint256 epoch = t.sub(emissionStartTime).div(halvingInterval);
+            if (epoch >= MAX_HALVINGS) break;
+
+            uint256 epochEnd = emissionStartTime.add(epoch.add(1).mul(halvingInterval));
+            uint256 segmentEnd = to < epochEnd ? to : epochEnd;
+            increase = increase.add(segmentEnd.sub(t).mul(rewardRate >> epoch));
+            t = segmentEnd;
+        }
+    }
+
+    /**
+     * @dev Convert an APY percentage into a per-second reward per token (18 decimals)
+     */
+    function _apyToRewardRate(uint256 apy) internal pure returns (uint256) {
+        return apy.mul(1e18).div(365 days * 100);
+    }
+
+    /**
+     * @dev Resolve the original sender of calls relayed by the token's trusted forwarder (ERC-2771)
+     */
+    function _msgSender() internal view returns (address) {
+        return LoraERC2771.msgSender(loraToken.trustedForwarder());
+    }
+
+    // ================ VIEW FUNCTIONS ================
+
+    /**
+     * @dev Get pending rewards for a staker
+     * @param staker Address of the staker
+     */
+    function pendingRewards(address staker) public view returns (uint256) {
+        StakerInfo storage stakerInfo = stakers[staker];
+        uint256 newRewards = stakerInfo.rewardWeight.mul(rewardPerToken().sub(stakerInfo.rewardDebt)).div(1e18);
+        return stakerInfo.accruedRewards.add(newRewards);
+    }
+
+    /**
+     * @dev Get the rewards a staker would have after a further period at the current stake
+     * @param staker Address of the staker
+     * @param duration Period in seconds from now
+     */
+    function projectedRewards(address staker, uint256 duration) external view returns (uint256) {
+        uint256 increase = _rewardPerTokenIncrease(block.timestamp, block.timestamp.add(duration));
+        return pendingRewards(staker).add(stakers[staker].rewardWeight.mul(increase).div(1e18));
+    }
+
+    /**
+     * @dev Get the current reward per staked token, including rewards not yet checkpointed
+     */
+    function rewardPerToken() public view returns (uint256) {
+        if (totalStaked == 0) return rewardPerTokenStored;
+        return rewardPerTokenStored.add(_rewardPerTokenIncrease(lastRewardTime, block.timestamp));
+    }
+
+    /**
+     * @dev Get the current reward rate per second per staked token after halvings
+     */
+    function currentRewardRate() external view returns (uint256) {
+        if (halvingInterval == 0) return rewardRate;
+        uint256 epoch = block.timestamp.sub(emissionStartTime).div(halvingInterval);
+        return epoch >= MAX_HALVINGS ? 0 : rewardRate >> epoch;
+    }
+
+    /**
+     * @dev Get staker information, including every locked position
+     * @param staker Address of the staker
+     */
+    function getStakerInfo(address staker) external view returns (
+        uint256 stakedAmount,
+        uint256 lockedAmount,
+        uint256 rewardWeight,
+        uint256 votingBoost,
+        uint256 accruedRewards,
+        uint256 lastClaimTime,
+        bool isStaking,
+        StakePosition[] memory positions
+    ) {
+        StakerInfo storage stakerInfo = stakers[staker];
+        return (
+            stakerInfo.stakedAmount,
+            stakerInfo.lockedAmount,
+            stakerInfo.rewardWeight,
+            stakerInfo.votingBoost,
+            stakerInfo.accruedRewards,
+            stakerInfo.lastClaimTime,
+            stakerInfo.isStaking,
+            _stakePositions[staker]
+        );
+    }
+
+    /**
+     * @dev Get a staking tier
+     * @param tierId Staking tier ID
+     */
+    function getStakingTier(uint256 tierId) external view returns (StakingTier memory) {
+        require(tierId < _stakingTiers.length, "Invalid tier");
+        return _stakingTiers[tierId];
+    }
+
+    /**
+     * @dev Get the number of staking tiers
+     */
+    function stakingTierCount() external view returns (uint256) {
+        return _stakingTiers.length;
+    }
+}
@@ -5,16 +5,22 @@ import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
 import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Burnable.sol";
 import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Pausable.sol";
 import "@openzeppelin/contracts/access/AccessControl.sol";
-import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
 import "@openzeppelin/contracts/utils/math/SafeMath.sol";
+import "@openzeppelin/contracts/utils/math/SafeCast.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
 import "@chainlink/contracts/src/v0.8/interfaces/AggregatorV3Interface.sol";
+import "./libraries/LoraERC2771.sol";
+import "./libraries/LoraOracle.sol";
+import "./interfaces/ILoraStaking.sol";
 
 /**
  * @title LoraToken
- * @dev Main ERC20 token for the LORA platform with governance and staking capabilities
+ * @dev Main ERC20 token for the LORA platform with checkpointed voting power; staking lives in
+ * LoraStaking and proposals in LoraGovernor, which both build on this token
  * @author Lora Finance
  */
-contract LoraToken is ERC20, ERC20Burnable, ERC20Pausable, AccessControl, ReentrancyGuard {
+contract LoraToken is ERC20, ERC20Burnable, ERC20Pausable, AccessControl, EIP712 {
     using SafeMath for uint256;
 
     // ================ ROLES ================
@@ -30,72 +36,110 @@ contract LoraToken is ERC20, ERC20Burnable, ERC20Pausable, AccessControl, Reentr
     uint256 public constant REMAINING_THRESHOLD = 2_000_000 * 10**18; // 2 million tokens threshold
     bool public secondDistributionExecuted = false;
     
-    // Staking variables
-    uint256 public totalStaked;
-    uint256 public stakingRewardRate = 5; // 5% APY
-    uint256 public lastRewardTime;
-    uint256 public rewardPerTokenStored;
-    uint256 public rewardRate; // Reward rate per second per token
-    
     // Fee variables
     uint256 public transferFee = 25; // 0.25% (25 basis points)
-    uint256 public stakingFee = 10; // 0.1% (10 basis points)
     uint256 public constant FEE_DENOMINATOR = 10000;
+    uint256 public constant MAX_TRANSFER_FEE = 100; // 1%
+    
+    // Fee split (basis points of each transfer fee, summing to FEE_DENOMINATOR)
+    uint256 public feeTreasuryShare = 10000; // Sent to feeCollector
+    uint256 public feeStakingShare; // Added to the staking contract's reward reserve
+    uint256 public feeBurnShare; // Burned
+    
+    // Delegation typehash (EIP-712)
+    bytes32 public constant PERMIT_TYPEHASH =
+        keccak256("Permit(address owner,address spender,uint256 value,uint256 nonce,uint256 deadline)");
+    bytes32 public constant DELEGATION_TYPEHASH = keccak256("Delegation(address delegatee,uint256 nonce,uint256 expiry)");
     
     // Oracle
     AggregatorV3Interface public priceFeed;
+    LoraOracle.Config public oracleConfig; // Staleness, bounds and fallback for priceFeed
     
     // Fee collector address
     address public feeCollector;
     
-    // Staking structs
-    struct StakerInfo {
-        uint256 stakedAmount;
-        uint256 rewardDebt;
-        uint256 lastClaimTime;
-        bool isStaking;
-    }
+    // Vesting contract holding second distribution grants (its own balance carries no votes)
+    address public vestingContract;
+    
+    // Staking contract holding staked tokens (its own balance carries no votes)
+    address public stakingContract;
+    
+    // Governor whose executed proposals call the governance-only setters
+    address public governor;
+    
+    // Trusted meta-transaction forwarder (zero address disables meta-transactions)
+    address public trustedForwarder;
     
-    // Governance structs
-    struct Proposal {
-        uint256 id;
-        address proposer;
-        string description;
-        uint256 forVotes;
-        uint256 againstVotes;
-        uint256 startTime;
-        uint256 endTime;
-        bool executed;
-        bool canceled;
-        mapping(address => Receipt) receipts;
+    // Per-counterparty transfer fee override
+    struct FeeOverride {
+        bool enabled;
+        uint256 fee; // Basis points
     }
     
-    struct Receipt {
-        bool hasVoted;
-        bool support;
-        uint256 votes;
+    // Voting power checkpoint
+    struct Checkpoint {
+        uint32 fromBlock;
+        uint224 votes;
     }
     
     // Mappings
-    mapping(address => StakerInfo) public stakers;
-    mapping(uint256 => Proposal) public proposals;
     mapping(address => uint256) public lastTransferTime;
     mapping(address => bool) public blacklisted;
+    mapping(address => bool) public feeExempt;
+    mapping(address => FeeOverride) public feeOverrides;
+    mapping(address => uint256) public vestingVotingUnits; // Vested-but-unreleased tokens counted as votes
+    mapping(address => uint256) public stakedVotingUnits; // Staked principal plus lock boosts counted as votes
+    mapping(address => address) private _delegates;
+    mapping(address => Checkpoint[]) private _checkpoints;
+    Checkpoint[] private _totalSupplyCheckpoints;
+    mapping(address => uint256) private _nonces;
     
     // Events
-    event Staked(address indexed user, uint256 amount);
-    event Unstaked(address indexed user, uint256 amount);
-    event RewardClaimed(address indexed user, uint256 amount);
-    event StakingRewardRateUpdated(uint256 newRate);
     event TransferFeeUpdated(uint256 newFee);
-    event StakingFeeUpdated(uint256 newFee);
-    event ProposalCreated(uint256 indexed proposalId, address indexed proposer, string description);
-    event Voted(uint256 indexed proposalId, address indexed voter, bool support, uint256 votes);
-    event ProposalExecuted(uint256 indexed proposalId);
-    event ProposalCanceled(uint256 indexed proposalId);
     event Blacklisted(address indexed account, bool status);
     event SecondDistributionExecuted(address[] recipients, uint256[] amounts);
     event FeeCollectorUpdated(address newFeeCollector);
+    event OracleConfigUpdated(address fallbackFeed, uint256 maxStaleness, uint256 minPrice, uint256 maxPrice, uint256 maxDeviation);
+    event TrustedForwarderUpdated(address newForwarder);
+    event VestingContractSet(address indexed vestingContract);
+    event VestingVotesUpdated(address indexed account, uint256 newUnits);
+    event StakingContractSet(address indexed stakingContract);
+    event StakedVotesUpdated(address indexed account, uint256 newUnits);
+    event GovernorUpdated(address indexed newGovernor);
+    event FeeExemptionUpdated(address indexed account, bool exempt);
+    event FeeOverrideUpdated(address indexed account, uint256 fee, bool enabled);
+    event FeeSplitUpdated(uint256 treasuryShare, uint256 stakingShare, uint256 burnShare);
+    event TransferFeeCollected(
+        address indexed from,
+        address indexed to,
+        uint256 totalFee,
+        uint256 treasuryAmount,
+        uint256 stakingAmount,
+        uint256 burnAmount
+    );
+    event DelegateChanged(address indexed delegator, address indexed fromDelegate, address indexed toDelegate);
+    event DelegateVotesChanged(address indexed delegate, uint256 previousBalance, uint256 newBalance);
+    
+    // ================ MODIFIERS ================
+    
+    /**
+     * @dev Restrict a function to calls made by an executed governance proposal
+     */
+    modifier onlyGovernance() {
+        require(msg.sender == governor, "Only governance");
+        _;
+    }
+    
+    /**
+     * @dev Restrict a function to the admin or an executed governance proposal
+     */
+    modifier onlyAdminOrGovernance() {
+        require(
+            msg.sender == governor || hasRole(DEFAULT_ADMIN_ROLE, msg.sender),
+            "Only admin or governance"
+        );
+        _;
+    }
     
     // ================ CONSTRUCTOR ================
     constructor(
@@ -104,7 +148,7 @@ contract LoraToken is ERC20, ERC20Burnable, ERC20Pausable, AccessControl, Reentr
         address emergencyMultisig,
         address _feeCollector,
         address _priceFeed
-    ) ERC20("LORA Token", "LORA") {
+    ) ERC20("LORA Token", "LORA") EIP712("LORA Token", "1") {
         require(initialOwner != address(0), "Invalid initial owner");
         require(governance != address(0), "Invalid governance address");
         require(emergencyMultisig != address(0), "Invalid emergency address");
@@ -119,223 +163,193 @@ contract LoraToken is ERC20, ERC20Burnable, ERC20Pausable, AccessControl, Reentr
         
         priceFeed = AggregatorV3Interface(_priceFeed);
         feeCollector = _feeCollector; // Store fee collector address
-        lastRewardTime = block.timestamp;
-        
-        // Calculate reward rate per second (5% APY = 5/100/365/24/3600 per second)
-        rewardRate = stakingRewardRate * 1e18 / (365 days * 100);
         
         // Mint initial supply to initial owner
         _mint(initialOwner, INITIAL_SUPPLY);
     }
     
-    // ================ STAKING FUNCTIONS ================
+    // ================ DELEGATION FUNCTIONS ================
     
     /**
-     * @dev Stake tokens to earn rewards
-     * @param amount Amount of tokens to stake
+     * @dev Delegate voting power (wallet and staked balance) to another address
+     * @param delegatee Address receiving the voting power
      */
-    function stake(uint256 amount) external nonReentrant whenNotPaused {
-        require(amount > 0, "Cannot stake 0 tokens");
-        require(balanceOf(msg.sender) >= amount, "Insufficient balance");
-        require(!blacklisted[msg.sender], "Address is blacklisted");
-        
-        _updateReward(msg.sender);
-        
-        _transfer(msg.sender, address(this), amount);
-        
-        StakerInfo storage staker = stakers[msg.sender];
-        staker.stakedAmount = staker.stakedAmount.add(amount);
-        staker.isStaking = true;
-        staker.lastClaimTime = block.timestamp;
-        
-        totalStaked = totalStaked.add(amount);
-        
-        emit Staked(msg.sender, amount);
+    function delegate(address delegatee) external {
+        _delegate(msg.sender, delegatee);
     }
     
     /**
-     * @dev Unstake tokens
-     * @param amount Amount of tokens to unstake
+     * @dev Delegate voting power using an EIP-712 signature
+     * @param delegatee Address receiving the voting power
+     * @param nonce Signer's current nonce
+     * @param expiry Signature expiry timestamp
+     * @param v Signature v
+     * @param r Signature r
+     * @param s Signature s
      */
-    function unstake(uint256 amount) external nonReentrant {
-        StakerInfo storage staker = stakers[msg.sender];
-        require(staker.stakedAmount >= amount, "Insufficient staked amount");
-        require(!blacklisted[msg.sender], "Address is blacklisted");
-        
-        _updateReward(msg.sender);
-        
-        uint256 fee = amount.mul(stakingFee).div(FEE_DENOMINATOR);
-        uint256 unstakeAmount = amount.sub(fee);
-        
-        staker.stakedAmount = staker.stakedAmount.sub(amount);
-        if (staker.stakedAmount == 0) {
-            staker.isStaking = false;
-        }
-        
-        totalStaked = totalStaked.sub(amount);
-        
-        _transfer(address(this), msg.sender, unstakeAmount);
-        if (fee > 0) {
-            _transfer(address(this), feeCollector, fee);
-        }
-        
-        emit Unstaked(msg.sender, amount);
+    function delegateBySig(
+        address delegatee,
+        uint256 nonce,
+        uint256 expiry,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external {
+        require(block.timestamp <= expiry, "Signature expired");
+        
+        bytes32 structHash = keccak256(abi.encode(DELEGATION_TYPEHASH, delegatee, nonce, expiry));
+        address signer = ECDSA.recover(_hashTypedDataV4(structHash), v, r, s);
+        require(signer != address(0), "Invalid signature");
+        require(nonce == _useNonce(signer), "Invalid nonce");
+        
+        _delegate(signer, delegatee);
     }
     
-    /**
-     * @dev Claim staking rewards
-     */
-    function claimRewards() external nonReentrant {
-        _updateReward(msg.sender);
-        
-        StakerInfo storage staker = stakers[msg.sender];
-        uint256 earned = staker.stakedAmount.mul(rewardPerTokenStored.sub(staker.rewardDebt)).div(1e18);
-        
-        require(earned > 0, "No rewards to claim");
-        
-        staker.rewardDebt = staker.rewardDebt.add(earned);
-        staker.lastClaimTime = block.timestamp;
-        
-        _mint(msg.sender, earned);
-        
-        emit RewardClaimed(msg.sender, earned);
-    }
+    // ================ PERMIT FUNCTIONS ================
     
     /**
-     * @dev Get pending rewards for a staker
-     * @param staker Address of the staker
+     * @dev Approve a spender with an EIP-2612 signature
+     * @param owner Token owner granting the allowance
+     * @param spender Address allowed to spend
+     * @param value Allowance amount
+     * @param deadline Signature expiry timestamp
+     * @param v Signature v
+     * @param r Signature r
+     * @param s Signature s
      */
-    function pendingRewards(address staker) external view returns (uint256) {
-        StakerInfo storage stakerInfo = stakers[staker];
-        if (stakerInfo.stakedAmount == 0) return 0;
-        
-        uint256 currentRewardPerToken = rewardPerTokenStored;
-        if (totalStaked > 0) {
-            uint256 timeElapsed = block.timestamp.sub(lastRewardTime);
-            uint256 newRewards = timeElapsed.mul(rewardRate).mul(totalStaked).div(1e18);
-            currentRewardPerToken = rewardPerTokenStored.add(newRewards.mul(1e18).div(totalStaked));
-        }
-        
-        uint256 pending = stakerInfo.stakedAmount.mul(currentRewardPerToken.sub(stakerInfo.rewardDebt)).div(1e18);
-        return pending;
+    function permit(
+        address owner,
+        address spender,
+        uint256 value,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external {
+        require(block.timestamp <= deadline, "Permit expired");
+        
+        bytes32 structHash = keccak256(abi.encode(PERMIT_TYPEHASH, owner, spender, value, _useNonce(owner), deadline));
+        address signer = ECDSA.recover(_hashTypedDataV4(structHash), v, r, s);
+        require(signer == owner, "Invalid signature");
+        
+        _approve(owner, spender, value);
     }
     
-    // ================ GOVERNANCE FUNCTIONS ================
+    // ================ VESTING FUNCTIONS ================
     
     /**
-     * @dev Create a new governance proposal
-     * @param description Description of the proposal
-     * @param duration Duration of the voting period in seconds
+     * @dev Count vested-but-unreleased grant tokens toward a beneficiary's voting power
+     * @param account Grant beneficiary
+     * @param amount Voting units to add
      */
-    function createProposal(string memory description, uint256 duration) external onlyRole(GOVERNANCE_ROLE) returns (uint256) {
-        require(bytes(description).length > 0, "Empty description");
-        require(duration > 0, "Invalid duration");
-        
-        uint256 proposalId = proposals.length;
-        Proposal storage proposal = proposals[proposalId];
-        
-        proposal.id = proposalId;
-        proposal.proposer = msg.sender;
-        proposal.description = description;
-        proposal.startTime = block.timestamp;
-        proposal.endTime = block.timestamp.add(duration);
-        
-        emit ProposalCreated(proposalId, msg.sender, description);
-        return proposalId;
+    function increaseVestingVotes(address account, uint256 amount) external {
+        require(msg.sender == vestingContract, "Only vesting contract");
+        vestingVotingUnits[account] = vestingVotingUnits[account].add(amount);
+        _moveVotingPower(address(0), delegates(account), amount);
+        emit VestingVotesUpdated(account, vestingVotingUnits[account]);
     }
     
     /**
-     * @dev Vote on a proposal
-     * @param proposalId ID of the proposal
-     * @param support True for support, false for against
+     * @dev Stop counting grant tokens toward a beneficiary's voting power
+     * @param account Grant beneficiary
+     * @param amount Voting units to remove
      */
-    function vote(uint256 proposalId, bool support) external {
-        Proposal storage proposal = proposals[proposalId];
-        require(block.timestamp >= proposal.startTime, "Voting not started");
-        require(block.timestamp <= proposal.endTime, "Voting ended");
-        require(!proposal.receipts[msg.sender].hasVoted, "Already voted");
-        require(!blacklisted[msg.sender], "Address is blacklisted");
-        
-        uint256 votes = balanceOf(msg.sender).add(stakers[msg.sender].stakedAmount);
-        require(votes > 0, "No voting power");
-        
-        proposal.receipts[msg.sender] = Receipt({
-            hasVoted: true,
-            support: support,
-            votes: votes
-        });
-        
-        if (support) {
-            proposal.forVotes = proposal.forVotes.add(votes);
-        } else {
-            proposal.againstVotes = proposal.againstVotes.add(votes);
-        }
-        
-        emit Voted(proposalId, msg.sender, support, votes);
+    function decreaseVestingVotes(address account, uint256 amount) external {
+        require(msg.sender == vestingContract, "Only vesting contract");
+        vestingVotingUnits[account] = vestingVotingUnits[account].sub(amount);
+        _moveVotingPower(delegates(account), address(0), amount);
+        emit VestingVotesUpdated(account, vestingVotingUnits[account]);
     }
     
+    // ================ STAKING FUNCTIONS ================
+    
     /**
-     * @dev Execute a proposal
-     * @param proposalId ID of the proposal to execute
+     * @dev Count staked principal and lock boosts toward a staker's voting power
+     * @param account Staker
+     * @param amount Voting units to add
      */
-    function executeProposal(uint256 proposalId) external onlyRole(GOVERNANCE_ROLE) {
-        Proposal storage proposal = proposals[proposalId];
-        require(block.timestamp > proposal.endTime, "Voting not ended");
-        require(!proposal.executed, "Already executed");
-        require(!proposal.canceled, "Proposal canceled");
-        require(proposal.forVotes > proposal.againstVotes, "Proposal not passed");
-        
-        proposal.executed = true;
-        
-        emit ProposalExecuted(proposalId);
+    function increaseStakedVotes(address account, uint256 amount) external {
+        require(msg.sender == stakingContract, "Only staking contract");
+        stakedVotingUnits[account] = stakedVotingUnits[account].add(amount);
+        _moveVotingPower(address(0), delegates(account), amount);
+        emit StakedVotesUpdated(account, stakedVotingUnits[account]);
     }
     
     /**
-     * @dev Cancel a proposal
-     * @param proposalId ID of the proposal to cancel
+     * @dev Stop counting unstaked principal and lock boosts toward a staker's voting power
+     * @param account Staker
+     * @param amount Voting units to remove
      */
-    function cancelProposal(uint256 proposalId) external onlyRole(GOVERNANCE_ROLE) {
-        Proposal storage proposal = proposals[proposalId];
-        require(!proposal.executed, "Already executed");
-        require(!proposal.canceled, "Already canceled");
-        
-        proposal.canceled = true;
-        
-        emit ProposalCanceled(proposalId);
+    function decreaseStakedVotes(address account, uint256 amount) external {
+        require(msg.sender == stakingContract, "Only staking contract");
+        stakedVotingUnits[account] = stakedVotingUnits[account].sub(amount);
+        _moveVotingPower(delegates(account), address(0), amount);
+        emit StakedVotesUpdated(account, stakedVotingUnits[account]);
     }
     
-    // ================ ADMIN FUNCTIONS ================
-    
     /**
-     * @dev Update staking reward rate
-     * @param newRate New reward rate (APY percentage)
+     * @dev Mint staking rewards within the supply left after the cap and the second distribution
+     * @param to Reward recipient
+     * @param amount Reward amount requested
+     * @return minted Amount actually minted
      */
-    function updateStakingRewardRate(uint256 newRate) external onlyRole(DEFAULT_ADMIN_ROLE) {
-        require(newRate <= 50, "Rate too high"); // Max 50% APY
-        stakingRewardRate = newRate;
-        // Recalculate reward rate per second
-        rewardRate = newRate * 1e18 / (365 days * 100);
-        emit StakingRewardRateUpdated(newRate);
+    function mintRewards(address to, uint256 amount) external returns (uint256 minted) {
+        require(msg.sender == stakingContract, "Only staking contract");
+        uint256 mintable = mintableRewardSupply();
+        minted = amount > mintable ? mintable : amount;
+        if (minted > 0) {
+            _mint(to, minted);
+        }
     }
     
+    // ================ ADMIN FUNCTIONS ================
+    
     /**
      * @dev Update transfer fee
      * @param newFee New transfer fee in basis points
      */
-    function updateTransferFee(uint256 newFee) external onlyRole(DEFAULT_ADMIN_ROLE) {
-        require(newFee <= 100, "Fee too high"); // Max 1%
+    function updateTransferFee(uint256 newFee) external onlyGovernance {
+        require(newFee <= MAX_TRANSFER_FEE, "Fee too high"); // Max 1%
         transferFee = newFee;
         emit TransferFeeUpdated(newFee);
     }
     
     /**
-     * @dev Update staking fee
-     * @param newFee New staking fee in basis points
+     * @dev Update how transfer fees are split between treasury, staking rewards and burn
+     * @param treasuryShare Share sent to feeCollector in basis points
+     * @param stakingShare Share added to the staking reward reserve in basis points
+     * @param burnShare Share burned in basis points
+     */
+    function updateFeeSplit(uint256 treasuryShare, uint256 stakingShare, uint256 burnShare) external onlyGovernance {
+        require(treasuryShare.add(stakingShare).add(burnShare) == FEE_DENOMINATOR, "Shares must sum to 100%");
+        feeTreasuryShare = treasuryShare;
+        feeStakingShare = stakingShare;
+        feeBurnShare = burnShare;
+        emit FeeSplitUpdated(treasuryShare, stakingShare, burnShare);
+    }
+    
+    /**
+     * @dev Exempt or un-exempt an address from transfer fees (e.g. LoraRWA, treasury)
+     * @param account Address to update
+     * @param exempt True to exempt from transfer fees
      */
-    function updateStakingFee(uint256 newFee) external onlyRole(DEFAULT_ADMIN_ROLE) {
-        require(newFee <= 50, "Fee too high"); // Max 0.5%
-        stakingFee = newFee;
-        emit StakingFeeUpdated(newFee);
+    function setFeeExempt(address account, bool exempt) external onlyAdminOrGovernance {
+        require(account != address(0), "Invalid account");
+        feeExempt[account] = exempt;
+        emit FeeExemptionUpdated(account, exempt);
+    }
+    
+    /**
+     * @dev Set a transfer fee override applied to transfers with a counterparty (e.g. a DEX pair)
+     * @param account Counterparty address
+     * @param fee Fee in basis points used instead of transferFee
+     * @param enabled True to apply the override, false to remove it
+     */
+    function setFeeOverride(address account, uint256 fee, bool enabled) external onlyAdminOrGovernance {
+        require(account != address(0), "Invalid account");
+        require(fee <= MAX_TRANSFER_FEE, "Fee too high");
+        feeOverrides[account] = FeeOverride({enabled: enabled, fee: enabled ? fee : 0});
+        emit FeeOverrideUpdated(account, fee, enabled);
     }
     
     /**
@@ -396,13 +410,70 @@ contract LoraToken is ERC20, ERC20Burnable, ERC20Pausable, AccessControl, Reentr
     /**
      * @dev Check if second distribution can be executed
      */
-    function canExecuteSecondDistribution() external view returns (bool) {
+    function canExecuteSecondDistribution() public view returns (bool) {
         if (secondDistributionExecuted) return false;
         
         uint256 remainingSupply = TOTAL_SUPPLY.sub(totalSupply());
         return remainingSupply <= REMAINING_THRESHOLD;
     }
     
+    /**
+     * @dev Set the vesting contract used for second distribution grants (once, before it holds tokens)
+     * @param newVestingContract Vesting contract address
+     */
+    function setVestingContract(address newVestingContract) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(vestingContract == address(0), "Vesting contract already set");
+        require(newVestingContract != address(0), "Invalid vesting contract");
+        require(balanceOf(newVestingContract) == 0, "Vesting contract holds tokens");
+        
+        vestingContract = newVestingContract;
+        feeExempt[newVestingContract] = true;
+        
+        emit VestingContractSet(newVestingContract);
+        emit FeeExemptionUpdated(newVestingContract, true);
+    }
+    
+    /**
+     * @dev Set the staking contract (once, before it holds tokens)
+     * @param newStakingContract LoraStaking address
+     */
+    function setStakingContract(address newStakingContract) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(stakingContract == address(0), "Staking contract already set");
+        require(newStakingContract != address(0), "Invalid staking contract");
+        require(balanceOf(newStakingContract) == 0, "Staking contract holds tokens");
+        
+        stakingContract = newStakingContract;
+        feeExempt[newStakingContract] = true;
+        
+        emit StakingContractSet(newStakingContract);
+        emit FeeExemptionUpdated(newStakingContract, true);
+    }
+    
+    /**
+     * @dev Set the governor; the admin sets the first one, after which only governance can replace it
+     * @param newGovernor LoraGovernor address
+     */
+    function setGovernor(address newGovernor) external {
+        if (governor == address(0)) {
+            require(hasRole(DEFAULT_ADMIN_ROLE, msg.sender), "Only admin");
+        } else {
+            require(msg.sender == governor, "Only governance");
+        }
+        require(newGovernor != address(0), "Invalid governor");
+        
+        governor = newGovernor;
+        emit GovernorUpdated(newGovernor);
+    }
+    
+    /**
+     * @dev Set the trusted forwarder that may relay meta-transactions
+     * @param newForwarder Forwarder address (zero address disables meta-transactions)
+     */
+    function updateTrustedForwarder(address newForwarder) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        trustedForwarder = newForwarder;
+        emit TrustedForwarderUpdated(newForwarder);
+    }
+    
     /**
      * @dev Update fee collector address
      * @param newFeeCollector New fee collector address
@@ -413,6 +484,34 @@ contract LoraToken is ERC20, ERC20Burnable, ERC20Pausable, AccessControl, Reentr
         emit FeeCollectorUpdated(newFeeCollector);
     }
     
+    /**
+     * @dev Update the validation settings of the price feed
+     * @param fallbackFeed Feed used when the primary is unhealthy (zero to disable)
+     * @param maxStaleness Maximum answer age in seconds (zero for the default)
+     * @param minPrice Lowest accepted price, 18 decimals (zero for no bound)
+     * @param maxPrice Highest accepted price, 18 decimals (zero for no bound)
+     * @param maxDeviation Maximum primary/fallback divergence in basis points (zero to skip)
+     */
+    function updateOracleConfig(
+        address fallbackFeed,
+        uint256 maxStaleness,
+        uint256 minPrice,
+        uint256 maxPrice,
+        uint256 maxDeviation
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(maxPrice == 0 || maxPrice >= minPrice, "Invalid price bounds");
+        
+        oracleConfig = LoraOracle.Config({
+            fallbackFeed: AggregatorV3Interface(fallbackFeed),
+            maxStaleness: maxStaleness,
+            minPrice: minPrice,
+            maxPrice: maxPrice,
+            maxDeviation: maxDeviation
+        });
+        
+        emit OracleConfigUpdated(fallbackFeed, maxStaleness, minPrice, maxPrice, maxDeviation);
+    }
+    
     // ================ OVERRIDE FUNCTIONS ================
     
     /**
@@ -424,22 +523,63 @@ contract LoraToken is ERC20, ERC20Burnable, ERC20Pausable, AccessControl, Reentr
         require(!blacklisted[from], "Sender is blacklisted");
         require(!blacklisted[to], "Recipient is blacklisted");
         
-        if (from != address(this) && to != address(this)) {
-            uint256 fee = amount.mul(transferFee).div(FEE_DENOMINATOR);
-            uint256 transferAmount = amount.sub(fee);
-            
-            super._transfer(from, to, transferAmount);
-            if (fee > 0) {
-                super._transfer(from, feeCollector, fee);
-            }
-        } else {
-            super._transfer(from, to, amount);
+        uint256 fee = amount.mul(getTransferFee(from, to)).div(FEE_DENOMINATOR);
+        super._transfer(from, to, amount.sub(fee));
+        if (fee > 0) {
+            _distributeFee(from, to, fee);
         }
         
         lastTransferTime[from] = block.timestamp;
         lastTransferTime[to] = block.timestamp;
     }
     
+    /**
+     * @dev Resolve the original sender of calls relayed by the trusted forwarder (ERC-2771)
+     */
+    function _msgSender() internal view virtual override returns (address) {
+        return LoraERC2771.msgSender(trustedForwarder);
+    }
+    
+    /**
+     * @dev Strip the appended sender from calls relayed by the trusted forwarder (ERC-2771)
+     */
+    function _msgData() internal view virtual override returns (bytes calldata) {
+        return LoraERC2771.msgData(trustedForwarder);
+    }
+    
+    /**
+     * @dev Split a transfer fee between treasury, staking reward reserve and burn
+     * @param from Address paying the fee
+     * @param to Recipient of the transfer that incurred the fee
+     * @param fee Total fee amount
+     */
+    function _distributeFee(address from, address to, uint256 fee) internal {
+        uint256 stakingAmount = stakingContract == address(0) ? 0 : fee.mul(feeStakingShare).div(FEE_DENOMINATOR);
+        uint256 burnAmount = fee.mul(feeBurnShare).div(FEE_DENOMINATOR);
+        uint256 treasuryAmount = fee.sub(stakingAmount).sub(burnAmount);
+        
+        if (treasuryAmount > 0) {
+            super._transfer(from, feeCollector, treasuryAmount);
+        }
+        if (stakingAmount > 0) {
+            super._transfer(from, stakingContract, stakingAmount);
+            ILoraStaking(stakingContract).addFeeReward(stakingAmount);
+        }
+        if (burnAmount > 0) {
+            _burn(from, burnAmount);
+        }
+        
+        emit TransferFeeCollected(from, to, fee, treasuryAmount, stakingAmount, burnAmount);
+    }
+    
+    /**
+     * @dev Move delegated voting power along with token balances
+     */
+    function _afterTokenTransfer(address from, address to, uint256 amount) internal virtual override {
+        super._afterTokenTransfer(from, to, amount);
+        _moveVotingPower(delegates(from), delegates(to), amount);
+    }
+    
     /**
      * @dev Override _beforeTokenTransfer for pausable functionality
      */
@@ -464,89 +604,228 @@ contract LoraToken is ERC20, ERC20Burnable, ERC20Pausable, AccessControl, Reentr
     // ================ INTERNAL FUNCTIONS ================
     
     /**
-     * @dev Update reward for a staker
-     * @param staker Address of the staker
+     * @dev Change the delegate of an account and move its voting units
+     * @param delegator Account whose voting power is delegated
+     * @param delegatee New delegate
+     */
+    function _delegate(address delegator, address delegatee) internal {
+        require(delegator != address(this), "Cannot delegate contract balance");
+        require(delegatee != address(0), "Invalid delegatee");
+        
+        address currentDelegate = delegates(delegator);
+        _delegates[delegator] = delegatee;
+        
+        emit DelegateChanged(delegator, currentDelegate, delegatee);
+        _moveVotingPower(currentDelegate, delegatee, _getVotingUnits(delegator));
+    }
+    
+    /**
+     * @dev Move voting power between delegates and write checkpoints
+     * @param src Delegate losing voting power (zero address to skip)
+     * @param dst Delegate gaining voting power (zero address to skip)
+     * @param amount Amount of voting power moved
      */
-    function _updateReward(address staker) internal {
-        if (totalStaked > 0) {
-            uint256 timeElapsed = block.timestamp.sub(lastRewardTime);
-            uint256 newRewards = timeElapsed.mul(rewardRate).mul(totalStaked).div(1e18);
-            rewardPerTokenStored = rewardPerTokenStored.add(newRewards.mul(1e18).div(totalStaked));
+    function _moveVotingPower(address src, address dst, uint256 amount) internal {
+        if (src == dst || amount == 0) return;
+        
+        // Voting units entering or leaving circulation change the total voting supply
+        if (src == address(0)) {
+            _writeCheckpoint(_totalSupplyCheckpoints, _add, amount);
+        } else if (dst == address(0)) {
+            _writeCheckpoint(_totalSupplyCheckpoints, _subtract, amount);
         }
         
-        lastRewardTime = block.timestamp;
+        if (src != address(0)) {
+            (uint256 oldWeight, uint256 newWeight) = _writeCheckpoint(_checkpoints[src], _subtract, amount);
+            emit DelegateVotesChanged(src, oldWeight, newWeight);
+        }
         
-        StakerInfo storage stakerInfo = stakers[staker];
-        if (stakerInfo.stakedAmount > 0) {
-            stakerInfo.rewardDebt = stakerInfo.stakedAmount.mul(rewardPerTokenStored).div(1e18);
+        if (dst != address(0)) {
+            (uint256 oldWeight, uint256 newWeight) = _writeCheckpoint(_checkpoints[dst], _add, amount);
+            emit DelegateVotesChanged(dst, oldWeight, newWeight);
+        }
+    }
+    
+    /**
+     * @dev Record a new voting power value in a checkpoint list at the current block
+     */
+    function _writeCheckpoint(
+        Checkpoint[] storage ckpts,
+        function(uint256, uint256) view returns (uint256) op,
+        uint256 delta
+    ) private returns (uint256 oldWeight, uint256 newWeight) {
+        uint256 pos = ckpts.length;
+        
+        oldWeight = pos == 0 ? 0 : ckpts[pos - 1].votes;
+        newWeight = op(oldWeight, delta);
+        
+        if (pos > 0 && ckpts[pos - 1].fromBlock == block.number) {
+            ckpts[pos - 1].votes = SafeCast.toUint224(newWeight);
+        } else {
+            ckpts.push(Checkpoint({
+                fromBlock: SafeCast.toUint32(block.number),
+                votes: SafeCast.toUint224(newWeight)
+            }));
+        }
+    }
+    
+    /**
+     * @dev Look up the voting power recorded in a checkpoint list at a given block
+     */
+    function _checkpointsLookup(Checkpoint[] storage ckpts, uint256 blockNumber) private view returns (uint256) {
+        uint256 low = 0;
+        uint256 high = ckpts.length;
+        
+        while (low < high) {
+            uint256 mid = (low + high) / 2;
+            if (ckpts[mid].fromBlock > blockNumber) {
+                high = mid;
+            } else {
+                low = mid + 1;
+            }
         }
+        
+        return high == 0 ? 0 : ckpts[high - 1].votes;
+    }
+    
+    /**
+     * @dev Consume and return the current nonce of an account
+     */
+    function _useNonce(address owner) internal returns (uint256 current) {
+        current = _nonces[owner];
+        _nonces[owner] = current + 1;
+    }
+    
+    /**
+     * @dev Voting units held by an account: wallet balance plus staked balance
+     */
+    function _getVotingUnits(address account) internal view returns (uint256) {
+        return balanceOf(account).add(stakedVotingUnits[account]).add(vestingVotingUnits[account]);
+    }
+    
+    function _add(uint256 a, uint256 b) private pure returns (uint256) {
+        return a + b;
+    }
+    
+    function _subtract(uint256 a, uint256 b) private pure returns (uint256) {
+        return a - b;
     }
     
     // ================ VIEW FUNCTIONS ================
     
     /**
-     * @dev Get current ETH price in USD
+     * @dev Get the delegate of an account (accounts delegate to themselves by default)
+     * @param account Account address
+     */
+    function delegates(address account) public view returns (address) {
+        if (
+            account == address(0) ||
+            account == address(this) ||
+            account == vestingContract ||
+            account == stakingContract
+        ) return address(0);
+        address current = _delegates[account];
+        return current == address(0) ? account : current;
+    }
+    
+    /**
+     * @dev Get the current voting power of an account
+     * @param account Account address
+     */
+    function getVotes(address account) external view returns (uint256) {
+        Checkpoint[] storage ckpts = _checkpoints[account];
+        return ckpts.length == 0 ? 0 : ckpts[ckpts.length - 1].votes;
+    }
+    
+    /**
+     * @dev Get the voting power of an account at a past block
+     * @param account Account address
+     * @param blockNumber Block number to query (must be already mined)
+     */
+    function getPastVotes(address account, uint256 blockNumber) public view returns (uint256) {
+        require(blockNumber < block.number, "Block not yet mined");
+        return _checkpointsLookup(_checkpoints[account], blockNumber);
+    }
+    
+    /**
+     * @dev Get the circulating plus staked supply at a past block
+     * @param blockNumber Block number to query (must be already mined)
+     */
+    function getPastTotalVotingSupply(uint256 blockNumber) public view returns (uint256) {
+        require(blockNumber < block.number, "Block not yet mined");
+        return _checkpointsLookup(_totalSupplyCheckpoints, blockNumber);
+    }
+    
+    /**
+     * @dev Get the number of voting checkpoints of an account
+     * @param account Account address
+     */
+    function numCheckpoints(address account) external view returns (uint256) {
+        return _checkpoints[account].length;
+    }
+    
+    /**
+     * @dev Get the current signature nonce of an account
+     * @param owner Account address
+     */
+    function nonces(address owner) public view returns (uint256) {
+        return _nonces[owner];
+    }
+    
+    /**
+     * @dev Get the EIP-712 domain separator
+     */
+    // solhint-disable-next-line func-name-mixedcase
+    function DOMAIN_SEPARATOR() external view returns (bytes32) {
+        return _domainSeparatorV4();
+    }
+    
+    
+    /**
+     * @dev Get current ETH price in USD, validated and normalized to 18 decimals
      */
     function getEthPrice() external view returns (uint256) {
-        (, int256 price,,,) = priceFeed.latestRoundData();
-        return uint256(price);
+        return LoraOracle.requirePrice(priceFeed, oracleConfig);
     }
     
     /**
-     * @dev Get staker information
-     * @param staker Address of the staker
+     * @dev Check whether the price feed (or its fallback) currently returns a valid price
      */
-    function getStakerInfo(address staker) external view returns (
-        uint256 stakedAmount,
-        uint256 rewardDebt,
-        uint256 lastClaimTime,
-        bool isStaking
-    ) {
-        StakerInfo storage stakerInfo = stakers[staker];
-        return (
-            stakerInfo.stakedAmount,
-            stakerInfo.rewardDebt,
-            stakerInfo.lastClaimTime,
-            stakerInfo.isStaking
-        );
+    function isOracleHealthy() external view returns (bool healthy) {
+        (healthy, ) = LoraOracle.getPrice(priceFeed, oracleConfig);
     }
     
     /**
-     * @dev Get proposal information
-     * @param proposalId ID of the proposal
+     * @dev Check whether an address is the trusted meta-transaction forwarder
+     * @param forwarder Address to check
      */
-    function getProposal(uint256 proposalId) external view returns (
-        uint256 id,
-        address proposer,
-        string memory description,
-        uint256 forVotes,
-        uint256 againstVotes,
-        uint256 startTime,
-        uint256 endTime,
-        bool executed,
-        bool canceled
-    ) {
-        Proposal storage proposal = proposals[proposalId];
-        return (
-            proposal.id,
-            proposal.proposer,
-            proposal.description,
-            proposal.forVotes,
-            proposal.againstVotes,
-            proposal.startTime,
-            proposal.endTime,
-            proposal.executed,
-            proposal.canceled
-        );
+    function isTrustedForwarder(address forwarder) public view returns (bool) {
+        return forwarder != address(0) && forwarder == trustedForwarder;
     }
     
     /**
-     * @dev Check if an address has voted on a proposal
-     * @param proposalId ID of the proposal
-     * @param voter Address of the voter
+     * @dev Get the transfer fee in basis points applied between two addresses
+     * @param from Sender address
+     * @param to Recipient address
+     */
+    function getTransferFee(address from, address to) public view returns (uint256) {
+        if (from == address(this) || to == address(this)) return 0;
+        if (feeExempt[from] || feeExempt[to]) return 0;
+        if (feeOverrides[to].enabled) return feeOverrides[to].fee;
+        if (feeOverrides[from].enabled) return feeOverrides[from].fee;
+        return transferFee;
+    }
+    
+    /**
+     * @dev Get the supply that can still be minted as rewards without touching the
+     * 21M cap or the unexecuted second distribution
      */
-    function hasVoted(uint256 proposalId, address voter) external view returns (bool) {
-        return proposals[proposalId].receipts[voter].hasVoted;
+    function mintableRewardSupply() public view returns (uint256) {
+        uint256 reserved = totalSupply();
+        if (!secondDistributionExecuted) {
+            reserved = reserved.add(SECOND_DISTRIBUTION);
+        }
+        return reserved >= TOTAL_SUPPLY ? 0 : TOTAL_SUPPLY.sub(reserved);
     }
     
     /**
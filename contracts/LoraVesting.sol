@@ -0,0 +1,306 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.19;
+
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/math/SafeMath.sol";
+import "./LoraToken.sol";
+
+/**
+ * @title LoraVesting
+ * @dev Cliff plus linear vesting for LORA second distribution grants
+ * @author Lora Finance
+ */
+contract LoraVesting is AccessControl, ReentrancyGuard {
+    using SafeMath for uint256;
+
+    // ================ ROLES ================
+    bytes32 public constant GRANT_MANAGER_ROLE = keccak256("GRANT_MANAGER_ROLE");
+
+    // ================ STATE VARIABLES ================
+
+    // Vesting grant
+    struct Grant {
+        address beneficiary;
+        uint256 totalAmount; // Total tokens granted (reduced to the vested amount on revocation)
+        uint256 released; // Tokens already released to the beneficiary
+        uint256 start; // Vesting start timestamp
+        uint256 cliff; // Timestamp before which nothing vests
+        uint256 duration; // Total vesting duration from start
+        bool revocable;
+        bool revoked;
+        bool countVotes; // Count vested-but-unreleased tokens as voting power
+        uint256 countedVotes; // Voting units currently counted in LoraToken
+    }
+
+    LoraToken public loraToken;
+    address public treasury; // Receives unvested tokens of revoked grants
+    uint256 public totalAllocated; // Granted tokens not yet released or returned
+
+    Grant[] private _grants;
+    mapping(address => uint256[]) private _beneficiaryGrants;
+
+    // ================ EVENTS ================
+
+    event GrantCreated(
+        uint256 indexed grantId,
+        address indexed beneficiary,
+        uint256 amount,
+        uint256 start,
+        uint256 cliff,
+        uint256 duration,
+        bool revocable
+    );
+    event TokensReleased(uint256 indexed grantId, address indexed beneficiary, uint256 amount);
+    event GrantRevoked(uint256 indexed grantId, address indexed beneficiary, uint256 returnedAmount);
+    event TreasuryUpdated(address newTreasury);
+
+    // ================ CONSTRUCTOR ================
+    constructor(address admin, address _loraToken, address _treasury) {
+        require(admin != address(0), "Invalid admin address");
+        require(_loraToken != address(0), "Invalid LORA token address");
+        require(_treasury != address(0), "Invalid treasury address");
+
+        _grantRole(DEFAULT_ADMIN_ROLE, admin);
+        _grantRole(GRANT_MANAGER_ROLE, admin);
+
+        loraToken = LoraToken(_loraToken);
+        treasury = _treasury;
+    }
+
+    // ================ GRANT MANAGEMENT ================
+
+    /**
+     * @dev Create a vesting grant from the distributed tokens held by this contract
+     * @param beneficiary Grant beneficiary
+     * @param amount Amount of tokens granted
+     * @param start Vesting start timestamp
+     * @param cliffDuration Seconds after start before anything vests
+     * @param duration Total vesting duration in seconds
+     * @param revocable Whether the grant can be revoked
+     * @param countVotes Whether vested-but-unreleased tokens count as voting power
+     */
+    function createGrant(
+        address beneficiary,
+        uint256 amount,
+        uint256 start,
+        uint256 cliffDuration,
+        uint256 duration,
+        bool revocable,
+        bool countVotes
+    ) external onlyRole(GRANT_MANAGER_ROLE) returns (uint256) {
+        require(beneficiary != address(0), "Invalid beneficiary");
+        require(amount > 0, "Invalid amount");
+        require(duration > 0, "Invalid duration");
+        require(cliffDuration <= duration, "Cliff exceeds duration");
+        require(amount <= unallocatedBalance(), "Insufficient unallocated tokens");
+
+        uint256 grantId = _grants.length;
+        _grants.push(Grant({
+            beneficiary: beneficiary,
+            totalAmount: amount,
+            released: 0,
+            start: start,
+            cliff: start.add(cliffDuration),
+            duration: duration,
+            revocable: revocable,
+            revoked: false,
+            countVotes: countVotes,
+            countedVotes: 0
+        }));
+        _beneficiaryGrants[beneficiary].push(grantId);
+        totalAllocated = totalAllocated.add(amount);
+
+        emit GrantCreated(grantId, beneficiary, amount, start, start.add(cliffDuration), duration, revocable);
+        return grantId;
+    }
+
+    /**
+     * @dev Revoke a revocable grant; vested tokens go to the beneficiary, the rest to the treasury
+     * @param grantId Grant ID
+     */
+    function revoke(uint256 grantId) external onlyRole(GRANT_MANAGER_ROLE) nonReentrant {
+        Grant storage grant = _getGrant(grantId);
+        require(grant.revocable, "Grant not revocable");
+        require(!grant.revoked, "Grant already revoked");
+
+        uint256 vested = vestedAmount(grantId);
+        uint256 returned = grant.totalAmount.sub(vested);
+
+        _release(grantId);
+
+        grant.totalAmount = vested;
+        grant.revoked = true;
+        totalAllocated = totalAllocated.sub(returned);
+
+        if (returned > 0) {
+            require(loraToken.transfer(treasury, returned), "Treasury transfer failed");
+        }
+
+        emit GrantRevoked(grantId, grant.beneficiary, returned);
+    }
+
+    /**
+     * @dev Update the treasury receiving revoked tokens
+     * @param newTreasury New treasury address
+     */
+    function updateTreasury(address newTreasury) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(newTreasury != address(0), "Invalid treasury address");
+        treasury = newTreasury;
+        emit TreasuryUpdated(newTreasury);
+    }
+
+    // ================ BENEFICIARY FUNCTIONS ================
+
+    /**
+     * @dev Release vested tokens of a grant to its beneficiary
+     * @param grantId Grant ID
+     */
+    function release(uint256 grantId) external nonReentrant {
+        require(_getGrant(grantId).beneficiary == msg.sender, "Not beneficiary");
+        require(_release(grantId) > 0, "Nothing to release");
+    }
+
+    /**
+     * @dev Release vested tokens of every grant held by the caller
+     */
+    function release() external nonReentrant {
+        uint256[] storage grantIds = _beneficiaryGrants[msg.sender];
+        uint256 total = 0;
+        for (uint256 i = 0; i < grantIds.length; i++) {
+            total = total.add(_release(grantIds[i]));
+        }
+        require(total > 0, "Nothing to release");
+    }
+
+    /**
+     * @dev Bring the voting power counted for a grant in line with its vested-but-unreleased amount
+     * @param grantId Grant ID
+     */
+    function syncVotes(uint256 grantId) external {
+        _syncVotes(grantId);
+    }
+
+    // ================ INTERNAL FUNCTIONS ================
+
+    /**
+     * @dev Release the releasable amount of a grant
+     * @return amount Amount released
+     */
+    function _release(uint256 grantId) internal returns (uint256 amount) {
+        Grant storage grant = _grants[grantId];
+        amount = releasableAmount(grantId);
+        if (amount == 0) return 0;
+
+        grant.released = grant.released.add(amount);
+        totalAllocated = totalAllocated.sub(amount);
+        _syncVotes(grantId);
+
+        require(loraToken.transfer(grant.beneficiary, amount), "Release transfer failed");
+
+        emit TokensReleased(grantId, grant.beneficiary, amount);
+    }
+
+    /**
+     * @dev Update the voting units counted in LoraToken for a grant
+     */
+    function _syncVotes(uint256 grantId) internal {
+        Grant storage grant = _getGrant(grantId);
+        uint256 target = grant.countVotes && !grant.revoked ? releasableAmount(grantId) : 0;
+
+        if (target > grant.countedVotes) {
+            loraToken.increaseVestingVotes(grant.beneficiary, target.sub(grant.countedVotes));
+        } else if (target < grant.countedVotes) {
+            loraToken.decreaseVestingVotes(grant.beneficiary, grant.countedVotes.sub(target));
+        }
+        grant.countedVotes = target;
+    }
+
+    function _getGrant(uint256 grantId) internal view returns (Grant storage) {
+        require(grantId < _grants.length, "Grant does not exist");
+        return _grants[grantId];
+    }
+
+    // ================ VIEW FUNCTIONS ================
+
+    /**
+     * @dev Get the amount of a grant vested so far
+     * @param grantId Grant ID
+     */
+    function vestedAmount(uint256 grantId) public view returns (uint256) {
+        Grant storage grant = _getGrant(grantId);
+        if (grant.revoked) return grant.totalAmount;
+        if (block.timestamp < grant.cliff) return 0;
+        if (block.timestamp >= grant.start.add(grant.duration)) return grant.totalAmount;
+        return grant.totalAmount.mul(block.timestamp.sub(grant.start)).div(grant.duration);
+    }
+
+    /**
+     * @dev Get the vested amount of a grant not yet released
+     * @param grantId Grant ID
+     */
+    function releasableAmount(uint256 grantId) public view returns (uint256) {
+        return vestedAmount(grantId).sub(_grants[grantId].released);
+    }
+
+    /**
+     * @dev Get the amount of a grant still locked
+     * @param grantId Grant ID
+     */
+    function lockedAmount(uint256 grantId) public view returns (uint256) {
+        return _getGrant(grantId).totalAmount.sub(vestedAmount(grantId));
+    }
+
+    /**
+     * @dev Get distributed tokens held by this contract that are not assigned to a grant
+     */
+    function unallocatedBalance() public view returns (uint256) {
+        return loraToken.balanceOf(address(this)).sub(totalAllocated);
+    }
+
+    /**
+     * @dev Get grant information
+     * @param grantId Grant ID
+     */
+    function getGrant(uint256 grantId) external view returns (
+        Grant memory grant,
+        uint256 vested,
+        uint256 released,
+        uint256 locked
+    ) {
+        grant = _getGrant(grantId);
+        return (grant, vestedAmount(grantId), grant.released, lockedAmount(grantId));
+    }
+
+    /**
+     * @dev Get vested, released and locked totals across a beneficiary's grants
+     * @param beneficiary Beneficiary address
+     */
+    function getBeneficiarySummary(address beneficiary) external view returns (
+        uint256 vested,
+        uint256 released,
+        uint256 locked
+    ) {
+        uint256[] storage grantIds = _beneficiaryGrants[beneficiary];
+        for (uint256 i = 0; i < grantIds.length; i++) {
+            vested = vested.add(vestedAmount(grantIds[i]));
+            released = released.add(_grants[grantIds[i]].released);
+            locked = locked.add(lockedAmount(grantIds[i]));
+        }
+    }
+
+    /**
+     * @dev Get the grant IDs of a beneficiary
+     * @param beneficiary Beneficiary address
+     */
+    function getBeneficiaryGrants(address beneficiary) external view returns (uint256[] memory) {
+        return _beneficiaryGrants[beneficiary];
+    }
+
+    /**
+     * @dev Get the number of grants
+     */
+    function grantCount() external view returns (uint256) {
+        return _grants.length;
+    }
+}
@@ -0,0 +1,20 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @title ILoraCompliance
+ * @dev Pluggable transfer rules engine consulted by LoraRWA (in the style of ERC-3643 modular compliance)
+ * @author Lora Finance
+ */
+interface ILoraCompliance {
+    /**
+     * @dev Check a transfer, mint (from is zero) or burn (to is zero) against the engine's rules
+     * @return code LoraCompliance reason code (zero when allowed)
+     */
+    function canTransfer(address from, address to, uint256 assetId, uint256 amount) external view returns (uint8 code);
+
+    /**
+     * @dev Notify the engine of a completed transfer, mint or burn so it can update its state
+     */
+    function transferred(address from, address to, uint256 assetId, uint256 amount) external;
+}
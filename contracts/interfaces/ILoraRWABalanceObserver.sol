@@ -0,0 +1,15 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @title ILoraRWABalanceObserver
+ * @dev LoraRWA module notified of holder balance changes, e.g. to snapshot balances for yield or
+ * keep retirement votes within the voter's balance
+ * @author Lora Finance
+ */
+interface ILoraRWABalanceObserver {
+    /**
+     * @dev Notify the module of a holder's balance of an asset before and after a transfer, mint or burn
+     */
+    function balanceChanged(uint256 assetId, address holder, uint256 previousBalance, uint256 balance) external;
+}
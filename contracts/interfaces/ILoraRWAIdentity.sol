@@ -0,0 +1,37 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @title ILoraRWAIdentity
+ * @dev Investor registry LoraRWA consults to decide who may send and receive its tokens
+ * @author Lora Finance
+ */
+interface ILoraRWAIdentity {
+    /**
+     * @dev Get the parts of an investor's compliance record that transfer restrictions depend on
+     * @param account Investor address
+     */
+    function investorStatus(address account) external view returns (
+        bool isBlacklisted,
+        bool isWhitelisted,
+        uint256 kycExpiry,
+        uint256 maxHolding
+    );
+
+    /**
+     * @dev Check whether tokens can move between two addresses. Mints (purchases) have a zero
+     * sender and burns (sells) a zero recipient.
+     * @param from Sender
+     * @param to Recipient
+     * @param assetId Asset ID
+     * @param amount Amount of tokens
+     * @return LoraCompliance reason code (zero when allowed)
+     */
+    function canTransfer(address from, address to, uint256 assetId, uint256 amount) external view returns (uint8);
+
+    /**
+     * @dev Get the message for a canTransfer reason code
+     * @param code Reason code
+     */
+    function transferRestrictionMessage(uint8 code) external pure returns (string memory);
+}
@@ -0,0 +1,21 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @title ILoraRWAMarket
+ * @dev Trading state of the LoraRWA market module that transfer restrictions and the other modules
+ * depend on
+ * @author Lora Finance
+ */
+interface ILoraRWAMarket {
+    /**
+     * @dev Check whether holders are barred from transferring an asset's tokens between themselves
+     * @param assetId Asset ID
+     */
+    function transfersDisabled(uint256 assetId) external view returns (bool);
+
+    /**
+     * @dev Check whether the oracle circuit breaker has paused pricing-dependent functions
+     */
+    function pricingPaused() external view returns (bool);
+}
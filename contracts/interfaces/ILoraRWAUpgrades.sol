@@ -0,0 +1,16 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @title ILoraRWAUpgrades
+ * @dev Upgrade timelock LoraRWA consults before installing a new implementation
+ * @author Lora Finance
+ */
+interface ILoraRWAUpgrades {
+    /**
+     * @dev Consume the scheduled upgrade to an implementation, reverting unless it is the scheduled
+     * one, its delay has passed and its grace period has not
+     * @param newImplementation Implementation being installed
+     */
+    function authorizeUpgrade(address newImplementation) external;
+}
@@ -0,0 +1,14 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @title ILoraStaking
+ * @dev Staking contract notified by LoraToken of the transfer fee share it routes to staking rewards
+ * @author Lora Finance
+ */
+interface ILoraStaking {
+    /**
+     * @dev Add fee tokens already transferred to the staking contract to its reward reserve
+     */
+    function addFeeReward(uint256 amount) external;
+}
@@ -0,0 +1,49 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @title LoraCompliance
+ * @dev Transfer restriction reason codes shared by LoraRWA and its compliance rules engine,
+ * returned by canTransfer so integrators can explain a rejection before submitting
+ * @author Lora Finance
+ */
+library LoraCompliance {
+    uint8 internal constant TRANSFER_OK = 0;
+    uint8 internal constant INSUFFICIENT_BALANCE = 1;
+    uint8 internal constant SENDER_BLACKLISTED = 2;
+    uint8 internal constant RECIPIENT_BLACKLISTED = 3;
+    uint8 internal constant SENDER_NOT_WHITELISTED = 4;
+    uint8 internal constant RECIPIENT_NOT_WHITELISTED = 5;
+    uint8 internal constant SENDER_KYC_EXPIRED = 6;
+    uint8 internal constant RECIPIENT_KYC_EXPIRED = 7;
+    uint8 internal constant EXCEEDS_HOLDER_LIMIT = 8;
+    uint8 internal constant JURISDICTION_BLOCKED = 9;
+    uint8 internal constant JURISDICTION_NOT_ALLOWED = 10;
+    uint8 internal constant INVESTOR_LIMIT_REACHED = 11;
+    uint8 internal constant TOKENS_LOCKED = 12;
+    uint8 internal constant ASSET_FROZEN = 13;
+    uint8 internal constant TRANSFERS_DISABLED = 14;
+
+    /**
+     * @dev Get the revert message for a reason code
+     * @param code Reason code
+     */
+    function reason(uint8 code) internal pure returns (string memory) {
+        if (code == TRANSFER_OK) return "Transfer allowed";
+        if (code == INSUFFICIENT_BALANCE) return "Insufficient balance";
+        if (code == SENDER_BLACKLISTED) return "Sender blacklisted";
+        if (code == RECIPIENT_BLACKLISTED) return "Recipient blacklisted";
+        if (code == SENDER_NOT_WHITELISTED) return "Sender not whitelisted";
+        if (code == RECIPIENT_NOT_WHITELISTED) return "Recipient not whitelisted";
+        if (code == SENDER_KYC_EXPIRED) return "Sender KYC expired";
+        if (code == RECIPIENT_KYC_EXPIRED) return "Recipient KYC expired";
+        if (code == EXCEEDS_HOLDER_LIMIT) return "Exceeds holder limit";
+        if (code == JURISDICTION_BLOCKED) return "Jurisdiction blocked";
+        if (code == JURISDICTION_NOT_ALLOWED) return "Jurisdiction not allowed";
+        if (code == INVESTOR_LIMIT_REACHED) return "Investor limit reached";
+        if (code == TOKENS_LOCKED) return "Tokens locked";
+        if (code == ASSET_FROZEN) return "Asset frozen";
+        if (code == TRANSFERS_DISABLED) return "Transfers disabled";
+        return "Transfer restricted";
+    }
+}
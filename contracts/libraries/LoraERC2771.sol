@@ -0,0 +1,37 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @title LoraERC2771
+ * @dev Meta-transaction context shared by the Lora contracts (ERC-2771): a call relayed by the
+ * trusted forwarder carries the original sender in its last 20 bytes. The forwarder is kept by
+ * LoraToken and LoraRWA and can be replaced, which OpenZeppelin's ERC2771Context does not allow.
+ * @author Lora Finance
+ */
+library LoraERC2771 {
+    /**
+     * @dev Get the original sender of the current call
+     * @param forwarder Trusted forwarder (zero when meta-transactions are disabled)
+     */
+    function msgSender(address forwarder) internal view returns (address) {
+        if (_isForwarded(forwarder)) {
+            return address(bytes20(msg.data[msg.data.length - 20:]));
+        }
+        return msg.sender;
+    }
+
+    /**
+     * @dev Get the calldata of the current call without the sender appended by the forwarder
+     * @param forwarder Trusted forwarder (zero when meta-transactions are disabled)
+     */
+    function msgData(address forwarder) internal view returns (bytes calldata) {
+        if (_isForwarded(forwarder)) {
+            return msg.data[:msg.data.length - 20];
+        }
+        return msg.data;
+    }
+
+    function _isForwarded(address forwarder) private view returns (bool) {
+        return forwarder != address(0) && msg.sender == forwarder && msg.data.length >= 20;
+    }
+}
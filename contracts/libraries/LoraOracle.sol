@@ -0,0 +1,110 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@chainlink/contracts/src/v0.8/interfaces/AggregatorV3Interface.sol";
+
+/**
+ * @title LoraOracle
+ * @dev Validated Chainlink price reads shared by the LORA contracts: staleness, round completeness,
+ * price bounds, a fallback feed and primary/fallback deviation, normalized to 18 decimals
+ * @author Lora Finance
+ */
+library LoraOracle {
+    // Chainlink's longest common heartbeat (24 hours) plus a margin
+    uint256 internal constant DEFAULT_MAX_STALENESS = 25 hours;
+    uint256 internal constant DEVIATION_DENOMINATOR = 10000;
+
+    // Validation settings for a primary feed
+    struct Config {
+        AggregatorV3Interface fallbackFeed; // Used when the primary feed is unhealthy (zero to disable)
+        uint256 maxStaleness; // Maximum answer age in seconds (zero = DEFAULT_MAX_STALENESS)
+        uint256 minPrice; // Lowest accepted price, 18 decimals (zero = no lower bound)
+        uint256 maxPrice; // Highest accepted price, 18 decimals (zero = no upper bound)
+        uint256 maxDeviation; // Maximum primary/fallback divergence in basis points (zero = not checked)
+    }
+
+    /**
+     * @dev Read a price from a primary feed, falling back to the configured fallback feed
+     * @param primary Primary feed
+     * @param config Validation settings
+     * @return healthy Whether a valid price was found
+     * @return price Price with 18 decimals (zero when unhealthy)
+     */
+    function getPrice(AggregatorV3Interface primary, Config memory config) internal view returns (bool healthy, uint256 price) {
+        (bool primaryHealthy, uint256 primaryPrice) = readFeed(primary, config);
+        (bool fallbackHealthy, uint256 fallbackPrice) = readFeed(config.fallbackFeed, config);
+
+        // Two live feeds that disagree too much cannot both be trusted
+        if (primaryHealthy && fallbackHealthy && config.maxDeviation > 0) {
+            uint256 diff = primaryPrice > fallbackPrice ? primaryPrice - fallbackPrice : fallbackPrice - primaryPrice;
+            if (diff * DEVIATION_DENOMINATOR > fallbackPrice * config.maxDeviation) {
+                return (false, 0);
+            }
+        }
+
+        if (primaryHealthy) return (true, primaryPrice);
+        if (fallbackHealthy) return (true, fallbackPrice);
+        return (false, 0);
+    }
+
+    /**
+     * @dev Read a price, reverting if neither feed is healthy
+     * @param primary Primary feed
+     * @param config Validation settings
+     */
+    function requirePrice(AggregatorV3Interface primary, Config memory config) internal view returns (uint256 price) {
+        bool healthy;
+        (healthy, price) = getPrice(primary, config);
+        require(healthy, "Oracle unhealthy");
+    }
+
+    /**
+     * @dev Read and validate the latest answer of a single feed
+     * @param feed Price feed (zero address is reported as unhealthy)
+     * @param config Validation settings
+     * @return healthy Whether the answer passed every check
+     * @return price Price with 18 decimals (zero when unhealthy)
+     */
+    function readFeed(AggregatorV3Interface feed, Config memory config) internal view returns (bool healthy, uint256 price) {
+        if (address(feed) == address(0)) return (false, 0);
+
+        uint8 feedDecimals;
+        try feed.decimals() returns (uint8 value) {
+            feedDecimals = value;
+        } catch {
+            return (false, 0);
+        }
+
+        try feed.latestRoundData() returns (
+            uint80 roundId,
+            int256 answer,
+            uint256,
+            uint256 updatedAt,
+            uint80 answeredInRound
+        ) {
+            if (answer <= 0 || updatedAt == 0 || updatedAt > block.timestamp) return (false, 0);
+            if (answeredInRound < roundId) return (false, 0);
+
+            uint256 maxStaleness = config.maxStaleness == 0 ? DEFAULT_MAX_STALENESS : config.maxStaleness;
+            if (block.timestamp - updatedAt > maxStaleness) return (false, 0);
+
+            price = normalize(uint256(answer), feedDecimals);
+            if (config.minPrice > 0 && price < config.minPrice) return (false, 0);
+            if (config.maxPrice > 0 && price > config.maxPrice) return (false, 0);
+
+            return (true, price);
+        } catch {
+            return (false, 0);
+        }
+    }
+
+    /**
+     * @dev Scale a feed answer to 18 decimals
+     * @param answer Raw answer
+     * @param feedDecimals Decimals of the answer
+     */
+    function normalize(uint256 answer, uint8 feedDecimals) internal pure returns (uint256) {
+        if (feedDecimals <= 18) return answer * 10**(18 - feedDecimals);
+        return answer / 10**(feedDecimals - 18);
+    }
+}
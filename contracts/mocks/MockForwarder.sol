@@ -0,0 +1,29 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.19;
+
+/**
+ * @title MockForwarder
+ * @dev Minimal ERC-2771 forwarder for local testing of meta-transactions
+ * @author Lora Finance
+ */
+contract MockForwarder {
+    event Forwarded(address indexed from, address indexed target, bool success);
+
+    /**
+     * @dev Relay a call on behalf of a user by appending the user address to the calldata
+     * @param from Original sender
+     * @param target Contract to call
+     * @param data Encoded function call
+     */
+    function execute(address from, address target, bytes calldata data) external returns (bytes memory) {
+        (bool success, bytes memory returndata) = target.call(abi.encodePacked(data, from));
+        if (!success) {
+            // solhint-disable-next-line no-inline-assembly
+            assembly {
+                revert(add(32, returndata), mload(returndata))
+            }
+        }
+        emit Forwarded(from, target, success);
+        return returndata;
+    }
+}
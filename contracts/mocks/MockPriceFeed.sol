@@ -1,38 +1,46 @@
 // SPDX-License-Identifier: MIT
-pragma solidity 0.8.30;
+pragma solidity 0.8.19;
 
 import "@chainlink/contracts/src/v0.8/interfaces/AggregatorV3Interface.sol";
 
 /**
  * @title MockPriceFeed
- * @dev Mock price feed for local testing
+ * @dev Mock price feed for local testing, keeping a history of rounds with timestamps
  * @author Lora Finance
  */
 contract MockPriceFeed is AggregatorV3Interface {
-    int256 private _price;
+    struct RoundData {
+        int256 answer;
+        uint256 startedAt;
+        uint256 updatedAt;
+        uint80 answeredInRound;
+    }
+
     uint8 private _decimals;
     string private _description;
     uint256 private _version;
-    
+    uint80 private _latestRound;
+    mapping(uint80 => RoundData) private _rounds;
+
     constructor() {
-        _price = 2000 * 10**8; // $2000 USD (8 decimals)
         _decimals = 8;
         _description = "ETH / USD";
         _version = 1;
+        _addRound(2000 * 10**8, block.timestamp, block.timestamp); // $2000 USD (8 decimals)
     }
-    
+
     function decimals() external view override returns (uint8) {
         return _decimals;
     }
-    
+
     function description() external view override returns (string memory) {
         return _description;
     }
-    
+
     function version() external view override returns (uint256) {
         return _version;
     }
-    
+
     function getRoundData(uint80 _roundId) external view override returns (
         uint80 roundId,
         int256 answer,
@@ -40,9 +48,11 @@ contract MockPriceFeed is AggregatorV3Interface {
         uint256 updatedAt,
         uint80 answeredInRound
     ) {
-        return (_roundId, _price, block.timestamp, block.timestamp, _roundId);
+        require(_roundId > 0 && _roundId <= _latestRound, "No data present");
+        RoundData storage round = _rounds[_roundId];
+        return (_roundId, round.answer, round.startedAt, round.updatedAt, round.answeredInRound);
     }
-    
+
     function latestRoundData() external view override returns (
         uint80 roundId,
         int256 answer,
@@ -50,21 +60,67 @@ contract MockPriceFeed is AggregatorV3Interface {
         uint256 updatedAt,
         uint80 answeredInRound
     ) {
-        return (1, _price, block.timestamp, block.timestamp, 1);
+        RoundData storage round = _rounds[_latestRound];
+        return (_latestRound, round.answer, round.startedAt, round.updatedAt, round.answeredInRound);
     }
-    
+
     /**
-     * @dev Set mock price (for testing)
-     * @param newPrice New price in USD (8 decimals)
+     * @dev Set mock price in a new round updated now (for testing)
+     * @param newPrice New price in USD (feed decimals)
      */
     function setPrice(int256 newPrice) external {
-        _price = newPrice;
+        _addRound(newPrice, block.timestamp, block.timestamp);
+    }
+
+    /**
+     * @dev Add a round with explicit timestamps, e.g. to simulate a stale feed (for testing)
+     * @param answer Round answer
+     * @param startedAt Round start timestamp
+     * @param updatedAt Round update timestamp
+     */
+    function setRoundData(int256 answer, uint256 startedAt, uint256 updatedAt) external {
+        _addRound(answer, startedAt, updatedAt);
+    }
+
+    /**
+     * @dev Add a round answered in an earlier round, i.e. an incomplete round (for testing)
+     * @param answer Round answer
+     * @param answeredInRound Round the answer was computed in
+     */
+    function setIncompleteRound(int256 answer, uint80 answeredInRound) external {
+        _addRound(answer, block.timestamp, block.timestamp);
+        _rounds[_latestRound].answeredInRound = answeredInRound;
+    }
+
+    /**
+     * @dev Set the answer decimals (for testing)
+     * @param newDecimals New decimals
+     */
+    function setDecimals(uint8 newDecimals) external {
+        _decimals = newDecimals;
     }
-    
+
     /**
      * @dev Get current mock price
      */
     function getPrice() external view returns (int256) {
-        return _price;
+        return _rounds[_latestRound].answer;
+    }
+
+    /**
+     * @dev Get the latest round ID
+     */
+    function latestRound() external view returns (uint80) {
+        return _latestRound;
+    }
+
+    function _addRound(int256 answer, uint256 startedAt, uint256 updatedAt) private {
+        _latestRound += 1;
+        _rounds[_latestRound] = RoundData({
+            answer: answer,
+            startedAt: startedAt,
+            updatedAt: updatedAt,
+            answeredInRound: _latestRound
+        });
     }
-} 
\ No newline at end of file
+}
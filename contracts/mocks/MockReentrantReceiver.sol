@@ -0,0 +1,66 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.19;
+
+import "@openzeppelin/contracts/token/ERC1155/IERC1155.sol";
+import "@openzeppelin/contracts/token/ERC1155/IERC1155Receiver.sol";
+
+/**
+ * @title MockReentrantReceiver
+ * @dev Contract holder that passes every ERC-1155 token it receives on from inside the acceptance
+ * callback, for testing that transfer restrictions still apply to re-entrant transfers
+ * @author Lora Finance
+ */
+contract MockReentrantReceiver is IERC1155Receiver {
+    address public forwardTo; // Receives tokens sent here (zero = keep them)
+
+    /**
+     * @dev Set where received tokens are passed on to
+     * @param to Recipient (zero address to keep received tokens)
+     */
+    function setForwardTo(address to) external {
+        forwardTo = to;
+    }
+
+    /**
+     * @dev Call a contract as this holder, e.g. to approve a payment token or purchase
+     * @param target Contract to call
+     * @param data Encoded function call
+     */
+    function execute(address target, bytes calldata data) external returns (bytes memory) {
+        (bool success, bytes memory returndata) = target.call(data);
+        if (!success) {
+            // solhint-disable-next-line no-inline-assembly
+            assembly {
+                revert(add(32, returndata), mload(returndata))
+            }
+        }
+        return returndata;
+    }
+
+    function onERC1155Received(
+        address,
+        address,
+        uint256 id,
+        uint256 value,
+        bytes calldata
+    ) external override returns (bytes4) {
+        if (forwardTo != address(0)) {
+            IERC1155(msg.sender).safeTransferFrom(address(this), forwardTo, id, value, "");
+        }
+        return this.onERC1155Received.selector;
+    }
+
+    function onERC1155BatchReceived(
+        address,
+        address,
+        uint256[] calldata,
+        uint256[] calldata,
+        bytes calldata
+    ) external pure override returns (bytes4) {
+        return this.onERC1155BatchReceived.selector;
+    }
+
+    function supportsInterface(bytes4 interfaceId) external pure override returns (bool) {
+        return interfaceId == type(IERC1155Receiver).interfaceId || interfaceId == type(IERC165).interfaceId;
+    }
+}
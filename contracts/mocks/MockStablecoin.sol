@@ -0,0 +1,45 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.19;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+/**
+ * @title MockStablecoin
+ * @dev Mintable stablecoin with configurable decimals and frozen accounts for local testing
+ * @author Lora Finance
+ */
+contract MockStablecoin is ERC20 {
+    uint8 private _decimals;
+    mapping(address => bool) public frozen; // Accounts that cannot send or receive, as stablecoin issuers can impose
+
+    constructor(string memory name, string memory symbol, uint8 decimals_) ERC20(name, symbol) {
+        _decimals = decimals_;
+    }
+
+    function decimals() public view override returns (uint8) {
+        return _decimals;
+    }
+
+    /**
+     * @dev Mint tokens (for testing)
+     * @param to Recipient
+     * @param amount Amount to mint
+     */
+    function mint(address to, uint256 amount) external {
+        _mint(to, amount);
+    }
+
+    /**
+     * @dev Freeze or unfreeze an account (for testing)
+     * @param account Account
+     * @param isFrozen Whether transfers from and to the account are refused
+     */
+    function setFrozen(address account, bool isFrozen) external {
+        frozen[account] = isFrozen;
+    }
+
+    function _beforeTokenTransfer(address from, address to, uint256 amount) internal override {
+        require(!frozen[from] && !frozen[to], "Account frozen");
+        super._beforeTokenTransfer(from, to, amount);
+    }
+}
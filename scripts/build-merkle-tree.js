@@ -0,0 +1,127 @@
+const { ethers } = require("ethers");
+const fs = require('fs');
+const path = require('path');
+
+// Builds the Merkle tree and proofs for a LoraMerkleDistributor round.
+//
+// Usage: node scripts/build-merkle-tree.js <recipients.csv> [output.json]
+//
+// The CSV has an `address,amount` header and one recipient per line, with amounts
+// in LORA (e.g. `0xabc...,1250.5`). Leaves are keccak256(abi.encodePacked(index, account, amount))
+// and pairs are hashed in sorted order, matching OpenZeppelin's MerkleProof.verify.
+
+function parseCsv(content) {
+    const lines = content.split(/\r?\n/).map((line) => line.trim()).filter((line) => line.length > 0);
+    if (lines.length === 0) {
+        throw new Error("CSV file is empty");
+    }
+
+    const header = lines[0].toLowerCase().split(',').map((column) => column.trim());
+    const addressColumn = header.indexOf('address');
+    const amountColumn = header.indexOf('amount');
+    if (addressColumn === -1 || amountColumn === -1) {
+        throw new Error("CSV header must contain 'address' and 'amount' columns");
+    }
+
+    return lines.slice(1).map((line, i) => {
+        const columns = line.split(',').map((column) => column.trim());
+        const lineNumber = i + 2;
+
+        if (!ethers.utils.isAddress(columns[addressColumn])) {
+            throw new Error(`Invalid address on line ${lineNumber}: ${columns[addressColumn]}`);
+        }
+        const amount = ethers.utils.parseEther(columns[amountColumn]);
+        if (amount.lte(0)) {
+            throw new Error(`Invalid amount on line ${lineNumber}: ${columns[amountColumn]}`);
+        }
+
+        return { account: ethers.utils.getAddress(columns[addressColumn]), amount };
+    });
+}
+
+function hashLeaf(index, account, amount) {
+    return ethers.utils.solidityKeccak256(["uint256", "address", "uint256"], [index, account, amount]);
+}
+
+function hashPair(a, b) {
+    const [first, second] = a.toLowerCase() < b.toLowerCase() ? [a, b] : [b, a];
+    return ethers.utils.solidityKeccak256(["bytes32", "bytes32"], [first, second]);
+}
+
+function buildMerkleTree(recipients) {
+    if (recipients.length === 0) {
+        throw new Error("No recipients");
+    }
+
+    const seen = new Set();
+    for (const { account } of recipients) {
+        if (seen.has(account)) {
+            throw new Error(`Duplicate recipient: ${account}`);
+        }
+        seen.add(account);
+    }
+
+    // layers[0] holds the leaves; an odd node is carried up to the next layer unchanged
+    const layers = [recipients.map(({ account, amount }, index) => hashLeaf(index, account, amount))];
+    while (layers[layers.length - 1].length > 1) {
+        const layer = layers[layers.length - 1];
+        const next = [];
+        for (let i = 0; i < layer.length; i += 2) {
+            next.push(i + 1 < layer.length ? hashPair(layer[i], layer[i + 1]) : layer[i]);
+        }
+        layers.push(next);
+    }
+
+    const claims = {};
+    let tokenTotal = ethers.BigNumber.from(0);
+    recipients.forEach(({ account, amount }, index) => {
+        const proof = [];
+        let position = index;
+        for (let level = 0; level < layers.length - 1; level++) {
+            const sibling = position ^ 1;
+            if (sibling < layers[level].length) {
+                proof.push(layers[level][sibling]);
+            }
+            position >>= 1;
+        }
+
+        claims[account] = { index, amount: amount.toString(), proof };
+        tokenTotal = tokenTotal.add(amount);
+    });
+
+    return {
+        merkleRoot: layers[layers.length - 1][0],
+        tokenTotal: tokenTotal.toString(),
+        claims
+    };
+}
+
+function main() {
+    const [inputFile, outputFile] = process.argv.slice(2);
+    if (!inputFile) {
+        console.error("Usage: node scripts/build-merkle-tree.js <recipients.csv> [output.json]");
+        process.exit(1);
+    }
+
+    const recipients = parseCsv(fs.readFileSync(inputFile, 'utf8'));
+    const tree = buildMerkleTree(recipients);
+
+    const output = outputFile || path.join(path.dirname(inputFile), `${path.basename(inputFile, '.csv')}.merkle.json`);
+    fs.writeFileSync(output, JSON.stringify(tree, null, 2));
+
+    console.log("Recipients:", recipients.length);
+    console.log("Merkle root:", tree.merkleRoot);
+    console.log("Token total:", ethers.utils.formatEther(tree.tokenTotal), "LORA");
+    console.log(`Claims and proofs saved to: ${output}`);
+}
+
+if (require.main === module) {
+    try {
+        main();
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+}
+
+module.exports = { parseCsv, hashLeaf, buildMerkleTree };
@@ -60,6 +60,19 @@ async function main() {
         await loraToken.deployed();
         console.log("LoraToken deployed to:", loraToken.address);
 
+        // Deploy Staking and Governor contracts built on the token
+        console.log("\nDeploying LORA Staking...");
+        const LoraStaking = await ethers.getContractFactory("LoraStaking");
+        const loraStaking = await LoraStaking.deploy(loraToken.address);
+        await loraStaking.deployed();
+        console.log("LoraStaking deployed to:", loraStaking.address);
+
+        console.log("\nDeploying LORA Governor...");
+        const LoraGovernor = await ethers.getContractFactory("LoraGovernor");
+        const loraGovernor = await LoraGovernor.deploy(loraToken.address);
+        await loraGovernor.deployed();
+        console.log("LoraGovernor deployed to:", loraGovernor.address);
+
         // Deploy RWA Contract
         console.log("\nDeploying LORA RWA Contract...");
         const LoraRWA = await ethers.getContractFactory("LoraRWA");
@@ -74,6 +87,39 @@ async function main() {
         await loraRWA.deployed();
         console.log("LoraRWA deployed to:", loraRWA.address);
 
+        // Deploy the RWA modules; each is bound to the RWA proxy and checks roles granted on it
+        const rwaModules = {};
+        for (const name of [
+            "LoraRWAValuation",
+            "LoraRWAYield",
+            "LoraRWAOfferings",
+            "LoraRWAMarket",
+            "LoraRWARedemption",
+            "LoraRWADocuments",
+            "LoraRWAIdentity",
+            "LoraRWAForcedActions",
+            "LoraRWARegistry",
+            "LoraRWAUpgrades"
+        ]) {
+            const Module = await ethers.getContractFactory(name);
+            const module = await Module.deploy(loraRWA.address);
+            await module.deployed();
+            console.log(`${name} deployed to:`, module.address);
+            rwaModules[name] = module;
+        }
+        await loraRWA.setModules(
+            rwaModules.LoraRWAValuation.address,
+            rwaModules.LoraRWAYield.address,
+            rwaModules.LoraRWAOfferings.address,
+            rwaModules.LoraRWAMarket.address,
+            rwaModules.LoraRWARedemption.address,
+            rwaModules.LoraRWADocuments.address,
+            rwaModules.LoraRWAIdentity.address,
+            rwaModules.LoraRWAForcedActions.address,
+            rwaModules.LoraRWARegistry.address,
+            rwaModules.LoraRWAUpgrades.address
+        );
+
         // Deploy NFT-OWN Contract
         console.log("\nDeploying LORA NFT-OWN Contract...");
         const LoraNFTOWN = await ethers.getContractFactory("LoraNFTOWN");
@@ -84,6 +130,38 @@ async function main() {
         await loraNFTOWN.deployed();
         console.log("LoraNFTOWN deployed to:", loraNFTOWN.address);
 
+        // Deploy Vesting Contract for second distribution grants
+        console.log("\nDeploying LORA Vesting Contract...");
+        const LoraVesting = await ethers.getContractFactory("LoraVesting");
+        const loraVesting = await LoraVesting.deploy(
+            deployer.address, // admin
+            loraToken.address, // loraToken
+            deployer.address // treasury
+        );
+        await loraVesting.deployed();
+        console.log("LoraVesting deployed to:", loraVesting.address);
+
+        // Deploy Merkle Distributor for large claim-based distributions
+        console.log("\nDeploying LORA Merkle Distributor...");
+        const LoraMerkleDistributor = await ethers.getContractFactory("LoraMerkleDistributor");
+        const loraMerkleDistributor = await LoraMerkleDistributor.deploy(
+            deployer.address, // admin
+            loraToken.address, // loraToken
+            deployer.address // treasury
+        );
+        await loraMerkleDistributor.deployed();
+        console.log("LoraMerkleDistributor deployed to:", loraMerkleDistributor.address);
+
+        // Deploy Compliance Rules engine for RWA transfer restrictions
+        console.log("\nDeploying LORA Compliance Rules...");
+        const LoraComplianceRules = await ethers.getContractFactory("LoraComplianceRules");
+        const loraComplianceRules = await LoraComplianceRules.deploy(
+            deployer.address, // admin
+            loraRWA.address // loraRWA
+        );
+        await loraComplianceRules.deployed();
+        console.log("LoraComplianceRules deployed to:", loraComplianceRules.address);
+
         // Setup roles and permissions
         console.log("\nSetting up roles and permissions...");
 
@@ -97,6 +175,8 @@ async function main() {
         await loraRWA.grantRole(APPRAISER_ROLE, deployer.address);
         await loraRWA.grantRole(COMPLIANCE_ROLE, deployer.address);
         await loraRWA.grantRole(ADMIN_ROLE, deployer.address);
+        // Executed LoraGovernor proposals call RWA admin functions (e.g. LoraRWAMarket.updateMinHoldPeriod)
+        await loraRWA.grantRole(ADMIN_ROLE, loraGovernor.address);
 
         // Grant roles in NFT-OWN contract
         await loraNFTOWN.grantRole(MINTER_ROLE, deployer.address);
@@ -107,14 +187,54 @@ async function main() {
         await loraToken.grantRole(ethers.utils.keccak256(ethers.utils.toUtf8Bytes("FEE_COLLECTOR_ROLE")), deployer.address);
         await loraToken.grantRole(ethers.utils.keccak256(ethers.utils.toUtf8Bytes("MINTER_ROLE")), deployer.address);
 
+        // Staked tokens keep their voting power; executed proposals call the governance-only setters
+        await loraToken.setStakingContract(loraStaking.address);
+        await loraToken.setGovernor(loraGovernor.address);
+
+        // Purchases, sales and yield payouts through the RWA modules and Merkle claims are not charged transfer fees
+        for (const name of ["LoraRWAYield", "LoraRWAOfferings", "LoraRWAMarket", "LoraRWARedemption"]) {
+            await loraToken.setFeeExempt(rwaModules[name].address, true);
+        }
+        await loraToken.setFeeExempt(loraMerkleDistributor.address, true);
+
+        // Accept LORA in RWA trades at the LORA/USD oracle rate
+        let loraPriceFeedAddress = process.env.LORA_USD_PRICE_FEED;
+        if (!loraPriceFeedAddress) {
+            if (network.chainId !== 1337 && network.chainId !== 31337) {
+                throw new Error("LORA_USD_PRICE_FEED must be set for this network");
+            }
+            console.log("Deploying mock LORA/USD price feed for local development...");
+            const MockPriceFeed = await ethers.getContractFactory("MockPriceFeed");
+            const loraPriceFeed = await MockPriceFeed.deploy();
+            await loraPriceFeed.deployed();
+            await loraPriceFeed.setPrice(100000000); // $1 (8 decimals)
+            loraPriceFeedAddress = loraPriceFeed.address;
+        }
+        await rwaModules.LoraRWAMarket.setPaymentToken(loraToken.address, loraPriceFeedAddress, true);
+
+        // Jurisdiction, investor count and lock-up rules are checked on RWA purchases, sells and transfers
+        await loraRWA.setComplianceEngine(loraComplianceRules.address);
+
+        // Second distribution tokens sent to the vesting contract are held for grants
+        await loraToken.setVestingContract(loraVesting.address);
+
         console.log("\nDeployment completed successfully!");
         console.log("===========================================");
         console.log("Deployed Contracts:");
         console.log("-------------------------------------------");
         console.log("LORA Token:", loraToken.address);
+        console.log("LORA Staking:", loraStaking.address);
+        console.log("LORA Governor:", loraGovernor.address);
         console.log("LORA RWA:", loraRWA.address);
+        for (const [name, module] of Object.entries(rwaModules)) {
+            console.log(`${name}:`, module.address);
+        }
         console.log("LORA NFT-OWN:", loraNFTOWN.address);
+        console.log("LORA Vesting:", loraVesting.address);
+        console.log("LORA Merkle Distributor:", loraMerkleDistributor.address);
+        console.log("LORA Compliance Rules:", loraComplianceRules.address);
         console.log("Price Feed:", priceFeedAddress);
+        console.log("LORA/USD Price Feed:", loraPriceFeedAddress);
         console.log("===========================================");
 
         // Save deployment info
@@ -124,9 +244,19 @@ async function main() {
             deployer: deployer.address,
             contracts: {
                 loraToken: loraToken.address,
+                loraStaking: loraStaking.address,
+                loraGovernor: loraGovernor.address,
                 loraRWA: loraRWA.address,
+                loraRWAImplementation: await upgrades.erc1967.getImplementationAddress(loraRWA.address),
+                loraRWAModules: Object.fromEntries(
+                    Object.entries(rwaModules).map(([name, module]) => [name, module.address])
+                ),
                 loraNFTOWN: loraNFTOWN.address,
-                priceFeed: priceFeedAddress
+                loraVesting: loraVesting.address,
+                loraMerkleDistributor: loraMerkleDistributor.address,
+                loraComplianceRules: loraComplianceRules.address,
+                priceFeed: priceFeedAddress,
+                loraPriceFeed: loraPriceFeedAddress
             },
             timestamp: new Date().toISOString()
         };
@@ -22,12 +22,19 @@ async function main() {
 
     // Get contract instances
     const LoraToken = await ethers.getContractFactory("LoraToken");
+    const LoraStaking = await ethers.getContractFactory("LoraStaking");
+    const LoraGovernor = await ethers.getContractFactory("LoraGovernor");
     const LoraRWA = await ethers.getContractFactory("LoraRWA");
     const LoraNFTOWN = await ethers.getContractFactory("LoraNFTOWN");
 
     const loraToken = LoraToken.attach(deploymentInfo.contracts.loraToken);
+    const loraStaking = LoraStaking.attach(deploymentInfo.contracts.loraStaking);
+    const loraGovernor = LoraGovernor.attach(deploymentInfo.contracts.loraGovernor);
     const loraRWA = LoraRWA.attach(deploymentInfo.contracts.loraRWA);
     const loraNFTOWN = LoraNFTOWN.attach(deploymentInfo.contracts.loraNFTOWN);
+    const registry = await ethers.getContractAt("LoraRWARegistry", await loraRWA.registryModule());
+    const identity = await ethers.getContractAt("LoraRWAIdentity", await loraRWA.identityModule());
+    const market = await ethers.getContractAt("LoraRWAMarket", await loraRWA.marketModule());
 
     console.log("\n=== Contract Interaction Examples ===");
 
@@ -50,12 +57,12 @@ async function main() {
     // Example 3: Staking Example
     console.log("\n3. Staking Example:");
     const stakeAmount = ethers.utils.parseEther("500");
-    await loraToken.connect(user1).approve(loraToken.address, stakeAmount);
-    const tx2 = await loraToken.connect(user1).stake(stakeAmount);
+    await loraToken.connect(user1).approve(loraStaking.address, stakeAmount);
+    const tx2 = await loraStaking.connect(user1).stake(stakeAmount);
     await tx2.wait();
     console.log(`User1 staked ${ethers.utils.formatEther(stakeAmount)} LORA tokens`);
 
-    const stakerInfo = await loraToken.getStakerInfo(user1.address);
+    const stakerInfo = await loraStaking.getStakerInfo(user1.address);
     console.log("Staked Amount:", ethers.utils.formatEther(stakerInfo.stakedAmount));
     console.log("Is Staking:", stakerInfo.isStaking);
 
@@ -68,7 +75,7 @@ async function main() {
     const documentHash = "QmTestDocumentHash123";
     const registryNumber = "RE2024001";
 
-    const tx3 = await loraRWA.registerAsset(
+    const tx3 = await registry.registerAsset(
         assetName,
         assetType,
         location,
@@ -81,9 +88,10 @@ async function main() {
     console.log("Asset registered with ID: 0");
 
     const asset = await loraRWA.getAsset(0);
-    console.log("Asset Name:", asset.name);
+    const details = await registry.assetDetails(0);
+    console.log("Asset Name:", details.name);
     console.log("Asset Value:", ethers.utils.formatEther(asset.value));
-    console.log("Asset Type:", asset.assetType);
+    console.log("Asset Type:", details.assetType);
 
     // Example 5: Tokenize Asset
     console.log("\n5. Tokenize Asset:");
@@ -100,7 +108,7 @@ async function main() {
     console.log("\n6. Setup Compliance and Purchase Tokens:");
     
     // Setup compliance for user2
-    await loraRWA.updateCompliance(
+    await identity.updateCompliance(
         user2.address,
         true, // isWhitelisted
         Math.floor(Date.now() / 1000) + 86400, // kycExpiry (1 day from now)
@@ -115,8 +123,8 @@ async function main() {
     
     // Purchase RWA tokens
     const purchaseAmount = ethers.utils.parseEther("1000");
-    await loraToken.connect(user2).approve(loraRWA.address, ethers.utils.parseEther("1000"));
-    const tx5 = await loraRWA.connect(user2).purchaseTokens(0, purchaseAmount);
+    await loraToken.connect(user2).approve(market.address, ethers.utils.parseEther("1000"));
+    const tx5 = await market.connect(user2).purchaseTokens(0, purchaseAmount);
     await tx5.wait();
     console.log(`User2 purchased ${ethers.utils.formatEther(purchaseAmount)} RWA tokens`);
 
@@ -164,27 +172,29 @@ async function main() {
     const proposalDescription = "Increase staking reward rate to 10% APY";
     const proposalDuration = 86400; // 1 day
 
-    const tx8 = await loraToken.createProposal(proposalDescription, proposalDuration);
+    const tx8 = await loraGovernor.createProposal(proposalDescription, proposalDuration);
     await tx8.wait();
     console.log("Governance proposal created");
 
-    const proposal = await loraToken.getProposal(0);
+    const proposal = await loraGovernor.getProposal(0);
     console.log("Proposal Description:", proposal.description);
     console.log("Proposal Start Time:", new Date(proposal.startTime * 1000).toISOString());
     console.log("Proposal End Time:", new Date(proposal.endTime * 1000).toISOString());
 
     // Example 10: Vote on Proposal
     console.log("\n10. Vote on Proposal:");
-    const tx9 = await loraToken.connect(user1).vote(0, true); // Vote in favor
+    const tx9 = await loraGovernor.connect(user1).vote(0, true); // Vote in favor
     await tx9.wait();
     console.log("User1 voted in favor of the proposal");
 
-    const hasVoted = await loraToken.hasVoted(0, user1.address);
+    const hasVoted = await loraGovernor.hasVoted(0, user1.address);
     console.log("User1 has voted:", hasVoted);
 
     console.log("\n=== Interaction Examples Completed ===");
     console.log("\nContract Addresses:");
     console.log("LORA Token:", loraToken.address);
+    console.log("LORA Staking:", loraStaking.address);
+    console.log("LORA Governor:", loraGovernor.address);
     console.log("LORA RWA:", loraRWA.address);
     console.log("LORA NFT-OWN:", loraNFTOWN.address);
 }
@@ -0,0 +1,339 @@
+const { ethers, upgrades, network } = require("hardhat");
+const { Manifest } = require("@openzeppelin/upgrades-core");
+const fs = require('fs');
+const path = require('path');
+
+// Upgrades of the LoraRWA proxy go through the upgrade timelock of its LoraRWAUpgrades module:
+//   UPGRADE_ACTION=bootstrap first upgrade of a proxy deployed before the modules: validate, deploy and install
+//                            the new implementation directly (the old implementation has no timelock)
+//   UPGRADE_ACTION=modules   deploy the RWA modules and attach them to the proxy after a bootstrap, fee-exempt
+//                            the paying modules on LoraToken and import the compliance records and asset details
+//                            kept by the single-contract release (see docs/DEPLOYMENT.md)
+//   UPGRADE_ACTION=schedule  validate the storage layout, deploy the new implementation and schedule it (default)
+//   UPGRADE_ACTION=execute   install the scheduled implementation once its delay has passed, running the
+//                            reinitializer named in UPGRADE_CALL if the new implementation needs one
+//   UPGRADE_ACTION=cancel    cancel the scheduled upgrade
+//   UPGRADE_ACTION=rollback  schedule a previous implementation (ROLLBACK_TO, default the one before the active one)
+//   UPGRADE_ACTION=status    show the recorded implementations and the scheduled upgrade
+// e.g. UPGRADE_ACTION=execute npx hardhat run scripts/upgrade.js --network sepolia
+
+const deploymentsDir = path.join(__dirname, '../deployments');
+
+function loadDeployment(networkName) {
+    const deploymentFile = path.join(deploymentsDir, `${networkName}.json`);
+    if (!fs.existsSync(deploymentFile)) {
+        throw new Error(`Deployment file not found: ${deploymentFile}. Run scripts/deploy.js first`);
+    }
+    return JSON.parse(fs.readFileSync(deploymentFile, 'utf8'));
+}
+
+function saveDeployment(networkName, deploymentInfo) {
+    fs.writeFileSync(
+        path.join(deploymentsDir, `${networkName}.json`),
+        JSON.stringify(deploymentInfo, null, 2)
+    );
+    console.log(`Upgrade history saved to: deployments/${networkName}.json`);
+}
+
+const RWA_MODULES = [
+    "LoraRWAValuation",
+    "LoraRWAYield",
+    "LoraRWAOfferings",
+    "LoraRWAMarket",
+    "LoraRWARedemption",
+    "LoraRWADocuments",
+    "LoraRWAIdentity",
+    "LoraRWAForcedActions",
+    "LoraRWARegistry",
+    "LoraRWAUpgrades"
+];
+
+// Modules that hold and pay LORA, so must not be charged transfer fees
+const FEE_EXEMPT_MODULES = ["LoraRWAYield", "LoraRWAOfferings", "LoraRWAMarket", "LoraRWARedemption"];
+
+// Events the single-contract release emitted for the investor records LoraRWAIdentity imports
+const LEGACY_COMPLIANCE_EVENTS = [
+    "event ComplianceUpdated(address indexed user, bool isWhitelisted, uint256 kycExpiry)",
+    "event BlacklistUpdated(address indexed account, bool status)"
+];
+const IMPORT_BATCH_SIZE = 100;
+
+// Storage layout the upgrades plugin recorded in .openzeppelin/ when it validated an implementation
+async function getLayout(implementation) {
+    const manifest = await Manifest.forNetwork(network.provider);
+    const data = await manifest.read();
+    const entry = Object.values(data.impls).find(
+        (impl) => impl && impl.address.toLowerCase() === implementation.toLowerCase()
+    );
+    return entry ? entry.layout : null;
+}
+
+// A rollback target is safe when its variables are an unchanged prefix of the active layout,
+// i.e. the active implementation only appended state
+function isLayoutPrefix(target, active) {
+    return target.storage.every((item, i) => {
+        const current = active.storage[i];
+        return current &&
+            current.label === item.label &&
+            current.slot === item.slot &&
+            current.offset === item.offset &&
+            current.type === item.type;
+    });
+}
+
+// History starts with the implementation deploy.js installed
+async function loadHistory(deploymentInfo, proxy) {
+    deploymentInfo.upgrades = deploymentInfo.upgrades || {};
+    if (!deploymentInfo.upgrades.loraRWA) {
+        const implementation = await upgrades.erc1967.getImplementationAddress(proxy);
+        deploymentInfo.upgrades.loraRWA = {
+            proxy,
+            implementations: [{
+                address: implementation,
+                layout: await getLayout(implementation),
+                recordedAt: new Date().toISOString(),
+                status: "active"
+            }],
+            pending: null
+        };
+    }
+    return deploymentInfo.upgrades.loraRWA;
+}
+
+// Proxies deployed before the modules have no upgradesModule getter; the timelock applies once the
+// upgrades module is attached
+async function getUpgradesModule(loraRWA) {
+    try {
+        return await loraRWA.upgradesModule();
+    } catch (error) {
+        return null;
+    }
+}
+
+// Import the records the single-contract release kept in LoraRWA's own storage
+async function importLegacyRecords(loraRWA, modules) {
+    const registry = await ethers.getContractAt("LoraRWARegistry", modules.LoraRWARegistry);
+    const assetIds = [...Array((await loraRWA.assetCount()).toNumber()).keys()];
+    for (let i = 0; i < assetIds.length; i += IMPORT_BATCH_SIZE) {
+        await (await registry.importLegacyDetails(assetIds.slice(i, i + IMPORT_BATCH_SIZE))).wait();
+    }
+    console.log(`Asset details imported for ${assetIds.length} assets`);
+
+    const legacy = new ethers.Contract(loraRWA.address, LEGACY_COMPLIANCE_EVENTS, ethers.provider);
+    const fromBlock = Number(process.env.LEGACY_FROM_BLOCK || 0);
+    const events = [
+        ...await legacy.queryFilter(legacy.filters.ComplianceUpdated(), fromBlock),
+        ...await legacy.queryFilter(legacy.filters.BlacklistUpdated(), fromBlock)
+    ];
+    const investors = [...new Set(events.map((event) => event.args[0]))];
+    const identity = await ethers.getContractAt("LoraRWAIdentity", modules.LoraRWAIdentity);
+    for (let i = 0; i < investors.length; i += IMPORT_BATCH_SIZE) {
+        await (await identity.importLegacyRecords(investors.slice(i, i + IMPORT_BATCH_SIZE))).wait();
+    }
+    console.log(`Compliance records imported for ${investors.length} investors`);
+}
+
+function recordInstalled(history, active, entry) {
+    if (active) active.status = "previous";
+    history.implementations.push({ ...entry, recordedAt: new Date().toISOString(), status: "active" });
+    history.pending = null;
+}
+
+async function schedule(timelock, history, implementation, rollback) {
+    const tx = await timelock.scheduleUpgrade(implementation);
+    await tx.wait();
+
+    const readyAt = (await timelock.upgradeReadyAt()).toNumber();
+    history.pending = {
+        implementation,
+        layout: await getLayout(implementation),
+        rollback,
+        scheduledAt: new Date().toISOString(),
+        readyAt: new Date(readyAt * 1000).toISOString(),
+        txHash: tx.hash
+    };
+    console.log(`Upgrade to ${implementation} scheduled; executable from ${history.pending.readyAt}`);
+}
+
+async function main() {
+    const [deployer] = await ethers.getSigners();
+    console.log("Upgrading with the account:", deployer.address);
+    console.log("Network:", network.name);
+
+    const action = process.env.UPGRADE_ACTION || "schedule";
+    const deploymentInfo = loadDeployment(network.name);
+    const proxy = deploymentInfo.contracts.loraRWA;
+    const loraRWA = await ethers.getContractAt("LoraRWA", proxy);
+    const history = await loadHistory(deploymentInfo, proxy);
+    const active = history.implementations.find((impl) => impl.status === "active");
+    const upgradesModule = await getUpgradesModule(loraRWA);
+
+    if (action === "bootstrap" && upgradesModule !== null) {
+        throw new Error("Proxy already runs the modular LoraRWA; use UPGRADE_ACTION=schedule");
+    }
+    if (["schedule", "execute", "cancel", "rollback"].includes(action)) {
+        if (upgradesModule === null) {
+            throw new Error("Proxy predates the upgrade timelock; run UPGRADE_ACTION=bootstrap first");
+        }
+        if (upgradesModule === ethers.constants.AddressZero) {
+            throw new Error("Upgrades module not attached; run UPGRADE_ACTION=modules first");
+        }
+    }
+    const timelock = upgradesModule && upgradesModule !== ethers.constants.AddressZero
+        ? await ethers.getContractAt("LoraRWAUpgrades", upgradesModule)
+        : null;
+
+    switch (action) {
+        case "bootstrap": {
+            const LoraRWA = await ethers.getContractFactory("LoraRWA");
+
+            console.log("\nValidating storage layout...");
+            await upgrades.validateUpgrade(proxy, LoraRWA, { kind: "uups" });
+
+            // The single-contract implementation only checks UPGRADER_ROLE, so the first hop is
+            // installed directly
+            console.log("Deploying and installing new implementation...");
+            const upgraded = await upgrades.upgradeProxy(proxy, LoraRWA, { kind: "uups" });
+            await upgraded.deployTransaction.wait();
+            const implementation = await upgrades.erc1967.getImplementationAddress(proxy);
+
+            recordInstalled(history, active, {
+                address: implementation,
+                layout: await getLayout(implementation),
+                bootstrap: true,
+                txHash: upgraded.deployTransaction.hash
+            });
+            console.log("LoraRWA upgraded to:", implementation);
+            console.log("Next: UPGRADE_ACTION=modules to attach the modules and import the legacy records");
+            break;
+        }
+        case "schedule": {
+            const LoraRWA = await ethers.getContractFactory("LoraRWA");
+
+            // Fails on reordered, removed or retyped state variables and other unsafe patterns
+            console.log("\nValidating storage layout...");
+            await upgrades.validateUpgrade(proxy, LoraRWA, { kind: "uups" });
+
+            console.log("Deploying new implementation...");
+            const implementation = await upgrades.prepareUpgrade(proxy, LoraRWA, { kind: "uups" });
+            console.log("Implementation deployed to:", implementation);
+
+            await schedule(timelock, history, implementation, false);
+            break;
+        }
+        case "execute": {
+            const implementation = await timelock.pendingImplementation();
+            if (implementation === ethers.constants.AddressZero) {
+                throw new Error("No upgrade scheduled");
+            }
+            const readyAt = (await timelock.upgradeReadyAt()).toNumber();
+            const now = (await ethers.provider.getBlock("latest")).timestamp;
+            if (now < readyAt) {
+                throw new Error(`Upgrade delay not met; executable from ${new Date(readyAt * 1000).toISOString()}`);
+            }
+
+            const call = process.env.UPGRADE_CALL;
+            const tx = call
+                ? await loraRWA.upgradeToAndCall(implementation, loraRWA.interface.encodeFunctionData(call))
+                : await loraRWA.upgradeTo(implementation);
+            await tx.wait();
+            const installed = await upgrades.erc1967.getImplementationAddress(proxy);
+            if (installed.toLowerCase() !== implementation.toLowerCase()) {
+                throw new Error(`Proxy points to ${installed} instead of ${implementation}`);
+            }
+
+            const pending = history.pending || {};
+            recordInstalled(history, active, {
+                address: implementation,
+                layout: pending.layout || await getLayout(implementation),
+                rollback: Boolean(pending.rollback),
+                call: call || null,
+                txHash: tx.hash
+            });
+            console.log("LoraRWA upgraded to:", implementation);
+            break;
+        }
+        case "cancel": {
+            const tx = await timelock.cancelUpgrade();
+            await tx.wait();
+            history.pending = null;
+            console.log("Scheduled upgrade cancelled");
+            break;
+        }
+        case "rollback": {
+            const previous = history.implementations.filter((impl) => impl.status === "previous");
+            const targetAddress = process.env.ROLLBACK_TO || (previous.length > 0 && previous[previous.length - 1].address);
+            const target = history.implementations.find(
+                (impl) => targetAddress && impl.address.toLowerCase() === targetAddress.toLowerCase()
+            );
+            if (!target || target === active) {
+                throw new Error("No previous implementation to roll back to");
+            }
+            if (!target.layout || !active || !active.layout) {
+                throw new Error("Storage layouts not recorded; cannot check the rollback");
+            }
+            if (!isLayoutPrefix(target.layout, active.layout)) {
+                throw new Error(`Storage layout of ${target.address} is incompatible with the active implementation`);
+            }
+
+            await schedule(timelock, history, target.address, true);
+            break;
+        }
+        case "modules": {
+            if (upgradesModule === null) {
+                throw new Error("Proxy predates the modules; run UPGRADE_ACTION=bootstrap first");
+            }
+            if (upgradesModule !== ethers.constants.AddressZero) {
+                throw new Error("Modules already attached; they are fixed once set");
+            }
+            if (!deploymentInfo.contracts.loraRWAModules) {
+                deploymentInfo.contracts.loraRWAModules = {};
+            }
+            const modules = deploymentInfo.contracts.loraRWAModules;
+            for (const name of RWA_MODULES) {
+                if (modules[name]) continue;
+                const Module = await ethers.getContractFactory(name);
+                const module = await Module.deploy(proxy);
+                await module.deployed();
+                console.log(`${name} deployed to:`, module.address);
+                modules[name] = module.address;
+            }
+
+            const tx = await loraRWA.setModules(...RWA_MODULES.map((name) => modules[name]));
+            await tx.wait();
+            console.log("Modules attached to the proxy");
+
+            const loraToken = await ethers.getContractAt("LoraToken", await loraRWA.loraToken());
+            for (const name of FEE_EXEMPT_MODULES) {
+                await (await loraToken.setFeeExempt(modules[name], true)).wait();
+                console.log(`${name} fee-exempt on LoraToken`);
+            }
+
+            await importLegacyRecords(loraRWA, modules);
+            break;
+        }
+        case "status":
+            break;
+        default:
+            throw new Error(`Unknown UPGRADE_ACTION: ${action}`);
+    }
+
+    console.log("\n===========================================");
+    console.log("LoraRWA proxy:", proxy);
+    for (const impl of history.implementations) {
+        console.log(`${impl.status === "active" ? "*" : " "} ${impl.address} (${impl.recordedAt})`);
+    }
+    if (history.pending) {
+        console.log(`Scheduled: ${history.pending.implementation} from ${history.pending.readyAt}`);
+    }
+    console.log("===========================================");
+
+    saveDeployment(network.name, deploymentInfo);
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error("Upgrade failed:", error);
+        process.exit(1);
+    });
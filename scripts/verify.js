@@ -92,6 +92,24 @@ async function main() {
             }
         }
 
+        // Verify the LORA RWA modules, each deployed with the RWA proxy address
+        for (const [name, address] of Object.entries(deploymentInfo.contracts.loraRWAModules || {})) {
+            console.log(`\nVerifying ${name}...`);
+            try {
+                await hre.run("verify:verify", {
+                    address,
+                    constructorArguments: [deploymentInfo.contracts.loraRWA],
+                });
+                console.log(`✅ ${name} verified successfully`);
+            } catch (error) {
+                if (error.message.includes("Already Verified")) {
+                    console.log(`✅ ${name} already verified`);
+                } else {
+                    console.log(`❌ ${name} verification failed:`, error.message);
+                }
+            }
+        }
+
         // Verify LORA NFT-OWN (Proxy)
         console.log("\nVerifying LORA NFT-OWN (Proxy)...");
         try {
@@ -0,0 +1,136 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { buildMerkleTree } = require("../scripts/build-merkle-tree");
+
+describe("LoraMerkleDistributor", function () {
+    let LoraToken, LoraMerkleDistributor, MockPriceFeed;
+    let loraToken, distributor, mockPriceFeed;
+    let owner, treasury, user1, user2, user3;
+    let addrs;
+    let tree, deadline;
+
+    const WEEK = 7 * 24 * 60 * 60;
+
+    beforeEach(async function () {
+        [owner, treasury, user1, user2, user3, ...addrs] = await ethers.getSigners();
+
+        // Deploy mock price feed
+        MockPriceFeed = await ethers.getContractFactory("MockPriceFeed");
+        mockPriceFeed = await MockPriceFeed.deploy();
+        await mockPriceFeed.deployed();
+
+        // Deploy LoraToken
+        LoraToken = await ethers.getContractFactory("LoraToken");
+        loraToken = await LoraToken.deploy(
+            owner.address,
+            owner.address,
+            owner.address,
+            owner.address,
+            mockPriceFeed.address
+        );
+        await loraToken.deployed();
+
+        // Deploy LoraMerkleDistributor
+        LoraMerkleDistributor = await ethers.getContractFactory("LoraMerkleDistributor");
+        distributor = await LoraMerkleDistributor.deploy(owner.address, loraToken.address, treasury.address);
+        await distributor.deployed();
+        await loraToken.setFeeExempt(distributor.address, true);
+
+        // Fund the distributor from the second distribution
+        await loraToken.mint(owner.address, ethers.utils.parseEther("3500000"));
+        await loraToken.executeSecondDistribution(
+            [distributor.address, owner.address],
+            [ethers.utils.parseEther("4000000"), ethers.utils.parseEther("1000000")]
+        );
+
+        tree = buildMerkleTree([
+            { account: user1.address, amount: ethers.utils.parseEther("1000") },
+            { account: user2.address, amount: ethers.utils.parseEther("2500") },
+            { account: user3.address, amount: ethers.utils.parseEther("500") }
+        ]);
+        deadline = (await ethers.provider.getBlock("latest")).timestamp + WEEK;
+        await distributor.createRound(tree.merkleRoot, tree.tokenTotal, deadline);
+    });
+
+    describe("Rounds", function () {
+        it("Should reserve the round total", async function () {
+            const round = await distributor.getRound(0);
+            expect(round.merkleRoot).to.equal(tree.merkleRoot);
+            expect(await distributor.totalReserved()).to.equal(ethers.utils.parseEther("4000"));
+            expect(await distributor.unallocatedBalance()).to.equal(ethers.utils.parseEther("3996000"));
+        });
+
+        it("Should not reserve more than the unallocated balance", async function () {
+            await expect(
+                distributor.createRound(tree.merkleRoot, ethers.utils.parseEther("3996001"), deadline)
+            ).to.be.revertedWith("Insufficient unallocated tokens");
+        });
+
+        it("Should support several rounds", async function () {
+            const second = buildMerkleTree([{ account: user1.address, amount: ethers.utils.parseEther("10") }]);
+            await distributor.createRound(second.merkleRoot, second.tokenTotal, deadline);
+
+            const claim = second.claims[user1.address];
+            await distributor.claim(1, claim.index, user1.address, claim.amount, claim.proof);
+            expect(await distributor.isClaimed(1, 0)).to.equal(true);
+            expect(await distributor.isClaimed(0, 0)).to.equal(false);
+        });
+    });
+
+    describe("Claims", function () {
+        it("Should pay a valid claim to the account", async function () {
+            const claim = tree.claims[user2.address];
+            await expect(distributor.connect(user1).claim(0, claim.index, user2.address, claim.amount, claim.proof))
+                .to.emit(distributor, "Claimed")
+                .withArgs(0, claim.index, user2.address, claim.amount);
+
+            expect(await loraToken.balanceOf(user2.address)).to.equal(claim.amount);
+            expect(await distributor.isClaimed(0, claim.index)).to.equal(true);
+        });
+
+        it("Should reject a second claim", async function () {
+            const claim = tree.claims[user1.address];
+            await distributor.claim(0, claim.index, user1.address, claim.amount, claim.proof);
+            await expect(
+                distributor.claim(0, claim.index, user1.address, claim.amount, claim.proof)
+            ).to.be.revertedWith("Already claimed");
+        });
+
+        it("Should reject an invalid proof", async function () {
+            const claim = tree.claims[user1.address];
+            await expect(
+                distributor.claim(0, claim.index, user1.address, ethers.utils.parseEther("2000"), claim.proof)
+            ).to.be.revertedWith("Invalid proof");
+        });
+
+        it("Should reject claims after the deadline", async function () {
+            await ethers.provider.send("evm_increaseTime", [WEEK + 1]);
+            await ethers.provider.send("evm_mine");
+
+            const claim = tree.claims[user1.address];
+            await expect(
+                distributor.claim(0, claim.index, user1.address, claim.amount, claim.proof)
+            ).to.be.revertedWith("Claim period ended");
+        });
+    });
+
+    describe("Sweep", function () {
+        it("Should return unclaimed tokens to the treasury after the deadline", async function () {
+            const claim = tree.claims[user1.address];
+            await distributor.claim(0, claim.index, user1.address, claim.amount, claim.proof);
+
+            await expect(distributor.sweep(0)).to.be.revertedWith("Claim period not ended");
+
+            await ethers.provider.send("evm_increaseTime", [WEEK + 1]);
+            await ethers.provider.send("evm_mine");
+
+            await expect(distributor.sweep(0))
+                .to.emit(distributor, "RoundSwept")
+                .withArgs(0, treasury.address, ethers.utils.parseEther("3000"));
+            expect(await loraToken.balanceOf(treasury.address)).to.equal(ethers.utils.parseEther("3000"));
+            expect(await distributor.totalReserved()).to.equal(0);
+
+            await expect(distributor.sweep(0)).to.be.revertedWith("Round already swept");
+        });
+    });
+});
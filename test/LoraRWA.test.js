@@ -1,11 +1,16 @@
 const { expect } = require("chai");
-const { ethers } = require("hardhat");
+const { ethers, upgrades } = require("hardhat");
+
+// Revert reason of OpenZeppelin's AccessControl for a caller without the role
+const MISSING_ROLE = /^AccessControl: account 0x[0-9a-f]{40} is missing role 0x[0-9a-f]{64}$/;
 
 describe("LoraRWA", function () {
     let LoraToken, LoraRWA, MockPriceFeed;
-    let loraToken, loraRWA, mockPriceFeed;
+    let loraToken, loraRWA, mockPriceFeed, loraPriceFeed;
+    let valuation, rwaYield, offerings, market, redemption, documents, identity, forced, registry, upgradeTimelock;
     let owner, user1, user2, user3, custodian;
     let addrs;
+    let kycExpiry;
 
     beforeEach(async function () {
         [owner, user1, user2, user3, custodian, ...addrs] = await ethers.getSigners();
@@ -34,6 +39,49 @@ describe("LoraRWA", function () {
             loraToken.address,
             mockPriceFeed.address
         );
+
+        // Deploy and attach the modules
+        const deployModule = async (name) => {
+            const module = await (await ethers.getContractFactory(name)).deploy(loraRWA.address);
+            await module.deployed();
+            return module;
+        };
+        valuation = await deployModule("LoraRWAValuation");
+        rwaYield = await deployModule("LoraRWAYield");
+        offerings = await deployModule("LoraRWAOfferings");
+        market = await deployModule("LoraRWAMarket");
+        redemption = await deployModule("LoraRWARedemption");
+        documents = await deployModule("LoraRWADocuments");
+        identity = await deployModule("LoraRWAIdentity");
+        forced = await deployModule("LoraRWAForcedActions");
+        registry = await deployModule("LoraRWARegistry");
+        upgradeTimelock = await deployModule("LoraRWAUpgrades");
+        await loraRWA.setModules(
+            valuation.address,
+            rwaYield.address,
+            offerings.address,
+            market.address,
+            redemption.address,
+            documents.address,
+            identity.address,
+            forced.address,
+            registry.address,
+            upgradeTimelock.address
+        );
+
+        // Modules holding LORA in escrow pay and receive it without fees
+        for (const module of [rwaYield, offerings, market, redemption]) {
+            await loraToken.setFeeExempt(module.address, true);
+        }
+
+        // Accept LORA at $1 (8-decimal LORA/USD feed)
+        loraPriceFeed = await MockPriceFeed.deploy();
+        await loraPriceFeed.deployed();
+        await loraPriceFeed.setPrice(100000000);
+        await market.setPaymentToken(loraToken.address, loraPriceFeed.address, true);
+
+        // KYC valid for a year of chain time, past every time travel in these tests
+        kycExpiry = (await ethers.provider.getBlock("latest")).timestamp + 365 * 24 * 60 * 60;
     });
 
     describe("Deployment", function () {
@@ -47,10 +95,17 @@ describe("LoraRWA", function () {
         });
 
         it("Should set correct default configuration", async function () {
-            expect(await loraRWA.minHoldPeriod()).to.equal(86400); // 1 day
-            expect(await loraRWA.maxTokensPerAddress()).to.equal(ethers.utils.parseEther("1000000")); // 1M tokens
+            expect(await market.minHoldPeriod()).to.equal(86400); // 1 day
+            expect(await market.maxTokensPerAddress()).to.equal(ethers.utils.parseEther("1000000")); // 1M tokens
             expect(await loraRWA.complianceUpdatePeriod()).to.equal(31536000); // 365 days
         });
+
+        it("Should attach the modules only once", async function () {
+            expect(await loraRWA.marketModule()).to.equal(market.address);
+            await expect(
+                loraRWA.setModules(...Array(10).fill(user1.address))
+            ).to.be.revertedWith("Modules already set");
+        });
     });
 
     describe("Asset Management", function () {
@@ -62,7 +117,7 @@ describe("LoraRWA", function () {
             const documentHash = "QmTestHash";
             const registryNumber = "RE123456";
 
-            await loraRWA.registerAsset(
+            await registry.registerAsset(
                 assetName,
                 assetType,
                 location,
@@ -72,13 +127,15 @@ describe("LoraRWA", function () {
                 custodian.address
             );
 
+            const details = await registry.assetDetails(0);
+            expect(details.name).to.equal(assetName);
+            expect(details.assetType).to.equal(assetType);
+            expect(details.location).to.equal(location);
+            expect(details.documentHash).to.equal(documentHash);
+            expect(details.registryNumber).to.equal(registryNumber);
+
             const asset = await loraRWA.getAsset(0);
-            expect(asset.name).to.equal(assetName);
-            expect(asset.assetType).to.equal(assetType);
-            expect(asset.location).to.equal(location);
             expect(asset.value).to.equal(value);
-            expect(asset.documentHash).to.equal(documentHash);
-            expect(asset.registryNumber).to.equal(registryNumber);
             expect(asset.custodian).to.equal(custodian.address);
             expect(asset.isActive).to.equal(true);
             expect(asset.isTokenized).to.equal(false);
@@ -86,7 +143,7 @@ describe("LoraRWA", function () {
 
         it("Should prevent non-admin from registering assets", async function () {
             await expect(
-                loraRWA.connect(user1).registerAsset(
+                registry.connect(user1).registerAsset(
                     "Test Asset",
                     "Real Estate",
                     "Location",
@@ -100,7 +157,7 @@ describe("LoraRWA", function () {
 
         it("Should allow admin to tokenize assets", async function () {
             // Register asset first
-            await loraRWA.registerAsset(
+            await registry.registerAsset(
                 "Test Asset",
                 "Real Estate",
                 "Location",
@@ -121,7 +178,7 @@ describe("LoraRWA", function () {
 
         it("Should allow appraiser to update asset valuation", async function () {
             // Register and tokenize asset
-            await loraRWA.registerAsset(
+            await registry.registerAsset(
                 "Test Asset",
                 "Real Estate",
                 "Location",
@@ -132,8 +189,19 @@ describe("LoraRWA", function () {
             );
             await loraRWA.tokenizeAsset(0, ethers.utils.parseEther("1000000"));
 
+            // Three appraisers quote $1.1M, $1.3M and $1.2M; the median settles
+            const appraiserRole = await loraRWA.APPRAISER_ROLE();
+            await loraRWA.grantRole(appraiserRole, user1.address);
+            await loraRWA.grantRole(appraiserRole, user2.address);
+
             const newValue = ethers.utils.parseEther("1200000"); // $1.2M
-            await loraRWA.updateAssetValuation(0, newValue);
+            const reportHash = ethers.utils.id("appraisal-report");
+            await valuation.submitValuation(0, ethers.utils.parseEther("1100000"), reportHash);
+            await valuation.connect(user1).submitValuation(0, ethers.utils.parseEther("1300000"), reportHash);
+            await valuation.connect(user2).submitValuation(0, newValue, reportHash);
+            await ethers.provider.send("evm_increaseTime", [7 * 24 * 60 * 60 + 1]); // Round ends after a week
+            await ethers.provider.send("evm_mine");
+            await valuation.settleValuation(0);
 
             const asset = await loraRWA.getAsset(0);
             expect(asset.value).to.equal(newValue);
@@ -141,7 +209,7 @@ describe("LoraRWA", function () {
         });
 
         it("Should allow admin to update custodian", async function () {
-            await loraRWA.registerAsset(
+            await registry.registerAsset(
                 "Test Asset",
                 "Real Estate",
                 "Location",
@@ -158,10 +226,190 @@ describe("LoraRWA", function () {
         });
     });
 
+    describe("Valuations", function () {
+        const WEEK = 7 * 24 * 60 * 60;
+        let appraisers;
+
+        const usd = (amount) => ethers.utils.parseEther(amount);
+        const report = (name) => ethers.utils.id(name);
+
+        const quote = async (values) => {
+            for (let i = 0; i < values.length; i++) {
+                await valuation.connect(appraisers[i]).submitValuation(0, usd(values[i]), report(`report-${i}`));
+            }
+        };
+
+        const endRound = async () => {
+            await ethers.provider.send("evm_increaseTime", [WEEK + 1]);
+            await ethers.provider.send("evm_mine");
+        };
+
+        beforeEach(async function () {
+            await registry.registerAsset("Test Asset", "Real Estate", "Location", usd("1000000"), "QmHash", "REG123", custodian.address);
+            await loraRWA.tokenizeAsset(0, usd("1000000"));
+
+            appraisers = [user1, user2, user3];
+            for (const appraiser of appraisers) {
+                await loraRWA.grantRole(await loraRWA.APPRAISER_ROLE(), appraiser.address);
+            }
+        });
+
+        it("Should settle on the median quote and keep a history", async function () {
+            await quote(["1050000", "900000", "1100000"]);
+
+            // Quotes in early cannot settle the round before the other appraisers had their chance
+            await expect(valuation.settleValuation(0)).to.be.revertedWith("Valuation round not ended");
+            await endRound();
+
+            await expect(valuation.settleValuation(0))
+                .to.emit(valuation, "ValuationSettled")
+                .withArgs(0, 0, usd("1050000"), report("report-0"));
+
+            const history = await valuation.getValuationHistory(0);
+            expect(history.length).to.equal(1);
+            expect(history[0].value).to.equal(usd("1050000"));
+            expect(history[0].reportHash).to.equal(report("report-0"));
+            expect((await loraRWA.getAsset(0)).tokenPrice).to.equal(usd("1.05"));
+            expect((await valuation.getValuationQuotes(0, 0)).length).to.equal(3);
+        });
+
+        it("Should accept one quote per appraiser per round", async function () {
+            await quote(["1000000"]);
+            await expect(
+                valuation.connect(user1).submitValuation(0, usd("1000000"), report("again"))
+            ).to.be.revertedWith("Already appraised");
+            await expect(
+                valuation.connect(addrs[0]).submitValuation(0, usd("1000000"), report("outsider"))
+            ).to.be.revertedWith(MISSING_ROLE);
+        });
+
+        it("Should reject a round that ends without enough quotes", async function () {
+            await quote(["1000000", "1010000"]);
+            await expect(valuation.settleValuation(0)).to.be.revertedWith("Valuation round not ended");
+
+            await endRound();
+
+            await expect(valuation.connect(user1).submitValuation(0, usd("1000000"), report("late")))
+                .to.be.revertedWith("Valuation round ended");
+            await expect(valuation.settleValuation(0)).to.emit(valuation, "ValuationRejected").withArgs(0, 0);
+
+            // A new round opens with the next quote
+            await quote(["1000000"]);
+            expect(await valuation.valuationRoundCount(0)).to.equal(2);
+        });
+
+        it("Should pause trading while a large move awaits approval", async function () {
+            const longKycExpiry = kycExpiry + 30 * 24 * 60 * 60;
+            await identity.updateCompliance(user1.address, true, longKycExpiry, "QmKYC", "US", usd("1000000"));
+            await loraToken.transfer(user1.address, usd("10000"));
+            await loraToken.connect(user1).approve(market.address, ethers.constants.MaxUint256);
+
+            // A 50% jump exceeds the default 20% limit
+            await quote(["1500000", "1500000", "1600000"]);
+            await endRound();
+            await loraPriceFeed.setPrice(100000000);
+            await expect(valuation.settleValuation(0))
+                .to.emit(valuation, "ValuationDisputed")
+                .withArgs(0, 0, usd("1500000"), 5000);
+
+            expect(await valuation.isValuationDisputed(0)).to.equal(true);
+            expect((await loraRWA.getAsset(0)).value).to.equal(usd("1000000"));
+            await expect(market.connect(user1).purchaseTokens(0, usd("1000"))).to.be.revertedWith("Valuation disputed");
+            await expect(valuation.connect(user1).submitValuation(0, usd("1000000"), report("next")))
+                .to.be.revertedWith("Valuation disputed");
+
+            await expect(valuation.connect(user1).approveValuation(0)).to.be.revertedWith(MISSING_ROLE);
+            await valuation.approveValuation(0);
+
+            expect((await loraRWA.getAsset(0)).value).to.equal(usd("1500000"));
+            await market.connect(user1).purchaseTokens(0, usd("1000"));
+        });
+
+        it("Should keep the current value when a disputed valuation is rejected", async function () {
+            await quote(["500000", "500000", "500000"]);
+            await endRound();
+            await valuation.settleValuation(0);
+
+            await valuation.rejectValuation(0);
+            expect(await valuation.isValuationDisputed(0)).to.equal(false);
+            expect((await loraRWA.getAsset(0)).value).to.equal(usd("1000000"));
+            expect((await valuation.getValuationHistory(0)).length).to.equal(0);
+        });
+    });
+
+    describe("Documents", function () {
+        const prospectus = ethers.utils.formatBytes32String("prospectus");
+        const titleDeed = ethers.utils.formatBytes32String("title-deed");
+
+        beforeEach(async function () {
+            await registry.registerAsset(
+                "Test Asset",
+                "Real Estate",
+                "Location",
+                ethers.utils.parseEther("1000000"),
+                "QmHash",
+                "REG123",
+                custodian.address
+            );
+        });
+
+        it("Should publish versioned documents and keep their history", async function () {
+            await expect(documents.setDocument(0, prospectus, "ipfs://QmProspectusV1", ethers.utils.id("v1")))
+                .to.emit(documents, "DocumentUpdated")
+                .withArgs(0, prospectus, "ipfs://QmProspectusV1", ethers.utils.id("v1"), 1, owner.address);
+            await documents.setDocument(0, titleDeed, "ipfs://QmDeed", ethers.utils.id("deed"));
+            await documents.setDocument(0, prospectus, "ipfs://QmProspectusV2", ethers.utils.id("v2"));
+
+            const current = await documents.getDocument(0, prospectus);
+            expect(current.uri).to.equal("ipfs://QmProspectusV2");
+            expect(current.documentHash).to.equal(ethers.utils.id("v2"));
+            expect(current.version).to.equal(2);
+            expect(current.uploader).to.equal(owner.address);
+
+            const first = await documents.getDocumentVersion(0, prospectus, 1);
+            expect(first.uri).to.equal("ipfs://QmProspectusV1");
+            expect(await documents.getDocumentVersionCount(0, prospectus)).to.equal(2);
+            expect(await documents.getAllDocuments(0)).to.deep.equal([prospectus, titleDeed]);
+        });
+
+        it("Should remove documents while keeping earlier versions readable", async function () {
+            await documents.setDocument(0, prospectus, "ipfs://QmProspectusV1", ethers.utils.id("v1"));
+            await documents.setDocument(0, titleDeed, "ipfs://QmDeed", ethers.utils.id("deed"));
+
+            await expect(documents.removeDocument(0, prospectus))
+                .to.emit(documents, "DocumentRemoved")
+                .withArgs(0, prospectus, "ipfs://QmProspectusV1", ethers.utils.id("v1"), 1);
+            expect(await documents.getAllDocuments(0)).to.deep.equal([titleDeed]);
+            await expect(documents.getDocument(0, prospectus)).to.be.revertedWith("Document not found");
+            await expect(documents.removeDocument(0, prospectus)).to.be.revertedWith("Document not found");
+            expect((await documents.getDocumentVersion(0, prospectus, 1)).uri).to.equal("ipfs://QmProspectusV1");
+
+            // Publishing again continues the version count
+            await documents.setDocument(0, prospectus, "ipfs://QmProspectusV2", ethers.utils.id("v2"));
+            expect((await documents.getDocument(0, prospectus)).version).to.equal(2);
+        });
+
+        it("Should restrict document management to the document role", async function () {
+            await expect(
+                documents.connect(user1).setDocument(0, prospectus, "ipfs://QmFake", ethers.utils.id("fake"))
+            ).to.be.revertedWith(MISSING_ROLE);
+            await expect(
+                documents.setDocument(1, prospectus, "ipfs://QmProspectus", ethers.utils.id("v1"))
+            ).to.be.revertedWith("Asset does not exist");
+            await expect(
+                documents.setDocument(0, prospectus, "ipfs://QmProspectus", ethers.constants.HashZero)
+            ).to.be.revertedWith("Empty document hash");
+
+            await loraRWA.grantRole(await loraRWA.DOCUMENT_ROLE(), custodian.address);
+            await documents.connect(custodian).setDocument(0, prospectus, "ipfs://QmProspectus", ethers.utils.id("v1"));
+            expect((await documents.getDocument(0, prospectus)).uploader).to.equal(custodian.address);
+        });
+    });
+
     describe("Trading Functions", function () {
         beforeEach(async function () {
             // Register and tokenize asset
-            await loraRWA.registerAsset(
+            await registry.registerAsset(
                 "Test Asset",
                 "Real Estate",
                 "Location",
@@ -173,19 +421,19 @@ describe("LoraRWA", function () {
             await loraRWA.tokenizeAsset(0, ethers.utils.parseEther("1000000"));
 
             // Setup compliance for users
-            await loraRWA.updateCompliance(
+            await identity.updateCompliance(
                 user1.address,
                 true, // isWhitelisted
-                Math.floor(Date.now() / 1000) + 86400, // kycExpiry (1 day from now)
+                kycExpiry, // 1 year from now
                 "QmKYC",
                 "US",
                 ethers.utils.parseEther("1000000") // maxHolding
             );
 
-            await loraRWA.updateCompliance(
+            await identity.updateCompliance(
                 user2.address,
                 true,
-                Math.floor(Date.now() / 1000) + 86400,
+                kycExpiry,
                 "QmKYC2",
                 "US",
                 ethers.utils.parseEther("1000000")
@@ -200,34 +448,34 @@ describe("LoraRWA", function () {
             const purchaseAmount = ethers.utils.parseEther("1000");
             const expectedCost = ethers.utils.parseEther("1000"); // $1 per token
 
-            await loraToken.connect(user1).approve(loraRWA.address, expectedCost);
-            await loraRWA.connect(user1).purchaseTokens(0, purchaseAmount);
+            await loraToken.connect(user1).approve(market.address, expectedCost);
+            await market.connect(user1).purchaseTokens(0, purchaseAmount);
 
             expect(await loraRWA.balanceOf(user1.address, 0)).to.equal(purchaseAmount);
-            expect(await loraToken.balanceOf(loraRWA.address)).to.equal(expectedCost);
+            expect(await loraToken.balanceOf(market.address)).to.equal(expectedCost);
         });
 
         it("Should prevent non-whitelisted users from purchasing", async function () {
-            await loraToken.connect(user3).approve(loraRWA.address, ethers.utils.parseEther("1000"));
+            await loraToken.connect(user3).approve(market.address, ethers.utils.parseEther("1000"));
             
             await expect(
-                loraRWA.connect(user3).purchaseTokens(0, ethers.utils.parseEther("1000"))
+                market.connect(user3).purchaseTokens(0, ethers.utils.parseEther("1000"))
             ).to.be.revertedWith("Not whitelisted");
         });
 
         it("Should prevent blacklisted users from purchasing", async function () {
-            await loraRWA.setBlacklisted(user1.address, true);
+            await identity.setBlacklisted(user1.address, true);
             
             await expect(
-                loraRWA.connect(user1).purchaseTokens(0, ethers.utils.parseEther("1000"))
+                market.connect(user1).purchaseTokens(0, ethers.utils.parseEther("1000"))
             ).to.be.revertedWith("Address blacklisted");
         });
 
         it("Should allow users to sell tokens", async function () {
             // Purchase tokens first
             const purchaseAmount = ethers.utils.parseEther("1000");
-            await loraToken.connect(user1).approve(loraRWA.address, ethers.utils.parseEther("1000"));
-            await loraRWA.connect(user1).purchaseTokens(0, purchaseAmount);
+            await loraToken.connect(user1).approve(market.address, ethers.utils.parseEther("1000"));
+            await market.connect(user1).purchaseTokens(0, purchaseAmount);
 
             // Fast forward time to meet hold period
             await ethers.provider.send("evm_increaseTime", [86400]); // 1 day
@@ -236,129 +484,1647 @@ describe("LoraRWA", function () {
             const sellAmount = ethers.utils.parseEther("500");
             const initialBalance = await loraToken.balanceOf(user1.address);
             
-            await loraRWA.connect(user1).sellTokens(0, sellAmount);
+            await market.connect(user1).sellTokens(0, sellAmount);
 
             const finalBalance = await loraToken.balanceOf(user1.address);
             expect(finalBalance).to.be.gt(initialBalance);
             expect(await loraRWA.balanceOf(user1.address, 0)).to.equal(purchaseAmount.sub(sellAmount));
         });
 
+        it("Should sell from and return to the custodian's inventory with a fixed supply", async function () {
+            const totalTokens = ethers.utils.parseEther("1000000");
+            await loraToken.connect(user1).approve(market.address, ethers.utils.parseEther("1000"));
+            await market.connect(user1).purchaseTokens(0, ethers.utils.parseEther("1000"));
+
+            expect(await loraRWA.totalSupply(0)).to.equal(totalTokens);
+            expect(await loraRWA.balanceOf(custodian.address, 0)).to.equal(totalTokens.sub(ethers.utils.parseEther("1000")));
+            expect(await loraRWA.availableInventory(0)).to.equal(totalTokens.sub(ethers.utils.parseEther("1000")));
+
+            await ethers.provider.send("evm_increaseTime", [86400]);
+            await ethers.provider.send("evm_mine");
+            await market.connect(user1).sellTokens(0, ethers.utils.parseEther("400"));
+
+            expect(await loraRWA.totalSupply(0)).to.equal(totalTokens);
+            expect(await loraRWA.balanceOf(custodian.address, 0)).to.equal(totalTokens.sub(ethers.utils.parseEther("600")));
+            await expect(
+                market.connect(custodian).sellTokens(0, ethers.utils.parseEther("1"))
+            ).to.be.revertedWith("Custodian cannot sell inventory");
+        });
+
+        it("Should not sell beyond the custodian's inventory", async function () {
+            await registry.registerAsset(
+                "Small Asset",
+                "Real Estate",
+                "Location",
+                ethers.utils.parseEther("100"),
+                "QmHash2",
+                "REG456",
+                custodian.address
+            );
+            await loraRWA.tokenizeAsset(1, ethers.utils.parseEther("100"));
+            await loraToken.connect(user1).approve(market.address, ethers.utils.parseEther("1000"));
+
+            await expect(
+                market.connect(user1).purchaseTokens(1, ethers.utils.parseEther("101"))
+            ).to.be.revertedWith("Insufficient inventory");
+            await market.connect(user1).purchaseTokens(1, ethers.utils.parseEther("100"));
+            expect(await loraRWA.availableInventory(1)).to.equal(0);
+            expect(await loraRWA.totalSupply(1)).to.equal(ethers.utils.parseEther("100"));
+        });
+
+        it("Should hand the inventory over to a new custodian", async function () {
+            await expect(loraRWA.updateCustodian(0, user3.address))
+                .to.emit(loraRWA, "InventoryTransferred")
+                .withArgs(0, custodian.address, user3.address, ethers.utils.parseEther("1000000"));
+            expect(await loraRWA.balanceOf(user3.address, 0)).to.equal(ethers.utils.parseEther("1000000"));
+
+            await loraToken.connect(user1).approve(market.address, ethers.utils.parseEther("1000"));
+            await market.connect(user1).purchaseTokens(0, ethers.utils.parseEther("1000"));
+            expect(await loraRWA.balanceOf(user3.address, 0)).to.equal(ethers.utils.parseEther("999000"));
+        });
+
+        it("Should apply transfer restrictions to a buyer contract passing tokens on from its callback", async function () {
+            const Receiver = await ethers.getContractFactory("MockReentrantReceiver");
+            const buyer = await Receiver.deploy();
+            await buyer.deployed();
+            await identity.updateCompliance(buyer.address, true, kycExpiry, "QmKYC", "US", 0);
+            await loraToken.transfer(buyer.address, ethers.utils.parseEther("1000"));
+            await buyer.execute(
+                loraToken.address,
+                loraToken.interface.encodeFunctionData("approve", [market.address, ethers.utils.parseEther("1000")])
+            );
+            const purchase = market.interface.encodeFunctionData("purchaseTokens", [0, ethers.utils.parseEther("100")]);
+
+            await buyer.setForwardTo(user3.address);
+            await expect(buyer.execute(market.address, purchase)).to.be.revertedWith("Recipient not whitelisted");
+
+            await buyer.setForwardTo(user2.address);
+            await market.setAssetTradingEnabled(0, false, true, true);
+            await expect(buyer.execute(market.address, purchase)).to.be.revertedWith("Transfers disabled");
+
+            await market.setAssetTradingEnabled(0, true, true, true);
+            await buyer.execute(market.address, purchase);
+            expect(await loraRWA.balanceOf(user2.address, 0)).to.equal(ethers.utils.parseEther("100"));
+            expect(await loraRWA.balanceOf(buyer.address, 0)).to.equal(0);
+        });
+
+        it("Should purchase tokens with a permit in one call", async function () {
+            const purchaseAmount = ethers.utils.parseEther("1000");
+            const cost = ethers.utils.parseEther("1000");
+            const deadline = ethers.constants.MaxUint256;
+            const { chainId } = await ethers.provider.getNetwork();
+
+            const signature = await user1._signTypedData(
+                { name: "LORA Token", version: "1", chainId, verifyingContract: loraToken.address },
+                {
+                    Permit: [
+                        { name: "owner", type: "address" },
+                        { name: "spender", type: "address" },
+                        { name: "value", type: "uint256" },
+                        { name: "nonce", type: "uint256" },
+                        { name: "deadline", type: "uint256" },
+                    ],
+                },
+                {
+                    owner: user1.address,
+                    spender: market.address,
+                    value: cost,
+                    nonce: await loraToken.nonces(user1.address),
+                    deadline,
+                }
+            );
+            const { v, r, s } = ethers.utils.splitSignature(signature);
+
+            await market.connect(user1).purchaseTokensWithPermit(0, purchaseAmount, cost, deadline, v, r, s);
+            expect(await loraRWA.balanceOf(user1.address, 0)).to.equal(purchaseAmount);
+        });
+
+        describe("Settlement Currencies", function () {
+            let usdc, usdcPriceFeed;
+
+            beforeEach(async function () {
+                const MockStablecoin = await ethers.getContractFactory("MockStablecoin");
+                usdc = await MockStablecoin.deploy("USD Coin", "USDC", 6);
+                await usdc.deployed();
+
+                usdcPriceFeed = await MockPriceFeed.deploy();
+                await usdcPriceFeed.deployed();
+                await usdcPriceFeed.setPrice(100000000); // $1
+                await market.setPaymentToken(usdc.address, usdcPriceFeed.address, true);
+
+                await usdc.mint(user2.address, ethers.utils.parseUnits("10000", 6));
+            });
+
+            it("Should charge LORA at the oracle LORA/USD rate", async function () {
+                await loraPriceFeed.setPrice(200000000); // $2
+                const purchaseAmount = ethers.utils.parseEther("1000");
+
+                const [cost, rate] = await market.quotePurchase(0, purchaseAmount, loraToken.address);
+                expect(cost).to.equal(ethers.utils.parseEther("500"));
+                expect(rate).to.equal(ethers.utils.parseEther("2"));
+
+                await loraToken.connect(user1).approve(market.address, cost);
+                await expect(market.connect(user1).purchaseTokens(0, purchaseAmount))
+                    .to.emit(market, "TokensPurchased")
+                    .withArgs(0, user1.address, purchaseAmount, cost, loraToken.address, rate);
+            });
+
+            it("Should accept purchases in a registered stablecoin", async function () {
+                const purchaseAmount = ethers.utils.parseEther("1000");
+                const cost = ethers.utils.parseUnits("1000", 6);
+
+                await usdc.connect(user2).approve(market.address, cost);
+                await expect(market.connect(user2).purchaseTokensWithCurrency(0, purchaseAmount, usdc.address))
+                    .to.emit(market, "TokensPurchased")
+                    .withArgs(0, user2.address, purchaseAmount, cost, usdc.address, ethers.utils.parseEther("1"));
+
+                expect(await usdc.balanceOf(market.address)).to.equal(cost);
+                expect(await loraRWA.balanceOf(user2.address, 0)).to.equal(purchaseAmount);
+            });
+
+            it("Should reject currencies that are not registered", async function () {
+                await market.setPaymentToken(usdc.address, usdcPriceFeed.address, false);
+                await expect(
+                    market.connect(user2).purchaseTokensWithCurrency(0, ethers.utils.parseEther("1000"), usdc.address)
+                ).to.be.revertedWith("Currency not accepted");
+            });
+
+            it("Should pay sells in the seller's payout currency", async function () {
+                const purchaseAmount = ethers.utils.parseEther("1000");
+                await usdc.connect(user2).approve(market.address, ethers.utils.parseUnits("1000", 6));
+                await market.connect(user2).purchaseTokensWithCurrency(0, purchaseAmount, usdc.address);
+
+                await expect(market.connect(user2).setPayoutCurrency(user3.address)).to.be.revertedWith("Currency not accepted");
+                await market.connect(user2).setPayoutCurrency(usdc.address);
+                expect(await market.getPayoutCurrency(user2.address)).to.equal(usdc.address);
+
+                await ethers.provider.send("evm_increaseTime", [86400]);
+                await ethers.provider.send("evm_mine");
+
+                const usdcBefore = await usdc.balanceOf(user2.address);
+                await expect(market.connect(user2).sellTokens(0, ethers.utils.parseEther("500")))
+                    .to.emit(market, "TokensSold")
+                    .withArgs(
+                        0,
+                        user2.address,
+                        ethers.utils.parseEther("500"),
+                        ethers.utils.parseUnits("500", 6),
+                        usdc.address,
+                        ethers.utils.parseEther("1")
+                    );
+                expect(await usdc.balanceOf(user2.address)).to.equal(usdcBefore.add(ethers.utils.parseUnits("500", 6)));
+            });
+        });
+
+        describe("Per-Asset Parameters", function () {
+            beforeEach(async function () {
+                await registry.registerAsset(
+                    "Art Fraction",
+                    "Art",
+                    "Location",
+                    ethers.utils.parseEther("1000000"),
+                    "QmHash2",
+                    "ART123",
+                    custodian.address
+                );
+                await loraRWA.tokenizeAsset(1, ethers.utils.parseEther("1000000"));
+                await loraToken.connect(user1).approve(market.address, ethers.constants.MaxUint256);
+            });
+
+            it("Should apply per-asset limits and keep the globals as defaults", async function () {
+                await market.setAssetLimits(0, true, 3600, ethers.utils.parseEther("2000"), ethers.utils.parseEther("100"));
+
+                expect(await market.getHoldPeriod(0)).to.equal(3600);
+                expect(await market.getMaxTokensPerAddress(0)).to.equal(ethers.utils.parseEther("2000"));
+                expect(await market.getHoldPeriod(1)).to.equal(86400);
+                expect(await market.getMaxTokensPerAddress(1)).to.equal(ethers.utils.parseEther("1000000"));
+
+                await expect(
+                    market.connect(user1).purchaseTokens(0, ethers.utils.parseEther("50"))
+                ).to.be.revertedWith("Below minimum purchase");
+                await expect(
+                    market.connect(user1).purchaseTokens(0, ethers.utils.parseEther("2500"))
+                ).to.be.revertedWith("Exceeds max holding");
+                await market.connect(user1).purchaseTokens(1, ethers.utils.parseEther("2500"));
+            });
+
+            it("Should track hold periods per asset", async function () {
+                await market.connect(user1).purchaseTokens(0, ethers.utils.parseEther("1000"));
+
+                await ethers.provider.send("evm_increaseTime", [86400]);
+                await ethers.provider.send("evm_mine");
+
+                // Buying another asset does not restart the first asset's hold period
+                await market.connect(user1).purchaseTokens(1, ethers.utils.parseEther("1000"));
+                await market.connect(user1).sellTokens(0, ethers.utils.parseEther("500"));
+                await expect(
+                    market.connect(user1).sellTokens(1, ethers.utils.parseEther("500"))
+                ).to.be.revertedWith("Hold period not met");
+
+                const purchasedAt = await loraRWA.holdStart(1, user1.address);
+                expect(await market.holdPeriodEnd(1, user1.address)).to.equal(purchasedAt.add(86400));
+            });
+
+            it("Should enable and disable transfers, purchases and sells per asset", async function () {
+                await market.connect(user1).purchaseTokens(0, ethers.utils.parseEther("1000"));
+                await market.setAssetTradingEnabled(0, false, false, false);
+
+                expect(await loraRWA.canTransfer(user1.address, user2.address, 0, 1)).to.equal(14);
+                await expect(
+                    loraRWA.connect(user1).safeTransferFrom(user1.address, user2.address, 0, 1, "0x")
+                ).to.be.revertedWith("Transfers disabled");
+                await expect(
+                    market.connect(user1).purchaseTokens(0, ethers.utils.parseEther("1"))
+                ).to.be.revertedWith("Purchases disabled");
+
+                await ethers.provider.send("evm_increaseTime", [86400]);
+                await ethers.provider.send("evm_mine");
+                await expect(
+                    market.connect(user1).sellTokens(0, ethers.utils.parseEther("1"))
+                ).to.be.revertedWith("Sells disabled");
+
+                // Other assets are unaffected
+                await market.connect(user1).purchaseTokens(1, ethers.utils.parseEther("1"));
+            });
+        });
+
         it("Should enforce hold period", async function () {
             const purchaseAmount = ethers.utils.parseEther("1000");
-            await loraToken.connect(user1).approve(loraRWA.address, ethers.utils.parseEther("1000"));
-            await loraRWA.connect(user1).purchaseTokens(0, purchaseAmount);
+            await loraToken.connect(user1).approve(market.address, ethers.utils.parseEther("1000"));
+            await market.connect(user1).purchaseTokens(0, purchaseAmount);
 
             await expect(
-                loraRWA.connect(user1).sellTokens(0, ethers.utils.parseEther("500"))
+                market.connect(user1).sellTokens(0, ethers.utils.parseEther("500"))
             ).to.be.revertedWith("Hold period not met");
         });
+
+        describe("Redemption Queue", function () {
+            const lora = (amount) => ethers.utils.parseEther(amount);
+
+            const revalue = async (value) => {
+                const appraisers = [owner, user3, addrs[0]];
+                for (let i = 0; i < appraisers.length; i++) {
+                    await loraRWA.grantRole(await loraRWA.APPRAISER_ROLE(), appraisers[i].address);
+                    await valuation.connect(appraisers[i]).submitValuation(0, lora(value), ethers.utils.id(`nav-${i}`));
+                }
+                await ethers.provider.send("evm_increaseTime", [7 * 24 * 60 * 60 + 1]);
+                await ethers.provider.send("evm_mine");
+                await valuation.settleValuation(0);
+                await loraPriceFeed.setPrice(100000000); // Keep the LORA feed fresh after the round
+
+            };
+
+            beforeEach(async function () {
+                // Purchases fund the buffer; the issuer keeps 600 of the 1,000 LORA paid
+                await loraToken.connect(user1).approve(market.address, ethers.constants.MaxUint256);
+                await market.connect(user1).purchaseTokens(0, lora("1000"));
+                await market.withdrawLiquidity(0, loraToken.address, lora("600"));
+                expect(await market.liquidityBuffer(0, loraToken.address)).to.equal(lora("400"));
+
+                await ethers.provider.send("evm_increaseTime", [86400]);
+                await ethers.provider.send("evm_mine");
+            });
+
+            it("Should pay sells instantly up to the liquidity buffer and queue the rest", async function () {
+                await expect(market.connect(user1).sellTokens(0, lora("300"))).to.emit(market, "TokensSold");
+                expect(await market.liquidityBuffer(0, loraToken.address)).to.equal(lora("100"));
+
+                await expect(market.connect(user1).sellTokens(0, lora("500")))
+                    .to.emit(market, "RedemptionQueued")
+                    .withArgs(0, 0, user1.address, lora("500"));
+                expect(await loraRWA.balanceOf(user1.address, 0)).to.equal(lora("700"));
+                expect(await loraRWA.queuedTokens(0, user1.address)).to.equal(lora("500"));
+
+                // Small sells the buffer could cover still wait behind the queue
+                await expect(market.connect(user1).sellTokens(0, lora("50")))
+                    .to.emit(market, "RedemptionQueued")
+                    .withArgs(0, 1, user1.address, lora("50"));
+                expect(await market.redemptionQueuePosition(0, 0)).to.equal(1);
+                expect(await market.redemptionQueuePosition(0, 1)).to.equal(2);
+
+                // Queued tokens stay locked in the holder's wallet
+                await expect(
+                    loraRWA.connect(user1).safeTransferFrom(user1.address, user2.address, 0, lora("200"), "0x")
+                ).to.be.revertedWith("Tokens queued for redemption");
+                await expect(market.connect(user1).sellTokens(0, lora("200"))).to.be.revertedWith("Insufficient balance");
+            });
+
+            it("Should settle queued sells in order at the next valuation", async function () {
+                await market.connect(user1).sellTokens(0, lora("500"));
+                await market.connect(user1).sellTokens(0, lora("100"));
+
+                // Nothing settles before a new valuation
+                await market.processRedemptions(0, 10);
+                expect(await market.pendingRedemptions(0)).to.equal(2);
+
+                // At $1.10 the first request needs 550 LORA, more than the buffer holds
+                await revalue("1100000");
+                await market.processRedemptions(0, 10);
+                expect(await market.pendingRedemptions(0)).to.equal(2);
+
+                await expect(
+                    market.connect(user2).fundLiquidity(0, loraToken.address, lora("300"))
+                ).to.be.revertedWith("Not admin or custodian");
+                await loraToken.approve(market.address, lora("300"));
+                await expect(market.fundLiquidity(0, loraToken.address, lora("300")))
+                    .to.emit(market, "LiquidityFunded")
+                    .withArgs(0, owner.address, loraToken.address, lora("300"));
+
+                const balanceBefore = await loraToken.balanceOf(user1.address);
+                await expect(market.processRedemptions(0, 10))
+                    .to.emit(market, "RedemptionSettled")
+                    .withArgs(0, 0, user1.address, lora("500"), lora("550"), loraToken.address)
+                    .and.to.emit(market, "RedemptionSettled")
+                    .withArgs(0, 1, user1.address, lora("100"), lora("110"), loraToken.address);
+
+                expect(await loraToken.balanceOf(user1.address)).to.equal(balanceBefore.add(lora("660")));
+                expect(await loraRWA.balanceOf(user1.address, 0)).to.equal(lora("400"));
+                expect(await loraRWA.queuedTokens(0, user1.address)).to.equal(0);
+                expect(await market.liquidityBuffer(0, loraToken.address)).to.equal(lora("40"));
+                expect(await market.redemptionQueuePosition(0, 0)).to.equal(0);
+                expect((await market.getRedemptionRequest(0, 1)).proceeds).to.equal(lora("110"));
+            });
+
+            it("Should let holders cancel queued sells", async function () {
+                await market.connect(user1).sellTokens(0, lora("500"));
+
+                await expect(market.connect(user2).cancelRedemption(0, 0)).to.be.revertedWith("Not request holder");
+                await expect(market.connect(user1).cancelRedemption(0, 0))
+                    .to.emit(market, "RedemptionCancelled")
+                    .withArgs(0, 0, user1.address);
+                await expect(market.connect(user1).cancelRedemption(0, 0)).to.be.revertedWith("Request not pending");
+                expect(await loraRWA.queuedTokens(0, user1.address)).to.equal(0);
+
+                // With the queue empty, sells within the buffer are instant again
+                await expect(market.connect(user1).sellTokens(0, lora("300"))).to.emit(market, "TokensSold");
+            });
+
+            it("Should keep the value of queued sells in the buffer", async function () {
+                await market.connect(user1).sellTokens(0, lora("300"));
+                await market.connect(user1).sellTokens(0, lora("150"));
+                expect(await market.reservedLiquidity(0, loraToken.address)).to.equal(lora("150"));
+
+                // The 100 LORA left do not cover the queued sell
+                await expect(
+                    market.withdrawLiquidity(0, loraToken.address, lora("50"))
+                ).to.be.revertedWith("Liquidity reserved for sells");
+
+                await market.connect(user1).cancelRedemption(0, 0);
+                expect(await market.reservedLiquidity(0, loraToken.address)).to.equal(0);
+                await market.withdrawLiquidity(0, loraToken.address, lora("50"));
+                expect(await market.liquidityBuffer(0, loraToken.address)).to.equal(lora("50"));
+            });
+
+            it("Should keep settling when a payout transfer fails", async function () {
+                const MockStablecoin = await ethers.getContractFactory("MockStablecoin");
+                const usdc = await MockStablecoin.deploy("USD Coin", "USDC", 6);
+                const usdcPriceFeed = await MockPriceFeed.deploy();
+                await usdcPriceFeed.setPrice(100000000); // $1
+                await market.setPaymentToken(usdc.address, usdcPriceFeed.address, true);
+
+                // The first request is paid in USDC, which then freezes the holder
+                await market.connect(user1).setPayoutCurrency(usdc.address);
+                await market.connect(user1).sellTokens(0, lora("100"));
+                await market.connect(user1).setPayoutCurrency(loraToken.address);
+                await market.connect(user1).sellTokens(0, lora("50"));
+                await usdc.setFrozen(user1.address, true);
+
+                await revalue("1000000");
+                await usdcPriceFeed.setPrice(100000000);
+                await usdc.mint(owner.address, ethers.utils.parseUnits("100", 6));
+                await usdc.approve(market.address, ethers.utils.parseUnits("100", 6));
+                await market.fundLiquidity(0, usdc.address, ethers.utils.parseUnits("100", 6));
+
+                await expect(market.processRedemptions(0, 10))
+                    .to.emit(market, "ProceedsDeferred")
+                    .withArgs(user1.address, usdc.address, ethers.utils.parseUnits("100", 6))
+                    .and.to.emit(market, "RedemptionSettled")
+                    .withArgs(0, 1, user1.address, lora("50"), lora("50"), loraToken.address);
+                expect(await market.pendingRedemptions(0)).to.equal(0);
+                expect(await market.unpaidProceeds(user1.address, usdc.address)).to.equal(ethers.utils.parseUnits("100", 6));
+
+                await usdc.setFrozen(user1.address, false);
+                await expect(market.connect(user1).claimProceeds(usdc.address))
+                    .to.emit(market, "ProceedsClaimed")
+                    .withArgs(user1.address, usdc.address, ethers.utils.parseUnits("100", 6));
+                expect(await usdc.balanceOf(user1.address)).to.equal(ethers.utils.parseUnits("100", 6));
+                await expect(market.connect(user1).claimProceeds(usdc.address)).to.be.revertedWith("Nothing to claim");
+            });
+        });
     });
 
-    describe("Yield Distribution", function () {
+    describe("Primary Offerings", function () {
+        const WEEK = 7 * 24 * 60 * 60;
+        const Status = { None: 0, Scheduled: 1, Open: 2, Closed: 3, Successful: 4, Failed: 5, Cancelled: 6 };
+        let startTime, endTime;
+
+        const tokens = (amount) => ethers.utils.parseEther(amount);
+
         beforeEach(async function () {
-            // Register and tokenize asset
-            await loraRWA.registerAsset(
+            await registry.registerAsset(
                 "Test Asset",
                 "Real Estate",
                 "Location",
-                ethers.utils.parseEther("1000000"),
+                tokens("1000000"),
                 "QmHash",
                 "REG123",
                 custodian.address
             );
-            await loraRWA.tokenizeAsset(0, ethers.utils.parseEther("1000000"));
+            await loraRWA.tokenizeAsset(0, tokens("1000000"));
 
-            // Setup compliance and purchase tokens
-            await loraRWA.updateCompliance(
-                user1.address,
-                true,
-                Math.floor(Date.now() / 1000) + 86400,
-                "QmKYC",
-                "US",
-                ethers.utils.parseEther("1000000")
+            const now = (await ethers.provider.getBlock("latest")).timestamp;
+            for (const user of [user1, user2]) {
+                await identity.updateCompliance(user.address, true, now + 4 * WEEK, "QmKYC", "US", tokens("1000000"));
+                await loraToken.transfer(user.address, tokens("10000"));
+                await loraToken.connect(user).approve(offerings.address, ethers.constants.MaxUint256);
+            }
+
+            // 1 day from now for one week; soft cap 5,000, hard cap 10,000, tickets of 1,000 to 6,000 tokens
+            startTime = now + 86400;
+            endTime = startTime + WEEK;
+            await offerings.createOffering(
+                0,
+                startTime,
+                endTime,
+                tokens("5000"),
+                tokens("10000"),
+                tokens("1000"),
+                tokens("6000"),
+                loraToken.address,
+                ethers.constants.AddressZero
             );
+        });
 
-            await loraToken.transfer(user1.address, ethers.utils.parseEther("10000"));
-            await loraToken.connect(user1).approve(loraRWA.address, ethers.utils.parseEther("1000"));
-            await loraRWA.connect(user1).purchaseTokens(0, ethers.utils.parseEther("1000"));
+        const openOffering = async () => {
+            await ethers.provider.send("evm_setNextBlockTimestamp", [startTime]);
+            await ethers.provider.send("evm_mine");
+        };
+
+        const closeOffering = async () => {
+            await ethers.provider.send("evm_setNextBlockTimestamp", [endTime]);
+            await ethers.provider.send("evm_mine");
+        };
+
+        it("Should move from scheduled to open and block open-ended purchases", async function () {
+            expect(await offerings.offeringStatus(0)).to.equal(Status.Scheduled);
+            await expect(offerings.connect(user1).subscribe(0, tokens("1000"))).to.be.revertedWith("Offering not open");
+
+            await openOffering();
+            expect(await offerings.offeringStatus(0)).to.equal(Status.Open);
+            await expect(
+                market.connect(user1).purchaseTokens(0, tokens("1000"))
+            ).to.be.revertedWith("Primary offering not completed");
         });
 
-        it("Should allow admin to distribute yield", async function () {
-            const yieldAmount = ethers.utils.parseEther("10000"); // $10K yield
-            
-            await loraRWA.distributeYield(0, yieldAmount);
-            
-            const yield = await loraRWA.getYield(0, 0);
-            expect(yield.amount).to.equal(yieldAmount);
-            expect(yield.claimed).to.equal(false);
+        it("Should enforce tickets and the hard cap", async function () {
+            await openOffering();
+
+            await expect(offerings.connect(user1).subscribe(0, tokens("500"))).to.be.revertedWith("Below minimum ticket");
+            await expect(offerings.connect(user1).subscribe(0, tokens("6001"))).to.be.revertedWith("Exceeds maximum ticket");
+
+            await offerings.connect(user1).subscribe(0, tokens("6000"));
+            await expect(offerings.connect(user2).subscribe(0, tokens("4001"))).to.be.revertedWith("Exceeds hard cap");
         });
 
-        it("Should allow users to claim yield", async function () {
-            const yieldAmount = ethers.utils.parseEther("10000");
-            await loraRWA.distributeYield(0, yieldAmount);
+        it("Should hold subscriptions in escrow and release proceeds on success", async function () {
+            await openOffering();
+            await expect(offerings.connect(user1).subscribe(0, tokens("3000")))
+                .to.emit(offerings, "OfferingSubscribed")
+                .withArgs(0, user1.address, tokens("3000"), tokens("3000"));
+            await offerings.connect(user2).subscribe(0, tokens("2000"));
 
-            const initialBalance = await loraToken.balanceOf(user1.address);
-            await loraRWA.connect(user1).claimYield(0, 0);
-            const finalBalance = await loraToken.balanceOf(user1.address);
+            expect(await loraToken.balanceOf(offerings.address)).to.equal(tokens("5000"));
+            expect(await loraRWA.balanceOf(user1.address, 0)).to.equal(0);
+            await expect(offerings.finalizeOffering(0)).to.be.revertedWith("Offering not closed");
 
-            expect(finalBalance).to.be.gt(initialBalance);
+            await closeOffering();
+            await expect(offerings.finalizeOffering(0))
+                .to.emit(offerings, "OfferingProceedsReleased")
+                .withArgs(0, custodian.address, tokens("5000"));
+            expect(await offerings.offeringStatus(0)).to.equal(Status.Successful);
+            expect(await loraToken.balanceOf(custodian.address)).to.equal(tokens("5000"));
+
+            await offerings.connect(user1).claimOfferingTokens(0);
+            expect(await loraRWA.balanceOf(user1.address, 0)).to.equal(tokens("3000"));
+            await expect(offerings.connect(user1).claimOfferingTokens(0)).to.be.revertedWith("Nothing to claim");
+            await expect(offerings.connect(user2).claimOfferingRefund(0)).to.be.revertedWith("Offering not refundable");
+
+            // Secondary purchases open once the offering has succeeded
+            await loraPriceFeed.setPrice(100000000); // Keep the LORA feed fresh after the offering
+            await loraToken.connect(user2).approve(market.address, ethers.constants.MaxUint256);
+            await market.connect(user2).purchaseTokens(0, tokens("1000"));
         });
 
-        it("Should prevent double claiming", async function () {
-            const yieldAmount = ethers.utils.parseEther("10000");
-            await loraRWA.distributeYield(0, yieldAmount);
+        it("Should count unclaimed offering tokens toward the max holding", async function () {
+            await market.setAssetLimits(0, true, 86400, tokens("4000"), 0);
+            await openOffering();
+            await offerings.connect(user1).subscribe(0, tokens("3000"));
+            await offerings.connect(user2).subscribe(0, tokens("2000"));
+            await closeOffering();
+            await offerings.finalizeOffering(0);
+            await loraPriceFeed.setPrice(100000000); // Keep the LORA feed fresh after the offering
 
-            await loraRWA.connect(user1).claimYield(0, 0);
-            
+            await loraToken.connect(user1).approve(market.address, ethers.constants.MaxUint256);
             await expect(
-                loraRWA.connect(user1).claimYield(0, 0)
-            ).to.be.revertedWith("Already claimed");
+                market.connect(user1).purchaseTokens(0, tokens("1001"))
+            ).to.be.revertedWith("Exceeds max holding");
+            await market.connect(user1).purchaseTokens(0, tokens("1000"));
+
+            await offerings.connect(user1).claimOfferingTokens(0);
+            expect(await loraRWA.balanceOf(user1.address, 0)).to.equal(tokens("4000"));
+        });
+
+        it("Should reserve subscribed tokens in the custodian's inventory", async function () {
+            await openOffering();
+            await offerings.connect(user1).subscribe(0, tokens("3000"));
+
+            expect(await loraRWA.reservedInventory(0)).to.equal(tokens("3000"));
+            expect(await loraRWA.availableInventory(0)).to.equal(tokens("997000"));
+
+            // The custodian cannot move tokens owed to subscribers
+            await identity.updateCompliance(custodian.address, true, startTime + 4 * WEEK, "QmKYC", "US", tokens("1000000"));
+            await expect(
+                loraRWA.connect(custodian).safeTransferFrom(custodian.address, user2.address, 0, tokens("997001"), "0x")
+            ).to.be.revertedWith("Inventory reserved");
+
+            await offerings.connect(user2).subscribe(0, tokens("2000"));
+            await closeOffering();
+            await offerings.finalizeOffering(0);
+            await offerings.connect(user1).claimOfferingTokens(0);
+
+            expect(await loraRWA.reservedInventory(0)).to.equal(tokens("2000"));
+            expect(await loraRWA.totalSupply(0)).to.equal(tokens("1000000"));
+        });
+
+        it("Should close early once the hard cap is reached", async function () {
+            await openOffering();
+            await offerings.connect(user1).subscribe(0, tokens("6000"));
+            await offerings.connect(user2).subscribe(0, tokens("4000"));
+
+            expect(await offerings.offeringStatus(0)).to.equal(Status.Closed);
+            await offerings.finalizeOffering(0);
+            expect(await offerings.offeringStatus(0)).to.equal(Status.Successful);
+        });
+
+        it("Should refund investors when the soft cap is missed", async function () {
+            await openOffering();
+            await offerings.connect(user1).subscribe(0, tokens("2000"));
+            const balanceAfterSubscription = await loraToken.balanceOf(user1.address);
+
+            await closeOffering();
+            await expect(offerings.finalizeOffering(0))
+                .to.emit(offerings, "OfferingFinalized")
+                .withArgs(0, false, tokens("2000"), tokens("2000"));
+            await expect(offerings.connect(user1).claimOfferingTokens(0)).to.be.revertedWith("Offering not successful");
+
+            // A new offering has to wait for every refund
+            const now = (await ethers.provider.getBlock("latest")).timestamp;
+            await expect(
+                offerings.createOffering(0, now + 10, now + WEEK, 0, tokens("1000"), 0, 0, loraToken.address, ethers.constants.AddressZero)
+            ).to.be.revertedWith("Offering already exists");
+
+            await expect(offerings.connect(user1).claimOfferingRefund(0))
+                .to.emit(offerings, "OfferingRefunded")
+                .withArgs(0, user1.address, tokens("2000"));
+            expect(await loraToken.balanceOf(user1.address)).to.equal(balanceAfterSubscription.add(tokens("2000")));
+
+            await offerings.createOffering(0, now + 10, now + WEEK, 0, tokens("1000"), 0, 0, loraToken.address, ethers.constants.AddressZero);
+            expect(await offerings.offeringStatus(0)).to.equal(Status.Scheduled);
+        });
+
+        it("Should refund investors of a cancelled offering", async function () {
+            await openOffering();
+            await offerings.connect(user1).subscribe(0, tokens("1000"));
+
+            await expect(offerings.connect(user1).cancelOffering(0)).to.be.revertedWith(MISSING_ROLE);
+            await expect(offerings.cancelOffering(0)).to.emit(offerings, "OfferingCancelled").withArgs(0);
+            expect(await offerings.offeringStatus(0)).to.equal(Status.Cancelled);
+
+            await offerings.connect(user1).claimOfferingRefund(0);
+            const commitment = await offerings.getOfferingCommitment(0, user1.address);
+            expect(commitment.tokens).to.equal(0);
+            expect(commitment.paid).to.equal(0);
         });
     });
 
-    describe("Compliance Functions", function () {
-        it("Should allow compliance role to update user compliance", async function () {
-            await loraRWA.updateCompliance(
+    describe("Oracle Safety", function () {
+        const purchaseAmount = ethers.utils.parseEther("1000");
+
+        beforeEach(async function () {
+            await registry.registerAsset(
+                "Test Asset",
+                "Real Estate",
+                "Location",
+                ethers.utils.parseEther("1000000"),
+                "QmHash",
+                "REG123",
+                custodian.address
+            );
+            await loraRWA.tokenizeAsset(0, ethers.utils.parseEther("1000000"));
+            await identity.updateCompliance(
                 user1.address,
                 true,
-                Math.floor(Date.now() / 1000) + 86400,
+                kycExpiry,
                 "QmKYC",
                 "US",
                 ethers.utils.parseEther("1000000")
             );
+            await loraToken.transfer(user1.address, ethers.utils.parseEther("10000"));
+            await loraToken.connect(user1).approve(market.address, ethers.constants.MaxUint256);
+        });
 
-            const compliance = await loraRWA.getCompliance(user1.address);
-            expect(compliance.isWhitelisted).to.equal(true);
-            expect(compliance.jurisdiction).to.equal("US");
+        it("Should normalize prices to 18 decimals", async function () {
+            expect(await market.getEthPrice()).to.equal(ethers.utils.parseEther("2000"));
+
+            await loraPriceFeed.setDecimals(18);
+            await loraPriceFeed.setPrice(ethers.utils.parseEther("1.5"));
+            expect(await market.getTokenPrice(loraToken.address)).to.equal(ethers.utils.parseEther("1.5"));
         });
 
-        it("Should allow compliance role to blacklist users", async function () {
-            await loraRWA.setBlacklisted(user1.address, true);
-            expect(await loraRWA.blacklisted(user1.address)).to.equal(true);
+        it("Should keep a history of rounds in the mock feed", async function () {
+            await loraPriceFeed.setPrice(150000000);
+            const round = await loraPriceFeed.latestRound();
+
+            expect((await loraPriceFeed.getRoundData(round.sub(1))).answer).to.equal(100000000);
+            expect((await loraPriceFeed.latestRoundData()).answer).to.equal(150000000);
         });
 
-        it("Should prevent non-compliance role from updating compliance", async function () {
-            await expect(
-                loraRWA.connect(user1).updateCompliance(
-                    user2.address,
-                    true,
-                    Math.floor(Date.now() / 1000) + 86400,
-                    "QmKYC",
-                    "US",
-                    ethers.utils.parseEther("1000000")
-                )
-            ).to.be.revertedWith("AccessControl");
+        it("Should reject stale, incomplete and non-positive answers", async function () {
+            const now = (await ethers.provider.getBlock("latest")).timestamp;
+            await loraPriceFeed.setRoundData(100000000, now - 26 * 3600, now - 26 * 3600);
+            await expect(market.connect(user1).purchaseTokens(0, purchaseAmount)).to.be.revertedWith("Oracle unhealthy");
+
+            await loraPriceFeed.setIncompleteRound(100000000, 1);
+            await expect(market.connect(user1).purchaseTokens(0, purchaseAmount)).to.be.revertedWith("Oracle unhealthy");
+
+            await loraPriceFeed.setPrice(0);
+            await expect(market.connect(user1).purchaseTokens(0, purchaseAmount)).to.be.revertedWith("Oracle unhealthy");
+
+            await loraPriceFeed.setPrice(100000000);
+            await market.connect(user1).purchaseTokens(0, purchaseAmount);
+        });
+
+        it("Should enforce the configured price bounds", async function () {
+            await market.setOracleConfig(
+                loraPriceFeed.address,
+                ethers.constants.AddressZero,
+                0,
+                ethers.utils.parseEther("0.5"),
+                ethers.utils.parseEther("5"),
+                0
+            );
+
+            await loraPriceFeed.setPrice(1000000000); // $10
+            await expect(market.getTokenPrice(loraToken.address)).to.be.revertedWith("Oracle unhealthy");
+        });
+
+        it("Should fall back to the secondary feed when the primary is unhealthy", async function () {
+            const fallbackFeed = await MockPriceFeed.deploy();
+            await fallbackFeed.deployed();
+            await fallbackFeed.setPrice(200000000); // $2
+            await market.setOracleConfig(loraPriceFeed.address, fallbackFeed.address, 3600, 0, 0, 0);
+
+            await ethers.provider.send("evm_increaseTime", [3601]);
+            await ethers.provider.send("evm_mine");
+            await fallbackFeed.setPrice(200000000);
+
+            expect(await market.getTokenPrice(loraToken.address)).to.equal(ethers.utils.parseEther("2"));
+        });
+
+        it("Should reject feeds that deviate beyond the limit", async function () {
+            const fallbackFeed = await MockPriceFeed.deploy();
+            await fallbackFeed.deployed();
+            await fallbackFeed.setPrice(120000000); // $1.20 vs $1.00
+            await market.setOracleConfig(loraPriceFeed.address, fallbackFeed.address, 0, 0, 0, 500); // 5%
+
+            await expect(market.getTokenPrice(loraToken.address)).to.be.revertedWith("Oracle unhealthy");
+
+            await fallbackFeed.setPrice(102000000); // $1.02
+            expect(await market.getTokenPrice(loraToken.address)).to.equal(ethers.utils.parseEther("1"));
+        });
+
+        it("Should pause pricing-dependent functions when the breaker trips", async function () {
+            await loraPriceFeed.setPrice(-1);
+            await expect(market.checkOracle(loraToken.address))
+                .to.emit(market, "CircuitBreakerTripped")
+                .withArgs(loraPriceFeed.address);
+            expect(await market.pricingPaused()).to.equal(true);
+
+            await loraPriceFeed.setPrice(100000000);
+            await expect(market.connect(user1).purchaseTokens(0, purchaseAmount)).to.be.revertedWith("Pricing paused");
+            await expect(market.connect(user1).sellTokens(0, purchaseAmount)).to.be.revertedWith("Pricing paused");
+            // Yield claims pay out escrowed amounts and need no price
+            await expect(rwaYield.connect(user1).claimYield(0, 0)).to.be.revertedWith("Distribution does not exist");
+
+            await expect(market.connect(user1).resetCircuitBreaker()).to.be.reverted;
+            await expect(market.resetCircuitBreaker()).to.emit(market, "CircuitBreakerReset");
+            await market.connect(user1).purchaseTokens(0, purchaseAmount);
+        });
+    });
+
+    describe("Yield Distribution", function () {
+        beforeEach(async function () {
+            // Register and tokenize asset
+            await registry.registerAsset(
+                "Test Asset",
+                "Real Estate",
+                "Location",
+                ethers.utils.parseEther("1000000"),
+                "QmHash",
+                "REG123",
+                custodian.address
+            );
+            await loraRWA.tokenizeAsset(0, ethers.utils.parseEther("1000000"));
+
+            // Setup compliance and purchase tokens
+            await identity.updateCompliance(
+                user1.address,
+                true,
+                kycExpiry,
+                "QmKYC",
+                "US",
+                ethers.utils.parseEther("1000000")
+            );
+
+            await loraToken.transfer(user1.address, ethers.utils.parseEther("10000"));
+            await loraToken.connect(user1).approve(market.address, ethers.utils.parseEther("1000"));
+            await market.connect(user1).purchaseTokens(0, ethers.utils.parseEther("1000"));
+
+            // Yield is funded in LORA from the admin's balance
+            await loraToken.approve(rwaYield.address, ethers.constants.MaxUint256);
+        });
+
+        it("Should allow admin to distribute yield", async function () {
+            const yieldAmount = ethers.utils.parseEther("10000"); // $10K yield
+            
+            await rwaYield.distributeYield(0, yieldAmount, loraToken.address);
+            
+            const yield = await rwaYield.getYield(0, 0);
+            expect(yield.amount).to.equal(yieldAmount);
+            expect(yield.totalClaimed).to.equal(0);
+        });
+
+        it("Should hold distributed yield in the asset's escrow", async function () {
+            const yieldAmount = ethers.utils.parseEther("10000");
+            const balanceBefore = await loraToken.balanceOf(rwaYield.address);
+
+            await expect(rwaYield.distributeYield(0, yieldAmount, loraToken.address))
+                .to.emit(rwaYield, "YieldFunded");
+
+            expect(await loraToken.balanceOf(rwaYield.address)).to.equal(balanceBefore.add(yieldAmount));
+            expect(await rwaYield.yieldEscrow(0, loraToken.address)).to.equal(yieldAmount);
+        });
+
+        it("Should only let the admin or custodian distribute yield", async function () {
+            await expect(
+                rwaYield.connect(user1).distributeYield(0, ethers.utils.parseEther("10"), loraToken.address)
+            ).to.be.revertedWith("Not admin or custodian");
+        });
+
+        it("Should fund yield in an approved stablecoin", async function () {
+            const MockStablecoin = await ethers.getContractFactory("MockStablecoin");
+            const usdc = await MockStablecoin.deploy("USD Coin", "USDC", 6);
+            await usdc.deployed();
+
+            const yieldAmount = ethers.utils.parseUnits("10000", 6);
+            await usdc.mint(custodian.address, yieldAmount);
+            await usdc.connect(custodian).approve(rwaYield.address, yieldAmount);
+
+            await expect(
+                rwaYield.connect(custodian).distributeYield(0, yieldAmount, usdc.address)
+            ).to.be.revertedWith("Payout token not allowed");
+
+            await rwaYield.setYieldToken(usdc.address, true);
+            await rwaYield.connect(custodian).distributeYield(0, yieldAmount, usdc.address);
+            await rwaYield.connect(user1).claimYield(0, 0);
+
+            expect(await usdc.balanceOf(user1.address)).to.equal(ethers.utils.parseUnits("10", 6));
+        });
+
+        it("Should pay yield in the distribution's token and report it per token", async function () {
+            const MockStablecoin = await ethers.getContractFactory("MockStablecoin");
+            const usdc = await MockStablecoin.deploy("USD Coin", "USDC", 6);
+            await usdc.deployed();
+            await market.setPaymentToken(usdc.address, loraPriceFeed.address, true);
+            await rwaYield.setYieldToken(usdc.address, true);
+
+            await usdc.mint(owner.address, ethers.utils.parseUnits("10000", 6));
+            await usdc.approve(rwaYield.address, ethers.utils.parseUnits("10000", 6));
+            await rwaYield.distributeYield(0, ethers.utils.parseUnits("10000", 6), usdc.address);
+            await rwaYield.distributeYield(0, ethers.utils.parseEther("10000"), loraToken.address);
+
+            // Each token is reported on its own, never summed with the other
+            expect(await rwaYield.claimableYield(0, user1.address, usdc.address)).to.equal(ethers.utils.parseUnits("10", 6));
+            expect(await rwaYield.claimableYield(0, user1.address, loraToken.address)).to.equal(ethers.utils.parseEther("10"));
+
+            // A USDC payout currency does not turn the LORA distribution into USDC taken from other funds
+            await market.connect(user1).setPayoutCurrency(usdc.address);
+            const loraBefore = await loraToken.balanceOf(user1.address);
+            await expect(rwaYield.connect(user1).claimAll(0))
+                .to.emit(rwaYield, "YieldClaimed")
+                .withArgs(0, user1.address, ethers.utils.parseUnits("10", 6), usdc.address)
+                .and.to.emit(rwaYield, "YieldClaimed")
+                .withArgs(0, user1.address, ethers.utils.parseEther("10"), loraToken.address);
+
+            expect(await usdc.balanceOf(user1.address)).to.equal(ethers.utils.parseUnits("10", 6));
+            expect(await loraToken.balanceOf(user1.address)).to.equal(loraBefore.add(ethers.utils.parseEther("10")));
+            expect(await rwaYield.yieldEscrow(0, usdc.address)).to.equal(ethers.utils.parseUnits("9990", 6));
+            expect(await rwaYield.yieldEscrow(0, loraToken.address)).to.equal(ethers.utils.parseEther("9990"));
+        });
+
+        it("Should report funded versus claimed yield and reclaim it after expiry", async function () {
+            const yieldAmount = ethers.utils.parseEther("10000");
+            await rwaYield.distributeYield(0, yieldAmount, loraToken.address);
+            await rwaYield.connect(user1).claimYield(0, 0);
+
+            let funding = await rwaYield.getYieldFunding(0, 0);
+            expect(funding.funded).to.equal(yieldAmount);
+            expect(funding.claimed).to.equal(ethers.utils.parseEther("10"));
+            expect(funding.unclaimed).to.equal(ethers.utils.parseEther("9990"));
+
+            await expect(rwaYield.reclaimExpiredYield(0, 0)).to.be.revertedWith("Distribution not expired");
+
+            await ethers.provider.send("evm_increaseTime", [365 * 86400 + 1]);
+            await ethers.provider.send("evm_mine");
+
+            const balanceBefore = await loraToken.balanceOf(owner.address);
+            await expect(rwaYield.reclaimExpiredYield(0, 0))
+                .to.emit(rwaYield, "YieldReclaimed")
+                .withArgs(0, 0, owner.address, ethers.utils.parseEther("9990"));
+            expect(await loraToken.balanceOf(owner.address)).to.equal(balanceBefore.add(ethers.utils.parseEther("9990")));
+
+            funding = await rwaYield.getYieldFunding(0, 0);
+            expect(funding.unclaimed).to.equal(0);
+            expect(funding.reclaimed).to.equal(true);
+            expect(await rwaYield.yieldEscrow(0, loraToken.address)).to.equal(0);
+        });
+
+        it("Should not pay expired distributions", async function () {
+            await rwaYield.distributeYield(0, ethers.utils.parseEther("10000"), loraToken.address);
+
+            await ethers.provider.send("evm_increaseTime", [365 * 86400 + 1]);
+            await ethers.provider.send("evm_mine");
+
+            await expect(rwaYield.connect(user1).claimYield(0, 0)).to.be.revertedWith("Distribution expired");
+            expect(await rwaYield.claimableYield(0, user1.address, loraToken.address)).to.equal(0);
+        });
+
+        it("Should allow users to claim yield", async function () {
+            const yieldAmount = ethers.utils.parseEther("10000");
+            await rwaYield.distributeYield(0, yieldAmount, loraToken.address);
+
+            const initialBalance = await loraToken.balanceOf(user1.address);
+            await rwaYield.connect(user1).claimYield(0, 0);
+            const finalBalance = await loraToken.balanceOf(user1.address);
+
+            expect(finalBalance).to.be.gt(initialBalance);
+        });
+
+        it("Should claim yield through the trusted forwarder", async function () {
+            const MockForwarder = await ethers.getContractFactory("MockForwarder");
+            const forwarder = await MockForwarder.deploy();
+            await forwarder.deployed();
+            await loraRWA.updateTrustedForwarder(forwarder.address);
+
+            await rwaYield.distributeYield(0, ethers.utils.parseEther("10000"), loraToken.address);
+
+            const initialBalance = await loraToken.balanceOf(user1.address);
+            await forwarder.connect(user2).execute(
+                user1.address,
+                rwaYield.address,
+                rwaYield.interface.encodeFunctionData("claimYield", [0, 0])
+            );
+            expect(await loraToken.balanceOf(user1.address)).to.be.gt(initialBalance);
+        });
+
+        it("Should prevent double claiming", async function () {
+            const yieldAmount = ethers.utils.parseEther("10000");
+            await rwaYield.distributeYield(0, yieldAmount, loraToken.address);
+
+            await rwaYield.connect(user1).claimYield(0, 0);
+            
+            await expect(
+                rwaYield.connect(user1).claimYield(0, 0)
+            ).to.be.revertedWith("Already claimed");
+        });
+
+        describe("Per-Holder Accounting", function () {
+            const yieldAmount = ethers.utils.parseEther("10000");
+
+            beforeEach(async function () {
+                await identity.updateCompliance(
+                    user2.address,
+                    true,
+                    kycExpiry,
+                    "QmKYC2",
+                    "US",
+                    ethers.utils.parseEther("1000000")
+                );
+                await loraToken.transfer(user2.address, ethers.utils.parseEther("10000"));
+                await loraToken.connect(user2).approve(market.address, ethers.utils.parseEther("3000"));
+                await market.connect(user2).purchaseTokens(0, ethers.utils.parseEther("3000"));
+            });
+
+            it("Should let every holder claim their own share", async function () {
+                await rwaYield.distributeYield(0, yieldAmount, loraToken.address);
+
+                await rwaYield.connect(user1).claimYield(0, 0);
+                await rwaYield.connect(user2).claimYield(0, 0);
+
+                // 1,000 and 3,000 of 1,000,000 tokens
+                expect(await rwaYield.yieldClaimed(0, 0, user1.address)).to.equal(true);
+                expect(await rwaYield.yieldClaimed(0, 0, user2.address)).to.equal(true);
+                expect((await rwaYield.getYield(0, 0)).totalClaimed).to.equal(ethers.utils.parseEther("40"));
+            });
+
+            it("Should use the balance held at distribution time", async function () {
+                await rwaYield.distributeYield(0, yieldAmount, loraToken.address);
+
+                // Moving tokens after the distribution does not give the recipient a share
+                await loraRWA.connect(user1).safeTransferFrom(user1.address, user2.address, 0, ethers.utils.parseEther("1000"), "0x");
+                await rwaYield.connect(user1).claimYield(0, 0);
+
+                expect(await rwaYield.claimableYield(0, user2.address, loraToken.address)).to.equal(ethers.utils.parseEther("30"));
+                expect(await rwaYield.balanceAtDistribution(0, 0, user1.address)).to.equal(ethers.utils.parseEther("1000"));
+                expect(await rwaYield.balanceAtDistribution(0, 1, user1.address)).to.equal(0);
+            });
+
+            it("Should claim every unclaimed distribution at once", async function () {
+                await rwaYield.distributeYield(0, yieldAmount, loraToken.address);
+                await rwaYield.distributeYield(0, yieldAmount, loraToken.address);
+                await rwaYield.connect(user1).claimYield(0, 1);
+
+                expect(await rwaYield.claimableYield(0, user1.address, loraToken.address)).to.equal(ethers.utils.parseEther("10"));
+
+                const initialBalance = await loraToken.balanceOf(user1.address);
+                await expect(rwaYield.connect(user1).claimAll(0))
+                    .to.emit(rwaYield, "YieldClaimed")
+                    .withArgs(0, user1.address, ethers.utils.parseEther("10"), loraToken.address);
+                expect(await loraToken.balanceOf(user1.address)).to.be.gt(initialBalance);
+
+                expect(await rwaYield.claimableYield(0, user1.address, loraToken.address)).to.equal(0);
+                await expect(rwaYield.connect(user1).claimAll(0)).to.be.revertedWith("No yield to claim");
+            });
+        });
+    });
+
+    describe("Asset Retirement", function () {
+        const WEEK = 7 * 24 * 60 * 60;
+
+        beforeEach(async function () {
+            await registry.registerAsset(
+                "Test Asset",
+                "Real Estate",
+                "Location",
+                ethers.utils.parseEther("1000000"),
+                "QmHash",
+                "REG123",
+                custodian.address
+            );
+            await loraRWA.tokenizeAsset(0, ethers.utils.parseEther("1000000"));
+
+            for (const user of [user1, user2]) {
+                await identity.updateCompliance(user.address, true, kycExpiry, "QmKYC", "US", ethers.utils.parseEther("1000000"));
+                await loraToken.transfer(user.address, ethers.utils.parseEther("10000"));
+            }
+            await loraToken.connect(user1).approve(market.address, ethers.utils.parseEther("1000"));
+            await market.connect(user1).purchaseTokens(0, ethers.utils.parseEther("1000"));
+            await loraToken.approve(redemption.address, ethers.constants.MaxUint256);
+        });
+
+        it("Should freeze trading when the admin retires an asset", async function () {
+            await expect(redemption.connect(user1).retireAsset(0)).to.be.revertedWith(MISSING_ROLE);
+            await expect(redemption.retireAsset(0))
+                .to.emit(redemption, "AssetRetired")
+                .withArgs(0, owner.address, false);
+
+            expect((await loraRWA.getAsset(0)).isActive).to.equal(false);
+            expect(await loraRWA.canTransfer(user1.address, user2.address, 0, 1)).to.equal(13);
+            await expect(
+                loraRWA.connect(user1).safeTransferFrom(user1.address, user2.address, 0, 1, "0x")
+            ).to.be.revertedWith("Asset frozen");
+            await expect(
+                market.connect(user2).purchaseTokens(0, ethers.utils.parseEther("1"))
+            ).to.be.revertedWith("Asset not available");
+        });
+
+        it("Should retire an asset once holder votes reach the quorum", async function () {
+            await redemption.connect(user1).voteToRetire(0);
+            expect(await redemption.retirementVotes(0)).to.equal(ethers.utils.parseEther("1000"));
+
+            // Votes follow tokens moved away from the voter
+            await loraRWA.connect(user1).safeTransferFrom(user1.address, user2.address, 0, ethers.utils.parseEther("400"), "0x");
+            expect(await redemption.retirementVotes(0)).to.equal(ethers.utils.parseEther("600"));
+            expect((await loraRWA.getAsset(0)).isActive).to.equal(true);
+
+            await expect(redemption.connect(custodian).voteToRetire(0))
+                .to.emit(redemption, "AssetRetired")
+                .withArgs(0, custodian.address, true);
+            expect((await redemption.retirements(0)).status).to.equal(1); // Frozen
+        });
+
+        it("Should pay holders pro rata for burning their tokens", async function () {
+            const deadline = (await ethers.provider.getBlock("latest")).timestamp + WEEK;
+            await redemption.retireAsset(0);
+            await expect(redemption.connect(user1).redeem(0, 1)).to.be.revertedWith("Redemption not open");
+            await expect(
+                redemption.connect(user1).depositRedemptionProceeds(0, loraToken.address, ethers.utils.parseEther("100000"), deadline)
+            ).to.be.revertedWith("Not admin or custodian");
+
+            await expect(redemption.depositRedemptionProceeds(0, loraToken.address, ethers.utils.parseEther("100000"), deadline))
+                .to.emit(redemption, "RedemptionFunded")
+                .withArgs(0, owner.address, loraToken.address, ethers.utils.parseEther("100000"), deadline);
+
+            // 100,000 LORA for 1,000,000 tokens: 0.1 LORA per token
+            const initialBalance = await loraToken.balanceOf(user1.address);
+            await expect(redemption.connect(user1).redeem(0, ethers.utils.parseEther("1000")))
+                .to.emit(redemption, "TokensRedeemed")
+                .withArgs(0, user1.address, ethers.utils.parseEther("1000"), ethers.utils.parseEther("100"));
+            expect(await loraRWA.balanceOf(user1.address, 0)).to.equal(0);
+            expect(await loraToken.balanceOf(user1.address)).to.equal(initialBalance.add(ethers.utils.parseEther("100")));
+        });
+
+        it("Should sweep unredeemed proceeds to the funder after the deadline", async function () {
+            const deadline = (await ethers.provider.getBlock("latest")).timestamp + WEEK;
+            await redemption.retireAsset(0);
+            await redemption.depositRedemptionProceeds(0, loraToken.address, ethers.utils.parseEther("100000"), deadline);
+            await redemption.connect(user1).redeem(0, ethers.utils.parseEther("1000"));
+
+            await expect(redemption.sweepRedemption(0)).to.be.revertedWith("Redemption period not ended");
+
+            await ethers.provider.send("evm_increaseTime", [WEEK]);
+            await ethers.provider.send("evm_mine");
+
+            await expect(
+                redemption.connect(custodian).redeem(0, ethers.utils.parseEther("1000"))
+            ).to.be.revertedWith("Redemption period ended");
+            await expect(redemption.connect(user2).sweepRedemption(0))
+                .to.emit(redemption, "RedemptionSwept")
+                .withArgs(0, owner.address, ethers.utils.parseEther("99900"));
+            await expect(redemption.sweepRedemption(0)).to.be.revertedWith("Redemption not open");
+        });
+    });
+
+    describe("Compliance Functions", function () {
+        it("Should allow compliance role to update user compliance", async function () {
+            await identity.updateCompliance(
+                user1.address,
+                true,
+                kycExpiry,
+                "QmKYC",
+                "US",
+                ethers.utils.parseEther("1000000")
+            );
+
+            const compliance = await identity.getCompliance(user1.address);
+            expect(compliance.isWhitelisted).to.equal(true);
+            expect(compliance.jurisdiction).to.equal("US");
+        });
+
+        it("Should allow compliance role to blacklist users", async function () {
+            await identity.setBlacklisted(user1.address, true);
+            expect(await identity.blacklisted(user1.address)).to.equal(true);
+        });
+
+        it("Should prevent non-compliance role from updating compliance", async function () {
+            await expect(
+                identity.connect(user1).updateCompliance(
+                    user2.address,
+                    true,
+                    kycExpiry,
+                    "QmKYC",
+                    "US",
+                    ethers.utils.parseEther("1000000")
+                )
+            ).to.be.revertedWith("AccessControl");
+        });
+    });
+
+    describe("KYC Attestations", function () {
+        let provider, attestation;
+
+        const types = {
+            KycAttestation: [
+                { name: "investor", type: "address" },
+                { name: "jurisdiction", type: "string" },
+                { name: "kycExpiry", type: "uint256" },
+                { name: "maxHolding", type: "uint256" },
+                { name: "kycHash", type: "string" },
+                { name: "attestationId", type: "bytes32" }
+            ]
+        };
+
+        const sign = async (signer, value) => {
+            const { chainId } = await ethers.provider.getNetwork();
+            const domain = { name: "LoraRWAIdentity", version: "1", chainId, verifyingContract: identity.address };
+            return ethers.utils.splitSignature(await signer._signTypedData(domain, types, value));
+        };
+
+        beforeEach(async function () {
+            provider = addrs[0];
+            await identity.setKycProvider(provider.address, true);
+
+            attestation = {
+                investor: user3.address,
+                jurisdiction: "BR",
+                kycExpiry,
+                maxHolding: ethers.utils.parseEther("1000000"),
+                kycHash: "QmKYC3",
+                attestationId: ethers.utils.id("provider-ref-0001")
+            };
+        });
+
+        it("Should register an investor from a provider's attestation", async function () {
+            const { v, r, s } = await sign(provider, attestation);
+
+            // Anyone can relay the attestation
+            await expect(identity.connect(user2).registerWithAttestation(attestation, v, r, s))
+                .to.emit(identity, "AttestationApplied")
+                .withArgs(attestation.attestationId, user3.address, provider.address);
+
+            const record = await identity.getCompliance(user3.address);
+            expect(record.isWhitelisted).to.equal(true);
+            expect(record.jurisdiction).to.equal("BR");
+            expect(record.kycExpiry).to.equal(kycExpiry);
+            expect(await identity.complianceAttestation(user3.address)).to.equal(attestation.attestationId);
+
+            await expect(identity.registerWithAttestation(attestation, v, r, s)).to.be.revertedWith("Attestation already used");
+        });
+
+        it("Should reject attestations from unknown keys or with altered fields", async function () {
+            const forged = await sign(user1, attestation);
+            await expect(
+                identity.registerWithAttestation(attestation, forged.v, forged.r, forged.s)
+            ).to.be.revertedWith("Invalid provider signature");
+
+            const { v, r, s } = await sign(provider, attestation);
+            await expect(
+                identity.registerWithAttestation({ ...attestation, maxHolding: ethers.constants.MaxUint256 }, v, r, s)
+            ).to.be.revertedWith("Invalid provider signature");
+
+            const expired = { ...attestation, kycExpiry: 1 };
+            const signed = await sign(provider, expired);
+            await expect(
+                identity.registerWithAttestation(expired, signed.v, signed.r, signed.s)
+            ).to.be.revertedWith("Attestation expired");
+        });
+
+        it("Should onboard and purchase in one call", async function () {
+            await registry.registerAsset(
+                "Test Asset",
+                "Real Estate",
+                "Location",
+                ethers.utils.parseEther("1000000"),
+                "QmHash",
+                "REG123",
+                custodian.address
+            );
+            await loraRWA.tokenizeAsset(0, ethers.utils.parseEther("1000000"));
+            // Send enough for two 1,000 LORA purchases after LoraToken's transfer fee
+            await loraToken.transfer(user3.address, ethers.utils.parseEther("2100"));
+            await loraToken.connect(user3).approve(market.address, ethers.utils.parseEther("2000"));
+
+            const { v, r, s } = await sign(provider, attestation);
+            await expect(
+                market.connect(user2).purchaseTokensWithAttestation(0, 1, loraToken.address, attestation, v, r, s)
+            ).to.be.revertedWith("Attestation for another investor");
+
+            await market.connect(user3).purchaseTokensWithAttestation(
+                0,
+                ethers.utils.parseEther("1000"),
+                loraToken.address,
+                attestation,
+                v,
+                r,
+                s
+            );
+            expect(await loraRWA.balanceOf(user3.address, 0)).to.equal(ethers.utils.parseEther("1000"));
+
+            // The applied attestation can be sent again with later purchases
+            await market.connect(user3).purchaseTokensWithAttestation(
+                0,
+                ethers.utils.parseEther("1000"),
+                loraToken.address,
+                attestation,
+                v,
+                r,
+                s
+            );
+            expect(await loraRWA.balanceOf(user3.address, 0)).to.equal(ethers.utils.parseEther("2000"));
+        });
+
+        it("Should revoke attestations and rotate provider keys", async function () {
+            const { v, r, s } = await sign(provider, attestation);
+            await identity.registerWithAttestation(attestation, v, r, s);
+
+            await expect(identity.connect(user1).revokeAttestation(attestation.attestationId))
+                .to.be.revertedWith("Not compliance or provider");
+            await expect(identity.connect(provider).revokeAttestation(attestation.attestationId))
+                .to.emit(identity, "AttestationRevoked")
+                .withArgs(attestation.attestationId, provider.address);
+            expect((await identity.getCompliance(user3.address)).isWhitelisted).to.equal(false);
+
+            // Attestations can be revoked before they are used
+            const next = { ...attestation, attestationId: ethers.utils.id("provider-ref-0002") };
+            await identity.revokeAttestation(next.attestationId);
+            const revoked = await sign(provider, next);
+            await expect(
+                identity.registerWithAttestation(next, revoked.v, revoked.r, revoked.s)
+            ).to.be.revertedWith("Attestation revoked");
+
+            const newKey = addrs[1];
+            await expect(identity.connect(provider).rotateKycProviderKey(provider.address, newKey.address))
+                .to.emit(identity, "KycProviderKeyRotated")
+                .withArgs(provider.address, newKey.address);
+
+            const fresh = { ...attestation, attestationId: ethers.utils.id("provider-ref-0003") };
+            const oldSignature = await sign(provider, fresh);
+            await expect(
+                identity.registerWithAttestation(fresh, oldSignature.v, oldSignature.r, oldSignature.s)
+            ).to.be.revertedWith("Invalid provider signature");
+
+            const newSignature = await sign(newKey, fresh);
+            await identity.registerWithAttestation(fresh, newSignature.v, newSignature.r, newSignature.s);
+            expect((await identity.getCompliance(user3.address)).isWhitelisted).to.equal(true);
+        });
+    });
+
+    describe("Forced Transfers", function () {
+        const reason = ethers.utils.id("court-order-2024-001");
+
+        beforeEach(async function () {
+            await registry.registerAsset(
+                "Test Asset",
+                "Real Estate",
+                "Location",
+                ethers.utils.parseEther("1000000"),
+                "QmHash",
+                "REG123",
+                custodian.address
+            );
+            await loraRWA.tokenizeAsset(0, ethers.utils.parseEther("1000000"));
+
+            for (const user of [user1, user2]) {
+                await identity.updateCompliance(user.address, true, kycExpiry, "QmKYC", "US", ethers.utils.parseEther("1000000"));
+            }
+            await loraToken.transfer(user1.address, ethers.utils.parseEther("10000"));
+            await loraToken.connect(user1).approve(market.address, ethers.utils.parseEther("1000"));
+            await market.connect(user1).purchaseTokens(0, ethers.utils.parseEther("1000"));
+        });
+
+        it("Should move a blacklisted holder's tokens to a verified address", async function () {
+            await identity.setBlacklisted(user1.address, true);
+
+            await expect(forced.forceTransfer(user1.address, user2.address, 0, ethers.utils.parseEther("500"), reason))
+                .to.emit(forced, "ForcedTransfer")
+                .withArgs(
+                    0,
+                    user1.address,
+                    user2.address,
+                    0,
+                    ethers.utils.parseEther("500"),
+                    reason,
+                    owner.address,
+                    ethers.constants.AddressZero
+                );
+            expect(await loraRWA.balanceOf(user1.address, 0)).to.equal(ethers.utils.parseEther("500"));
+            expect(await loraRWA.balanceOf(user2.address, 0)).to.equal(ethers.utils.parseEther("500"));
+        });
+
+        it("Should require a reason, the compliance role and a verified recipient", async function () {
+            await expect(
+                forced.forceTransfer(user1.address, user2.address, 0, 1, ethers.constants.HashZero)
+            ).to.be.revertedWith("Reason required");
+            await expect(
+                forced.connect(user2).forceTransfer(user1.address, user2.address, 0, 1, reason)
+            ).to.be.revertedWith(MISSING_ROLE);
+            await expect(
+                forced.forceTransfer(user1.address, user3.address, 0, 1, reason)
+            ).to.be.revertedWith("Recipient not verified");
+        });
+
+        it("Should apply transfer restrictions to transfers a recipient starts from its callback", async function () {
+            const Receiver = await ethers.getContractFactory("MockReentrantReceiver");
+            const receiver = await Receiver.deploy();
+            await receiver.deployed();
+            await identity.updateCompliance(receiver.address, true, kycExpiry, "QmKYC", "US", 0);
+
+            // user3 is not whitelisted, so the receiver cannot pass the forced tokens on to it
+            await receiver.setForwardTo(user3.address);
+            await expect(
+                forced.forceTransfer(user1.address, receiver.address, 0, ethers.utils.parseEther("500"), reason)
+            ).to.be.revertedWith("Recipient not whitelisted");
+
+            await receiver.setForwardTo(ethers.constants.AddressZero);
+            await forced.forceTransfer(user1.address, receiver.address, 0, ethers.utils.parseEther("500"), reason);
+            expect(await loraRWA.balanceOf(receiver.address, 0)).to.equal(ethers.utils.parseEther("500"));
+            expect(await loraRWA.balanceOf(user3.address, 0)).to.equal(0);
+        });
+
+        it("Should wait for a second compliance officer when approval is required", async function () {
+            const officer = addrs[0];
+            await loraRWA.grantRole(await loraRWA.COMPLIANCE_ROLE(), officer.address);
+            await forced.setForcedActionApprovalRequired(true);
+
+            await expect(forced.forceTransfer(user1.address, user2.address, 0, ethers.utils.parseEther("1000"), reason))
+                .to.emit(forced, "ForcedActionProposed");
+            expect(await loraRWA.balanceOf(user2.address, 0)).to.equal(0);
+
+            await expect(forced.approveForcedAction(0)).to.be.revertedWith("Proposer cannot approve");
+            await expect(forced.connect(officer).approveForcedAction(0))
+                .to.emit(forced, "ForcedTransfer")
+                .withArgs(0, user1.address, user2.address, 0, ethers.utils.parseEther("1000"), reason, owner.address, officer.address);
+            expect(await loraRWA.balanceOf(user2.address, 0)).to.equal(ethers.utils.parseEther("1000"));
+            await expect(forced.connect(officer).approveForcedAction(0)).to.be.revertedWith("Action not pending");
+
+            await forced.forceTransfer(user2.address, user1.address, 0, 1, reason);
+            await expect(forced.connect(officer).cancelForcedAction(1))
+                .to.emit(forced, "ForcedActionCancelled")
+                .withArgs(1, officer.address);
+            await expect(forced.connect(officer).approveForcedAction(1)).to.be.revertedWith("Action not pending");
+        });
+
+        it("Should recover a lost wallet's compliance record, balances and unpaid yield", async function () {
+            await loraToken.approve(rwaYield.address, ethers.utils.parseEther("10000"));
+            await rwaYield.distributeYield(0, ethers.utils.parseEther("10000"), loraToken.address);
+
+            const newWallet = user3;
+            const initialBalance = await loraToken.balanceOf(newWallet.address);
+            await expect(forced.recoverWallet(user1.address, newWallet.address, reason))
+                .to.emit(forced, "WalletRecovered")
+                .withArgs(0, user1.address, newWallet.address, reason, owner.address, ethers.constants.AddressZero);
+            expect(await forced.recoveredWallet(user1.address)).to.equal(newWallet.address);
+
+            await expect(forced.connect(newWallet).recoverAssets(0, 10))
+                .to.emit(forced, "WalletRecoveryProgressed")
+                .withArgs(0, 1, 0);
+            expect(await loraRWA.balanceOf(newWallet.address, 0)).to.equal(ethers.utils.parseEther("1000"));
+            expect(await loraRWA.balanceOf(user1.address, 0)).to.equal(0);
+
+            // 1,000 of 1,000,000 tokens of a 10,000 LORA distribution
+            await expect(rwaYield.connect(user2).claimRecoveredYield(0, user1.address)).to.be.revertedWith("Not the recovery wallet");
+            await rwaYield.connect(newWallet).claimRecoveredYield(0, user1.address);
+            expect(await loraToken.balanceOf(newWallet.address)).to.equal(initialBalance.add(ethers.utils.parseEther("10")));
+            expect(await rwaYield.yieldClaimed(0, 0, user1.address)).to.equal(true);
+
+            const moved = await identity.getCompliance(newWallet.address);
+            expect(moved.isWhitelisted).to.equal(true);
+            expect(moved.jurisdiction).to.equal("US");
+            expect((await identity.getCompliance(user1.address)).isWhitelisted).to.equal(false);
+            expect(await identity.blacklisted(user1.address)).to.equal(true);
+        });
+
+        it("Should move a recovered wallet's balances a page of assets at a time", async function () {
+            for (const id of [1, 2]) {
+                await registry.registerAsset("Asset", "Real Estate", "Location", ethers.utils.parseEther("1000"), "QmHash", "REG", custodian.address);
+                await loraRWA.tokenizeAsset(id, ethers.utils.parseEther("1000"));
+            }
+            await loraToken.connect(user1).approve(market.address, ethers.utils.parseEther("10"));
+            await market.connect(user1).purchaseTokens(2, ethers.utils.parseEther("10"));
+
+            await forced.recoverWallet(user1.address, user2.address, reason);
+            await expect(forced.connect(user3).recoverAssets(0, 2)).to.be.revertedWith("Not compliance or new wallet");
+
+            await expect(forced.recoverAssets(0, 2))
+                .to.emit(forced, "WalletRecoveryProgressed")
+                .withArgs(0, 2, 1);
+            expect(await loraRWA.balanceOf(user2.address, 0)).to.equal(ethers.utils.parseEther("1000"));
+            expect(await loraRWA.balanceOf(user1.address, 2)).to.equal(ethers.utils.parseEther("10"));
+
+            await forced.recoverAssets(0, 2);
+            expect(await loraRWA.balanceOf(user2.address, 2)).to.equal(ethers.utils.parseEther("10"));
+            expect((await forced.forcedActions(0)).recoveredAssets).to.equal(3);
+        });
+    });
+
+    describe("Transfer Rules", function () {
+        const YEAR = 365 * 24 * 60 * 60;
+        let rules, longKycExpiry;
+
+        beforeEach(async function () {
+            await registry.registerAsset(
+                "Test Asset",
+                "Real Estate",
+                "Location",
+                ethers.utils.parseEther("1000000"),
+                "QmHash",
+                "REG123",
+                custodian.address
+            );
+            await loraRWA.tokenizeAsset(0, ethers.utils.parseEther("1000000"));
+
+            longKycExpiry = (await ethers.provider.getBlock("latest")).timestamp + YEAR;
+            const investors = [[user1, "US"], [user2, "BR"], [user3, "US"]];
+            for (const [user, jurisdiction] of investors) {
+                await identity.updateCompliance(
+                    user.address,
+                    true,
+                    longKycExpiry,
+                    "QmKYC",
+                    jurisdiction,
+                    ethers.utils.parseEther("1000000")
+                );
+                await loraToken.transfer(user.address, ethers.utils.parseEther("10000"));
+                await loraToken.connect(user).approve(market.address, ethers.constants.MaxUint256);
+            }
+
+            const LoraComplianceRules = await ethers.getContractFactory("LoraComplianceRules");
+            rules = await LoraComplianceRules.deploy(owner.address, loraRWA.address);
+            await rules.deployed();
+            await loraRWA.setComplianceEngine(rules.address);
+        });
+
+        it("Should report a reason code for rejected transfers", async function () {
+            const amount = ethers.utils.parseEther("1000");
+            expect(await loraRWA.canTransfer(ethers.constants.AddressZero, user1.address, 0, amount)).to.equal(0);
+            expect(await loraRWA.canTransfer(ethers.constants.AddressZero, addrs[0].address, 0, amount)).to.equal(5);
+            expect(await loraRWA.canTransfer(user1.address, user2.address, 0, amount)).to.equal(1);
+            expect(await identity.transferRestrictionMessage(5)).to.equal("Recipient not whitelisted");
+        });
+
+        it("Should reject recipients with expired KYC", async function () {
+            const now = (await ethers.provider.getBlock("latest")).timestamp;
+            await identity.updateCompliance(user1.address, true, now, "QmKYC", "US", ethers.utils.parseEther("1000000"));
+
+            expect(await loraRWA.canTransfer(ethers.constants.AddressZero, user1.address, 0, 1)).to.equal(7);
+            await expect(
+                market.connect(user1).purchaseTokens(0, ethers.utils.parseEther("1000"))
+            ).to.be.revertedWith("Recipient KYC expired");
+        });
+
+        it("Should enforce each holder's maxHolding", async function () {
+            await identity.updateCompliance(user1.address, true, longKycExpiry, "QmKYC", "US", ethers.utils.parseEther("1500"));
+            await market.connect(user1).purchaseTokens(0, ethers.utils.parseEther("1000"));
+
+            await expect(
+                market.connect(user1).purchaseTokens(0, ethers.utils.parseEther("1000"))
+            ).to.be.revertedWith("Exceeds holder limit");
+        });
+
+        it("Should block jurisdictions per asset", async function () {
+            await rules.setJurisdictionRule(0, "BR", false, true, 0);
+
+            expect(await loraRWA.canTransfer(ethers.constants.AddressZero, user2.address, 0, 1)).to.equal(9);
+            await expect(
+                market.connect(user2).purchaseTokens(0, ethers.utils.parseEther("1000"))
+            ).to.be.revertedWith("Jurisdiction blocked");
+        });
+
+        it("Should restrict an asset to allowed jurisdictions", async function () {
+            await rules.setJurisdictionRule(0, "US", true, false, 0);
+            await rules.setAllowlistEnabled(0, true);
+            await market.connect(user1).purchaseTokens(0, ethers.utils.parseEther("1000"));
+
+            await expect(
+                loraRWA.connect(user1).safeTransferFrom(user1.address, user2.address, 0, ethers.utils.parseEther("100"), "0x")
+            ).to.be.revertedWith("Jurisdiction not allowed");
+        });
+
+        it("Should cap the number of investors per jurisdiction", async function () {
+            await rules.setJurisdictionRule(0, "US", false, false, 1);
+            await market.connect(user1).purchaseTokens(0, ethers.utils.parseEther("1000"));
+            expect((await rules.getJurisdictionRule(0, "US")).investors).to.equal(1);
+
+            await expect(
+                market.connect(user3).purchaseTokens(0, ethers.utils.parseEther("1000"))
+            ).to.be.revertedWith("Investor limit reached");
+
+            // Existing investors can top up, and leaving frees the slot
+            await market.connect(user1).purchaseTokens(0, ethers.utils.parseEther("500"));
+            await loraRWA.connect(user1).safeTransferFrom(user1.address, user2.address, 0, ethers.utils.parseEther("1500"), "0x");
+            expect((await rules.getJurisdictionRule(0, "US")).investors).to.equal(0);
+            expect((await rules.getJurisdictionRule(0, "BR")).investors).to.equal(1);
+
+            await market.connect(user3).purchaseTokens(0, ethers.utils.parseEther("1000"));
+        });
+
+        it("Should lock tokens after each acquisition", async function () {
+            const period = 30 * 24 * 60 * 60;
+            await rules.setLockupPeriod(0, period);
+            await market.connect(user1).purchaseTokens(0, ethers.utils.parseEther("1000"));
+
+            await ethers.provider.send("evm_increaseTime", [86400]);
+            await ethers.provider.send("evm_mine");
+
+            expect(await loraRWA.canTransfer(user1.address, user2.address, 0, 1)).to.equal(12);
+            await expect(
+                market.connect(user1).sellTokens(0, ethers.utils.parseEther("1000"))
+            ).to.be.revertedWith("Tokens locked");
+
+            await ethers.provider.send("evm_increaseTime", [period]);
+            await ethers.provider.send("evm_mine");
+
+            await loraRWA.connect(user1).safeTransferFrom(user1.address, user2.address, 0, ethers.utils.parseEther("1000"), "0x");
+            expect(await loraRWA.balanceOf(user2.address, 0)).to.equal(ethers.utils.parseEther("1000"));
+        });
+
+        it("Should only accept transfer notifications from the RWA contract", async function () {
+            await expect(
+                rules.transferred(user1.address, user2.address, 0, 1)
+            ).to.be.revertedWith("Caller is not the RWA contract");
+        });
+    });
+
+    describe("Upgrades", function () {
+        const DAY = 24 * 60 * 60;
+        let proxy, timelock, newImplementation;
+
+        beforeEach(async function () {
+            proxy = await upgrades.deployProxy(
+                LoraRWA,
+                [owner.address, loraToken.address, mockPriceFeed.address],
+                { initializer: "initialize", kind: "uups" }
+            );
+            await proxy.deployed();
+
+            timelock = await (await ethers.getContractFactory("LoraRWAUpgrades")).deploy(proxy.address);
+            await timelock.deployed();
+
+            newImplementation = await LoraRWA.deploy();
+            await newImplementation.deployed();
+        });
+
+        const attachTimelock = async () => {
+            await proxy.setModules(
+                valuation.address,
+                rwaYield.address,
+                offerings.address,
+                market.address,
+                redemption.address,
+                documents.address,
+                identity.address,
+                forced.address,
+                registry.address,
+                timelock.address
+            );
+        };
+
+        it("Should not upgrade before the upgrades module is attached", async function () {
+            await expect(proxy.upgradeTo(newImplementation.address)).to.be.revertedWith("Upgrade not scheduled");
+        });
+
+        it("Should only upgrade to a scheduled implementation after the delay", async function () {
+            await attachTimelock();
+            await expect(proxy.upgradeTo(newImplementation.address)).to.be.revertedWith("Upgrade not scheduled");
+            await expect(
+                timelock.connect(user1).scheduleUpgrade(newImplementation.address)
+            ).to.be.revertedWith(MISSING_ROLE);
+            await expect(timelock.scheduleUpgrade(user1.address)).to.be.revertedWith("Invalid implementation");
+
+            await expect(timelock.scheduleUpgrade(newImplementation.address)).to.emit(timelock, "UpgradeScheduled");
+            const scheduledAt = (await ethers.provider.getBlock("latest")).timestamp;
+            expect(await timelock.pendingImplementation()).to.equal(newImplementation.address);
+            expect(await timelock.upgradeReadyAt()).to.equal(scheduledAt + 2 * DAY);
+            await expect(proxy.upgradeTo(newImplementation.address)).to.be.revertedWith("Upgrade delay not met");
+            await expect(timelock.authorizeUpgrade(newImplementation.address)).to.be.revertedWith("Caller is not the RWA contract");
+
+            await ethers.provider.send("evm_increaseTime", [2 * DAY]);
+            await ethers.provider.send("evm_mine");
+            await proxy.upgradeTo(newImplementation.address);
+
+            expect(await upgrades.erc1967.getImplementationAddress(proxy.address)).to.equal(newImplementation.address);
+            expect(await timelock.pendingImplementation()).to.equal(ethers.constants.AddressZero);
+        });
+
+        it("Should let a scheduled upgrade be cancelled or expire", async function () {
+            await attachTimelock();
+            await timelock.scheduleUpgrade(newImplementation.address);
+            await expect(timelock.scheduleUpgrade(newImplementation.address)).to.be.revertedWith("Upgrade already scheduled");
+
+            await expect(timelock.connect(user1).cancelUpgrade()).to.be.revertedWith("Not upgrader or admin");
+            await expect(timelock.cancelUpgrade())
+                .to.emit(timelock, "UpgradeCancelled")
+                .withArgs(newImplementation.address, owner.address);
+
+            await ethers.provider.send("evm_increaseTime", [2 * DAY]);
+            await ethers.provider.send("evm_mine");
+            await expect(proxy.upgradeTo(newImplementation.address)).to.be.revertedWith("Upgrade not scheduled");
+
+            // A ready upgrade left unexecuted past the grace period has to be scheduled again
+            await timelock.scheduleUpgrade(newImplementation.address);
+            await ethers.provider.send("evm_increaseTime", [16 * DAY + 1]);
+            await ethers.provider.send("evm_mine");
+            await expect(proxy.upgradeTo(newImplementation.address)).to.be.revertedWith("Upgrade schedule expired");
+        });
+
+        it("Should bound the upgrade delay", async function () {
+            expect(await timelock.upgradeDelay()).to.equal(2 * DAY);
+            await expect(timelock.updateUpgradeDelay(3600)).to.be.revertedWith("Delay too short");
+            await expect(timelock.connect(user1).updateUpgradeDelay(3 * DAY)).to.be.revertedWith(MISSING_ROLE);
+
+            await timelock.updateUpgradeDelay(3 * DAY);
+            expect(await timelock.upgradeDelay()).to.equal(3 * DAY);
         });
     });
 
     describe("Admin Functions", function () {
         it("Should allow admin to update configuration", async function () {
-            await loraRWA.updateMinHoldPeriod(172800); // 2 days
-            await loraRWA.updateMaxTokensPerAddress(ethers.utils.parseEther("2000000")); // 2M tokens
+            await market.updateMinHoldPeriod(172800); // 2 days
+            await market.updateMaxTokensPerAddress(ethers.utils.parseEther("2000000")); // 2M tokens
             await loraRWA.updateComplianceUpdatePeriod(63072000); // 2 years
 
-            expect(await loraRWA.minHoldPeriod()).to.equal(172800);
-            expect(await loraRWA.maxTokensPerAddress()).to.equal(ethers.utils.parseEther("2000000"));
+            expect(await market.minHoldPeriod()).to.equal(172800);
+            expect(await market.maxTokensPerAddress()).to.equal(ethers.utils.parseEther("2000000"));
             expect(await loraRWA.complianceUpdatePeriod()).to.equal(63072000);
         });
 
@@ -373,14 +2139,14 @@ describe("LoraRWA", function () {
 
     describe("View Functions", function () {
         it("Should return correct ETH price", async function () {
-            const price = await loraRWA.getEthPrice();
+            const price = await market.getEthPrice();
             expect(price).to.be.gt(0);
         });
 
         it("Should return correct asset count", async function () {
             expect(await loraRWA.assetCount()).to.equal(0);
 
-            await loraRWA.registerAsset(
+            await registry.registerAsset(
                 "Test Asset",
                 "Real Estate",
                 "Location",
@@ -2,11 +2,27 @@ const { expect } = require("chai");
 const { ethers } = require("hardhat");
 
 describe("LoraToken", function () {
-    let LoraToken, MockPriceFeed;
-    let loraToken, mockPriceFeed;
+    let LoraToken, LoraStaking, LoraGovernor, MockPriceFeed;
+    let loraToken, loraStaking, loraGovernor, mockPriceFeed;
     let owner, user1, user2, user3;
     let addrs;
 
+    // Pass a proposal carrying the given actions and run it through the timelock
+    async function executeGovernanceAction(targets, calldatas) {
+        const proposalId = await loraGovernor.proposalCount();
+        await loraGovernor.propose(targets, targets.map(() => 0), calldatas, "Governance action", 86400);
+        await loraGovernor.vote(proposalId, true);
+
+        await ethers.provider.send("evm_increaseTime", [86401]);
+        await ethers.provider.send("evm_mine");
+        await loraGovernor.queueProposal(proposalId);
+
+        await ethers.provider.send("evm_increaseTime", [(await loraGovernor.timelockDelay()).toNumber()]);
+        await ethers.provider.send("evm_mine");
+        await loraGovernor.executeProposal(proposalId);
+        return proposalId;
+    }
+
     beforeEach(async function () {
         [owner, user1, user2, user3, ...addrs] = await ethers.getSigners();
 
@@ -25,6 +41,21 @@ describe("LoraToken", function () {
             mockPriceFeed.address
         );
         await loraToken.deployed();
+
+        // Deploy the staking and governance contracts built on the token
+        LoraStaking = await ethers.getContractFactory("LoraStaking");
+        loraStaking = await LoraStaking.deploy(loraToken.address);
+        await loraStaking.deployed();
+        await loraToken.setStakingContract(loraStaking.address);
+
+        LoraGovernor = await ethers.getContractFactory("LoraGovernor");
+        loraGovernor = await LoraGovernor.deploy(loraToken.address);
+        await loraGovernor.deployed();
+        await loraToken.setGovernor(loraGovernor.address);
+
+        for (const signer of [owner, user1, user2, user3]) {
+            await loraToken.connect(signer).approve(loraStaking.address, ethers.constants.MaxUint256);
+        }
     });
 
     describe("Deployment", function () {
@@ -77,6 +108,59 @@ describe("LoraToken", function () {
         });
     });
 
+    describe("Transfer Fees", function () {
+        const amount = ethers.utils.parseEther("10000");
+
+        beforeEach(async function () {
+            await loraToken.transfer(user1.address, ethers.utils.parseEther("100000"));
+        });
+
+        it("Should skip fees for exempt addresses", async function () {
+            await loraToken.setFeeExempt(user2.address, true);
+            await loraToken.connect(user1).transfer(user2.address, amount);
+
+            expect(await loraToken.balanceOf(user2.address)).to.equal(amount);
+            expect(await loraToken.getTransferFee(user1.address, user2.address)).to.equal(0);
+        });
+
+        it("Should apply per-counterparty fee overrides", async function () {
+            await loraToken.setFeeOverride(user2.address, 100, true); // 1%
+            await loraToken.connect(user1).transfer(user2.address, amount);
+
+            expect(await loraToken.balanceOf(user2.address)).to.equal(amount.sub(amount.div(100)));
+        });
+
+        it("Should split fees between treasury, staking reserve and burn", async function () {
+            await executeGovernanceAction(
+                [loraToken.address],
+                [loraToken.interface.encodeFunctionData("updateFeeSplit", [5000, 3000, 2000])]
+            );
+            const fee = amount.mul(25).div(10000);
+            const supplyBefore = await loraToken.totalSupply();
+            const reserveBefore = await loraStaking.rewardReserve();
+
+            await expect(loraToken.connect(user1).transfer(user2.address, amount))
+                .to.emit(loraToken, "TransferFeeCollected")
+                .withArgs(user1.address, user2.address, fee, fee.div(2), fee.mul(3).div(10), fee.div(5));
+
+            expect(await loraStaking.rewardReserve()).to.equal(reserveBefore.add(fee.mul(3).div(10)));
+            expect(await loraToken.totalSupply()).to.equal(supplyBefore.sub(fee.div(5)));
+        });
+
+        it("Should reject fee splits that do not sum to 100%", async function () {
+            const calldata = loraToken.interface.encodeFunctionData("updateFeeSplit", [5000, 3000, 1000]);
+            await expect(
+                executeGovernanceAction([loraToken.address], [calldata])
+            ).to.be.revertedWith("Shares must sum to 100%");
+        });
+
+        it("Should restrict the exemption registry to admin or governance", async function () {
+            await expect(
+                loraToken.connect(user1).setFeeExempt(user1.address, true)
+            ).to.be.revertedWith("Only admin or governance");
+        });
+    });
+
     describe("Staking Functions", function () {
         beforeEach(async function () {
             // Transfer some tokens to users for testing
@@ -86,10 +170,10 @@ describe("LoraToken", function () {
 
         it("Should allow users to stake tokens", async function () {
             const stakeAmount = ethers.utils.parseEther("1000");
-            await loraToken.connect(user1).approve(loraToken.address, stakeAmount);
-            await loraToken.connect(user1).stake(stakeAmount);
+            await loraToken.connect(user1).approve(loraStaking.address, stakeAmount);
+            await loraStaking.connect(user1).stake(stakeAmount);
             
-            const stakerInfo = await loraToken.getStakerInfo(user1.address);
+            const stakerInfo = await loraStaking.getStakerInfo(user1.address);
             expect(stakerInfo.stakedAmount).to.equal(stakeAmount);
             expect(stakerInfo.isStaking).to.equal(true);
         });
@@ -97,60 +181,282 @@ describe("LoraToken", function () {
         it("Should fail to stake if user doesn't have enough tokens", async function () {
             const stakeAmount = ethers.utils.parseEther("20000"); // More than user has
             await expect(
-                loraToken.connect(user1).stake(stakeAmount)
+                loraStaking.connect(user1).stake(stakeAmount)
             ).to.be.revertedWith("Insufficient balance");
         });
 
         it("Should allow users to unstake tokens", async function () {
             const stakeAmount = ethers.utils.parseEther("1000");
-            await loraToken.connect(user1).approve(loraToken.address, stakeAmount);
-            await loraToken.connect(user1).stake(stakeAmount);
+            await loraToken.connect(user1).approve(loraStaking.address, stakeAmount);
+            await loraStaking.connect(user1).stake(stakeAmount);
             
             const unstakeAmount = ethers.utils.parseEther("500");
-            await loraToken.connect(user1).unstake(unstakeAmount);
+            await loraStaking.connect(user1).unstake(unstakeAmount);
             
-            const stakerInfo = await loraToken.getStakerInfo(user1.address);
+            const stakerInfo = await loraStaking.getStakerInfo(user1.address);
             expect(stakerInfo.stakedAmount).to.equal(stakeAmount.sub(unstakeAmount));
         });
 
         it("Should calculate pending rewards correctly", async function () {
             const stakeAmount = ethers.utils.parseEther("1000");
-            await loraToken.connect(user1).approve(loraToken.address, stakeAmount);
-            await loraToken.connect(user1).stake(stakeAmount);
+            await loraToken.connect(user1).approve(loraStaking.address, stakeAmount);
+            await loraStaking.connect(user1).stake(stakeAmount);
             
             // Fast forward time
             await ethers.provider.send("evm_increaseTime", [86400]); // 1 day
             await ethers.provider.send("evm_mine");
             
-            const pendingRewards = await loraToken.pendingRewards(user1.address);
+            const pendingRewards = await loraStaking.pendingRewards(user1.address);
             expect(pendingRewards).to.be.gt(0);
         });
 
         it("Should allow users to claim rewards", async function () {
             const stakeAmount = ethers.utils.parseEther("1000");
-            await loraToken.connect(user1).approve(loraToken.address, stakeAmount);
-            await loraToken.connect(user1).stake(stakeAmount);
+            await loraToken.connect(user1).approve(loraStaking.address, stakeAmount);
+            await loraStaking.connect(user1).stake(stakeAmount);
             
             // Fast forward time
             await ethers.provider.send("evm_increaseTime", [86400]); // 1 day
             await ethers.provider.send("evm_mine");
             
             const initialBalance = await loraToken.balanceOf(user1.address);
-            await loraToken.connect(user1).claimRewards();
+            await loraStaking.connect(user1).claimRewards();
             const finalBalance = await loraToken.balanceOf(user1.address);
             
             expect(finalBalance).to.be.gt(initialBalance);
         });
     });
 
+    describe("Reward Emission", function () {
+        const YEAR = 365 * 86400;
+        const stakeAmount = ethers.utils.parseEther("1000");
+
+        beforeEach(async function () {
+            await loraToken.transfer(user1.address, ethers.utils.parseEther("10000"));
+            await loraStaking.connect(user1).stake(stakeAmount);
+        });
+
+        it("Should emit rewards at the configured APY", async function () {
+            await ethers.provider.send("evm_increaseTime", [YEAR]);
+            await ethers.provider.send("evm_mine");
+
+            const pending = await loraStaking.pendingRewards(user1.address);
+            expect(pending).to.be.closeTo(ethers.utils.parseEther("50"), ethers.utils.parseEther("0.01")); // 5% APY
+        });
+
+        it("Should project rewards for a staker", async function () {
+            const projected = await loraStaking.projectedRewards(user1.address, YEAR);
+            expect(projected).to.be.closeTo(ethers.utils.parseEther("50"), ethers.utils.parseEther("0.01"));
+        });
+
+        it("Should halve emission after each halving interval", async function () {
+            const baseRate = await loraStaking.rewardRate();
+            expect(await loraStaking.currentRewardRate()).to.equal(baseRate);
+
+            await ethers.provider.send("evm_increaseTime", [4 * YEAR]);
+            await ethers.provider.send("evm_mine");
+            expect(await loraStaking.currentRewardRate()).to.equal(baseRate.div(2));
+        });
+
+        it("Should keep rewards within the supply cap and second distribution", async function () {
+            const expected = (await loraToken.TOTAL_SUPPLY())
+                .sub(await loraToken.totalSupply())
+                .sub(await loraToken.SECOND_DISTRIBUTION());
+            expect(await loraToken.mintableRewardSupply()).to.equal(expected);
+        });
+
+        it("Should pay rewards from the funded reserve before minting", async function () {
+            await loraStaking.fundRewardReserve(ethers.utils.parseEther("100"));
+            expect(await loraStaking.rewardReserve()).to.equal(ethers.utils.parseEther("100"));
+
+            await ethers.provider.send("evm_increaseTime", [30 * 86400]);
+            await ethers.provider.send("evm_mine");
+
+            const supplyBefore = await loraToken.totalSupply();
+            await loraStaking.connect(user1).claimRewards();
+
+            expect(await loraToken.totalSupply()).to.equal(supplyBefore);
+            expect(await loraStaking.rewardReserve()).to.be.lt(ethers.utils.parseEther("100"));
+            expect(await loraStaking.pendingRewards(user1.address)).to.equal(0);
+        });
+
+        it("Should only allow governance to change the halving interval", async function () {
+            await expect(loraStaking.updateHalvingInterval(0)).to.be.revertedWith("Only governance");
+        });
+    });
+
+    describe("Auto-Compounding and Delegated Staking", function () {
+        const YEAR = 365 * 86400;
+        const stakeAmount = ethers.utils.parseEther("1000");
+
+        beforeEach(async function () {
+            await loraToken.transfer(user1.address, ethers.utils.parseEther("10000"));
+            await loraStaking.connect(user1).stake(stakeAmount);
+        });
+
+        it("Should add accrued rewards to the stake when compounding is enabled", async function () {
+            await expect(loraStaking.connect(user1).setAutoCompound(true))
+                .to.emit(loraStaking, "AutoCompoundUpdated")
+                .withArgs(user1.address, true);
+
+            await ethers.provider.send("evm_increaseTime", [YEAR]);
+            await ethers.provider.send("evm_mine");
+
+            const balanceBefore = await loraToken.balanceOf(user1.address);
+            await expect(loraStaking.connect(user2).compound(user1.address)).to.emit(loraStaking, "RewardCompounded");
+
+            const info = await loraStaking.getStakerInfo(user1.address);
+            expect(info.stakedAmount).to.be.closeTo(ethers.utils.parseEther("1050"), ethers.utils.parseEther("0.01"));
+            expect(info.accruedRewards).to.equal(0);
+            expect(await loraToken.balanceOf(user1.address)).to.equal(balanceBefore);
+        });
+
+        it("Should compound when the staker's reward index updates", async function () {
+            await loraStaking.connect(user1).setAutoCompound(true);
+
+            await ethers.provider.send("evm_increaseTime", [YEAR]);
+            await ethers.provider.send("evm_mine");
+            await loraStaking.connect(user1).stake(stakeAmount);
+
+            const info = await loraStaking.getStakerInfo(user1.address);
+            expect(info.stakedAmount).to.be.closeTo(ethers.utils.parseEther("2050"), ethers.utils.parseEther("0.01"));
+            expect(await loraToken.getVotes(user1.address)).to.equal(
+                (await loraToken.balanceOf(user1.address)).add(info.stakedAmount)
+            );
+        });
+
+        it("Should only let others compound opted-in stakers", async function () {
+            await expect(loraStaking.connect(user2).compound(user1.address)).to.be.revertedWith("Auto-compound not enabled");
+        });
+
+        it("Should stake on behalf of a beneficiary", async function () {
+            await expect(loraStaking.connect(user1).stakeFor(user2.address, stakeAmount))
+                .to.emit(loraStaking, "StakedFor")
+                .withArgs(user1.address, user2.address, stakeAmount);
+
+            expect((await loraStaking.getStakerInfo(user2.address)).stakedAmount).to.equal(stakeAmount);
+            expect(await loraToken.getVotes(user2.address)).to.equal(stakeAmount);
+
+            await ethers.provider.send("evm_increaseTime", [YEAR]);
+            await ethers.provider.send("evm_mine");
+
+            // The beneficiary earns the rewards and can withdraw the stake
+            await loraStaking.connect(user2).claimRewards();
+            expect(await loraToken.balanceOf(user2.address)).to.be.closeTo(
+                ethers.utils.parseEther("50"),
+                ethers.utils.parseEther("0.01")
+            );
+            await loraStaking.connect(user2).unstake(stakeAmount);
+            expect((await loraStaking.getStakerInfo(user2.address)).stakedAmount).to.equal(0);
+        });
+
+        it("Should reject staking for the zero address", async function () {
+            await expect(
+                loraStaking.connect(user1).stakeFor(ethers.constants.AddressZero, stakeAmount)
+            ).to.be.revertedWith("Invalid beneficiary");
+        });
+    });
+
+    describe("Locked Staking Tiers", function () {
+        const stakeAmount = ethers.utils.parseEther("1000");
+
+        beforeEach(async function () {
+            await loraToken.transfer(user1.address, ethers.utils.parseEther("10000"));
+            await loraToken.transfer(user2.address, ethers.utils.parseEther("10000"));
+        });
+
+        it("Should create default 30/90/180/365 day tiers", async function () {
+            expect(await loraStaking.stakingTierCount()).to.equal(4);
+            const tier = await loraStaking.getStakingTier(3);
+            expect(tier.lockPeriod).to.equal(365 * 86400);
+            expect(tier.rewardMultiplier).to.equal(20000);
+        });
+
+        it("Should return every position a staker holds", async function () {
+            await loraStaking.connect(user1).stake(stakeAmount);
+            await loraStaking.connect(user1).stakeLocked(stakeAmount, 0);
+            await loraStaking.connect(user1).stakeLocked(stakeAmount, 3);
+
+            const info = await loraStaking.getStakerInfo(user1.address);
+            expect(info.stakedAmount).to.equal(stakeAmount.mul(3));
+            expect(info.lockedAmount).to.equal(stakeAmount.mul(2));
+            expect(info.positions.length).to.equal(2);
+            expect(info.positions[1].tierId).to.equal(3);
+        });
+
+        it("Should apply the tier reward multiplier", async function () {
+            await loraStaking.connect(user1).stake(stakeAmount);
+            await loraStaking.connect(user2).stakeLocked(stakeAmount, 3); // 2x
+
+            await ethers.provider.send("evm_increaseTime", [30 * 86400]);
+            await ethers.provider.send("evm_mine");
+
+            const flexible = await loraStaking.pendingRewards(user1.address);
+            const locked = await loraStaking.pendingRewards(user2.address);
+            expect(locked).to.be.closeTo(flexible.mul(2), ethers.utils.parseEther("0.001"));
+        });
+
+        it("Should boost voting power of locked positions", async function () {
+            const votesBefore = await loraToken.getVotes(user1.address);
+            await loraStaking.connect(user1).stakeLocked(stakeAmount, 3); // 1.5x voting
+
+            expect(await loraToken.getVotes(user1.address)).to.equal(votesBefore.add(stakeAmount.div(2)));
+        });
+
+        it("Should not allow flexible unstaking of locked principal", async function () {
+            await loraStaking.connect(user1).stakeLocked(stakeAmount, 0);
+            await expect(loraStaking.connect(user1).unstake(stakeAmount)).to.be.revertedWith("Insufficient staked amount");
+        });
+
+        it("Should charge the early-exit penalty to the fee collector", async function () {
+            await loraStaking.connect(user1).stakeLocked(stakeAmount, 1); // 10% penalty
+            const collectorBefore = await loraToken.balanceOf(owner.address);
+
+            await loraStaking.connect(user1).unstakeLocked(0);
+
+            const penalty = stakeAmount.div(10);
+            const fee = stakeAmount.sub(penalty).mul(10).div(10000);
+            expect(await loraToken.balanceOf(owner.address)).to.equal(collectorBefore.add(penalty).add(fee));
+
+            const info = await loraStaking.getStakerInfo(user1.address);
+            expect(info.positions[0].closed).to.equal(true);
+            await expect(loraStaking.connect(user1).unstakeLocked(0)).to.be.revertedWith("Position closed");
+        });
+
+        it("Should not charge a penalty after the lock expires", async function () {
+            await loraStaking.connect(user1).stakeLocked(stakeAmount, 0);
+            await ethers.provider.send("evm_increaseTime", [30 * 86400]);
+            await ethers.provider.send("evm_mine");
+
+            await expect(loraStaking.connect(user1).unstakeLocked(0))
+                .to.emit(loraStaking, "LockedStakeWithdrawn")
+                .withArgs(user1.address, 0, stakeAmount, 0);
+        });
+
+        it("Should redistribute penalties to remaining stakers when enabled", async function () {
+            await executeGovernanceAction(
+                [loraStaking.address],
+                [loraStaking.interface.encodeFunctionData("setPenaltyRedistribution", [true])]
+            );
+            await loraStaking.connect(user2).stake(stakeAmount);
+            await loraStaking.connect(user1).stakeLocked(stakeAmount, 1);
+
+            const pendingBefore = await loraStaking.pendingRewards(user2.address);
+            await loraStaking.connect(user1).unstakeLocked(0);
+
+            const bonus = (await loraStaking.pendingRewards(user2.address)).sub(pendingBefore);
+            expect(bonus).to.be.gte(stakeAmount.div(10));
+        });
+    });
+
     describe("Governance Functions", function () {
         it("Should allow governance role to create proposals", async function () {
             const description = "Test proposal";
             const duration = 86400; // 1 day
             
-            await loraToken.createProposal(description, duration);
+            await loraGovernor.createProposal(description, duration);
             
-            const proposal = await loraToken.getProposal(0);
+            const proposal = await loraGovernor.getProposal(0);
             expect(proposal.description).to.equal(description);
             expect(proposal.proposer).to.equal(owner.address);
         });
@@ -159,54 +465,367 @@ describe("LoraToken", function () {
             const description = "Test proposal";
             const duration = 86400; // 1 day
             
-            await loraToken.createProposal(description, duration);
-            
-            // Transfer tokens to user for voting power
+            // Transfer tokens to user for voting power before the snapshot
             await loraToken.transfer(user1.address, ethers.utils.parseEther("1000"));
             
-            await loraToken.connect(user1).vote(0, true);
+            await loraGovernor.createProposal(description, duration);
             
-            const hasVoted = await loraToken.hasVoted(0, user1.address);
-            expect(hasVoted).to.equal(true);
+            await loraGovernor.connect(user1).vote(0, true);
+            
+            const receipt = await loraGovernor.hasVoted(0, user1.address);
+            expect(receipt.voted).to.equal(true);
+            expect(receipt.votes).to.equal(await loraToken.balanceOf(user1.address));
         });
 
         it("Should prevent double voting", async function () {
             const description = "Test proposal";
             const duration = 86400; // 1 day
             
-            await loraToken.createProposal(description, duration);
             await loraToken.transfer(user1.address, ethers.utils.parseEther("1000"));
+            await loraGovernor.createProposal(description, duration);
             
-            await loraToken.connect(user1).vote(0, true);
+            await loraGovernor.connect(user1).vote(0, true);
             
             await expect(
-                loraToken.connect(user1).vote(0, false)
+                loraGovernor.connect(user1).vote(0, false)
             ).to.be.revertedWith("Already voted");
         });
     });
 
+    describe("Proposal Execution", function () {
+        let proposalId, calldata;
+
+        beforeEach(async function () {
+            calldata = loraToken.interface.encodeFunctionData("updateTransferFee", [50]);
+            await loraGovernor.propose([loraToken.address], [0], [calldata], "Raise transfer fee", 86400);
+            proposalId = 0;
+            await loraGovernor.vote(proposalId, true);
+        });
+
+        it("Should store proposal actions", async function () {
+            const actions = await loraGovernor.getProposalActions(proposalId);
+            expect(actions.targets).to.deep.equal([loraToken.address]);
+            expect(actions.calldatas).to.deep.equal([calldata]);
+        });
+
+        it("Should not queue before voting ends", async function () {
+            await expect(loraGovernor.queueProposal(proposalId)).to.be.revertedWith("Voting not ended");
+        });
+
+        it("Should enforce the timelock delay", async function () {
+            await ethers.provider.send("evm_increaseTime", [86401]);
+            await ethers.provider.send("evm_mine");
+            await loraGovernor.queueProposal(proposalId);
+
+            const proposal = await loraGovernor.getProposal(proposalId);
+            expect(proposal.queued).to.equal(true);
+            await expect(loraGovernor.executeProposal(proposalId)).to.be.revertedWith("Timelock not expired");
+
+            await ethers.provider.send("evm_increaseTime", [2 * 86400]);
+            await ethers.provider.send("evm_mine");
+            await loraGovernor.connect(user1).executeProposal(proposalId);
+
+            expect(await loraToken.transferFee()).to.equal(50);
+            expect((await loraGovernor.getProposal(proposalId)).executed).to.equal(true);
+        });
+
+        it("Should reject proposals executed after the grace period", async function () {
+            await ethers.provider.send("evm_increaseTime", [86401]);
+            await ethers.provider.send("evm_mine");
+            await loraGovernor.queueProposal(proposalId);
+
+            await ethers.provider.send("evm_increaseTime", [17 * 86400]);
+            await ethers.provider.send("evm_mine");
+            await expect(loraGovernor.executeProposal(proposalId)).to.be.revertedWith("Proposal expired");
+        });
+
+        it("Should bubble up revert reasons from failed actions", async function () {
+            const badCall = loraToken.interface.encodeFunctionData("updateTransferFee", [500]);
+            await expect(
+                executeGovernanceAction([loraToken.address], [badCall])
+            ).to.be.revertedWith("Fee too high");
+        });
+
+        it("Should allow governance to update the timelock delay", async function () {
+            await executeGovernanceAction(
+                [loraGovernor.address],
+                [loraGovernor.interface.encodeFunctionData("updateTimelockDelay", [86400])]
+            );
+            expect(await loraGovernor.timelockDelay()).to.equal(86400);
+        });
+    });
+
+    describe("Quorum and Proposal State", function () {
+        const ProposalState = { Pending: 0, Active: 1, Defeated: 2, Succeeded: 3, Queued: 4, Executed: 5, Canceled: 6 };
+
+        beforeEach(async function () {
+            await loraToken.transfer(user1.address, ethers.utils.parseEther("200000"));
+            await loraToken.transfer(user2.address, ethers.utils.parseEther("1000"));
+        });
+
+        it("Should let holders above the threshold propose without a role", async function () {
+            await loraGovernor.connect(user1).createProposal("Community proposal", 86400);
+            expect((await loraGovernor.getProposal(0)).proposer).to.equal(user1.address);
+
+            await expect(
+                loraGovernor.connect(user2).createProposal("Small holder proposal", 86400)
+            ).to.be.revertedWith("Below proposal threshold");
+        });
+
+        it("Should count staked balances toward the proposal threshold", async function () {
+            await loraStaking.connect(user1).stake(ethers.utils.parseEther("150000"));
+            await loraGovernor.connect(user1).createProposal("Staker proposal", 86400);
+            expect(await loraGovernor.proposalCount()).to.equal(1);
+        });
+
+        it("Should defeat proposals that miss quorum", async function () {
+            await loraGovernor.connect(user1).createProposal("Low turnout", 86400);
+            await loraGovernor.connect(user2).vote(0, true);
+
+            await ethers.provider.send("evm_increaseTime", [86401]);
+            await ethers.provider.send("evm_mine");
+
+            expect(await loraGovernor.state(0)).to.equal(ProposalState.Defeated);
+            await expect(loraGovernor.queueProposal(0)).to.be.revertedWith("Proposal not passed");
+        });
+
+        it("Should count abstain votes toward quorum only", async function () {
+            await loraGovernor.connect(user1).createProposal("Abstain proposal", 86400);
+            await loraGovernor.castVote(0, 2); // owner abstains
+            await loraGovernor.connect(user2).castVote(0, 1);
+
+            const proposal = await loraGovernor.getProposal(0);
+            expect(proposal.abstainVotes).to.be.gt(0);
+            expect(proposal.forVotes).to.equal(await loraToken.getVotes(user2.address));
+
+            await ethers.provider.send("evm_increaseTime", [86401]);
+            await ethers.provider.send("evm_mine");
+            expect(await loraGovernor.state(0)).to.equal(ProposalState.Succeeded);
+        });
+
+        it("Should report the proposal lifecycle", async function () {
+            const calldata = loraGovernor.interface.encodeFunctionData("updateQuorum", [1000]);
+            await loraGovernor.propose([loraGovernor.address], [0], [calldata], "Raise quorum", 86400);
+            expect(await loraGovernor.state(0)).to.equal(ProposalState.Active);
+
+            await loraGovernor.vote(0, true);
+            await ethers.provider.send("evm_increaseTime", [86401]);
+            await ethers.provider.send("evm_mine");
+            expect(await loraGovernor.state(0)).to.equal(ProposalState.Succeeded);
+
+            await loraGovernor.queueProposal(0);
+            expect(await loraGovernor.state(0)).to.equal(ProposalState.Queued);
+
+            await ethers.provider.send("evm_increaseTime", [2 * 86400]);
+            await ethers.provider.send("evm_mine");
+            await loraGovernor.executeProposal(0);
+            expect(await loraGovernor.state(0)).to.equal(ProposalState.Executed);
+            expect(await loraGovernor.quorumNumerator()).to.equal(1000);
+        });
+
+        it("Should report pending proposals during the voting delay", async function () {
+            await executeGovernanceAction(
+                [loraGovernor.address],
+                [loraGovernor.interface.encodeFunctionData("updateVotingDelay", [3600])]
+            );
+            const proposalId = await loraGovernor.proposalCount();
+            await loraGovernor.createProposal("Delayed proposal", 86400);
+
+            expect(await loraGovernor.state(proposalId)).to.equal(ProposalState.Pending);
+            await expect(loraGovernor.vote(proposalId, true)).to.be.revertedWith("Voting not started");
+        });
+
+        it("Should let the proposer cancel their proposal", async function () {
+            await loraGovernor.connect(user1).createProposal("Withdrawn proposal", 86400);
+            await expect(loraGovernor.connect(user2).cancelProposal(0)).to.be.revertedWith("Not authorized to cancel");
+
+            await loraGovernor.connect(user1).cancelProposal(0);
+            expect(await loraGovernor.state(0)).to.equal(ProposalState.Canceled);
+        });
+    });
+
+    describe("Permit and Meta-Transactions", function () {
+        it("Should approve with an EIP-2612 permit", async function () {
+            const { chainId } = await ethers.provider.getNetwork();
+            const value = ethers.utils.parseEther("100");
+            const deadline = ethers.constants.MaxUint256;
+            const nonce = await loraToken.nonces(owner.address);
+
+            const signature = await owner._signTypedData(
+                { name: "LORA Token", version: "1", chainId, verifyingContract: loraToken.address },
+                {
+                    Permit: [
+                        { name: "owner", type: "address" },
+                        { name: "spender", type: "address" },
+                        { name: "value", type: "uint256" },
+                        { name: "nonce", type: "uint256" },
+                        { name: "deadline", type: "uint256" },
+                    ],
+                },
+                { owner: owner.address, spender: user1.address, value, nonce, deadline }
+            );
+            const { v, r, s } = ethers.utils.splitSignature(signature);
+
+            await loraToken.connect(user2).permit(owner.address, user1.address, value, deadline, v, r, s);
+            expect(await loraToken.allowance(owner.address, user1.address)).to.equal(value);
+            expect(await loraToken.nonces(owner.address)).to.equal(nonce.add(1));
+
+            await expect(
+                loraToken.permit(owner.address, user1.address, value, deadline, v, r, s)
+            ).to.be.revertedWith("Invalid signature");
+        });
+
+        it("Should stake, vote and unstake through the trusted forwarder", async function () {
+            const MockForwarder = await ethers.getContractFactory("MockForwarder");
+            const forwarder = await MockForwarder.deploy();
+            await forwarder.deployed();
+            await loraToken.updateTrustedForwarder(forwarder.address);
+
+            await loraToken.transfer(user1.address, ethers.utils.parseEther("1000"));
+            const stakeAmount = ethers.utils.parseEther("500");
+            await forwarder.connect(user3).execute(
+                user1.address,
+                loraStaking.address,
+                loraStaking.interface.encodeFunctionData("stake", [stakeAmount])
+            );
+            expect((await loraStaking.getStakerInfo(user1.address)).stakedAmount).to.equal(stakeAmount);
+
+            await loraGovernor.createProposal("Relayed vote", 86400);
+            await forwarder.connect(user3).execute(
+                user1.address,
+                loraGovernor.address,
+                loraGovernor.interface.encodeFunctionData("vote", [0, true])
+            );
+            expect((await loraGovernor.hasVoted(0, user1.address)).voted).to.equal(true);
+
+            await forwarder.connect(user3).execute(
+                user1.address,
+                loraStaking.address,
+                loraStaking.interface.encodeFunctionData("unstake", [ethers.utils.parseEther("200")])
+            );
+            expect((await loraStaking.getStakerInfo(user1.address)).stakedAmount).to.equal(ethers.utils.parseEther("300"));
+        });
+    });
+
+    describe("Voting Power", function () {
+        beforeEach(async function () {
+            await loraToken.transfer(user1.address, ethers.utils.parseEther("1000"));
+        });
+
+        it("Should count wallet and staked balances as voting power", async function () {
+            const balance = await loraToken.balanceOf(user1.address);
+            expect(await loraToken.getVotes(user1.address)).to.equal(balance);
+
+            await loraStaking.connect(user1).stake(ethers.utils.parseEther("400"));
+            expect(await loraToken.getVotes(user1.address)).to.equal(balance);
+            expect(await loraToken.getVotes(loraToken.address)).to.equal(0);
+            expect(await loraToken.getVotes(loraStaking.address)).to.equal(0);
+        });
+
+        it("Should use the voting power at the proposal snapshot", async function () {
+            await loraGovernor.createProposal("Snapshot proposal", 86400);
+            const votesAtSnapshot = await loraToken.getVotes(user1.address);
+
+            // Tokens moved after the snapshot cannot vote again
+            await loraGovernor.connect(user1).vote(0, true);
+            await loraToken.connect(user1).transfer(user2.address, ethers.utils.parseEther("500"));
+            await expect(loraGovernor.connect(user2).vote(0, true)).to.be.revertedWith("No voting power");
+
+            const proposal = await loraGovernor.getProposal(0);
+            expect(proposal.forVotes).to.equal(votesAtSnapshot);
+            expect(proposal.snapshotBlock).to.be.gt(0);
+        });
+
+        it("Should accept votes in the block the proposal is created", async function () {
+            await ethers.provider.send("evm_setAutomine", [false]);
+            try {
+                const proposeTx = await loraGovernor.createProposal("Same block proposal", 86400, { gasLimit: 1000000 });
+                const voteTx = await loraGovernor.connect(user1).vote(0, true, { gasLimit: 1000000 });
+                await ethers.provider.send("evm_mine");
+
+                const proposeReceipt = await proposeTx.wait();
+                const voteReceipt = await voteTx.wait();
+                expect(voteReceipt.blockNumber).to.equal(proposeReceipt.blockNumber);
+                expect((await loraGovernor.getProposal(0)).snapshotBlock).to.equal(proposeReceipt.blockNumber - 1);
+            } finally {
+                await ethers.provider.send("evm_setAutomine", [true]);
+            }
+            expect((await loraGovernor.hasVoted(0, user1.address)).voted).to.equal(true);
+        });
+
+        it("Should allow delegating voting power", async function () {
+            const balance = await loraToken.balanceOf(user1.address);
+            await loraToken.connect(user1).delegate(user2.address);
+
+            expect(await loraToken.delegates(user1.address)).to.equal(user2.address);
+            expect(await loraToken.getVotes(user1.address)).to.equal(0);
+            expect(await loraToken.getVotes(user2.address)).to.equal(balance);
+        });
+
+        it("Should move staked voting power to the delegate", async function () {
+            await loraStaking.connect(user1).stake(ethers.utils.parseEther("400"));
+            const votes = await loraToken.getVotes(user1.address);
+
+            await loraToken.connect(user1).delegate(user2.address);
+            expect(await loraToken.getVotes(user2.address)).to.equal(votes);
+        });
+
+        it("Should allow delegating by signature", async function () {
+            const { chainId } = await ethers.provider.getNetwork();
+            const nonce = await loraToken.nonces(user1.address);
+            const expiry = ethers.constants.MaxUint256;
+
+            const signature = await user1._signTypedData(
+                { name: "LORA Token", version: "1", chainId, verifyingContract: loraToken.address },
+                {
+                    Delegation: [
+                        { name: "delegatee", type: "address" },
+                        { name: "nonce", type: "uint256" },
+                        { name: "expiry", type: "uint256" },
+                    ],
+                },
+                { delegatee: user2.address, nonce, expiry }
+            );
+            const { v, r, s } = ethers.utils.splitSignature(signature);
+
+            await loraToken.connect(user3).delegateBySig(user2.address, nonce, expiry, v, r, s);
+            expect(await loraToken.delegates(user1.address)).to.equal(user2.address);
+
+            await expect(
+                loraToken.connect(user3).delegateBySig(user2.address, nonce, expiry, v, r, s)
+            ).to.be.revertedWith("Invalid nonce");
+        });
+    });
+
     describe("Admin Functions", function () {
-        it("Should allow admin to update staking reward rate", async function () {
+        it("Should allow governance to update staking reward rate", async function () {
             const newRate = 10; // 10% APY
-            await loraToken.updateStakingRewardRate(newRate);
+            await executeGovernanceAction(
+                [loraStaking.address],
+                [loraStaking.interface.encodeFunctionData("updateStakingRewardRate", [newRate])]
+            );
             
-            // Check if the rate was updated (this would require a getter function)
-            // For now, we'll just verify the transaction doesn't revert
-            expect(await loraToken.stakingRewardRate()).to.equal(newRate);
+            expect(await loraStaking.stakingRewardRate()).to.equal(newRate);
         });
 
-        it("Should allow admin to update transfer fee", async function () {
+        it("Should allow governance to update transfer fee", async function () {
             const newFee = 50; // 0.5%
-            await loraToken.updateTransferFee(newFee);
+            await executeGovernanceAction(
+                [loraToken.address],
+                [loraToken.interface.encodeFunctionData("updateTransferFee", [newFee])]
+            );
             
             expect(await loraToken.transferFee()).to.equal(newFee);
         });
 
-        it("Should allow admin to update staking fee", async function () {
+        it("Should allow governance to update staking fee", async function () {
             const newFee = 20; // 0.2%
-            await loraToken.updateStakingFee(newFee);
+            await executeGovernanceAction(
+                [loraStaking.address],
+                [loraStaking.interface.encodeFunctionData("updateStakingFee", [newFee])]
+            );
             
-            expect(await loraToken.stakingFee()).to.equal(newFee);
+            expect(await loraStaking.stakingFee()).to.equal(newFee);
         });
 
         it("Should allow emergency role to blacklist addresses", async function () {
@@ -270,13 +889,24 @@ describe("LoraToken", function () {
             expect(price).to.be.gt(0);
         });
 
+        it("Should reject a stale ETH price", async function () {
+            expect(await loraToken.getEthPrice()).to.equal(ethers.utils.parseEther("2000"));
+
+            await loraToken.updateOracleConfig(ethers.constants.AddressZero, 3600, 0, 0, 0);
+            await ethers.provider.send("evm_increaseTime", [3601]);
+            await ethers.provider.send("evm_mine");
+
+            expect(await loraToken.isOracleHealthy()).to.equal(false);
+            await expect(loraToken.getEthPrice()).to.be.revertedWith("Oracle unhealthy");
+        });
+
         it("Should return correct staker info", async function () {
             const stakeAmount = ethers.utils.parseEther("1000");
             await loraToken.transfer(user1.address, stakeAmount);
-            await loraToken.connect(user1).approve(loraToken.address, stakeAmount);
-            await loraToken.connect(user1).stake(stakeAmount);
+            await loraToken.connect(user1).approve(loraStaking.address, stakeAmount);
+            await loraStaking.connect(user1).stake(stakeAmount);
             
-            const stakerInfo = await loraToken.getStakerInfo(user1.address);
+            const stakerInfo = await loraStaking.getStakerInfo(user1.address);
             expect(stakerInfo.stakedAmount).to.equal(stakeAmount);
             expect(stakerInfo.isStaking).to.equal(true);
         });
@@ -285,9 +915,9 @@ describe("LoraToken", function () {
             const description = "Test proposal";
             const duration = 86400; // 1 day
             
-            await loraToken.createProposal(description, duration);
+            await loraGovernor.createProposal(description, duration);
             
-            const proposal = await loraToken.getProposal(0);
+            const proposal = await loraGovernor.getProposal(0);
             expect(proposal.description).to.equal(description);
             expect(proposal.proposer).to.equal(owner.address);
             expect(proposal.executed).to.equal(false);
@@ -296,10 +926,38 @@ describe("LoraToken", function () {
     });
 
     describe("Access Control", function () {
-        it("Should prevent non-admin from updating staking reward rate", async function () {
+        it("Should prevent direct calls to governance-only setters", async function () {
             await expect(
-                loraToken.connect(user1).updateStakingRewardRate(10)
-            ).to.be.revertedWith("AccessControl");
+                loraStaking.updateStakingRewardRate(10)
+            ).to.be.revertedWith("Only governance");
+            await expect(
+                loraToken.connect(user1).updateTransferFee(10)
+            ).to.be.revertedWith("Only governance");
+            await expect(
+                loraGovernor.updateQuorum(1000)
+            ).to.be.revertedWith("Only governance");
+        });
+
+        it("Should only let the staking contract move staked votes and mint rewards", async function () {
+            await expect(
+                loraToken.increaseStakedVotes(user1.address, 1)
+            ).to.be.revertedWith("Only staking contract");
+            await expect(
+                loraToken.mintRewards(user1.address, 1)
+            ).to.be.revertedWith("Only staking contract");
+            await expect(
+                loraToken.setStakingContract(user1.address)
+            ).to.be.revertedWith("Staking contract already set");
+        });
+
+        it("Should only let governance replace the governor", async function () {
+            await expect(loraToken.setGovernor(user1.address)).to.be.revertedWith("Only governance");
+
+            await executeGovernanceAction(
+                [loraToken.address],
+                [loraToken.interface.encodeFunctionData("setGovernor", [user1.address])]
+            );
+            expect(await loraToken.governor()).to.equal(user1.address);
         });
 
         it("Should prevent non-emergency from blacklisting", async function () {
@@ -0,0 +1,179 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("LoraVesting", function () {
+    let LoraToken, LoraVesting, MockPriceFeed;
+    let loraToken, loraVesting, mockPriceFeed;
+    let owner, beneficiary, treasury, user1;
+    let addrs;
+
+    const YEAR = 365 * 24 * 60 * 60;
+    const grantAmount = ethers.utils.parseEther("1000000");
+
+    async function increaseTime(seconds) {
+        await ethers.provider.send("evm_increaseTime", [seconds]);
+        await ethers.provider.send("evm_mine");
+    }
+
+    async function latestTimestamp() {
+        return (await ethers.provider.getBlock("latest")).timestamp;
+    }
+
+    beforeEach(async function () {
+        [owner, beneficiary, treasury, user1, ...addrs] = await ethers.getSigners();
+
+        // Deploy mock price feed
+        MockPriceFeed = await ethers.getContractFactory("MockPriceFeed");
+        mockPriceFeed = await MockPriceFeed.deploy();
+        await mockPriceFeed.deployed();
+
+        // Deploy LoraToken
+        LoraToken = await ethers.getContractFactory("LoraToken");
+        loraToken = await LoraToken.deploy(
+            owner.address,
+            owner.address,
+            owner.address,
+            owner.address,
+            mockPriceFeed.address
+        );
+        await loraToken.deployed();
+
+        // Deploy LoraVesting
+        LoraVesting = await ethers.getContractFactory("LoraVesting");
+        loraVesting = await LoraVesting.deploy(owner.address, loraToken.address, treasury.address);
+        await loraVesting.deployed();
+
+        await loraToken.setVestingContract(loraVesting.address);
+
+        // Bring the remaining supply down to the threshold and route 4M of the distribution into vesting
+        await loraToken.mint(owner.address, ethers.utils.parseEther("3500000"));
+        await loraToken.executeSecondDistribution(
+            [loraVesting.address, owner.address],
+            [ethers.utils.parseEther("4000000"), ethers.utils.parseEther("1000000")]
+        );
+    });
+
+    describe("Grants", function () {
+        it("Should create a grant from the distributed tokens", async function () {
+            const start = await latestTimestamp();
+            await expect(loraVesting.createGrant(beneficiary.address, grantAmount, start, YEAR, 4 * YEAR, true, false))
+                .to.emit(loraVesting, "GrantCreated");
+
+            expect(await loraVesting.grantCount()).to.equal(1);
+            expect(await loraVesting.totalAllocated()).to.equal(grantAmount);
+            expect(await loraVesting.unallocatedBalance()).to.equal(ethers.utils.parseEther("3000000"));
+            expect(await loraVesting.getBeneficiaryGrants(beneficiary.address)).to.deep.equal([ethers.BigNumber.from(0)]);
+        });
+
+        it("Should not grant more than the unallocated balance", async function () {
+            const start = await latestTimestamp();
+            await expect(
+                loraVesting.createGrant(beneficiary.address, ethers.utils.parseEther("4000001"), start, 0, YEAR, true, false)
+            ).to.be.revertedWith("Insufficient unallocated tokens");
+        });
+
+        it("Should only let grant managers create grants", async function () {
+            const start = await latestTimestamp();
+            await expect(
+                loraVesting.connect(user1).createGrant(beneficiary.address, grantAmount, start, 0, YEAR, true, false)
+            ).to.be.reverted;
+        });
+
+        it("Should give the vesting contract's balance no voting power", async function () {
+            expect(await loraToken.getVotes(loraVesting.address)).to.equal(0);
+        });
+    });
+
+    describe("Release", function () {
+        beforeEach(async function () {
+            const start = await latestTimestamp();
+            await loraVesting.createGrant(beneficiary.address, grantAmount, start, YEAR, 4 * YEAR, true, false);
+        });
+
+        it("Should release nothing before the cliff", async function () {
+            await increaseTime(YEAR / 2);
+            expect(await loraVesting.vestedAmount(0)).to.equal(0);
+            await expect(loraVesting.connect(beneficiary)["release(uint256)"](0)).to.be.revertedWith("Nothing to release");
+        });
+
+        it("Should vest linearly after the cliff", async function () {
+            await increaseTime(2 * YEAR);
+            await loraVesting.connect(beneficiary)["release(uint256)"](0);
+
+            const released = await loraToken.balanceOf(beneficiary.address);
+            expect(released).to.be.closeTo(grantAmount.div(2), ethers.utils.parseEther("10"));
+
+            const [, vested, releasedAmount, locked] = await loraVesting.getGrant(0);
+            expect(releasedAmount).to.equal(released);
+            expect(vested.add(locked)).to.equal(grantAmount);
+        });
+
+        it("Should release everything after the full duration", async function () {
+            await increaseTime(4 * YEAR);
+            await loraVesting.connect(beneficiary)["release()"]();
+
+            expect(await loraToken.balanceOf(beneficiary.address)).to.equal(grantAmount);
+            expect(await loraVesting.lockedAmount(0)).to.equal(0);
+            expect(await loraVesting.totalAllocated()).to.equal(0);
+        });
+
+        it("Should only let the beneficiary release a grant", async function () {
+            await increaseTime(2 * YEAR);
+            await expect(loraVesting.connect(user1)["release(uint256)"](0)).to.be.revertedWith("Not beneficiary");
+        });
+    });
+
+    describe("Revocation", function () {
+        it("Should pay vested tokens and return the rest to the treasury", async function () {
+            const start = await latestTimestamp();
+            await loraVesting.createGrant(beneficiary.address, grantAmount, start, 0, 4 * YEAR, true, false);
+
+            await increaseTime(YEAR);
+            await expect(loraVesting.revoke(0)).to.emit(loraVesting, "GrantRevoked");
+
+            const paid = await loraToken.balanceOf(beneficiary.address);
+            const returned = await loraToken.balanceOf(treasury.address);
+            expect(paid.add(returned)).to.equal(grantAmount);
+            expect(paid).to.be.closeTo(grantAmount.div(4), ethers.utils.parseEther("10"));
+            expect(await loraVesting.lockedAmount(0)).to.equal(0);
+        });
+
+        it("Should not revoke an irrevocable grant", async function () {
+            const start = await latestTimestamp();
+            await loraVesting.createGrant(beneficiary.address, grantAmount, start, 0, 4 * YEAR, false, false);
+            await expect(loraVesting.revoke(0)).to.be.revertedWith("Grant not revocable");
+        });
+    });
+
+    describe("Voting Power", function () {
+        it("Should count vested-but-unreleased tokens when enabled", async function () {
+            const start = await latestTimestamp();
+            await loraVesting.createGrant(beneficiary.address, grantAmount, start, 0, 4 * YEAR, true, true);
+
+            await increaseTime(YEAR);
+            await loraVesting.syncVotes(0);
+
+            const votes = await loraToken.getVotes(beneficiary.address);
+            expect(votes).to.equal((await loraVesting.getGrant(0)).grant.countedVotes);
+            expect(votes).to.be.gt(0);
+
+            // Releasing moves the counted units into the beneficiary's balance
+            await loraVesting.connect(beneficiary)["release(uint256)"](0);
+            expect(await loraToken.vestingVotingUnits(beneficiary.address)).to.equal(0);
+            expect(await loraToken.getVotes(beneficiary.address)).to.equal(await loraToken.balanceOf(beneficiary.address));
+        });
+
+        it("Should not count vesting tokens when disabled", async function () {
+            const start = await latestTimestamp();
+            await loraVesting.createGrant(beneficiary.address, grantAmount, start, 0, 4 * YEAR, true, false);
+
+            await increaseTime(YEAR);
+            await loraVesting.syncVotes(0);
+            expect(await loraToken.getVotes(beneficiary.address)).to.equal(0);
+        });
+
+        it("Should only accept vesting vote updates from the vesting contract", async function () {
+            await expect(loraToken.increaseVestingVotes(user1.address, 1)).to.be.revertedWith("Only vesting contract");
+        });
+    });
+});